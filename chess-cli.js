@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+'use strict';
+
+// Offline tools around chess-core.js for Node. Like the core it needs chess.js 0.10.x installed next to
+// it (npm install chess.js@0.10.2).
+//
+//   node chess-cli.js tune <games.pgn | positions.epd>... [--out weights.json] [--weights start.json]
+//                          [--iterations 300] [--rate 0.002] [--k 1.2] [--skip-plies 8] [--max-positions N]
+//   node chess-cli.js epd <suite.epd> [--movetime 1000 | --depth N] [--engine builtin | /path/to/uci-engine]
+//                         [--weights eval-weights.json]
+//   node chess-cli.js perft [fen] [--depth 3] [--generator board | chessjs]
+//   node chess-cli.js perft --suite [--max-nodes 200000] [--generator board | chessjs]
+//   node chess-cli.js match [--engine1 builtin] [--engine2 builtin] [--weights1 a.json] [--weights2 b.json]
+//                           [--games 20] [--movetime 100 | --tc 10+0.1 | --depth N] [--openings suite.pgn]
+//                           [--pgn out.pgn] [--sprt 0,5] [--no-adjudication]
+
+const fs = require('fs');
+const core = require('./chess-core.js');
+
+// --name value pairs and bare --flags; everything else is positional
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const name = arg.slice(2).replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+    const next = argv[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      options[name] = next;
+      i += 1;
+    } else {
+      options[name] = true;
+    }
+  }
+  return { positional, options };
+}
+
+function numberOption(options, name) {
+  if (options[name] === undefined) return undefined;
+  const value = Number(options[name]);
+  if (!Number.isFinite(value)) throw new Error(`--${name} expects a number, got ${options[name]}`);
+  return value;
+}
+
+function tune(files, options) {
+  if (!files.length) throw new Error('tune needs at least one EPD or PGN file');
+  if (options.weights) {
+    core.setEvalWeights(fs.readFileSync(options.weights, 'utf8'));
+    console.log(`starting from ${options.weights}`);
+  }
+  const maxPositions = numberOption(options, 'maxPositions');
+  const samples = [];
+  for (const file of files) {
+    const collected = core.collectTuningPositions(fs.readFileSync(file, 'utf8'), {
+      skipPlies: numberOption(options, 'skipPlies'),
+      maxPositions: maxPositions === undefined ? undefined : maxPositions - samples.length
+    });
+    samples.push(...collected.samples);
+    console.log(`${file}: ${collected.samples.length} positions${collected.games ? ` from ${collected.games} games` : ''}, ${collected.skipped} skipped`);
+    if (maxPositions !== undefined && samples.length >= maxPositions) break;
+  }
+
+  const iterations = numberOption(options, 'iterations');
+  const result = core.tuneEvaluation(samples, {
+    k: numberOption(options, 'k'),
+    iterations,
+    learningRate: numberOption(options, 'rate'),
+    onIteration: ({ iteration, error }) => {
+      if (iteration % 25 === 0 || iteration === 1) console.log(`iteration ${iteration}: error ${error.toFixed(6)}`);
+    }
+  });
+  console.log(`k=${result.k.toFixed(4)} error ${result.error.before.toFixed(6)} -> ${result.error.after.toFixed(6)} over ${result.positions} positions`);
+
+  const out = typeof options.out === 'string' ? options.out : 'eval-weights.json';
+  const tuning = { k: result.k, positions: result.positions, iterations: result.iterations, error: result.error };
+  fs.writeFileSync(out, JSON.stringify({ ...result.weights, tuning }, null, 2) + '\n');
+  console.log(`wrote ${out}`);
+}
+
+// The built-in worker in a worker thread, with chess.js compiled in so it needs no network. The returned
+// object has the postMessage/onmessage shape StockfishEngine expects of a browser worker.
+function builtinEngineWorker() {
+  const { Worker } = require('worker_threads');
+  const source = core.getBuiltinEngineSource({ chessSource: fs.readFileSync(require.resolve('chess.js'), 'utf8') });
+  const thread = new Worker(`
+    const { parentPort } = require('worker_threads');
+    globalThis.self = globalThis;
+    self.postMessage = line => parentPort.postMessage(line);
+    self.close = () => parentPort.close();
+    parentPort.on('message', data => self.onmessage && self.onmessage({ data }));
+    ${source}`, { eval: true });
+  let closed = false;
+  const worker = {
+    onmessage: null,
+    postMessage: line => thread.postMessage(line),
+    terminate: () => {
+      closed = true;
+      thread.terminate();
+    }
+  };
+  // a thread that throws or exits on its own has crashed, as in processEngineWorker
+  const crashed = message => {
+    if (!closed && worker.onerror) worker.onerror({ message });
+    closed = true;
+  };
+  thread.on('message', data => worker.onmessage && worker.onmessage({ data }));
+  thread.on('error', err => crashed(err.message));
+  thread.on('exit', code => crashed(`the built-in engine thread exited (code ${code})`));
+  return worker;
+}
+
+// any UCI engine binary, such as a native Stockfish, talking over stdin/stdout
+function processEngineWorker(path) {
+  const { spawn } = require('child_process');
+  if (!fs.existsSync(path)) throw new Error(`engine ${path} not found`);
+  const child = spawn(path, [], { stdio: ['pipe', 'pipe', 'inherit'] });
+  let closed = false;
+  const worker = {
+    onmessage: null,
+    postMessage: line => child.stdin.write(line + '\n'),
+    terminate: () => {
+      closed = true;
+      child.kill();
+    }
+  };
+  // an engine that exits on its own has crashed; StockfishEngine fails its pending waits instead of timing out
+  const crashed = message => {
+    if (!closed && worker.onerror) worker.onerror({ message });
+    closed = true;
+  };
+  child.on('error', err => crashed(err.message));
+  child.on('exit', (code, signal) => crashed(`${path} exited (${signal || `code ${code}`})`));
+  child.stdin.on('error', () => {});
+  let pending = '';
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', chunk => {
+    const lines = (pending + chunk).split(/\r?\n/);
+    pending = lines.pop();
+    for (const line of lines) {
+      if (line && worker.onmessage) worker.onmessage({ data: line });
+    }
+  });
+  return worker;
+}
+
+async function openEngine(spec, options) {
+  const builtin = !spec || spec === true || spec === 'builtin';
+  const worker = builtin ? builtinEngineWorker() : processEngineWorker(spec);
+  const engine = new core.StockfishEngine(worker, builtin ? 'builtin' : spec);
+  try {
+    await engine.init();
+    if (options.weights && engine.hasOption('EvalWeights')) {
+      const weights = JSON.stringify(JSON.parse(fs.readFileSync(options.weights, 'utf8')));
+      engine.send(`setoption name EvalWeights value ${weights}`);
+      await engine.isReady();
+    }
+  } catch (err) {
+    worker.terminate();
+    throw err;
+  }
+  return { engine, close: () => worker.terminate() };
+}
+
+async function epd(files, options) {
+  if (files.length !== 1) throw new Error('epd needs one EPD file');
+  const { engine, close } = await openEngine(options.engine, options);
+  try {
+    const result = await core.runEpdSuite(engine, fs.readFileSync(files[0], 'utf8'), {
+      movetime: numberOption(options, 'movetime'),
+      depth: numberOption(options, 'depth'),
+      onPosition: (position, index, total) => {
+        const expected = [position.bm.length ? `bm ${position.bm.join(' ')}` : '', position.am.length ? `am ${position.am.join(' ')}` : '']
+          .filter(Boolean).join(' ');
+        const timing = position.solved ? `${position.timeToSolve} ms` : (position.error || '');
+        console.log(`${String(index + 1).padStart(String(total).length)}/${total} ${position.solved ? 'ok  ' : 'FAIL'} ${position.id}: ${expected}, played ${position.move || '-'} (depth ${position.depth ?? '-'}, ${position.score ?? '-'}) ${timing}`);
+      }
+    });
+    const limits = result.limits.depth ? `depth ${result.limits.depth}` : `${result.limits.movetime} ms`;
+    console.log(`${result.source} at ${limits}: solved ${result.solved}/${result.total}, failed ${result.failed}` +
+      `${result.invalid ? `, ${result.invalid} invalid lines` : ''}; time to solution ${result.totalTimeToSolve} ms total, ${result.averageTimeToSolve ?? '-'} ms average`);
+  } finally {
+    close();
+  }
+}
+
+function perft(args, options) {
+  const generators = typeof options.generator === 'string' ? [options.generator] : ['board', 'chessjs'];
+  if (options.suite) {
+    const result = core.runPerftSuite({
+      generators,
+      maxNodes: numberOption(options, 'maxNodes'),
+      onPosition: position => {
+        const runs = Object.entries(position.results)
+          .map(([generator, run]) => `${generator} ${run.nodes}${run.ok ? '' : ' WRONG'} (${run.ms} ms)`).join(', ');
+        console.log(`${position.name} depth ${position.depth}: expected ${position.expected}, ${runs}`);
+        for (const mismatch of position.mismatches) console.log(`  ${JSON.stringify(mismatch)}`);
+      }
+    });
+    console.log(result.passed ? 'all positions passed' : 'perft suite FAILED');
+    if (!result.passed) throw new Error('node counts differ from the known values');
+    return;
+  }
+  const depth = numberOption(options, 'depth') ?? 3;
+  const runs = generators.map(generator => core.perft(args.join(' ') || null, depth, { generator }));
+  const counts = runs.map(run => new Map(run.divide.map(entry => [entry.move, entry.nodes])));
+  for (const entry of runs[0].divide) {
+    const other = counts.slice(1).map(map => map.get(entry.move));
+    const differs = other.some(nodes => nodes !== entry.nodes);
+    console.log(`${entry.move}: ${[entry.nodes, ...other].join(' / ')}${differs ? '  <- differs' : ''}`);
+  }
+  for (const run of runs) console.log(`${run.generator}: ${run.nodes} nodes at depth ${depth} in ${run.ms} ms`);
+}
+
+// "10+0.1": base seconds plus increment seconds
+function parseTimeControl(text) {
+  const match = String(text).match(/^(\d+(?:\.\d+)?)(?:\+(\d+(?:\.\d+)?))?$/);
+  if (!match) throw new Error(`--tc expects base+increment in seconds, got ${text}`);
+  return { time: Math.round(parseFloat(match[1]) * 1000), increment: Math.round(parseFloat(match[2] || '0') * 1000) };
+}
+
+async function match(args, options) {
+  if (args.length) throw new Error(`unexpected argument ${args[0]}`);
+  let sprt;
+  if (options.sprt !== undefined) {
+    const [elo0, elo1] = String(options.sprt).split(',').map(Number);
+    if (!Number.isFinite(elo0) || !Number.isFinite(elo1)) throw new Error(`--sprt expects elo0,elo1, got ${options.sprt}`);
+    sprt = { elo0, elo1 };
+  }
+  const timeControl = options.tc !== undefined ? parseTimeControl(options.tc) : {};
+  const first = await openEngine(options.engine1, { weights: options.weights1 });
+  let second;
+  try {
+    second = await openEngine(options.engine2, { weights: options.weights2 });
+  } catch (err) {
+    first.close();
+    throw err;
+  }
+  const label = (spec, weights) => `${!spec || spec === true ? 'builtin' : spec}${weights ? ` (${weights})` : ''}`;
+  try {
+    const result = await core.runMatch(first.engine, second.engine, {
+      games: numberOption(options, 'games'),
+      movetime: numberOption(options, 'movetime'),
+      depth: numberOption(options, 'depth'),
+      ...timeControl,
+      openings: typeof options.openings === 'string' ? fs.readFileSync(options.openings, 'utf8') : undefined,
+      names: [label(options.engine1, options.weights1), label(options.engine2, options.weights2)],
+      adjudicate: !options.noAdjudication,
+      sprt,
+      onGame: (game, stats) => {
+        console.log(`${String(game.round).padStart(3)} ${game.white} - ${game.black} ${game.result} (${game.reason}, ${game.plies} plies)  ` +
+          `+${stats.wins} =${stats.draws} -${stats.losses}`);
+      }
+    });
+    const elo = value => (Number.isFinite(value) ? value.toFixed(1) : (value === null ? 'n/a' : (value > 0 ? '+inf' : '-inf')));
+    console.log(`${result.engines[0]} vs ${result.engines[1]}: +${result.wins} =${result.draws} -${result.losses}, ` +
+      `score ${(result.score * 100).toFixed(1)}%, Elo ${elo(result.elo)} [${elo(result.eloLow)}, ${elo(result.eloHigh)}], LOS ${(result.los * 100).toFixed(1)}%`);
+    const test = result.sprt;
+    console.log(`SPRT elo0=${test.elo0} elo1=${test.elo1}: LLR ${test.llr.toFixed(2)} (${test.lower.toFixed(2)}, ${test.upper.toFixed(2)}) ` +
+      `${test.verdict === 'H1' ? 'H1 accepted' : (test.verdict === 'H0' ? 'H0 accepted' : 'inconclusive')}`);
+    if (typeof options.pgn === 'string') {
+      fs.writeFileSync(options.pgn, result.pgn);
+      console.log(`wrote ${options.pgn}`);
+    }
+  } finally {
+    first.close();
+    second.close();
+  }
+}
+
+const COMMANDS = { tune, epd, perft, match };
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  const run = COMMANDS[command];
+  if (!run) {
+    console.error(`usage: node chess-cli.js <${Object.keys(COMMANDS).join('|')}> ...`);
+    return 2;
+  }
+  const { positional, options } = parseArgs(rest);
+  try {
+    await run(positional, options);
+    return 0;
+  } catch (err) {
+    console.error(`${command}: ${err && err.message ? err.message : err}`);
+    return 1;
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
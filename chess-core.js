@@ -0,0 +1,5459 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module && module.exports) {
+    module.exports = factory();
+  } else {
+    root.__CHESS_CORE = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this), function () {
+  'use strict';
+
+  let chessConstructor = null;
+
+  function setChessConstructor(ctor) {
+    if (ctor !== null && typeof ctor !== 'function') {
+      throw new Error('Chess constructor must be a function');
+    }
+    chessConstructor = ctor;
+  }
+
+  function resolveChessConstructor() {
+    if (chessConstructor) return chessConstructor;
+    const globalObj = (typeof window !== 'undefined' && window) || (typeof self !== 'undefined' ? self : null) ||
+      (typeof globalThis !== 'undefined' ? globalThis : null);
+    if (globalObj && globalObj.Chess) return globalObj.Chess;
+    if (typeof require === 'function') {
+      try {
+        const lib = require('chess.js');
+        const ctor = lib && (lib.Chess || lib);
+        if (typeof ctor === 'function') {
+          chessConstructor = ctor;
+          return ctor;
+        }
+      } catch (err) {
+        // chess.js is optional until a position is actually needed
+      }
+    }
+    return null;
+  }
+
+  function createChessInstance(fen) {
+    const ChessCtor = resolveChessConstructor();
+    if (!ChessCtor) {
+      throw new Error('Chess.js library is not available');
+    }
+    return typeof fen === 'string' && fen ? new ChessCtor(fen) : new ChessCtor();
+  }
+
+  const CHESS_JS_CDN_URL = 'https://cdnjs.cloudflare.com/ajax/libs/chess.js/0.10.2/chess.min.js';
+
+  // exports/define are shadowed so the UMD footer neither leaks a global nor registers an
+  // anonymous AMD module on pages that ship RequireJS
+  function chessConstructorFromSource(source) {
+    if (typeof source !== 'string' || !source.trim()) return null;
+    const ctor = new Function('exports', 'define', `${source}\n;return typeof Chess !== 'undefined' ? Chess : exports.Chess;`)({});
+    if (typeof ctor !== 'function' || new ctor().moves().length !== 20) return null;
+    return ctor;
+  }
+
+  // chess.js 0.10.x keeps every helper inside the constructor, so a copy already running on the
+  // page can be turned back into source; builds that do not survive the round trip give null
+  function chessSourceFromConstructor(ctor) {
+    if (typeof ctor !== 'function') return null;
+    const text = Function.prototype.toString.call(ctor);
+    if (/^class\b/.test(text) || /\[native code\]\s*\}$/.test(text)) return null;
+    const source = `var Chess = ${text};`;
+    try {
+      return chessConstructorFromSource(source) ? source : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function normalizeBase64(text) {
+    return (text || '').replace(/\s+/g, '').trim();
+  }
+
+  function estimateBase64DecodedSize(base64Text) {
+    const normalized = normalizeBase64(base64Text);
+    if (!normalized) return 0;
+    const padding = normalized.endsWith('==') ? 2 : normalized.endsWith('=') ? 1 : 0;
+    return Math.max(0, Math.floor((normalized.length * 3) / 4) - padding);
+  }
+
+  function normalizeFigurines(text) {
+    const map = {
+      '♔': 'K', // white king
+      '♕': 'Q',
+      '♖': 'R',
+      '♗': 'B',
+      '♘': 'N',
+      '♙': '',  // white pawn -> no prefix
+      '♚': 'K', // black king
+      '♛': 'Q',
+      '♜': 'R',
+      '♝': 'B',
+      '♞': 'N',
+      '♟': ''   // black pawn
+    };
+    return text.replace(/[\u2654-\u265F]/g, ch => map[ch] ?? '');
+  }
+
+  function canonicalSan(text) {
+    return text
+      .replace(/0-0-0/gi, 'o-o-o')
+      .replace(/0-0/gi, 'o-o')
+      .replace(/[+#?!]/g, '')
+      .replace(/=/g, '')
+      .replace(/[^a-z0-9xo-]/gi, '')
+      .toLowerCase();
+  }
+
+  function cleanToken(token) {
+    return token
+      .replace(/[\u202f\u00a0]/g, ' ')
+      .replace(/[\u2000-\u200f\u206f\ufeff]/g, '')
+      .replace(/[!?]+$/g, '')
+      .replace(/[†‡…]/g, '')
+      .trim();
+  }
+
+  function decodeBase64ToText(encoded) {
+    const normalized = normalizeBase64(encoded);
+    if (!normalized) return null;
+    try {
+      const binary = atob(normalized);
+      if (typeof TextDecoder === 'undefined') {
+        return binary;
+      }
+      const length = binary.length;
+      const bytes = new Uint8Array(length);
+      for (let i = 0; i < length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return new TextDecoder().decode(bytes);
+    } catch (err) {
+      console.warn('[CHESS] Failed to decode base64 Stockfish payload.', err);
+      return null;
+    }
+  }
+
+  function encodeTextToBase64(text) {
+    if (typeof text !== 'string') return null;
+    try {
+      if (typeof TextEncoder === 'undefined') {
+        return btoa(text);
+      }
+      const encoder = new TextEncoder();
+      const bytes = encoder.encode(text);
+      const chunk = 0x8000;
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += chunk) {
+        const slice = bytes.subarray(i, i + chunk);
+        binary += String.fromCharCode.apply(null, slice);
+      }
+      return btoa(binary);
+    } catch (err) {
+      console.warn('[CHESS] Failed to encode Stockfish payload to base64.', err);
+      return null;
+    }
+  }
+
+  class StockfishEngine {
+    constructor(worker, sourceUrl) {
+      this.worker = worker;
+      this.sourceUrl = sourceUrl;
+      this.handlers = new Set();
+      this.waiters = [];
+      this.options = new Map();
+      // each option's current value: the default from the handshake until a setoption changes it
+      this.optionValues = new Map();
+      // the engine's own name from the handshake (`id name ...`), e.g. to tell builds apart
+      this.idName = null;
+      this.isInitialized = false;
+      // set once the worker has died; every later wait fails with it straight away
+      this.crashed = null;
+      this.crashHandlers = new Set();
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      // an uncaught exception in the worker (a WASM abort, running out of memory) leaves it dead
+      this.worker.onerror = (event) => {
+        if (event && typeof event.preventDefault === 'function') event.preventDefault();
+        this.handleCrash(event && event.message ? event.message : 'worker error');
+      };
+      this.worker.onmessageerror = () => this.handleCrash('a message from the worker could not be read');
+    }
+
+    handleCrash(reason) {
+      if (this.crashed) return;
+      const error = new Error(`Engine ${this.sourceUrl} crashed: ${reason}`);
+      error.crashed = true;
+      this.crashed = error;
+      for (const waiter of this.waiters.splice(0)) {
+        clearTimeout(waiter.timer);
+        waiter.reject(error);
+      }
+      for (const handler of this.crashHandlers) {
+        try {
+          handler(error);
+        } catch (err) {
+          console.error('[CHESS] engine crash handler error:', err);
+        }
+      }
+    }
+
+    // handler(error) runs once when the worker dies; returns a function that removes it
+    onCrash(handler) {
+      this.crashHandlers.add(handler);
+      return () => this.crashHandlers.delete(handler);
+    }
+
+    handleMessage(payload) {
+      const line = typeof payload === 'string' ? payload : (payload?.data ?? String(payload ?? ''));
+      if (!line) return;
+
+      for (let i = this.waiters.length - 1; i >= 0; i--) {
+        const waiter = this.waiters[i];
+        let match = false;
+        try {
+          match = waiter.predicate(line);
+        } catch (err) {
+          console.error('[CHESS] engine waiter error:', err);
+        }
+        if (match) {
+          this.waiters.splice(i, 1);
+          clearTimeout(waiter.timer);
+          waiter.resolve(line);
+        }
+      }
+
+      for (const handler of this.handlers) {
+        try {
+          handler(line);
+        } catch (err) {
+          console.error('[CHESS] engine handler error:', err);
+        }
+      }
+    }
+
+    waitFor(predicate, timeout = 10000) {
+      if (this.crashed) return Promise.reject(this.crashed);
+      return new Promise((resolve, reject) => {
+        const waiter = {
+          predicate,
+          resolve,
+          reject,
+          timer: setTimeout(() => {
+            const index = this.waiters.indexOf(waiter);
+            if (index !== -1) this.waiters.splice(index, 1);
+            reject(new Error('timeout waiting for engine response'));
+          }, timeout)
+        };
+        this.waiters.push(waiter);
+      });
+    }
+
+    send(command) {
+      if (this.crashed) return;
+      const setting = command.match(/^setoption name (.+?) value (.*)$/);
+      if (setting) this.optionValues.set(setting[1].toLowerCase(), setting[2]);
+      this.worker.postMessage(command);
+    }
+
+    onMessage(handler) {
+      this.handlers.add(handler);
+      return () => this.handlers.delete(handler);
+    }
+
+    // settings: threads (1), hash in MB (32) and multiPv (5), sent once after the handshake
+    async init(settings = {}) {
+      if (this.isInitialized) return;
+      // remember the options advertised during the handshake so callers can skip ones the engine lacks
+      const removeOptionListener = this.onMessage(line => {
+        const match = line.match(/^option name (.+?) type (\S+)/);
+        if (match) this.options.set(match[1].toLowerCase(), match[2]);
+        const advertised = line.match(/^option name (.+?) type \S+ default (.*?)(?: (?:min|max|var) |$)/);
+        if (advertised) this.optionValues.set(advertised[1].toLowerCase(), advertised[2]);
+        const id = line.match(/^id name (.+)$/);
+        if (id) this.idName = id[1].trim();
+      });
+      this.send('uci');
+      try {
+        await this.waitFor(line => line.trim() === 'uciok', 10000);
+      } finally {
+        removeOptionListener();
+      }
+      const option = (value, fallback) => (Number.isInteger(value) && value > 0 ? value : fallback);
+      this.send(`setoption name Threads value ${option(settings.threads, 1)}`);
+      this.send(`setoption name Hash value ${option(settings.hash, 32)}`);
+      this.send(`setoption name MultiPV value ${option(settings.multiPv, 5)}`);
+      this.send('isready');
+      await this.waitFor(line => line.trim() === 'readyok', 10000);
+      this.isInitialized = true;
+    }
+
+    async isReady() {
+      this.send('isready');
+      await this.waitFor(line => line.trim() === 'readyok', 10000);
+    }
+
+    async setMultiPv(count) {
+      this.send(`setoption name MultiPV value ${count}`);
+      await this.isReady();
+    }
+
+    hasOption(name) {
+      return this.options.has(String(name).toLowerCase());
+    }
+
+    // the value last sent for an option, or its advertised default; undefined when neither is known
+    optionValue(name) {
+      return this.optionValues.get(String(name).toLowerCase());
+    }
+  }
+
+  // Switches off the engine's own book for a search. Returns a function that switches it back on, or null
+  // when the engine has no book or is not using it, so a book the user turned off stays off.
+  function suspendEngineBook(engine) {
+    if (typeof engine.hasOption !== 'function' || !engine.hasOption('OwnBook')) return null;
+    const current = typeof engine.optionValue === 'function' ? engine.optionValue('OwnBook') : undefined;
+    if (String(current).toLowerCase() !== 'true') return null;
+    engine.send('setoption name OwnBook value false');
+    return () => engine.send(`setoption name OwnBook value ${current}`);
+  }
+
+  function uciToSan(fen, uciMove) {
+    if (!uciMove) return null;
+    try {
+      const chess = createChessInstance(fen);
+      const from = uciMove.slice(0, 2);
+      const to = uciMove.slice(2, 4);
+      const promotion = uciMove.length > 4 ? uciMove.slice(4) : undefined;
+      const move = chess.move({ from, to, promotion });
+      return move ? move.san : uciMove;
+    } catch (err) {
+      return uciMove;
+    }
+  }
+
+  function normalizeScore(scoreType, rawScore) {
+    const value = parseInt(rawScore, 10);
+    if (Number.isNaN(value)) return null;
+    if (scoreType === 'mate') return { type: 'mate', value };
+    return { type: 'cp', value: value / 100 };
+  }
+
+  function parseScore(scoreType, rawScore) {
+    const score = normalizeScore(scoreType, rawScore);
+    if (!score) return scoreType === 'mate' ? '#?' : '??';
+    if (score.type === 'mate') return `#${score.value}`;
+    return score.value.toFixed(2);
+  }
+
+  // engine scores are relative to the side to move; flip them for Black so they read from White's side
+  function scoreForWhite(score, turn) {
+    if (!score) return null;
+    return turn === 'b' ? { type: score.type, value: -score.value } : { type: score.type, value: score.value };
+  }
+
+  function pvToSanSequence(fen, pvMoves) {
+    try {
+      const chess = createChessInstance(fen);
+      const sanMoves = [];
+      for (const uci of pvMoves) {
+        const from = uci.slice(0, 2);
+        const to = uci.slice(2, 4);
+        const promotion = uci.length > 4 ? uci.slice(4) : undefined;
+        const move = chess.move({ from, to, promotion });
+        if (!move) break;
+        sanMoves.push(move.san);
+      }
+      return sanMoves;
+    } catch (err) {
+      return pvMoves.slice();
+    }
+  }
+
+  async function analyzeWithStockfish(engine, game, options = {}) {
+    const fen = game.fen();
+    const legalMoves = game.moves({ verbose: true });
+    if (!legalMoves.length) return null;
+
+    const requestedMultiPv = typeof options.multiPv === 'number' ? Math.max(1, Math.floor(options.multiPv)) : 5;
+    const multiPv = Math.min(requestedMultiPv, Math.max(1, legalMoves.length));
+    try {
+      await engine.setMultiPv(multiPv);
+    } catch (err) {
+      console.warn('[CHESS] Unable to update MultiPV setting, continuing with defaults.', err);
+    }
+
+    const suggestions = new Map();
+    const infoHandler = (line) => {
+      if (!line.startsWith('info ')) return;
+      const depthMatch = line.match(/depth\s+(\d+)/);
+      const multipvMatch = line.match(/multipv\s+(\d+)/);
+      const scoreMatch = line.match(/score\s+(cp|mate)\s+(-?\d+)/);
+      const sourceMatch = line.match(/\ssource\s+(\S+)/);
+      const pvIndex = line.indexOf(' pv ');
+      if (pvIndex === -1) return;
+      const pvMoves = line.slice(pvIndex + 4).trim().split(/\s+/).filter(Boolean);
+      if (!pvMoves.length) return;
+
+      const multipv = multipvMatch ? parseInt(multipvMatch[1], 10) : 1;
+      const depth = depthMatch ? parseInt(depthMatch[1], 10) : null;
+      const scoreType = scoreMatch ? scoreMatch[1] : null;
+      const rawScore = scoreMatch ? scoreMatch[2] : null;
+      const displayScore = scoreType ? parseScore(scoreType, rawScore) : null;
+      const primaryMove = pvMoves[0];
+      const san = uciToSan(fen, primaryMove);
+      const pvSan = pvToSanSequence(fen, pvMoves);
+
+      suggestions.set(multipv, {
+        multipv,
+        san,
+        uci: primaryMove,
+        scoreType,
+        rawScore,
+        displayScore,
+        depth,
+        origin: sourceMatch ? sourceMatch[1] : 'search',
+        pv: pvMoves,
+        pvSan
+      });
+    };
+
+    const removeListener = engine.onMessage(infoHandler);
+
+    await engine.isReady();
+    engine.send('ucinewgame');
+    await engine.isReady();
+    // the moves since the last capture or pawn move let the engine see repetitions
+    const history = recentGameHistory(game);
+    engine.send(history.moves.length ? `position fen ${history.fens[0]} moves ${history.moves.join(' ')}` : `position fen ${fen}`);
+
+    // without a fixed depth the search deepens by a ply every depthStep moves, from baseDepth up to maxDepth
+    const totalMoves = game.history().length;
+    const baseDepth = typeof options.baseDepth === 'number' ? Math.max(1, Math.floor(options.baseDepth)) : 12;
+    const depthStep = typeof options.depthStep === 'number' ? Math.max(0, Math.floor(options.depthStep)) : 6;
+    const maxDepth = typeof options.maxDepth === 'number' ? Math.max(baseDepth, Math.floor(options.maxDepth)) : 18;
+    const desiredDepth = typeof options.depth === 'number'
+      ? Math.max(1, Math.floor(options.depth))
+      : Math.min(maxDepth, baseDepth + (depthStep ? Math.floor(totalMoves / depthStep) : 0));
+    const timeout = typeof options.timeout === 'number' && options.timeout > 0 ? options.timeout : 15000;
+    // a book answer carries no real evaluation, so callers that need scores can switch the book off
+    const restoreBook = options.book === false ? suspendEngineBook(engine) : null;
+    engine.send(`go depth ${desiredDepth}`);
+
+    let bestLine = null;
+    try {
+      bestLine = await engine.waitFor(line => line.startsWith('bestmove '), timeout);
+    } catch (err) {
+      // a crash is the caller's to handle (another engine can take the request); a timeout keeps the lines so far
+      if (err.crashed) {
+        removeListener();
+        throw err;
+      }
+      console.warn('[CHESS] Engine analysis timed out.', err);
+    }
+
+    engine.send('stop');
+    removeListener();
+    if (restoreBook) restoreBook();
+    try {
+      await engine.isReady();
+    } catch (err) {
+      console.warn('[CHESS] Engine did not confirm readiness after stop.', err);
+    }
+
+    if (!bestLine) return null;
+
+    const bestParts = bestLine.split(/\s+/);
+    const bestUci = bestParts[1] || '';
+    const validBest = bestUci && bestUci !== '(none)';
+    const bestSan = validBest ? uciToSan(fen, bestUci) : null;
+
+    const lines = Array.from(suggestions.values())
+      .sort((a, b) => a.multipv - b.multipv)
+      .map(entry => ({
+        multipv: entry.multipv,
+        san: entry.san,
+        uci: entry.uci,
+        depth: entry.depth,
+        scoreType: entry.scoreType,
+        rawScore: entry.rawScore,
+        displayScore: entry.displayScore,
+        origin: entry.origin,
+        pv: entry.pv.slice(),
+        pvSan: entry.pvSan.slice()
+      }));
+
+    return {
+      source: engine.sourceUrl,
+      engineId: engine.idName || null,
+      depth: desiredDepth,
+      best: validBest ? { san: bestSan, uci: bestUci } : null,
+      lines
+    };
+  }
+
+  // bm/am operands are SAN, or UCI in some suites; moves that are not legal in the position are dropped
+  function epdMovesToUci(fen, operand) {
+    const moves = [];
+    for (const token of String(operand || '').split(/[\s,]+/).filter(Boolean)) {
+      let move = null;
+      try {
+        move = createChessInstance(fen).move(token, { sloppy: true });
+      } catch (err) {
+        move = null;
+      }
+      if (move) moves.push(move.from + move.to + (move.promotion || ''));
+    }
+    return moves;
+  }
+
+  async function runEpdPosition(engine, entry, limits) {
+    const started = Date.now();
+    let mainMove = null;
+    let mainMoveSince = null;
+    let depth = null;
+    let score = null;
+    const removeListener = engine.onMessage(line => {
+      const pvIndex = line.indexOf(' pv ');
+      if (!line.startsWith('info ') || pvIndex === -1) return;
+      const multipv = line.match(/\smultipv\s+(\d+)/);
+      if (multipv && multipv[1] !== '1') return;
+      const move = line.slice(pvIndex + 4).trim().split(/\s+/)[0];
+      const time = line.match(/\stime\s+(\d+)/);
+      const depthMatch = line.match(/\sdepth\s+(\d+)/);
+      const scoreMatch = line.match(/\sscore\s+(cp|mate)\s+(-?\d+)/);
+      if (move !== mainMove) {
+        mainMove = move;
+        mainMoveSince = time ? parseInt(time[1], 10) : Date.now() - started;
+      }
+      if (depthMatch) depth = parseInt(depthMatch[1], 10);
+      if (scoreMatch) score = parseScore(scoreMatch[1], scoreMatch[2]);
+    });
+
+    let bestLine = null;
+    let error = null;
+    try {
+      engine.send('ucinewgame');
+      await engine.isReady();
+      engine.send(`position fen ${entry.fen}`);
+      engine.send(limits.depth ? `go depth ${limits.depth}` : `go movetime ${limits.movetime}`);
+      bestLine = await engine.waitFor(line => line.startsWith('bestmove '), limits.depth ? 120000 : limits.movetime + 10000);
+    } catch (err) {
+      error = err && err.message ? err.message : String(err);
+      engine.send('stop');
+      bestLine = await engine.waitFor(line => line.startsWith('bestmove '), 2000).catch(() => null);
+    } finally {
+      removeListener();
+    }
+
+    const elapsed = Date.now() - started;
+    const uci = bestLine ? bestLine.split(/\s+/)[1] : null;
+    const played = uci && uci !== '(none)' ? uci : null;
+    const solved = !!played && (!entry.bm.length || entry.bm.includes(played)) && !entry.am.includes(played);
+    return {
+      id: entry.id,
+      fen: entry.fen,
+      bm: entry.bm.map(move => uciToSan(entry.fen, move)),
+      am: entry.am.map(move => uciToSan(entry.fen, move)),
+      move: played ? uciToSan(entry.fen, played) : null,
+      uci: played,
+      solved,
+      depth,
+      score,
+      time: elapsed,
+      timeToSolve: solved ? (mainMove === played ? Math.min(mainMoveSince, elapsed) : elapsed) : null,
+      error
+    };
+  }
+
+  // Runs an EPD test suite on a UCI engine (a StockfishEngine) one position at a time. A position is solved
+  // when the engine plays one of its bm moves and none of its am moves. timeToSolve is the search time from
+  // which the engine's main line started with the move it finally played. Lines without a legal bm or am
+  // count as invalid. options: movetime (1000 ms) or depth, and onPosition(result, index, total).
+  async function runEpdSuite(engine, epdText, options = {}) {
+    const depth = Number.isFinite(options.depth) && options.depth > 0 ? Math.floor(options.depth) : null;
+    const movetime = Number.isFinite(options.movetime) && options.movetime > 0 ? Math.floor(options.movetime) : 1000;
+    const entries = [];
+    let invalid = 0;
+    for (const line of String(epdText || '').split(/\r?\n/)) {
+      const parsed = parseEpdLine(line);
+      if (!parsed) continue;
+      let fen = null;
+      try {
+        fen = createGameFromFen(parsed.fen).fen();
+      } catch (err) {
+        fen = null;
+      }
+      const bm = fen ? epdMovesToUci(fen, parsed.operations.bm) : [];
+      const am = fen ? epdMovesToUci(fen, parsed.operations.am) : [];
+      if (!bm.length && !am.length) {
+        invalid += 1;
+        continue;
+      }
+      entries.push({ id: parsed.operations.id || `#${entries.length + invalid + 1}`, fen, bm, am });
+    }
+    if (!entries.length) {
+      throw new Error('No EPD positions with a legal bm or am move');
+    }
+
+    // suites measure the search, so the built-in engine's book stays out of the way
+    await engine.setMultiPv(1);
+    const restoreBook = suspendEngineBook(engine);
+    const positions = [];
+    try {
+      for (let index = 0; index < entries.length; index++) {
+        const result = await runEpdPosition(engine, entries[index], { depth, movetime });
+        positions.push(result);
+        if (typeof options.onPosition === 'function') options.onPosition(result, index, entries.length);
+      }
+    } finally {
+      if (restoreBook) restoreBook();
+    }
+
+    const solved = positions.filter(result => result.solved);
+    const solveTimes = solved.map(result => result.timeToSolve);
+    return {
+      source: engine.sourceUrl,
+      limits: depth ? { depth } : { movetime },
+      total: positions.length,
+      solved: solved.length,
+      failed: positions.length - solved.length,
+      invalid,
+      totalTimeToSolve: solveTimes.reduce((sum, value) => sum + value, 0),
+      averageTimeToSolve: solveTimes.length ? Math.round(solveTimes.reduce((sum, value) => sum + value, 0) / solveTimes.length) : null,
+      positions
+    };
+  }
+
+  // An opening suite as text: PGN games, or one opening per line as a FEN/EPD record or a line of moves
+  // (SAN or UCI, move numbers allowed). Each opening comes back as { name, startFen, moves } with UCI moves;
+  // games and lines that do not replay cleanly are left out.
+  function parseOpeningSuite(text) {
+    const source = String(text || '').replace(/\r\n?/g, '\n');
+    const openings = [];
+    if (/^\s*\[\s*[A-Za-z0-9_]+\s+"/m.test(source)) {
+      for (const pgn of splitPgnGames(source)) {
+        let rebuilt = null;
+        try {
+          rebuilt = rebuildGameFromPgn(pgn);
+        } catch (err) {
+          continue;
+        }
+        if (rebuilt.ignored.length) continue;
+        const { headers } = rebuilt;
+        openings.push({
+          name: headers.Opening || headers.ECO || headers.Event || `game ${openings.length + 1}`,
+          startFen: rebuilt.startFen || DEFAULT_START_FEN,
+          moves: rebuilt.moves.map(move => move.from + move.to + (move.promotion || ''))
+        });
+      }
+      return openings;
+    }
+
+    for (const rawLine of source.split('\n')) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) continue;
+      const epd = parseEpdLine(line);
+      let game = null;
+      try {
+        game = epd ? createGameFromFen(epd.fen) : null;
+      } catch (err) {
+        game = null;
+      }
+      if (game) {
+        openings.push({ name: epd.operations.id || game.fen(), startFen: game.fen(), moves: [] });
+        continue;
+      }
+      const rebuilt = rebuildGameFromTokens(extractTokensFromText(line).map(token => parseTokenHints(token)));
+      if (!rebuilt.moves.length || rebuilt.ignored.length) continue;
+      openings.push({
+        name: line,
+        startFen: DEFAULT_START_FEN,
+        moves: rebuilt.moves.map(move => move.from + move.to + (move.promotion || ''))
+      });
+    }
+    return openings;
+  }
+
+  const MATCH_OPENING_MIN_PLIES = 6;
+
+  // without a suite, matches start from the longer book lines so the engines do not replay one game
+  function defaultMatchOpenings() {
+    return ECO_OPENINGS
+      .filter(([, , line]) => line.split(' ').length >= MATCH_OPENING_MIN_PLIES)
+      .map(([eco, name, line]) => {
+        const game = createChessInstance();
+        const moves = line.split(' ').map(san => {
+          const move = game.move(san);
+          return move.from + move.to + (move.promotion || '');
+        });
+        return { name: `${eco} ${name}`, startFen: DEFAULT_START_FEN, moves };
+      });
+  }
+
+  // white-relative pawns for adjudication, with mate scores pinned far beyond any resign threshold
+  function adjudicationScore(score, turn) {
+    if (!score) return null;
+    const value = score.type === 'mate' ? (score.value > 0 ? 100 : -100) : score.value;
+    return turn === 'b' ? -value : value;
+  }
+
+  function gameOverReason(game) {
+    if (game.in_checkmate()) return { result: game.turn() === 'w' ? '0-1' : '1-0', reason: 'checkmate' };
+    if (game.in_stalemate()) return { result: '1/2-1/2', reason: 'stalemate' };
+    if (game.insufficient_material()) return { result: '1/2-1/2', reason: 'insufficient material' };
+    if (game.in_threefold_repetition()) return { result: '1/2-1/2', reason: 'threefold repetition' };
+    if (game.in_draw()) return { result: '1/2-1/2', reason: 'fifty-move rule' };
+    return null;
+  }
+
+  function adjudicateGame(scores, ply, settings) {
+    const resignPlies = settings.resignMoves * 2;
+    if (resignPlies > 0 && scores.length >= resignPlies) {
+      const recent = scores.slice(-resignPlies);
+      if (recent.every(score => score !== null && score >= settings.resignScore)) {
+        return { result: '1-0', reason: 'adjudication: Black resigns' };
+      }
+      if (recent.every(score => score !== null && score <= -settings.resignScore)) {
+        return { result: '0-1', reason: 'adjudication: White resigns' };
+      }
+    }
+    const drawPlies = settings.drawMoves * 2;
+    if (drawPlies > 0 && ply >= settings.drawPly && scores.length >= drawPlies) {
+      if (scores.slice(-drawPlies).every(score => score !== null && Math.abs(score) <= settings.drawScore)) {
+        return { result: '1/2-1/2', reason: 'adjudication: draw' };
+      }
+    }
+    return null;
+  }
+
+  async function requestEngineMove(engine, timeout) {
+    try {
+      return await engine.waitFor(line => line.startsWith('bestmove '), timeout);
+    } catch (err) {
+      engine.send('stop');
+      return engine.waitFor(line => line.startsWith('bestmove '), 2000).catch(() => null);
+    }
+  }
+
+  // Plays one game between two UCI engines (StockfishEngine instances) from opening.startFen after
+  // opening.moves. Limits: depth, movetime, or a clock of time + increment ms per side where a side that
+  // overruns by more than timeMargin ms loses. A missing bestmove or an illegal move loses the game.
+  // Adjudication (adjudicate: false turns it off) resigns for a side both engines have scored at least
+  // resignScore pawns down for resignMoves moves each, draws when both stay within drawScore for drawMoves
+  // moves each from ply drawPly, and maxPlies ends the game as a draw.
+  async function playEngineGame(white, black, opening, options = {}) {
+    const game = createGameFromFen(opening.startFen || DEFAULT_START_FEN);
+    const startFen = game.fen();
+    const uciMoves = [];
+    const annotations = [];
+    for (const uci of opening.moves || []) {
+      const move = game.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci.length > 4 ? uci[4] : undefined });
+      if (!move) throw new Error(`Opening ${opening.name || ''} has an illegal move ${uci}`);
+      uciMoves.push(uci);
+      annotations.push(null);
+    }
+    if (uciMoves.length) annotations[uciMoves.length - 1] = { comment: 'book' };
+
+    const settings = {
+      resignScore: 6,
+      resignMoves: 3,
+      drawScore: 0.1,
+      drawMoves: 8,
+      drawPly: 80,
+      maxPlies: 400,
+      timeMargin: 100,
+      ...(options.adjudication || {})
+    };
+    const clock = Number.isFinite(options.time) && options.time > 0;
+    const increment = clock && Number.isFinite(options.increment) ? Math.max(0, options.increment) : 0;
+    const clocks = { w: clock ? options.time : null, b: clock ? options.time : null };
+    const engines = { w: white, b: black };
+    for (const engine of new Set([white, black])) {
+      engine.send('ucinewgame');
+      await engine.isReady();
+    }
+
+    const scores = [];
+    let outcome = null;
+    while (!outcome) {
+      outcome = gameOverReason(game);
+      if (outcome) break;
+      if (options.adjudicate !== false) outcome = adjudicateGame(scores, uciMoves.length, settings);
+      if (outcome) break;
+      if (uciMoves.length >= settings.maxPlies) {
+        outcome = { result: '1/2-1/2', reason: `adjudication: ${settings.maxPlies} plies` };
+        break;
+      }
+
+      const color = game.turn();
+      const engine = engines[color];
+      let score = null;
+      let depth = null;
+      const removeListener = engine.onMessage(line => {
+        if (!line.startsWith('info ') || line.indexOf(' pv ') === -1) return;
+        const multipv = line.match(/\smultipv\s+(\d+)/);
+        if (multipv && multipv[1] !== '1') return;
+        const scoreMatch = line.match(/\sscore\s+(cp|mate)\s+(-?\d+)/);
+        const depthMatch = line.match(/\sdepth\s+(\d+)/);
+        if (scoreMatch) score = normalizeScore(scoreMatch[1], scoreMatch[2]);
+        if (depthMatch) depth = parseInt(depthMatch[1], 10);
+      });
+
+      let command;
+      let timeout;
+      if (options.depth) {
+        command = `go depth ${options.depth}`;
+        timeout = 120000;
+      } else if (clock) {
+        const remaining = { w: Math.max(1, Math.round(clocks.w)), b: Math.max(1, Math.round(clocks.b)) };
+        command = `go wtime ${remaining.w} btime ${remaining.b} winc ${increment} binc ${increment}`;
+        timeout = clocks[color] + settings.timeMargin + 10000;
+      } else {
+        command = `go movetime ${options.movetime}`;
+        timeout = options.movetime + 10000;
+      }
+      engine.send(`position fen ${startFen}${uciMoves.length ? ` moves ${uciMoves.join(' ')}` : ''}`);
+      const started = Date.now();
+      engine.send(command);
+      const bestLine = await requestEngineMove(engine, timeout);
+      const elapsed = Date.now() - started;
+      removeListener();
+
+      const loss = color === 'w' ? '0-1' : '1-0';
+      if (clock) {
+        clocks[color] -= elapsed;
+        if (clocks[color] < -settings.timeMargin) {
+          outcome = { result: loss, reason: `${color === 'w' ? 'White' : 'Black'} lost on time` };
+          break;
+        }
+        clocks[color] += increment;
+      }
+      const uci = bestLine ? bestLine.split(/\s+/)[1] : null;
+      let move = null;
+      try {
+        move = uci && uci !== '(none)'
+          ? game.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci.length > 4 ? uci[4] : undefined })
+          : null;
+      } catch (err) {
+        move = null;
+      }
+      if (!move) {
+        const side = color === 'w' ? 'White' : 'Black';
+        outcome = { result: loss, reason: bestLine ? `${side} played an illegal move ${uci}` : `${side} did not return a move` };
+        break;
+      }
+      uciMoves.push(uci);
+      scores.push(adjudicationScore(score, color));
+      annotations.push(score ? { eval: scoreForWhite(score, color), comment: depth ? `d${depth} ${elapsed}ms` : null } : null);
+      if (typeof options.onMove === 'function') options.onMove({ color, uci, san: move.san, score, depth, time: elapsed });
+    }
+
+    const sanMoves = game.history();
+    return {
+      opening: opening.name || null,
+      startFen,
+      result: outcome.result,
+      reason: outcome.reason,
+      moves: uciMoves,
+      san: sanMoves,
+      annotations,
+      bookPlies: (opening.moves || []).length,
+      plies: uciMoves.length
+    };
+  }
+
+  function eloFromScore(score) {
+    if (score <= 0) return -Infinity;
+    if (score >= 1) return Infinity;
+    return -400 * Math.log10(1 / score - 1);
+  }
+
+  function scoreFromElo(elo) {
+    return 1 / (1 + Math.pow(10, -elo / 400));
+  }
+
+  // Abramowitz and Stegun 7.1.26, plenty for a likelihood of superiority
+  function errorFunction(x) {
+    const sign = x < 0 ? -1 : 1;
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    return sign * (1 - poly * Math.exp(-x * x));
+  }
+
+  // Match statistics from the first engine's side: score, Elo difference with a 95% interval from the
+  // trinomial (win/draw/loss) variance, likelihood of superiority, and a GSPRT log-likelihood ratio for
+  // logistic Elo elo0 against elo1 with error rates alpha and beta. The verdict is 'H1' (at least elo1),
+  // 'H0' (at most elo0) or null while the ratio is still between the bounds. A clean sweep either way has
+  // no finite Elo estimate: elo (and the interval ends) are then Infinity or -Infinity, and null with no games.
+  function matchStatistics(wins, draws, losses, sprt = {}) {
+    const games = wins + draws + losses;
+    const elo0 = Number.isFinite(sprt.elo0) ? sprt.elo0 : 0;
+    const elo1 = Number.isFinite(sprt.elo1) ? sprt.elo1 : 5;
+    const alpha = Number.isFinite(sprt.alpha) ? sprt.alpha : 0.05;
+    const beta = Number.isFinite(sprt.beta) ? sprt.beta : 0.05;
+    const lower = Math.log(beta / (1 - alpha));
+    const upper = Math.log((1 - beta) / alpha);
+    const score = games ? (wins + draws / 2) / games : null;
+    const variance = games
+      ? (wins * (1 - score) ** 2 + draws * (0.5 - score) ** 2 + losses * score ** 2) / games
+      : 0;
+    const error = games ? 1.959964 * Math.sqrt(variance / games) : null;
+
+    let llr = 0;
+    if (games && variance > 0) {
+      const s0 = scoreFromElo(elo0);
+      const s1 = scoreFromElo(elo1);
+      llr = games * (s1 - s0) * (2 * score - s0 - s1) / (2 * variance);
+    }
+    const verdict = llr >= upper ? 'H1' : (llr <= lower ? 'H0' : null);
+    return {
+      games,
+      wins,
+      draws,
+      losses,
+      score,
+      elo: games ? eloFromScore(score) : null,
+      eloLow: games ? eloFromScore(Math.max(0, score - error)) : null,
+      eloHigh: games ? eloFromScore(Math.min(1, score + error)) : null,
+      los: wins + losses ? 0.5 * (1 + errorFunction((wins - losses) / Math.sqrt(2 * (wins + losses)))) : 0.5,
+      sprt: { elo0, elo1, alpha, beta, llr, lower, upper, verdict }
+    };
+  }
+
+  // Plays a match between two UCI engines (StockfishEngine instances, which may be the same one). Games come
+  // in pairs on one opening with the colours swapped, cycling through options.openings (parseOpeningSuite
+  // text or an array of openings; the longer ECO lines by default). options: games (20), names ([a, b]),
+  // depth, movetime (100 ms) or time/increment in ms, adjudicate/adjudication as for playEngineGame,
+  // sprt ({ elo0, elo1, alpha, beta }), stopOnVerdict (true: stop after the pair that settles the SPRT),
+  // onGame(game, statistics). Results are from the first engine's side.
+  async function runMatch(engineA, engineB, options = {}) {
+    const openings = Array.isArray(options.openings)
+      ? options.openings
+      : (options.openings ? parseOpeningSuite(options.openings) : defaultMatchOpenings());
+    if (!openings.length) throw new Error('The opening suite has no usable openings');
+    const totalGames = Number.isFinite(options.games) && options.games > 0 ? Math.floor(options.games) : 20;
+    const depth = Number.isFinite(options.depth) && options.depth > 0 ? Math.floor(options.depth) : null;
+    const time = Number.isFinite(options.time) && options.time > 0 ? options.time : null;
+    const increment = Number.isFinite(options.increment) && options.increment > 0 ? options.increment : 0;
+    const movetime = Number.isFinite(options.movetime) && options.movetime > 0 ? Math.floor(options.movetime) : 100;
+    const limits = depth ? { depth } : (time ? { time, increment } : { movetime });
+    const names = [
+      (options.names && options.names[0]) || engineA.sourceUrl || 'engine A',
+      (options.names && options.names[1]) || engineB.sourceUrl || 'engine B'
+    ];
+    if (names[0] === names[1]) names[1] += ' (2)';
+    // PGN TimeControl: '-' for a depth limit, '*N' for N seconds per move, 'base+increment' in seconds
+    const timeControl = depth ? '-' : (time ? `${time / 1000}+${increment / 1000}` : `*${movetime / 1000}`);
+
+    // matches measure the search, so neither side may answer from a book
+    const engines = [...new Set([engineA, engineB])];
+    for (const engine of engines) await engine.setMultiPv(1);
+    const restoreBooks = engines.map(engine => suspendEngineBook(engine)).filter(Boolean);
+
+    const games = [];
+    let wins = 0;
+    let draws = 0;
+    let losses = 0;
+    let statistics = matchStatistics(0, 0, 0, options.sprt);
+    const date = formatPgnDate(new Date());
+    try {
+      for (let index = 0; index < totalGames; index++) {
+        const opening = openings[Math.floor(index / 2) % openings.length];
+        const swapped = index % 2 === 1;
+        const played = await playEngineGame(swapped ? engineB : engineA, swapped ? engineA : engineB, opening, {
+          ...limits,
+          adjudicate: options.adjudicate,
+          adjudication: options.adjudication
+        });
+        const white = swapped ? names[1] : names[0];
+        const black = swapped ? names[0] : names[1];
+        const points = played.result === '1/2-1/2' ? 0.5 : ((played.result === '1-0') !== swapped ? 1 : 0);
+        if (points === 1) wins += 1;
+        else if (points === 0) losses += 1;
+        else draws += 1;
+        statistics = matchStatistics(wins, draws, losses, options.sprt);
+
+        const record = {
+          round: index + 1,
+          white,
+          black,
+          opening: played.opening,
+          result: played.result,
+          reason: played.reason,
+          plies: played.plies,
+          moves: played.moves,
+          pgn: buildPgn({
+            moves: played.san,
+            startFen: played.startFen,
+            result: played.result,
+            annotations: played.annotations,
+            finalComment: played.reason,
+            headers: {
+              Event: options.event || 'Engine match',
+              Site: 'local',
+              Date: date,
+              Round: String(index + 1),
+              White: white,
+              Black: black,
+              Opening: played.opening || undefined,
+              TimeControl: timeControl,
+              PlyCount: String(played.plies),
+              Termination: /adjudication/.test(played.reason) ? 'adjudication'
+                : (/on time/.test(played.reason) ? 'time forfeit'
+                  : (/illegal|did not/.test(played.reason) ? 'rules infraction' : 'normal'))
+            }
+          })
+        };
+        games.push(record);
+        if (typeof options.onGame === 'function') options.onGame(record, statistics);
+        if (options.stopOnVerdict !== false && swapped && statistics.sprt.verdict) break;
+      }
+    } finally {
+      for (const restoreBook of restoreBooks) restoreBook();
+    }
+
+    return {
+      engines: names,
+      limits,
+      openings: openings.length,
+      ...statistics,
+      stopped: games.length < totalGames,
+      games,
+      pgn: games.map(record => record.pgn).join('\n')
+    };
+  }
+
+  function stripMoveDecorations(value) {
+    return (value || '').replace(/[+#?!]/g, '');
+  }
+
+  function extractTokensFromText(rawText) {
+    const cleaned = normalizeFigurines(rawText)
+      .replace(/\r?\n/g, ' ')
+      .replace(/\.{3}/g, ' ')
+      .replace(/\d+\.(?:\s*\.{3})?/g, ' ')
+      .replace(/\b(?:1-0|0-1|1\/2-1\/2|\*)\b/g, ' ')
+      .replace(/[\u00A0\t]+/g, ' ')
+      .replace(/\s+/g, ' ');
+
+    const sanPattern = /(O-O(?:-O)?[+#]?|[KQRBN]?[a-h]?[1-8]?(?:x|:)?[a-h][1-8](?:=[QRBN])?[+#]?)/gi;
+    return (cleaned.match(sanPattern) || [])
+      .map(raw => cleanToken(raw))
+      .filter(Boolean);
+  }
+
+  function parseTokenHints(token) {
+    const info = {
+      raw: token,
+      normalized: token
+        .replace(/:/g, 'x')
+        .replace(/^0-0-0$/i, 'O-O-O')
+        .replace(/^0-0$/i, 'O-O'),
+      capture: false,
+      piece: null,
+      originFile: null,
+      originRank: null,
+      target: null,
+      promotion: null,
+      castle: null,
+      hasCheck: false,
+      hasMate: false
+    };
+
+    if (!info.normalized) return info;
+
+    info.hasCheck = /\+/.test(info.normalized);
+    info.hasMate = /#/.test(info.normalized);
+
+    const castle = info.normalized.match(/^(O-O(-O)?)/i);
+    if (castle) {
+      info.castle = castle[1].toUpperCase();
+      return info;
+    }
+
+    let working = info.normalized;
+
+    const promo = working.match(/=([QRBN])$/i);
+    if (promo) {
+      info.promotion = promo[1].toLowerCase();
+      working = working.slice(0, -promo[0].length);
+    }
+
+    if (/[x]/i.test(working)) {
+      info.capture = true;
+      working = working.replace(/x/i, '');
+    }
+
+    working = stripMoveDecorations(working);
+
+    if (/^[KQRBN]/i.test(working)) {
+      info.piece = working[0].toLowerCase();
+      working = working.slice(1);
+    }
+
+    if (working.length > 2) {
+      const hint = working.slice(0, -2);
+      let rest = hint;
+      if (rest && /[a-h]/i.test(rest[0])) {
+        info.originFile = rest[0].toLowerCase();
+        rest = rest.slice(1);
+      }
+      if (rest && /[1-8]/.test(rest[0])) {
+        info.originRank = rest[0];
+      }
+    }
+
+    const target = working.slice(-2);
+    if (/^[a-h][1-8]$/i.test(target)) {
+      info.target = target.toLowerCase();
+    }
+
+    return info;
+  }
+
+  function buildCandidateList(game, tokenInfo) {
+    const { normalized } = tokenInfo;
+    if (!normalized) return [];
+
+    const canonicalToken = canonicalSan(normalized);
+    const legalMoves = game.moves({ verbose: true });
+    const candidates = [];
+
+    for (const legal of legalMoves) {
+      const canonicalLegal = canonicalSan(legal.san);
+      let weight = 0;
+
+      if (canonicalToken && canonicalLegal === canonicalToken) {
+        weight = 100;
+      } else if (canonicalToken && canonicalLegal.endsWith(canonicalToken)) {
+        weight = 90;
+      } else if (tokenInfo.target && legal.to === tokenInfo.target) {
+        weight = tokenInfo.capture ? 80 : 70;
+      } else if (canonicalToken && canonicalLegal.includes(canonicalToken)) {
+        weight = 60;
+      }
+
+      if (!weight) continue;
+
+      if (tokenInfo.piece) {
+        if (legal.piece === tokenInfo.piece) {
+          weight += 12;
+        } else {
+          weight -= 8;
+        }
+      }
+
+      if (tokenInfo.originFile) {
+        if (legal.from[0] === tokenInfo.originFile) {
+          weight += 6;
+        } else {
+          weight -= 4;
+        }
+      }
+
+      if (tokenInfo.originRank) {
+        if (legal.from[1] === tokenInfo.originRank) {
+          weight += 6;
+        } else {
+          weight -= 4;
+        }
+      }
+
+      if (tokenInfo.capture) {
+        if (legal.flags.includes('c')) {
+          weight += 3;
+        } else {
+          weight -= 6;
+        }
+      } else if (legal.flags.includes('c')) {
+        weight -= 5;
+      }
+
+      const legalHasMate = /#/.test(legal.san);
+      const legalHasCheck = /\+/.test(legal.san);
+      if (tokenInfo.hasMate) {
+        weight += legalHasMate ? 25 : -20;
+      } else if (tokenInfo.hasCheck) {
+        weight += legalHasCheck ? 12 : -10;
+      } else if (legalHasMate) {
+        weight -= 6;
+      } else if (legalHasCheck) {
+        weight -= 3;
+      }
+
+      if (tokenInfo.promotion) {
+        if (legal.promotion === tokenInfo.promotion) {
+          weight += 10;
+        } else {
+          weight -= 6;
+        }
+      }
+
+      const sanDelta = Math.abs(stripMoveDecorations(legal.san).length - stripMoveDecorations(normalized).length);
+      weight -= sanDelta * 2;
+
+      const piecePriority = { p: 1, n: 2, b: 3, r: 4, q: 5, k: 6 };
+      weight += piecePriority[legal.piece] || 0;
+
+      candidates.push({ move: legal, weight });
+    }
+
+    candidates.sort((a, b) => {
+      const diff = b.weight - a.weight;
+      if (diff !== 0) return diff;
+      if (a.move.piece !== b.move.piece) {
+        const order = ['p', 'n', 'b', 'r', 'q', 'k'];
+        return order.indexOf(a.move.piece) - order.indexOf(b.move.piece);
+      }
+      return stripMoveDecorations(b.move.san).length - stripMoveDecorations(a.move.san).length;
+    });
+
+    return candidates;
+  }
+
+  function collectAttemptStrings(tokenInfo) {
+    const attempts = new Set();
+    if (tokenInfo.raw) attempts.add(tokenInfo.raw);
+    if (tokenInfo.normalized && tokenInfo.normalized !== tokenInfo.raw) attempts.add(tokenInfo.normalized);
+
+    const strippedRaw = stripMoveDecorations(tokenInfo.raw);
+    if (strippedRaw && strippedRaw !== tokenInfo.raw) attempts.add(strippedRaw);
+
+    const strippedNormalized = stripMoveDecorations(tokenInfo.normalized);
+    if (strippedNormalized && strippedNormalized !== tokenInfo.normalized) attempts.add(strippedNormalized);
+
+    return Array.from(attempts).filter(Boolean);
+  }
+
+  function applyToken(game, tokenInfo) {
+    const attempts = collectAttemptStrings(tokenInfo);
+    for (const attempt of attempts) {
+      try {
+        const moved = game.move(attempt, { sloppy: true });
+        if (moved) {
+          return { move: moved, matched: attempt };
+        }
+      } catch (err) {
+        // ignore invalid SAN attempt
+      }
+    }
+
+    const candidates = buildCandidateList(game, tokenInfo);
+    for (const entry of candidates) {
+      if (entry.weight < 40) continue;
+      const candidate = entry.move;
+      try {
+        const moved = game.move({ from: candidate.from, to: candidate.to, promotion: candidate.promotion });
+        if (moved) {
+          return { move: moved, matched: candidate.san, inferred: true };
+        }
+      } catch (err) {
+        // ignore invalid heuristic candidate
+      }
+    }
+
+    return null;
+  }
+
+  // zero-based index of the next ply, derived from the FEN side-to-move and full-move fields
+  function fenPlyIndex(fen) {
+    const fields = typeof fen === 'string' ? fen.trim().split(/\s+/) : [];
+    const fullMove = parseInt(fields[5], 10);
+    const moveNumber = Number.isFinite(fullMove) && fullMove > 0 ? fullMove : 1;
+    return (moveNumber - 1) * 2 + (fields[1] === 'b' ? 1 : 0);
+  }
+
+  function createGameFromFen(fen) {
+    const text = typeof fen === 'string' ? fen.trim().replace(/\s+/g, ' ') : '';
+    if (!text) {
+      throw new Error('FEN is required');
+    }
+    const game = createChessInstance();
+    const validation = typeof game.validate_fen === 'function' ? game.validate_fen(text) : { valid: true };
+    if (!validation.valid || !game.load(text)) {
+      throw new Error(`Invalid FEN: ${validation.error || text}`);
+    }
+    return game;
+  }
+
+  function rebuildGameFromTokens(tokenInfos, startFen) {
+    const game = startFen ? createGameFromFen(startFen) : createChessInstance();
+    const applied = [];
+    const ignored = [];
+
+    for (const info of tokenInfos) {
+      const outcome = applyToken(game, info);
+      if (outcome && outcome.move) {
+        applied.push({ ...outcome.move, matched: outcome.matched, inferred: outcome.inferred || false, token: info.raw });
+      } else {
+        const skippedToken = info.raw || info.normalized || '(unknown)';
+        ignored.push(skippedToken);
+      }
+    }
+
+    return { game, moves: applied, ignored };
+  }
+
+  function stripPgnAnnotations(movetext) {
+    let result = '';
+    let variationDepth = 0;
+    for (let i = 0; i < movetext.length; i++) {
+      const ch = movetext[i];
+      if (ch === '{') {
+        const close = movetext.indexOf('}', i + 1);
+        i = close === -1 ? movetext.length : close;
+        result += ' ';
+      } else if (ch === ';') {
+        const close = movetext.indexOf('\n', i + 1);
+        i = close === -1 ? movetext.length : close;
+        result += ' ';
+      } else if (ch === '(') {
+        variationDepth += 1;
+      } else if (ch === ')') {
+        variationDepth = Math.max(0, variationDepth - 1);
+        result += ' ';
+      } else if (variationDepth === 0) {
+        result += ch;
+      }
+    }
+    return result.replace(/\$\d+/g, ' ');
+  }
+
+  function parsePgn(pgnText) {
+    const text = typeof pgnText === 'string' ? pgnText.replace(/\r\n?/g, '\n') : '';
+    if (!text.trim()) {
+      throw new Error('PGN text is required');
+    }
+    const headers = {};
+    const movetextLines = [];
+    let seenMoves = false;
+    for (const line of text.split('\n')) {
+      const tag = line.match(/^\s*\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]\s*$/);
+      if (tag) {
+        // a tag pair after movetext starts the next game; only the first one is read
+        if (seenMoves) break;
+        headers[tag[1]] = tag[2].replace(/\\(["\\])/g, '$1');
+        continue;
+      }
+      if (line.trim()) seenMoves = true;
+      movetextLines.push(line);
+    }
+    const startFen = headers.FEN && headers.SetUp !== '0' ? headers.FEN : null;
+    const tokens = extractTokensFromText(stripPgnAnnotations(movetextLines.join('\n')));
+    return { headers, startFen, tokens };
+  }
+
+  function rebuildGameFromPgn(pgnText) {
+    const { headers, startFen, tokens } = parsePgn(pgnText);
+    const rebuilt = rebuildGameFromTokens(tokens.map(token => parseTokenHints(token)), startFen);
+    return { ...rebuilt, headers, startFen };
+  }
+
+  // splits a file of several games; as in parsePgn, a tag pair after movetext starts the next game
+  function splitPgnGames(pgnText) {
+    const games = [];
+    let current = [];
+    let seenMoves = false;
+    for (const line of String(pgnText || '').replace(/\r\n?/g, '\n').split('\n')) {
+      const isTag = /^\s*\[\s*[A-Za-z0-9_]+\s+"/.test(line);
+      if (isTag && seenMoves) {
+        games.push(current.join('\n'));
+        current = [];
+        seenMoves = false;
+      }
+      if (!isTag && line.trim()) seenMoves = true;
+      current.push(line);
+    }
+    if (current.some(line => line.trim())) games.push(current.join('\n'));
+    return games;
+  }
+
+  const PGN_SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+  const DEFAULT_START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+  function escapePgnString(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  }
+
+  function formatPgnDate(date) {
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) return '????.??.??';
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+  }
+
+  function pgnResultForGame(game) {
+    if (game.in_checkmate()) return game.turn() === 'w' ? '0-1' : '1-0';
+    if (game.in_draw() || game.in_stalemate() || game.in_threefold_repetition()) return '1/2-1/2';
+    return '*';
+  }
+
+  // [%eval] values are always from White's point of view: pawns with two decimals or #N for mate
+  function formatPgnEval(evaluation) {
+    if (!evaluation) return null;
+    if (evaluation.type === 'mate') {
+      const moves = Math.trunc(evaluation.value);
+      // #0 would describe an already mated side; the move's own "#" says it better
+      return Number.isFinite(moves) && moves !== 0 ? `#${moves}` : null;
+    }
+    const pawns = Number(evaluation.value);
+    return Number.isFinite(pawns) ? pawns.toFixed(2) : null;
+  }
+
+  function sanitizePgnComment(text) {
+    return String(text).replace(/[{}]/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  function pgnCommentFor(annotation) {
+    if (!annotation) return null;
+    const parts = [];
+    const evalText = formatPgnEval(annotation.eval);
+    if (evalText) parts.push(`[%eval ${evalText}]`);
+    const notes = Array.isArray(annotation.comments) ? annotation.comments : (annotation.comment ? [annotation.comment] : []);
+    for (const note of notes) {
+      const clean = note ? sanitizePgnComment(note) : '';
+      if (clean) parts.push(clean);
+    }
+    return parts.length ? `{${parts.join(' ')}}` : null;
+  }
+
+  function pgnMoveTokens(sanMoves, startPly, annotations, forceNumber) {
+    const tokens = [];
+    let needNumber = true;
+    sanMoves.forEach((san, index) => {
+      const ply = startPly + index;
+      const moveNumber = Math.floor(ply / 2) + 1;
+      const whiteToMove = ply % 2 === 0;
+      if (whiteToMove) {
+        tokens.push(`${moveNumber}.`);
+      } else if (needNumber || (forceNumber && index === 0)) {
+        tokens.push(`${moveNumber}...`);
+      }
+      tokens.push(san);
+      needNumber = false;
+      const annotation = annotations ? annotations[index] : null;
+      if (annotation && Number.isInteger(annotation.nag) && annotation.nag > 0) {
+        tokens.push(`$${annotation.nag}`);
+      }
+      const comment = pgnCommentFor(annotation);
+      if (comment) {
+        tokens.push(comment);
+        needNumber = true;
+      }
+      const variations = annotation && Array.isArray(annotation.variations) ? annotation.variations : [];
+      for (const variation of variations) {
+        const line = Array.isArray(variation) ? { moves: variation } : variation;
+        if (!line || !Array.isArray(line.moves) || !line.moves.length) continue;
+        const lineNotes = [];
+        if (line.eval || line.comment) lineNotes[line.moves.length - 1] = { eval: line.eval, comment: line.comment };
+        const inner = pgnMoveTokens(line.moves, ply, lineNotes, true);
+        tokens.push(`(${inner.join(' ')})`);
+        needNumber = true;
+      }
+    });
+    return tokens;
+  }
+
+  function buildPgnMovetext(sanMoves, startPly = 0) {
+    return pgnMoveTokens(sanMoves, startPly, null, true).join(' ');
+  }
+
+  function wrapPgnTokens(tokens, lineLength) {
+    const lines = [];
+    let current = '';
+    for (const token of tokens) {
+      // comments and variations may be split on spaces; plain tokens never are
+      const pieces = token.length > lineLength ? token.split(' ') : [token];
+      for (const piece of pieces) {
+        if (current && current.length + 1 + piece.length > lineLength) {
+          lines.push(current);
+          current = piece;
+        } else {
+          current = current ? `${current} ${piece}` : piece;
+        }
+      }
+    }
+    if (current) lines.push(current);
+    return lines.join('\n');
+  }
+
+  function buildPgn(options = {}) {
+    const sanMoves = Array.isArray(options.moves) ? options.moves : [];
+    const startFen = options.startFen && options.startFen !== DEFAULT_START_FEN ? options.startFen : null;
+    const result = options.result || '*';
+    const lineLength = typeof options.lineLength === 'number' && options.lineLength >= 40 ? options.lineLength : 80;
+    const headers = {
+      Event: '?',
+      Site: '?',
+      Date: formatPgnDate(null),
+      Round: '-',
+      White: '?',
+      Black: '?',
+      ...(options.headers || {}),
+      Result: result
+    };
+    if (startFen) {
+      headers.SetUp = '1';
+      headers.FEN = startFen;
+    } else {
+      delete headers.SetUp;
+      delete headers.FEN;
+    }
+
+    const tagLines = [];
+    for (const name of PGN_SEVEN_TAG_ROSTER) {
+      tagLines.push(`[${name} "${escapePgnString(headers[name] ?? '?')}"]`);
+    }
+    for (const [name, value] of Object.entries(headers)) {
+      if (PGN_SEVEN_TAG_ROSTER.includes(name) || value === undefined || value === null) continue;
+      if (!/^[A-Za-z0-9_]+$/.test(name)) continue;
+      tagLines.push(`[${name} "${escapePgnString(value)}"]`);
+    }
+
+    const startPly = startFen ? fenPlyIndex(startFen) : 0;
+
+    const tokens = [];
+    const preamble = options.comment ? sanitizePgnComment(options.comment) : '';
+    if (preamble) tokens.push(`{${preamble}}`);
+    tokens.push(...pgnMoveTokens(sanMoves, startPly, options.annotations || null, false));
+    const trailer = options.finalComment ? sanitizePgnComment(options.finalComment) : '';
+    if (trailer) tokens.push(`{${trailer}}`);
+    tokens.push(result);
+
+    return `${tagLines.join('\n')}\n\n${wrapPgnTokens(tokens, lineLength)}\n`;
+  }
+
+  // [eco, name, book line]; games are matched by position, so a transposed move order still finds its entry
+  const ECO_OPENINGS = [
+    ['A00', 'Polish Opening', 'b4'],
+    ['A00', 'Grob Opening', 'g4'],
+    ['A00', "Van't Kruijs Opening", 'e3'],
+    ['A00', 'Mieses Opening', 'd3'],
+    ['A00', 'Hungarian Opening', 'g3'],
+    ['A00', 'Saragossa Opening', 'c3'],
+    ['A00', "Anderssen's Opening", 'a3'],
+    ['A00', 'Clemenz Opening', 'h3'],
+    ['A00', 'Amar Opening', 'Nh3'],
+    ['A00', 'Dunst Opening', 'Nc3'],
+    ['A01', 'Nimzo-Larsen Attack', 'b3'],
+    ['A02', "Bird's Opening", 'f4'],
+    ['A02', "Bird's Opening: From's Gambit", 'f4 e5'],
+    ['A03', "Bird's Opening: Dutch Variation", 'f4 d5'],
+    ['A04', 'Zukertort Opening', 'Nf3'],
+    ['A04', 'Zukertort Opening: Sicilian Invitation', 'Nf3 c5'],
+    ['A05', 'Zukertort Opening: Quiet System', 'Nf3 Nf6'],
+    ['A06', "Zukertort Opening: Queen's Gambit Invitation", 'Nf3 d5'],
+    ['A07', "King's Indian Attack", 'Nf3 d5 g3'],
+    ['A09', 'Réti Opening', 'Nf3 d5 c4'],
+    ['A10', 'English Opening', 'c4'],
+    ['A13', 'English Opening: Agincourt Defense', 'c4 e6'],
+    ['A15', 'English Opening: Anglo-Indian Defense', 'c4 Nf6'],
+    ['A16', "English Opening: Anglo-Indian Defense, Queen's Knight Variation", 'c4 Nf6 Nc3'],
+    ['A20', "English Opening: King's English Variation", 'c4 e5'],
+    ['A21', "English Opening: King's English Variation, Reversed Sicilian", 'c4 e5 Nc3'],
+    ['A22', "English Opening: King's English Variation, Two Knights Variation", 'c4 e5 Nc3 Nf6'],
+    ['A25', "English Opening: King's English Variation, Reversed Closed Sicilian", 'c4 e5 Nc3 Nc6'],
+    ['A30', 'English Opening: Symmetrical Variation', 'c4 c5'],
+    ['A40', "Queen's Pawn Game", 'd4'],
+    ['A40', 'Englund Gambit', 'd4 e5'],
+    ['A40', 'Horwitz Defense', 'd4 e6'],
+    ['A40', 'Modern Defense', 'd4 g6'],
+    ['A41', "Queen's Pawn Game: Wade Defense", 'd4 d6'],
+    ['A43', 'Benoni Defense: Old Benoni', 'd4 c5'],
+    ['A45', 'Indian Defense', 'd4 Nf6'],
+    ['A45', 'Trompowsky Attack', 'd4 Nf6 Bg5'],
+    ['A46', 'Indian Defense: Knights Variation', 'd4 Nf6 Nf3'],
+    ['A46', 'Torre Attack', 'd4 Nf6 Nf3 e6 Bg5'],
+    ['A48', 'East Indian Defense', 'd4 Nf6 Nf3 g6'],
+    ['A48', 'London System', 'd4 Nf6 Nf3 g6 Bf4'],
+    ['A50', 'Indian Defense: Normal Variation', 'd4 Nf6 c4'],
+    ['A51', 'Budapest Defense', 'd4 Nf6 c4 e5'],
+    ['A52', 'Budapest Defense: Adler Variation', 'd4 Nf6 c4 e5 dxe5 Ng4'],
+    ['A53', 'Old Indian Defense', 'd4 Nf6 c4 d6'],
+    ['A56', 'Benoni Defense', 'd4 Nf6 c4 c5'],
+    ['A57', 'Benko Gambit', 'd4 Nf6 c4 c5 d5 b5'],
+    ['A60', 'Modern Benoni', 'd4 Nf6 c4 c5 d5 e6'],
+    ['A80', 'Dutch Defense', 'd4 f5'],
+    ['A82', 'Dutch Defense: Staunton Gambit', 'd4 f5 e4'],
+    ['A84', 'Dutch Defense: Normal Variation', 'd4 f5 c4'],
+    ['A86', 'Dutch Defense: Leningrad Variation', 'd4 f5 c4 Nf6 g3 g6'],
+    ['B00', "King's Pawn Game", 'e4'],
+    ['B00', 'Nimzowitsch Defense', 'e4 Nc6'],
+    ['B00', 'Owen Defense', 'e4 b6'],
+    ['B00', 'St. George Defense', 'e4 a6'],
+    ['B00', 'Pirc Defense', 'e4 d6'],
+    ['B01', 'Scandinavian Defense', 'e4 d5'],
+    ['B01', 'Scandinavian Defense: Mieses-Kotroc Variation', 'e4 d5 exd5 Qxd5'],
+    ['B01', 'Scandinavian Defense: Modern Variation', 'e4 d5 exd5 Nf6'],
+    ['B02', 'Alekhine Defense', 'e4 Nf6'],
+    ['B03', 'Alekhine Defense', 'e4 Nf6 e5 Nd5 d4'],
+    ['B03', 'Alekhine Defense: Four Pawns Attack', 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 f4'],
+    ['B04', 'Alekhine Defense: Modern Variation', 'e4 Nf6 e5 Nd5 d4 d6 Nf3'],
+    ['B06', 'Modern Defense', 'e4 g6'],
+    ['B07', 'Pirc Defense', 'e4 d6 d4 Nf6'],
+    ['B08', 'Pirc Defense: Classical Variation', 'e4 d6 d4 Nf6 Nc3 g6 Nf3'],
+    ['B09', 'Pirc Defense: Austrian Attack', 'e4 d6 d4 Nf6 Nc3 g6 f4'],
+    ['B10', 'Caro-Kann Defense', 'e4 c6'],
+    ['B11', 'Caro-Kann Defense: Two Knights Attack', 'e4 c6 Nc3 d5 Nf3'],
+    ['B12', 'Caro-Kann Defense', 'e4 c6 d4 d5'],
+    ['B12', 'Caro-Kann Defense: Advance Variation', 'e4 c6 d4 d5 e5'],
+    ['B13', 'Caro-Kann Defense: Exchange Variation', 'e4 c6 d4 d5 exd5 cxd5'],
+    ['B13', 'Caro-Kann Defense: Panov Attack', 'e4 c6 d4 d5 exd5 cxd5 c4'],
+    ['B15', 'Caro-Kann Defense: Main Line', 'e4 c6 d4 d5 Nc3'],
+    ['B15', 'Caro-Kann Defense', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4'],
+    ['B17', 'Caro-Kann Defense: Karpov Variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Nd7'],
+    ['B18', 'Caro-Kann Defense: Classical Variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5'],
+    ['B20', 'Sicilian Defense', 'e4 c5'],
+    ['B21', 'Sicilian Defense: Smith-Morra Gambit', 'e4 c5 d4 cxd4 c3'],
+    ['B22', 'Sicilian Defense: Alapin Variation', 'e4 c5 c3'],
+    ['B23', 'Sicilian Defense: Closed', 'e4 c5 Nc3'],
+    ['B27', 'Sicilian Defense', 'e4 c5 Nf3'],
+    ['B27', 'Sicilian Defense: Hyperaccelerated Dragon', 'e4 c5 Nf3 g6'],
+    ['B30', 'Sicilian Defense: Old Sicilian', 'e4 c5 Nf3 Nc6'],
+    ['B30', 'Sicilian Defense: Nyezhmetdinov-Rossolimo Attack', 'e4 c5 Nf3 Nc6 Bb5'],
+    ['B32', 'Sicilian Defense: Open', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4'],
+    ['B33', 'Sicilian Defense: Four Knights Variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3'],
+    ['B33', 'Sicilian Defense: Lasker-Pelikan Variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5'],
+    ['B34', 'Sicilian Defense: Accelerated Dragon', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6'],
+    ['B40', 'Sicilian Defense: French Variation', 'e4 c5 Nf3 e6'],
+    ['B41', 'Sicilian Defense: Kan Variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6'],
+    ['B44', 'Sicilian Defense: Taimanov Variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6'],
+    ['B50', 'Sicilian Defense: Modern Variations', 'e4 c5 Nf3 d6'],
+    ['B51', 'Sicilian Defense: Moscow Variation', 'e4 c5 Nf3 d6 Bb5+'],
+    ['B53', 'Sicilian Defense: Chekhover Variation', 'e4 c5 Nf3 d6 d4 cxd4 Qxd4'],
+    ['B54', 'Sicilian Defense: Modern Variations, Main Line', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4'],
+    ['B56', 'Sicilian Defense: Open', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3'],
+    ['B56', 'Sicilian Defense: Classical Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6'],
+    ['B70', 'Sicilian Defense: Dragon Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6'],
+    ['B80', 'Sicilian Defense: Scheveningen Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6'],
+    ['B90', 'Sicilian Defense: Najdorf Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6'],
+    ['C00', 'French Defense', 'e4 e6'],
+    ['C00', 'French Defense: Knight Variation', 'e4 e6 Nf3'],
+    ['C01', 'French Defense: Exchange Variation', 'e4 e6 d4 d5 exd5'],
+    ['C02', 'French Defense: Advance Variation', 'e4 e6 d4 d5 e5'],
+    ['C03', 'French Defense: Tarrasch Variation', 'e4 e6 d4 d5 Nd2'],
+    ['C10', 'French Defense: Paulsen Variation', 'e4 e6 d4 d5 Nc3'],
+    ['C10', 'French Defense: Rubinstein Variation', 'e4 e6 d4 d5 Nc3 dxe4'],
+    ['C11', 'French Defense: Classical Variation', 'e4 e6 d4 d5 Nc3 Nf6'],
+    ['C15', 'French Defense: Winawer Variation', 'e4 e6 d4 d5 Nc3 Bb4'],
+    ['C20', "King's Pawn Game", 'e4 e5'],
+    ['C20', "King's Pawn Game: Wayward Queen Attack", 'e4 e5 Qh5'],
+    ['C20', "King's Pawn Game: Napoleon Attack", 'e4 e5 Qf3'],
+    ['C21', 'Center Game', 'e4 e5 d4 exd4'],
+    ['C21', 'Danish Gambit', 'e4 e5 d4 exd4 c3'],
+    ['C22', 'Center Game: Normal Variation', 'e4 e5 d4 exd4 Qxd4'],
+    ['C23', "Bishop's Opening", 'e4 e5 Bc4'],
+    ['C24', "Bishop's Opening: Berlin Defense", 'e4 e5 Bc4 Nf6'],
+    ['C25', 'Vienna Game', 'e4 e5 Nc3'],
+    ['C26', 'Vienna Game: Falkbeer Variation', 'e4 e5 Nc3 Nf6'],
+    ['C29', 'Vienna Game: Vienna Gambit', 'e4 e5 Nc3 Nf6 f4'],
+    ['C30', "King's Gambit", 'e4 e5 f4'],
+    ['C30', "King's Gambit Declined: Classical Variation", 'e4 e5 f4 Bc5'],
+    ['C31', "King's Gambit Declined: Falkbeer Countergambit", 'e4 e5 f4 d5'],
+    ['C33', "King's Gambit Accepted", 'e4 e5 f4 exf4'],
+    ['C34', "King's Gambit Accepted: King's Knight Gambit", 'e4 e5 f4 exf4 Nf3'],
+    ['C40', "King's Knight Opening", 'e4 e5 Nf3'],
+    ['C40', 'Latvian Gambit', 'e4 e5 Nf3 f5'],
+    ['C40', 'Elephant Gambit', 'e4 e5 Nf3 d5'],
+    ['C41', 'Philidor Defense', 'e4 e5 Nf3 d6'],
+    ['C42', "Petrov's Defense", 'e4 e5 Nf3 Nf6'],
+    ['C42', "Petrov's Defense: Classical Attack", 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4'],
+    ['C43', "Petrov's Defense: Steinitz Attack", 'e4 e5 Nf3 Nf6 d4'],
+    ['C44', "King's Knight Opening: Normal Variation", 'e4 e5 Nf3 Nc6'],
+    ['C44', 'Ponziani Opening', 'e4 e5 Nf3 Nc6 c3'],
+    ['C44', 'Scotch Game', 'e4 e5 Nf3 Nc6 d4'],
+    ['C44', 'Scotch Gambit', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4'],
+    ['C45', 'Scotch Game', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4'],
+    ['C45', 'Scotch Game: Classical Variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Bc5'],
+    ['C45', 'Scotch Game: Schmidt Variation', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Nf6'],
+    ['C46', 'Three Knights Opening', 'e4 e5 Nf3 Nc6 Nc3'],
+    ['C47', 'Four Knights Game', 'e4 e5 Nf3 Nc6 Nc3 Nf6'],
+    ['C47', 'Four Knights Game: Scotch Variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 d4'],
+    ['C48', 'Four Knights Game: Spanish Variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5'],
+    ['C50', 'Italian Game', 'e4 e5 Nf3 Nc6 Bc4'],
+    ['C50', 'Italian Game: Hungarian Defense', 'e4 e5 Nf3 Nc6 Bc4 Be7'],
+    ['C50', 'Italian Game: Giuoco Piano', 'e4 e5 Nf3 Nc6 Bc4 Bc5'],
+    ['C50', 'Italian Game: Giuoco Pianissimo', 'e4 e5 Nf3 Nc6 Bc4 Bc5 d3'],
+    ['C51', 'Italian Game: Evans Gambit', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4'],
+    ['C53', 'Italian Game: Classical Variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3'],
+    ['C54', 'Italian Game: Classical Variation, Giuoco Piano', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4'],
+    ['C55', 'Italian Game: Two Knights Defense', 'e4 e5 Nf3 Nc6 Bc4 Nf6'],
+    ['C55', "Italian Game: Two Knights Defense, Modern Bishop's Opening", 'e4 e5 Nf3 Nc6 Bc4 Nf6 d3'],
+    ['C56', 'Italian Game: Scotch Gambit', 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O'],
+    ['C57', 'Italian Game: Two Knights Defense, Knight Attack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5'],
+    ['C57', 'Italian Game: Two Knights Defense, Traxler Counterattack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 Bc5'],
+    ['C57', 'Italian Game: Two Knights Defense, Fried Liver Attack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Nxd5 Nxf7'],
+    ['C58', 'Italian Game: Two Knights Defense, Polerio Defense', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5'],
+    ['C60', 'Ruy Lopez', 'e4 e5 Nf3 Nc6 Bb5'],
+    ['C62', 'Ruy Lopez: Steinitz Defense', 'e4 e5 Nf3 Nc6 Bb5 d6'],
+    ['C63', 'Ruy Lopez: Schliemann Defense', 'e4 e5 Nf3 Nc6 Bb5 f5'],
+    ['C64', 'Ruy Lopez: Classical Variation', 'e4 e5 Nf3 Nc6 Bb5 Bc5'],
+    ['C65', 'Ruy Lopez: Berlin Defense', 'e4 e5 Nf3 Nc6 Bb5 Nf6'],
+    ['C67', 'Ruy Lopez: Berlin Defense, Rio Gambit Accepted', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4'],
+    ['C68', 'Ruy Lopez: Exchange Variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6'],
+    ['C70', 'Ruy Lopez: Morphy Defense', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4'],
+    ['C77', 'Ruy Lopez: Morphy Defense', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6'],
+    ['C78', 'Ruy Lopez: Morphy Defense', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O'],
+    ['C80', 'Ruy Lopez: Open Variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4'],
+    ['C84', 'Ruy Lopez: Closed Variations', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7'],
+    ['C84', 'Ruy Lopez: Closed', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1'],
+    ['C88', 'Ruy Lopez: Closed', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3'],
+    ['C89', 'Ruy Lopez: Marshall Attack', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d5'],
+    ['D00', "Queen's Pawn Game", 'd4 d5'],
+    ['D00', "Queen's Pawn Game: Accelerated London System", 'd4 d5 Bf4'],
+    ['D00', 'Blackmar-Diemer Gambit', 'd4 d5 e4'],
+    ['D00', "Queen's Pawn Game: Jobava London System", 'd4 d5 Nc3 Nf6 Bf4'],
+    ['D01', 'Richter-Veresov Attack', 'd4 d5 Nc3 Nf6 Bg5'],
+    ['D02', "Queen's Pawn Game: Zukertort Variation", 'd4 d5 Nf3'],
+    ['D02', "Queen's Pawn Game: London System", 'd4 d5 Nf3 Nf6 Bf4'],
+    ['D04', "Queen's Pawn Game: Colle System", 'd4 d5 Nf3 Nf6 e3'],
+    ['D06', "Queen's Gambit", 'd4 d5 c4'],
+    ['D07', "Queen's Gambit Declined: Chigorin Defense", 'd4 d5 c4 Nc6'],
+    ['D08', "Queen's Gambit Declined: Albin Countergambit", 'd4 d5 c4 e5'],
+    ['D10', 'Slav Defense', 'd4 d5 c4 c6'],
+    ['D10', 'Slav Defense: Exchange Variation', 'd4 d5 c4 c6 cxd5'],
+    ['D11', 'Slav Defense: Modern Line', 'd4 d5 c4 c6 Nf3'],
+    ['D15', 'Slav Defense: Three Knights Variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3'],
+    ['D17', 'Slav Defense: Czech Variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5'],
+    ['D20', "Queen's Gambit Accepted", 'd4 d5 c4 dxc4'],
+    ['D30', "Queen's Gambit Declined", 'd4 d5 c4 e6'],
+    ['D31', "Queen's Gambit Declined", 'd4 d5 c4 e6 Nc3'],
+    ['D32', 'Tarrasch Defense', 'd4 d5 c4 e6 Nc3 c5'],
+    ['D35', "Queen's Gambit Declined: Normal Defense", 'd4 d5 c4 e6 Nc3 Nf6'],
+    ['D35', "Queen's Gambit Declined: Exchange Variation", 'd4 d5 c4 e6 Nc3 Nf6 cxd5'],
+    ['D37', "Queen's Gambit Declined: Three Knights Variation", 'd4 d5 c4 e6 Nc3 Nf6 Nf3'],
+    ['D43', 'Semi-Slav Defense', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6'],
+    ['D45', 'Semi-Slav Defense: Normal Variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6 e3'],
+    ['D80', 'Grünfeld Defense', 'd4 Nf6 c4 g6 Nc3 d5'],
+    ['D85', 'Grünfeld Defense: Exchange Variation', 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5'],
+    ['E00', 'Indian Defense: East Indian Defense', 'd4 Nf6 c4 e6'],
+    ['E01', 'Catalan Opening', 'd4 Nf6 c4 e6 g3'],
+    ['E10', 'Indian Defense: Anti-Nimzo-Indian', 'd4 Nf6 c4 e6 Nf3'],
+    ['E11', 'Bogo-Indian Defense', 'd4 Nf6 c4 e6 Nf3 Bb4+'],
+    ['E12', "Queen's Indian Defense", 'd4 Nf6 c4 e6 Nf3 b6'],
+    ['E20', 'Nimzo-Indian Defense', 'd4 Nf6 c4 e6 Nc3 Bb4'],
+    ['E32', 'Nimzo-Indian Defense: Classical Variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2'],
+    ['E40', 'Nimzo-Indian Defense: Normal Variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3'],
+    ['E60', "King's Indian Defense", 'd4 Nf6 c4 g6'],
+    ['E61', "King's Indian Defense", 'd4 Nf6 c4 g6 Nc3 Bg7'],
+    ['E70', "King's Indian Defense: Normal Variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6'],
+    ['E76', "King's Indian Defense: Four Pawns Attack", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f4'],
+    ['E80', "King's Indian Defense: Sämisch Variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3'],
+    ['E90', "King's Indian Defense: Normal Variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3'],
+    ['E92', "King's Indian Defense: Classical Variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5'],
+    ['E97', "King's Indian Defense: Orthodox Variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O Nc6']
+  ];
+  let ecoPositionIndex = null;
+
+  // placement, side to move and castling only: the en-passant field depends on which pawn moved last
+  function openingPositionKey(fen) {
+    return String(fen || '').trim().split(/\s+/).slice(0, 3).join(' ');
+  }
+
+  function buildOpeningIndex() {
+    const index = new Map();
+    for (const [eco, name, line] of ECO_OPENINGS) {
+      const game = createChessInstance();
+      const moves = line.split(' ');
+      if (!moves.every(san => game.move(san))) continue;
+      const key = openingPositionKey(game.fen());
+      if (!index.has(key)) index.set(key, { eco, name, moves });
+    }
+    return index;
+  }
+
+  function lookupOpening(fen) {
+    if (!ecoPositionIndex) ecoPositionIndex = buildOpeningIndex();
+    const entry = ecoPositionIndex.get(openingPositionKey(fen));
+    return entry ? { eco: entry.eco, name: entry.name, moves: entry.moves.slice() } : null;
+  }
+
+  // the deepest book position the game passed through; ply is where the game reached it
+  function classifyOpening(game, options = {}) {
+    const history = game.history();
+    // a game loaded straight from a FEN has no history, so only its current position can be looked up
+    const startFen = options.startFen || (history.length ? null : game.fen());
+    const replay = startFen ? createGameFromFen(startFen) : createChessInstance();
+    const positions = [replay.fen()];
+    for (const san of history) {
+      if (!replay.move(san)) break;
+      positions.push(replay.fen());
+    }
+    for (let i = positions.length - 1; i >= 0; i--) {
+      const entry = lookupOpening(positions[i]);
+      if (!entry) continue;
+      const played = history.slice(0, i);
+      const transposed = !!startFen || played.length !== entry.moves.length || played.some((san, index) => san !== entry.moves[index]);
+      return { ...entry, ply: fenPlyIndex(positions[i]), transposed };
+    }
+    return null;
+  }
+
+  // Polyglot's published Random64 table: 768 piece-square keys, then castling (4), en-passant files (8) and White to move
+  const POLYGLOT_RANDOM64 = [
+    '9d39247e33776d41', '2af7398005aaa5c7', '44db015024623547', '9c15f73e62a76ae2',
+    '75834465489c0c89', '3290ac3a203001bf', '0fbbad1f61042279', 'e83a908ff2fb60ca',
+    '0d7e765d58755c10', '1a083822ceafe02d', '9605d5f0e25ec3b0', 'd021ff5cd13a2ed5',
+    '40bdf15d4a672e32', '011355146fd56395', '5db4832046f3d9e5', '239f8b2d7ff719cc',
+    '05d1a1ae85b49aa1', '679f848f6e8fc971', '7449bbff801fed0b', '7d11cdb1c3b7adf0',
+    '82c7709e781eb7cc', 'f3218f1c9510786c', '331478f3af51bbe6', '4bb38de5e7219443',
+    'aa649c6ebcfd50fc', '8dbd98a352afd40b', '87d2074b81d79217', '19f3c751d3e92ae1',
+    'b4ab30f062b19abf', '7b0500ac42047ac4', 'c9452ca81a09d85d', '24aa6c514da27500',
+    '4c9f34427501b447', '14a68fd73c910841', 'a71b9b83461cbd93', '03488b95b0f1850f',
+    '637b2b34ff93c040', '09d1bc9a3dd90a94', '3575668334a1dd3b', '735e2b97a4c45a23',
+    '18727070f1bd400b', '1fcbacd259bf02e7', 'd310a7c2ce9b6555', 'bf983fe0fe5d8244',
+    '9f74d14f7454a824', '51ebdc4ab9ba3035', '5c82c505db9ab0fa', 'fcf7fe8a3430b241',
+    '3253a729b9ba3dde', '8c74c368081b3075', 'b9bc6c87167c33e7', '7ef48f2b83024e20',
+    '11d505d4c351bd7f', '6568fca92c76a243', '4de0b0f40f32a7b8', '96d693460cc37e5d',
+    '42e240cb63689f2f', '6d2bdcdae2919661', '42880b0236e4d951', '5f0f4a5898171bb6',
+    '39f890f579f92f88', '93c5b5f47356388b', '63dc359d8d231b78', 'ec16ca8aea98ad76',
+    '5355f900c2a82dc7', '07fb9f855a997142', '5093417aa8a7ed5e', '7bcbc38da25a7f3c',
+    '19fc8a768cf4b6d4', '637a7780decfc0d9', '8249a47aee0e41f7', '79ad695501e7d1e8',
+    '14acbaf4777d5776', 'f145b6beccdea195', 'dabf2ac8201752fc', '24c3c94df9c8d3f6',
+    'bb6e2924f03912ea', '0ce26c0b95c980d9', 'a49cd132bfbf7cc4', 'e99d662af4243939',
+    '27e6ad7891165c3f', '8535f040b9744ff1', '54b3f4fa5f40d873', '72b12c32127fed2b',
+    'ee954d3c7b411f47', '9a85ac909a24eaa1', '70ac4cd9f04f21f5', 'f9b89d3e99a075c2',
+    '87b3e2b2b5c907b1', 'a366e5b8c54f48b8', 'ae4a9346cc3f7cf2', '1920c04d47267bbd',
+    '87bf02c6b49e2ae9', '092237ac237f3859', 'ff07f64ef8ed14d0', '8de8dca9f03cc54e',
+    '9c1633264db49c89', 'b3f22c3d0b0b38ed', '390e5fb44d01144b', '5bfea5b4712768e9',
+    '1e1032911fa78984', '9a74acb964e78cb3', '4f80f7a035dafb04', '6304d09a0b3738c4',
+    '2171e64683023a08', '5b9b63eb9ceff80c', '506aacf489889342', '1881afc9a3a701d6',
+    '6503080440750644', 'dfd395339cdbf4a7', 'ef927dbcf00c20f2', '7b32f7d1e03680ec',
+    'b9fd7620e7316243', '05a7e8a57db91b77', 'b5889c6e15630a75', '4a750a09ce9573f7',
+    'cf464cec899a2f8a', 'f538639ce705b824', '3c79a0ff5580ef7f', 'ede6c87f8477609d',
+    '799e81f05bc93f31', '86536b8cf3428a8c', '97d7374c60087b73', 'a246637cff328532',
+    '043fcae60cc0eba0', '920e449535dd359e', '70eb093b15b290cc', '73a1921916591cbd',
+    '56436c9fe1a1aa8d', 'efac4b70633b8f81', 'bb215798d45df7af', '45f20042f24f1768',
+    '930f80f4e8eb7462', 'ff6712ffcfd75ea1', 'ae623fd67468aa70', 'dd2c5bc84bc8d8fc',
+    '7eed120d54cf2dd9', '22fe545401165f1c', 'c91800e98fb99929', '808bd68e6ac10365',
+    'dec468145b7605f6', '1bede3a3aef53302', '43539603d6c55602', 'aa969b5c691ccb7a',
+    'a87832d392efee56', '65942c7b3c7e11ae', 'ded2d633cad004f6', '21f08570f420e565',
+    'b415938d7da94e3c', '91b859e59ecb6350', '10cff333e0ed804a', '28aed140be0bb7dd',
+    'c5cc1d89724fa456', '5648f680f11a2741', '2d255069f0b7dab3', '9bc5a38ef729abd4',
+    'ef2f054308f6a2bc', 'af2042f5cc5c2858', '480412bab7f5be2a', 'aef3af4a563dfe43',
+    '19afe59ae451497f', '52593803dff1e840', 'f4f076e65f2ce6f0', '11379625747d5af3',
+    'bce5d2248682c115', '9da4243de836994f', '066f70b33fe09017', '4dc4de189b671a1c',
+    '51039ab7712457c3', 'c07a3f80c31fb4b4', 'b46ee9c5e64a6e7c', 'b3819a42abe61c87',
+    '21a007933a522a20', '2df16f761598aa4f', '763c4a1371b368fd', 'f793c46702e086a0',
+    'd7288e012aeb8d31', 'de336a2a4bc1c44b', '0bf692b38d079f23', '2c604a7a177326b3',
+    '4850e73e03eb6064', 'cfc447f1e53c8e1b', 'b05ca3f564268d99', '9ae182c8bc9474e8',
+    'a4fc4bd4fc5558ca', 'e755178d58fc4e76', '69b97db1a4c03dfe', 'f9b5b7c4acc67c96',
+    'fc6a82d64b8655fb', '9c684cb6c4d24417', '8ec97d2917456ed0', '6703df9d2924e97e',
+    'c547f57e42a7444e', '78e37644e7cad29e', 'fe9a44e9362f05fa', '08bd35cc38336615',
+    '9315e5eb3a129ace', '94061b871e04df75', 'df1d9f9d784ba010', '3bba57b68871b59d',
+    'd2b7adeeded1f73f', 'f7a255d83bc373f8', 'd7f4f2448c0ceb81', 'd95be88cd210ffa7',
+    '336f52f8ff4728e7', 'a74049dac312ac71', 'a2f61bb6e437fdb5', '4f2a5cb07f6a35b3',
+    '87d380bda5bf7859', '16b9f7e06c453a21', '7ba2484c8a0fd54e', 'f3a678cad9a2e38c',
+    '39b0bf7dde437ba2', 'fcaf55c1bf8a4424', '18fcf680573fa594', '4c0563b89f495ac3',
+    '40e087931a00930d', '8cffa9412eb642c1', '68ca39053261169f', '7a1ee967d27579e2',
+    '9d1d60e5076f5b6f', '3810e399b6f65ba2', '32095b6d4ab5f9b1', '35cab62109dd038a',
+    'a90b24499fcfafb1', '77a225a07cc2c6bd', '513e5e634c70e331', '4361c0ca3f692f12',
+    'd941aca44b20a45b', '528f7c8602c5807b', '52ab92beb9613989', '9d1dfa2efc557f73',
+    '722ff175f572c348', '1d1260a51107fe97', '7a249a57ec0c9ba2', '04208fe9e8f7f2d6',
+    '5a110c6058b920a0', '0cd9a497658a5698', '56fd23c8f9715a4c', '284c847b9d887aae',
+    '04feabfbbdb619cb', '742e1e651c60ba83', '9a9632e65904ad3c', '881b82a13b51b9e2',
+    '506e6744cd974924', 'b0183db56ffc6a79', '0ed9b915c66ed37e', '5e11e86d5873d484',
+    'f678647e3519ac6e', '1b85d488d0f20cc5', 'dab9fe6525d89021', '0d151d86adb73615',
+    'a865a54edcc0f019', '93c42566aef98ffb', '99e7afeabe000731', '48cbff086ddf285a',
+    '7f9b6af1ebf78baf', '58627e1a149bba21', '2cd16e2abd791e33', 'd363eff5f0977996',
+    '0ce2a38c344a6eed', '1a804aadb9cfa741', '907f30421d78c5de', '501f65edb3034d07',
+    '37624ae5a48fa6e9', '957baf61700cff4e', '3a6c27934e31188a', 'd49503536abca345',
+    '088e049589c432e0', 'f943aee7febf21b8', '6c3b8e3e336139d3', '364f6ffa464ee52e',
+    'd60f6dcedc314222', '56963b0dca418fc0', '16f50edf91e513af', 'ef1955914b609f93',
+    '565601c0364e3228', 'ecb53939887e8175', 'bac7a9a18531294b', 'b344c470397bba52',
+    '65d34954daf3cebd', 'b4b81b3fa97511e2', 'b422061193d6f6a7', '071582401c38434d',
+    '7a13f18bbedc4ff5', 'bc4097b116c524d2', '59b97885e2f2ea28', '99170a5dc3115544',
+    '6f423357e7c6a9f9', '325928ee6e6f8794', 'd0e4366228b03343', '565c31f7de89ea27',
+    '30f5611484119414', 'd873db391292ed4f', '7bd94e1d8e17debc', 'c7d9f16864a76e94',
+    '947ae053ee56e63c', 'c8c93882f9475f5f', '3a9bf55ba91f81ca', 'd9a11fbb3d9808e4',
+    '0fd22063edc29fca', 'b3f256d8aca0b0b9', 'b03031a8b4516e84', '35dd37d5871448af',
+    'e9f6082b05542e4e', 'ebfafa33d7254b59', '9255abb50d532280', 'b9ab4ce57f2d34f3',
+    '693501d628297551', 'c62c58f97dd949bf', 'cd454f8f19c5126a', 'bbe83f4ecc2bdecb',
+    'dc842b7e2819e230', 'ba89142e007503b8', 'a3bc941d0a5061cb', 'e9f6760e32cd8021',
+    '09c7e552bc76492f', '852f54934da55cc9', '8107fccf064fcf56', '098954d51fff6580',
+    '23b70edb1955c4bf', 'c330de426430f69d', '4715ed43e8a45c0a', 'a8d7e4dab780a08d',
+    '0572b974f03ce0bb', 'b57d2e985e1419c7', 'e8d9ecbe2cf3d73f', '2fe4b17170e59750',
+    '11317ba87905e790', '7fbf21ec8a1f45ec', '1725cabfcb045b00', '964e915cd5e2b207',
+    '3e2b8bcbf016d66d', 'be7444e39328a0ac', 'f85b2b4fbcde44b7', '49353fea39ba63b1',
+    '1dd01aafcd53486a', '1fca8a92fd719f85', 'fc7c95d827357afa', '18a6a990c8b35ebd',
+    'cccb7005c6b9c28d', '3bdbb92c43b17f26', 'aa70b5b4f89695a2', 'e94c39a54a98307f',
+    'b7a0b174cff6f36e', 'd4dba84729af48ad', '2e18bc1ad9704a68', '2de0966daf2f8b1c',
+    'b9c11d5b1e43a07e', '64972d68dee33360', '94628d38d0c20584', 'dbc0d2b6ab90a559',
+    'd2733c4335c6a72f', '7e75d99d94a70f4d', '6ced1983376fa72b', '97fcaacbf030bc24',
+    '7b77497b32503b12', '8547eddfb81ccb94', '79999cdff70902cb', 'cffe1939438e9b24',
+    '829626e3892d95d7', '92fae24291f2b3f1', '63e22c147b9c3403', 'c678b6d860284a1c',
+    '5873888850659ae7', '0981dcd296a8736d', '9f65789a6509a440', '9ff38fed72e9052f',
+    'e479ee5b9930578c', 'e7f28ecd2d49eecd', '56c074a581ea17fe', '5544f7d774b14aef',
+    '7b3f0195fc6f290f', '12153635b2c0cf57', '7f5126dbba5e0ca7', '7a76956c3eafb413',
+    '3d5774a11d31ab39', '8a1b083821f40cb4', '7b4a38e32537df62', '950113646d1d6e03',
+    '4da8979a0041e8a9', '3bc36e078f7515d7', '5d0a12f27ad310d1', '7f9d1a2e1ebe1327',
+    'da3a361b1c5157b1', 'dcdd7d20903d0c25', '36833336d068f707', 'ce68341f79893389',
+    'ab9090168dd05f34', '43954b3252dc25e5', 'b438c2b67f98e5e9', '10dcd78e3851a492',
+    'dbc27ab5447822bf', '9b3cdb65f82ca382', 'b67b7896167b4c84', 'bfced1b0048eac50',
+    'a9119b60369ffebd', '1fff7ac80904bf45', 'ac12fb171817eee7', 'af08da9177dda93d',
+    '1b0cab936e65c744', 'b559eb1d04e5e932', 'c37b45b3f8d6f2ba', 'c3a9dc228caac9e9',
+    'f3b8b6675a6507ff', '9fc477de4ed681da', '67378d8eccef96cb', '6dd856d94d259236',
+    'a319ce15b0b4db31', '073973751f12dd5e', '8a8e849eb32781a5', 'e1925c71285279f5',
+    '74c04bf1790c0efe', '4dda48153c94938a', '9d266d6a1cc0542c', '7440fb816508c4fe',
+    '13328503df48229f', 'd6bf7baee43cac40', '4838d65f6ef6748f', '1e152328f3318dea',
+    '8f8419a348f296bf', '72c8834a5957b511', 'd7a023a73260b45c', '94ebc8abcfb56dae',
+    '9fc10d0f989993e0', 'de68a2355b93cae6', 'a44cfe79ae538bbe', '9d1d84fcce371425',
+    '51d2b1ab2ddfb636', '2fd7e4b9e72cd38c', '65ca5b96b7552210', 'dd69a0d8ab3b546d',
+    '604d51b25fbf70e2', '73aa8a564fb7ac9e', '1a8c1e992b941148', 'aac40a2703d9bea0',
+    '764dbeae7fa4f3a6', '1e99b96e70a9be8b', '2c5e9deb57ef4743', '3a938fee32d29981',
+    '26e6db8ffdf5adfe', '469356c504ec9f9d', 'c8763c5b08d1908c', '3f6c6af859d80055',
+    '7f7cc39420a3a545', '9bfb227ebdf4c5ce', '89039d79d6fc5c5c', '8fe88b57305e2ab6',
+    'a09e8c8c35ab96de', 'fa7e393983325753', 'd6b6d0ecc617c699', 'dfea21ea9e7557e3',
+    'b67c1fa481680af8', 'ca1e3785a9e724e5', '1cfc8bed0d681639', 'd18d8549d140caea',
+    '4ed0fe7e9dc91335', 'e4dbf0634473f5d2', '1761f93a44d5aefe', '53898e4c3910da55',
+    '734de8181f6ec39a', '2680b122baa28d97', '298af231c85bafab', '7983eed3740847d5',
+    '66c1a2a1a60cd889', '9e17e49642a3e4c1', 'edb454e7badc0805', '50b704cab602c329',
+    '4cc317fb9cddd023', '66b4835d9eafea22', '219b97e26ffc81bd', '261e4e4c0a333a9d',
+    '1fe2cca76517db90', 'd7504dfa8816edbb', 'b9571fa04dc089c8', '1ddc0325259b27de',
+    'cf3f4688801eb9aa', 'f4f5d05c10cab243', '38b6525c21a42b0e', '36f60e2ba4fa6800',
+    'eb3593803173e0ce', '9c4cd6257c5a3603', 'af0c317d32adaa8a', '258e5a80c7204c4b',
+    '8b889d624d44885d', 'f4d14597e660f855', 'd4347f66ec8941c3', 'e699ed85b0dfb40d',
+    '2472f6207c2d0484', 'c2a1e7b5b459aeb5', 'ab4f6451cc1d45ec', '63767572ae3d6174',
+    'a59e0bd101731a28', '116d0016cb948f09', '2cf9c8ca052f6e9f', '0b090a7560a968e3',
+    'abeeddb2dde06ff1', '58efc10b06a2068d', 'c6e57a78fbd986e0', '2eab8ca63ce802d7',
+    '14a195640116f336', '7c0828dd624ec390', 'd74bbe77e6116ac7', '804456af10f5fb53',
+    'ebe9ea2adf4321c7', '03219a39ee587a30', '49787fef17af9924', 'a1e9300cd8520548',
+    '5b45e522e4b1b4ef', 'b49c3b3995091a36', 'd4490ad526f14431', '12a8f216af9418c2',
+    '001f837cc7350524', '1877b51e57a764d5', 'a2853b80f17f58ee', '993e1de72d36d310',
+    'b3598080ce64a656', '252f59cf0d9f04bb', 'd23c8e176d113600', '1bda0492e7e4586e',
+    '21e0bd5026c619bf', '3b097adaf088f94e', '8d14dedb30be846e', 'f95cffa23af5f6f4',
+    '3871700761b3f743', 'ca672b91e9e4fa16', '64c8e531bff53b55', '241260ed4ad1e87d',
+    '106c09b972d2e822', '7fba195410e5ca30', '7884d9bc6cb569d8', '0647dfedcd894a29',
+    '63573ff03e224774', '4fc8e9560f91b123', '1db956e450275779', 'b8d91274b9e9d4fb',
+    'a2ebee47e2fbfce1', 'd9f1f30ccd97fb09', 'efed53d75fd64e6b', '2e6d02c36017f67f',
+    'a9aa4d20db084e9b', 'b64be8d8b25396c1', '70cb6af7c2d5bcf0', '98f076a4f7a2322e',
+    'bf84470805e69b5f', '94c3251f06f90cf3', '3e003e616a6591e9', 'b925a6cd0421aff3',
+    '61bdd1307c66e300', 'bf8d5108e27e0d48', '240ab57a8b888b20', 'fc87614baf287e07',
+    'ef02cdd06ffdb432', 'a1082c0466df6c0a', '8215e577001332c8', 'd39bb9c3a48db6cf',
+    '2738259634305c14', '61cf4f94c97df93d', '1b6baca2ae4e125b', '758f450c88572e0b',
+    '959f587d507a8359', 'b063e962e045f54d', '60e8ed72c0dff5d1', '7b64978555326f9f',
+    'fd080d236da814ba', '8c90fd9b083f4558', '106f72fe81e2c590', '7976033a39f7d952',
+    'a4ec0132764ca04b', '733ea705fae4fa77', 'b4d8f77bc3e56167', '9e21f4f903b33fd9',
+    '9d765e419fb69f6d', 'd30c088ba61ea5ef', '5d94337fbfaf7f5b', '1a4e4822eb4d7a59',
+    '6ffe73e81b637fb3', 'ddf957bc36d8b9ca', '64d0e29eea8838b3', '08dd9bdfd96b9f63',
+    '087e79e5a57d1d13', 'e328e230e3e2b3fb', '1c2559e30f0946be', '720bf5f26f4d2eaa',
+    'b0774d261cc609db', '443f64ec5a371195', '4112cf68649a260e', 'd813f2fab7f5c5ca',
+    '660d3257380841ee', '59ac2c7873f910a3', 'e846963877671a17', '93b633abfa3469f8',
+    'c0c0f5a60ef4cdcf', 'caf21ecd4377b28c', '57277707199b8175', '506c11b9d90e8b1d',
+    'd83cc2687a19255f', '4a29c6465a314cd1', 'ed2df21216235097', 'b5635c95ff7296e2',
+    '22af003ab672e811', '52e762596bf68235', '9aeba33ac6ecc6b0', '944f6de09134dfb6',
+    '6c47bec883a7de39', '6ad047c430a12104', 'a5b1cfdba0ab4067', '7c45d833aff07862',
+    '5092ef950a16da0b', '9338e69c052b8e7b', '455a4b4cfe30e3f5', '6b02e63195ad0cf8',
+    '6b17b224bad6bf27', 'd1e0ccd25bb9c169', 'de0c89a556b9ae70', '50065e535a213cf6',
+    '9c1169fa2777b874', '78edefd694af1eed', '6dc93d9526a50e68', 'ee97f453f06791ed',
+    '32ab0edb696703d3', '3a6853c7e70757a7', '31865ced6120f37d', '67fef95d92607890',
+    '1f2b1d1f15f6dc9c', 'b69e38a8965c6b65', 'aa9119ff184cccf4', 'f43c732873f24c13',
+    'fb4a3d794a9a80d2', '3550c2321fd6109c', '371f77e76bb8417e', '6bfa9aae5ec05779',
+    'cd04f3ff001a4778', 'e3273522064480ca', '9f91508bffcfc14a', '049a7f41061a9e60',
+    'fcb6be43a9f2fe9b', '08de8a1c7797da9b', '8f9887e6078735a1', 'b5b4071dbfc73a66',
+    '230e343dfba08d33', '43ed7f5a0fae657d', '3a88a0fbbcb05c63', '21874b8b4d2dbc4f',
+    '1bdea12e35f6a8c9', '53c065c6c8e63528', 'e34a1d250e7a8d6b', 'd6b04d3b7651dd7e',
+    '5e90277e7cb39e2d', '2c046f22062dc67d', 'b10bb459132d0a26', '3fa9ddfb67e2f199',
+    '0e09b88e1914f7af', '10e8b35af3eeab37', '9eedeca8e272b933', 'd4c718bc4ae8ae5f',
+    '81536d601170fc20', '91b534f885818a06', 'ec8177f83f900978', '190e714fada5156e',
+    'b592bf39b0364963', '89c350c893ae7dc1', 'ac042e70f8b383f2', 'b49b52e587a1ee60',
+    'fb152fe3ff26da89', '3e666e6f69ae2c15', '3b544ebe544c19f9', 'e805a1e290cf2456',
+    '24b33c9d7ed25117', 'e74733427b72f0c1', '0a804d18b7097475', '57e3306d881edb4f',
+    '4ae7d6a36eb5dbcb', '2d8d5432157064c8', 'd1e649de1e7f268b', '8a328a1cedfe552c',
+    '07a3aec79624c7da', '84547ddc3e203c94', '990a98fd5071d263', '1a4ff12616eefc89',
+    'f6f7fd1431714200', '30c05b1ba332f41c', '8d2636b81555a786', '46c9feb55d120902',
+    'ccec0a73b49c9921', '4e9d2827355fc492', '19ebb029435dcb0f', '4659d2b743848a2c',
+    '963ef2c96b33be31', '74f85198b05a2e7d', '5a0f544dd2b1fb18', '03727073c2e134b1',
+    'c7f6aa2de59aea61', '352787baa0d7c22f', '9853eab63b5e0b35', 'abbdcdd7ed5c0860',
+    'cf05daf5ac8d77b0', '49cad48cebf4a71e', '7a4c10ec2158c4a6', 'd9e92aa246bf719e',
+    '13ae978d09fe5557', '730499af921549ff', '4e4b705b92903ba4', 'ff577222c14f0a3a',
+    '55b6344cf97aafae', 'b862225b055b6960', 'cac09afbddd2cdb4', 'daf8e9829fe96b5f',
+    'b5fdfc5d3132c498', '310cb380db6f7503', 'e87fbb46217a360e', '2102ae466ebb1148',
+    'f8549e1a3aa5e00d', '07a69afdcc42261a', 'c4c118bfe78feaae', 'f9f4892ed96bd438',
+    '1af3dbe25d8f45da', 'f5b4b0b0d2deeeb4', '962aceefa82e1c84', '046e3ecaaf453ce9',
+    'f05d129681949a4c', '964781ce734b3c84', '9c2ed44081ce5fbd', '522e23f3925e319e',
+    '177e00f9fc32f791', '2bc60a63a6f3b3f2', '222bbfae61725606', '486289ddcc3d6780',
+    '7dc7785b8efdfc80', '8af38731c02ba980', '1fab64ea29a2ddf7', 'e4d9429322cd065a',
+    '9da058c67844f20c', '24c0e332b70019b0', '233003b5a6cfe6ad', 'd586bd01c5c217f6',
+    '5e5637885f29bc2b', '7eba726d8c94094b', '0a56a5f0bfe39272', 'd79476a84ee20d06',
+    '9e4c1269baa4bf37', '17efee45b0dee640', '1d95b0a5fcf90bc6', '93cbe0b699c2585d',
+    '65fa4f227a2b6d79', 'd5f9e858292504d5', 'c2b5a03f71471a6f', '59300222b4561e00',
+    'ce2f8642ca0712dc', '7ca9723fbb2e8988', '2785338347f2ba08', 'c61bb3a141e50e8c',
+    '150f361dab9dec26', '9f6a419d382595f4', '64a53dc924fe7ac9', '142de49fff7a7c3d',
+    '0c335248857fa9e7', '0a9c32d5eae45305', 'e6c42178c4bbb92e', '71f1ce2490d20b07',
+    'f1bcc3d275afe51a', 'e728e8c83c334074', '96fbf83a12884624', '81a1549fd6573da5',
+    '5fa7867caf35e149', '56986e2ef3ed091b', '917f1dd5f8886c61', 'd20d8c88c8ffe65f',
+    '31d71dce64b2c310', 'f165b587df898190', 'a57e6339dd2cf3a0', '1ef6e6dbb1961ec9',
+    '70cc73d90bc26e24', 'e21a6b35df0c3ad7', '003a93d8b2806962', '1c99ded33cb890a1',
+    'cf3145de0add4289', 'd0e4427a5514fb72', '77c621cc9fb3a483', '67a34dac4356550b',
+    'f8d626aaaf278509'
+  ];
+  const POLYGLOT_PIECE_KINDS = 'pPnNbBrRqQkK';
+  const POLYGLOT_PROMOTIONS = ['', 'n', 'b', 'r', 'q'];
+
+  function polyglotRandom(index) {
+    return BigInt('0x' + POLYGLOT_RANDOM64[index]);
+  }
+
+  // squares[rank * 8 + file] with rank 0 = first rank, read straight from the FEN placement field
+  function fenSquares(fen) {
+    const squares = new Array(64).fill(null);
+    const rows = String(fen || '').trim().split(/\s+/)[0].split('/');
+    rows.forEach((row, rowIndex) => {
+      let file = 0;
+      for (const ch of row) {
+        if (/\d/.test(ch)) {
+          file += parseInt(ch, 10);
+        } else {
+          if (file < 8 && rowIndex < 8) squares[(7 - rowIndex) * 8 + file] = ch;
+          file += 1;
+        }
+      }
+    });
+    return squares;
+  }
+
+  function polyglotKey(fen) {
+    const fields = String(fen || '').trim().split(/\s+/);
+    const squares = fenSquares(fen);
+    const turn = fields[1] === 'b' ? 'b' : 'w';
+    let key = BigInt(0);
+    squares.forEach((piece, square) => {
+      const kind = piece ? POLYGLOT_PIECE_KINDS.indexOf(piece) : -1;
+      if (kind !== -1) key ^= polyglotRandom(64 * kind + square);
+    });
+    const castling = fields[2] || '-';
+    ['K', 'Q', 'k', 'q'].forEach((flag, index) => {
+      if (castling.includes(flag)) key ^= polyglotRandom(768 + index);
+    });
+    const ep = fields[3] || '-';
+    if (/^[a-h][36]$/.test(ep)) {
+      // the file only counts when a pawn of the side to move could actually take en passant
+      const file = ep.charCodeAt(0) - 97;
+      const rank = turn === 'w' ? 4 : 3;
+      const pawn = turn === 'w' ? 'P' : 'p';
+      if ((file > 0 && squares[rank * 8 + file - 1] === pawn) || (file < 7 && squares[rank * 8 + file + 1] === pawn)) {
+        key ^= polyglotRandom(772 + file);
+      }
+    }
+    if (turn === 'w') key ^= polyglotRandom(780);
+    return key;
+  }
+
+  function decodeBase64ToBytes(encoded) {
+    const normalized = normalizeBase64(encoded);
+    if (!normalized) return null;
+    try {
+      const binary = atob(normalized);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return bytes;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function encodeBytesToBase64(bytes) {
+    const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const chunk = 0x8000;
+    let binary = '';
+    for (let i = 0; i < view.length; i += chunk) {
+      binary += String.fromCharCode.apply(null, view.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+  }
+
+  // entries are 16 big-endian bytes (key, move, weight, learn) sorted by key, so a binary search finds the first one
+  function readPolyglotEntries(bytes, key) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const count = Math.floor(bytes.byteLength / 16);
+    let low = 0;
+    let high = count;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (view.getBigUint64(mid * 16) < key) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    const entries = [];
+    for (let i = low; i < count && view.getBigUint64(i * 16) === key; i++) {
+      entries.push({
+        move: view.getUint16(i * 16 + 8),
+        weight: view.getUint16(i * 16 + 10),
+        learn: view.getUint32(i * 16 + 12)
+      });
+    }
+    return entries;
+  }
+
+  function polyglotMoveToUci(move, squares) {
+    const toFile = move & 7;
+    const toRank = (move >> 3) & 7;
+    const fromFile = (move >> 6) & 7;
+    const fromRank = (move >> 9) & 7;
+    const promotion = POLYGLOT_PROMOTIONS[(move >> 12) & 7] || '';
+    const name = (file, rank) => String.fromCharCode(97 + file) + (rank + 1);
+    const piece = squares[fromRank * 8 + fromFile];
+    let targetFile = toFile;
+    // castling is stored as the king taking its own rook
+    if ((piece === 'K' || piece === 'k') && fromFile === 4 && toRank === fromRank && (toFile === 0 || toFile === 7)) {
+      targetFile = toFile === 7 ? 6 : 2;
+    }
+    return name(fromFile, fromRank) + name(targetFile, toRank) + promotion;
+  }
+
+  // book moves for the position, heaviest first; zero-weight entries mark moves the book never plays
+  function probePolyglotBook(bytes, fen) {
+    if (!bytes || bytes.byteLength < 16) return [];
+    const squares = fenSquares(fen);
+    return readPolyglotEntries(bytes, polyglotKey(fen))
+      .filter(entry => entry.weight > 0)
+      .map(entry => ({ uci: polyglotMoveToUci(entry.move, squares), weight: entry.weight, learn: entry.learn }))
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  function pickBookMove(entries, random = Math.random) {
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    if (!total) return null;
+    let roll = random() * total;
+    for (const entry of entries) {
+      roll -= entry.weight;
+      if (roll < 0) return entry;
+    }
+    return entries[entries.length - 1];
+  }
+
+  const pieceValues = { p: 1, n: 3.2, b: 3.3, r: 5.1, q: 9.5, k: 0 };
+
+  const pieceSquareTables = {
+    p: [
+      0, 0, 0, 0, 0, 0, 0, 0,
+      0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05,
+      0.01, 0.01, 0.02, 0.03, 0.03, 0.02, 0.01, 0.01,
+      0.005, 0.005, 0.01, 0.025, 0.025, 0.01, 0.005, 0.005,
+      0, 0, 0, 0.02, 0.02, 0, 0, 0,
+      0.005, -0.005, -0.01, 0, 0, -0.01, -0.005, 0.005,
+      0.05, 0.1, 0.1, -0.2, -0.2, 0.1, 0.1, 0.05,
+      0, 0, 0, 0, 0, 0, 0, 0
+    ],
+    n: [
+      -0.5, -0.4, -0.3, -0.3, -0.3, -0.3, -0.4, -0.5,
+      -0.4, -0.2, 0, 0.05, 0.05, 0, -0.2, -0.4,
+      -0.3, 0.05, 0.1, 0.15, 0.15, 0.1, 0.05, -0.3,
+      -0.3, 0, 0.15, 0.2, 0.2, 0.15, 0, -0.3,
+      -0.3, 0.05, 0.15, 0.2, 0.2, 0.15, 0.05, -0.3,
+      -0.3, 0, 0.1, 0.15, 0.15, 0.1, 0, -0.3,
+      -0.4, -0.2, 0, 0, 0, 0, -0.2, -0.4,
+      -0.5, -0.4, -0.3, -0.3, -0.3, -0.3, -0.4, -0.5
+    ],
+    b: [
+      -0.2, -0.1, -0.1, -0.1, -0.1, -0.1, -0.1, -0.2,
+      -0.1, 0, 0, 0, 0, 0, 0, -0.1,
+      -0.1, 0, 0.05, 0.1, 0.1, 0.05, 0, -0.1,
+      -0.1, 0.05, 0.05, 0.1, 0.1, 0.05, 0.05, -0.1,
+      -0.1, 0, 0.1, 0.1, 0.1, 0.1, 0, -0.1,
+      -0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, -0.1,
+      -0.1, 0.05, 0, 0, 0, 0, 0.05, -0.1,
+      -0.2, -0.1, -0.1, -0.1, -0.1, -0.1, -0.1, -0.2
+    ],
+    r: [
+      0, 0, 0, 0, 0, 0, 0, 0,
+      0.05, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.05,
+      -0.05, 0, 0, 0, 0, 0, 0, -0.05,
+      -0.05, 0, 0, 0, 0, 0, 0, -0.05,
+      -0.05, 0, 0, 0, 0, 0, 0, -0.05,
+      -0.05, 0, 0, 0, 0, 0, 0, -0.05,
+      -0.05, 0, 0, 0, 0, 0, 0, -0.05,
+      0, 0, 0.05, 0.1, 0.1, 0.05, 0, 0
+    ],
+    q: [
+      -0.2, -0.1, -0.1, -0.05, -0.05, -0.1, -0.1, -0.2,
+      -0.1, 0, 0, 0, 0, 0, 0, -0.1,
+      -0.1, 0, 0.05, 0.05, 0.05, 0.05, 0, -0.1,
+      -0.05, 0, 0.05, 0.05, 0.05, 0.05, 0, -0.05,
+      0, 0, 0.05, 0.05, 0.05, 0.05, 0, -0.05,
+      -0.1, 0.05, 0.05, 0.05, 0.05, 0.05, 0, -0.1,
+      -0.1, 0, 0.05, 0, 0, 0, 0, -0.1,
+      -0.2, -0.1, -0.1, -0.05, -0.05, -0.1, -0.1, -0.2
+    ]
+  };
+
+  const kingSquareTables = {
+    midgame: [
+      -0.3, -0.4, -0.4, -0.5, -0.5, -0.4, -0.4, -0.3,
+      -0.3, -0.4, -0.4, -0.5, -0.5, -0.4, -0.4, -0.3,
+      -0.3, -0.4, -0.4, -0.5, -0.5, -0.4, -0.4, -0.3,
+      -0.2, -0.3, -0.3, -0.4, -0.4, -0.3, -0.3, -0.2,
+      -0.1, -0.2, -0.2, -0.2, -0.2, -0.2, -0.2, -0.1,
+      0, 0.1, 0.1, 0, 0, 0.1, 0.1, 0,
+      0.1, 0.2, 0.2, 0.1, 0.1, 0.2, 0.2, 0.1,
+      0.2, 0.3, 0.2, 0, 0, 0.2, 0.3, 0.2
+    ],
+    endgame: [
+      -0.05, -0.02, 0, 0, 0, 0, -0.02, -0.05,
+      -0.02, 0.05, 0.1, 0.1, 0.1, 0.1, 0.05, -0.02,
+      0, 0.1, 0.15, 0.2, 0.2, 0.15, 0.1, 0,
+      0, 0.1, 0.2, 0.25, 0.25, 0.2, 0.1, 0,
+      0, 0.1, 0.2, 0.25, 0.25, 0.2, 0.1, 0,
+      0, 0.1, 0.15, 0.2, 0.2, 0.15, 0.1, 0,
+      -0.02, 0, 0.05, 0.1, 0.1, 0.05, 0, -0.02,
+      -0.05, -0.02, 0, 0, 0, 0, -0.02, -0.05
+    ]
+  };
+
+  // the scalar weights of evaluateBoard, in pawns; with pieceValues and the square tables above they
+  // make up the parameter vector the Texel tuner adjusts (see tuneEvaluation)
+  const evalWeights = {
+    coreCenter: 0.08,
+    extendedCenter: 0.05,
+    bishopPair: 0.35,
+    rookSemiOpenFile: 0.18,
+    rookOpenFile: 0.288,
+    rookCenter: 0.05,
+    doubledPawn: 0.12,
+    isolatedPawn: 0.1,
+    passedPawn: 0.2,
+    passedPawnAdvance: 0.025,
+    kingShield: 0.07,
+    kingExposure: 0.05,
+    undevelopedMinor: 0.11,
+    undevelopedMinorEarly: 0.004,
+    flankPawn: 0.24,
+    castled: 0.05,
+    uncastled: 0.2,
+    uncastledLate: 0.016,
+    mobility: 0.016,
+    tempo: 0.015
+  };
+
+  const EVAL_WEIGHT_SECTIONS = ['pieceValues', 'pieceSquareTables', 'kingSquareTables', 'evalWeights'];
+  const EVAL_PIECE_TYPES = ['p', 'n', 'b', 'r', 'q'];
+
+  // a weight set is a plain copy of the four sections; it round-trips through JSON for files and the worker
+  function getEvalWeights() {
+    return JSON.parse(JSON.stringify({ pieceValues, pieceSquareTables, kingSquareTables, evalWeights }));
+  }
+
+  const DEFAULT_EVAL_WEIGHTS = getEvalWeights();
+
+  // every tunable weight gets a dotted name and a [container, key] slot, so the vector can be read and
+  // written in place; the king's value is fixed at zero and left out
+  let evalParameterSlots = null;
+
+  function evalParameterLayout() {
+    if (!evalParameterSlots) {
+      const names = [];
+      const slots = [];
+      const add = (name, target, key) => {
+        names.push(name);
+        slots.push([target, key]);
+      };
+      for (const type of EVAL_PIECE_TYPES) add('pieceValues.' + type, pieceValues, type);
+      for (const type of EVAL_PIECE_TYPES) {
+        pieceSquareTables[type].forEach((_, index) => add(`pieceSquareTables.${type}.${index}`, pieceSquareTables[type], index));
+      }
+      for (const phase of ['midgame', 'endgame']) {
+        kingSquareTables[phase].forEach((_, index) => add(`kingSquareTables.${phase}.${index}`, kingSquareTables[phase], index));
+      }
+      for (const key of Object.keys(evalWeights)) add('evalWeights.' + key, evalWeights, key);
+      evalParameterSlots = { names, slots, index: new Map(names.map((name, index) => [name, index])) };
+    }
+    return evalParameterSlots;
+  }
+
+  function evalParameterNames() {
+    return evalParameterLayout().names.slice();
+  }
+
+  function getEvalParameters() {
+    return Float64Array.from(evalParameterLayout().slots, ([target, key]) => target[key]);
+  }
+
+  function setEvalParameters(vector) {
+    const { names, slots } = evalParameterLayout();
+    if (!vector || vector.length !== slots.length) {
+      throw new Error(`Expected ${slots.length} evaluation parameters, got ${vector ? vector.length : 0}`);
+    }
+    for (let index = 0; index < slots.length; index++) {
+      const value = vector[index];
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Evaluation weight ${names[index]} must be a finite number`);
+      }
+    }
+    slots.forEach(([target, key], index) => {
+      target[key] = vector[index];
+    });
+    boardPsqTable = null;
+  }
+
+  // Accepts a weight set or its JSON text. Sections or entries that are missing keep their current value,
+  // other top-level fields (such as the tuner's summary) are ignored, and unknown weights are rejected.
+  function setEvalWeights(weights) {
+    const source = typeof weights === 'string' ? JSON.parse(weights) : weights;
+    if (!source || typeof source !== 'object') {
+      throw new Error('Evaluation weights must be an object or JSON text');
+    }
+    const { index } = evalParameterLayout();
+    const vector = getEvalParameters();
+    let count = 0;
+    const visit = (name, value) => {
+      if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => visit(name + '.' + key, value[key]));
+        return;
+      }
+      if (name === 'pieceValues.k') return;
+      const slot = index.get(name);
+      if (slot === undefined) throw new Error(`Unknown evaluation weight ${name}`);
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Evaluation weight ${name} must be a finite number`);
+      }
+      vector[slot] = value;
+      count += 1;
+    };
+    for (const section of EVAL_WEIGHT_SECTIONS) {
+      if (source[section] !== undefined) visit(section, source[section]);
+    }
+    setEvalParameters(vector);
+    return count;
+  }
+
+  function resetEvalWeights() {
+    return setEvalWeights(DEFAULT_EVAL_WEIGHTS);
+  }
+
+  const coreCenterSquares = new Set(['d4', 'd5', 'e4', 'e5']);
+  const extendedCenterSquares = new Set(['c3', 'c4', 'c5', 'c6', 'd3', 'e3', 'f3', 'f4', 'f5', 'f6', 'd6', 'e6']);
+  const minorPieceStartSquares = new Set(['b1', 'g1', 'c1', 'f1', 'b8', 'g8', 'c8', 'f8']);
+  const flankFiles = new Set(['a', 'h']);
+
+  function createEvaluationContext(game) {
+    return evaluationContextFromMoves(game.history({ verbose: true }), game.fen());
+  }
+
+  // history is the verbose chess.js move list that led to fen
+  function evaluationContextFromMoves(history, fen) {
+    // positions loaded from a FEN carry no history, so fall back to the move counter
+    const moveCount = Math.max(history.length, fenPlyIndex(fen));
+    const flankCounts = { w: Object.create(null), b: Object.create(null) };
+    const repeatedFlankMoves = { w: 0, b: 0 };
+    let whiteCastled = false;
+    let blackCastled = false;
+    let whiteKingMoved = false;
+    let blackKingMoved = false;
+
+    history.forEach((move, index) => {
+      if (move.piece === 'k') {
+        if (move.color === 'w') whiteKingMoved = true;
+        else blackKingMoved = true;
+        if (move.san === 'O-O' || move.san === 'O-O-O') {
+          if (move.color === 'w') whiteCastled = true;
+          else blackCastled = true;
+        }
+      }
+
+      if (index < 20 && move.piece === 'p' && flankFiles.has(move.from[0])) {
+        const map = flankCounts[move.color];
+        const file = move.from[0];
+        map[file] = (map[file] || 0) + 1;
+        if (map[file] > 1) {
+          repeatedFlankMoves[move.color] += 1;
+        }
+      }
+    });
+
+    return {
+      moveCount,
+      history,
+      repeatedFlankMoves,
+      castled: { w: whiteCastled, b: blackCastled },
+      kingMoved: { w: whiteKingMoved, b: blackKingMoved }
+    };
+  }
+
+  // Native 0x88 board for the search. chess.js stays for SAN and verbose moves at the root; everything
+  // below the root runs on this board with integer moves and make/unmake.
+  const PAWN = 1;
+  const KNIGHT = 2;
+  const BISHOP = 3;
+  const ROOK = 4;
+  const QUEEN = 5;
+  const KING = 6;
+  const WHITE = 0;
+  const BLACK = 8;
+  const BOARD_PIECE_TYPES = ' pnbrqk';
+  const KNIGHT_OFFSETS = [-33, -31, -18, -14, 14, 18, 31, 33];
+  const KING_OFFSETS = [-17, -16, -15, -1, 1, 15, 16, 17];
+  const BISHOP_OFFSETS = [-17, -15, 15, 17];
+  const ROOK_OFFSETS = [-16, -1, 1, 16];
+  const PHASE_WEIGHTS = [0, 0, 1, 1, 2, 4, 0];
+  const MAX_BOARD_PLY = 256;
+
+  // move layout: from (bits 0-6), to (7-13), promotion type (14-16), flags (17-22),
+  // captured type (23-25), moving type (26-28), gives check (29)
+  const MOVE_CAPTURE = 1 << 17;
+  const MOVE_BIG_PAWN = 1 << 18;
+  const MOVE_EN_PASSANT = 1 << 19;
+  const MOVE_PROMOTION = 1 << 20;
+  const MOVE_KING_CASTLE = 1 << 21;
+  const MOVE_QUEEN_CASTLE = 1 << 22;
+  const MOVE_CHECK = 1 << 29;
+  const MOVE_KEY_MASK = (1 << 17) - 1;
+
+  function encodeMove(from, to, piece, captured, promotion, flags) {
+    return from | (to << 7) | (promotion << 14) | flags | (captured << 23) | (piece << 26);
+  }
+
+  function moveFrom(move) {
+    return move & 127;
+  }
+
+  function moveTo(move) {
+    return (move >> 7) & 127;
+  }
+
+  function movePromotion(move) {
+    return (move >> 14) & 7;
+  }
+
+  function moveCaptured(move) {
+    return (move >> 23) & 7;
+  }
+
+  function movePiece(move) {
+    return (move >> 26) & 7;
+  }
+
+  function boardSquareName(square) {
+    return String.fromCharCode(97 + (square & 7)) + ((square >> 4) + 1);
+  }
+
+  function moveToUci(move) {
+    const promotion = movePromotion(move);
+    return boardSquareName(moveFrom(move)) + boardSquareName(moveTo(move)) + (promotion ? BOARD_PIECE_TYPES[promotion] : '');
+  }
+
+  // per-square bits for the named square sets the evaluation and move ordering look up
+  const SQUARE_CORE_CENTER = 1;
+  const SQUARE_EXTENDED_CENTER = 2;
+  const SQUARE_MINOR_START = 4;
+  const SQUARE_FLANK_FILE = 8;
+  let boardSquareFlagTable = null;
+
+  function boardSquareFlags() {
+    if (!boardSquareFlagTable) {
+      boardSquareFlagTable = new Uint8Array(128);
+      for (let square = 0; square < 128; square++) {
+        if (square & 0x88) continue;
+        const name = boardSquareName(square);
+        let flags = 0;
+        if (coreCenterSquares.has(name)) flags |= SQUARE_CORE_CENTER;
+        if (extendedCenterSquares.has(name)) flags |= SQUARE_EXTENDED_CENTER;
+        if (minorPieceStartSquares.has(name)) flags |= SQUARE_MINOR_START;
+        if (flankFiles.has(name[0])) flags |= SQUARE_FLANK_FILE;
+        boardSquareFlagTable[square] = flags;
+      }
+    }
+    return boardSquareFlagTable;
+  }
+
+  function centerBonusFor(squareFlags) {
+    if (squareFlags & SQUARE_CORE_CENTER) return evalWeights.coreCenter;
+    return squareFlags & SQUARE_EXTENDED_CENTER ? evalWeights.extendedCenter : 0;
+  }
+
+  // material, piece-square value and center bonus per piece code and square, signed for white;
+  // kings only carry the center bonus here because their table blends with the game phase
+  let boardPsqTable = null;
+
+  function boardPsq() {
+    if (!boardPsqTable) {
+      const flags = boardSquareFlags();
+      boardPsqTable = new Float64Array(16 * 128);
+      for (const color of [WHITE, BLACK]) {
+        for (let type = PAWN; type <= KING; type++) {
+          const piece = { type: BOARD_PIECE_TYPES[type], color: color === WHITE ? 'w' : 'b' };
+          for (let square = 0; square < 128; square++) {
+            if (square & 0x88) continue;
+            let value = centerBonusFor(flags[square]);
+            if (type !== KING) {
+              value += (pieceValues[piece.type] || 0) + pieceSquareValue(piece, 7 - (square >> 4), square & 7, 1);
+            }
+            boardPsqTable[(type | color) * 128 + square] = color === WHITE ? value : -value;
+          }
+        }
+      }
+    }
+    return boardPsqTable;
+  }
+
+  // castling rights that survive a move touching each square, as a KQkq bit mask
+  function castlingMaskFor(square) {
+    if (square === 4) return 15 & ~3;
+    if (square === 7) return 15 & ~1;
+    if (square === 0) return 15 & ~2;
+    if (square === 116) return 15 & ~12;
+    if (square === 119) return 15 & ~4;
+    if (square === 112) return 15 & ~8;
+    return 15;
+  }
+
+  // the Zobrist halves live on the board as hi/lo, so it can be handed to ttProbe/ttStore directly
+  function createBoard(fen) {
+    const fields = String(fen || '').trim().split(/\s+/);
+    const hash = createZobristState(fen);
+    const board = {
+      squares: new Int8Array(128),
+      turn: fields[1] === 'b' ? BLACK : WHITE,
+      castling: hash.castling,
+      ep: /^[a-h][36]$/.test(fields[3] || '') ? (fields[3].charCodeAt(1) - 49) * 16 + (fields[3].charCodeAt(0) - 97) : -1,
+      halfmove: parseInt(fields[4], 10) || 0,
+      fullmove: parseInt(fields[5], 10) || 1,
+      kings: [-1, -1],
+      psq: 0,
+      phase: 0,
+      hi: hash.hi,
+      lo: hash.lo,
+      ply: 0,
+      // keys of the game positions before this one, oldest first; see setBoardHistory
+      history: [],
+      undo: {
+        moves: new Int32Array(MAX_BOARD_PLY),
+        castling: new Uint8Array(MAX_BOARD_PLY),
+        ep: new Int16Array(MAX_BOARD_PLY),
+        halfmove: new Int16Array(MAX_BOARD_PLY),
+        hi: new Int32Array(MAX_BOARD_PLY),
+        lo: new Int32Array(MAX_BOARD_PLY),
+        psq: new Float64Array(MAX_BOARD_PLY),
+        phase: new Int8Array(MAX_BOARD_PLY)
+      }
+    };
+    const psq = boardPsq();
+    fenSquares(fen).forEach((ch, index) => {
+      if (!ch) return;
+      const lower = ch.toLowerCase();
+      const type = BOARD_PIECE_TYPES.indexOf(lower);
+      if (type < PAWN) return;
+      const piece = type | (ch === lower ? BLACK : WHITE);
+      const square = ((index >> 3) << 4) | (index & 7);
+      board.squares[square] = piece;
+      board.psq += psq[piece * 128 + square];
+      board.phase += PHASE_WEIGHTS[type];
+      if (type === KING) board.kings[piece >> 3] = square;
+    });
+    return board;
+  }
+
+  function boardZobristIndex(piece, square) {
+    const kind = ((piece & 7) - 1) * 2 + (piece & BLACK ? 0 : 1);
+    return 64 * kind + ((square >> 4) << 3) + (square & 7);
+  }
+
+  function removeBoardPiece(board, square) {
+    const piece = board.squares[square];
+    const keys = zobristTables();
+    const index = boardZobristIndex(piece, square);
+    board.hi ^= keys.hi[index];
+    board.lo ^= keys.lo[index];
+    board.psq -= boardPsq()[piece * 128 + square];
+    board.phase -= PHASE_WEIGHTS[piece & 7];
+    board.squares[square] = 0;
+  }
+
+  function placeBoardPiece(board, square, piece) {
+    const keys = zobristTables();
+    const index = boardZobristIndex(piece, square);
+    board.hi ^= keys.hi[index];
+    board.lo ^= keys.lo[index];
+    board.psq += boardPsq()[piece * 128 + square];
+    board.phase += PHASE_WEIGHTS[piece & 7];
+    board.squares[square] = piece;
+    if ((piece & 7) === KING) board.kings[piece >> 3] = square;
+  }
+
+  function toggleBoardKey(board, index) {
+    const keys = zobristTables();
+    board.hi ^= keys.hi[index];
+    board.lo ^= keys.lo[index];
+  }
+
+  // plays a pseudo-legal move; the caller checks legality and must pair it with unmakeMove
+  function makeMove(board, move) {
+    const undo = board.undo;
+    const ply = board.ply;
+    undo.moves[ply] = move;
+    undo.castling[ply] = board.castling;
+    undo.ep[ply] = board.ep;
+    undo.halfmove[ply] = board.halfmove;
+    undo.hi[ply] = board.hi;
+    undo.lo[ply] = board.lo;
+    undo.psq[ply] = board.psq;
+    undo.phase[ply] = board.phase;
+    board.ply = ply + 1;
+
+    const us = board.turn;
+    const from = moveFrom(move);
+    const to = moveTo(move);
+    const piece = board.squares[from];
+    const promotion = movePromotion(move);
+
+    removeBoardPiece(board, from);
+    if (move & MOVE_EN_PASSANT) {
+      removeBoardPiece(board, to + (us === WHITE ? -16 : 16));
+    } else if (board.squares[to]) {
+      removeBoardPiece(board, to);
+    }
+    placeBoardPiece(board, to, promotion ? promotion | us : piece);
+    if (move & MOVE_KING_CASTLE) {
+      removeBoardPiece(board, to + 1);
+      placeBoardPiece(board, to - 1, ROOK | us);
+    } else if (move & MOVE_QUEEN_CASTLE) {
+      removeBoardPiece(board, to - 2);
+      placeBoardPiece(board, to + 1, ROOK | us);
+    }
+
+    const castling = board.castling & castlingMaskFor(from) & castlingMaskFor(to);
+    for (let bit = 0; bit < 4; bit++) {
+      if ((board.castling ^ castling) & (1 << bit)) toggleBoardKey(board, 768 + bit);
+    }
+    board.castling = castling;
+    if (board.ep !== -1) toggleBoardKey(board, 772 + (board.ep & 7));
+    board.ep = move & MOVE_BIG_PAWN ? (from + to) >> 1 : -1;
+    if (board.ep !== -1) toggleBoardKey(board, 772 + (board.ep & 7));
+    board.halfmove = (piece & 7) === PAWN || (move & MOVE_CAPTURE) ? 0 : board.halfmove + 1;
+    if (us === BLACK) board.fullmove += 1;
+    board.turn = us ^ BLACK;
+    toggleBoardKey(board, 780);
+  }
+
+  function unmakeMove(board) {
+    const undo = board.undo;
+    const ply = board.ply - 1;
+    const move = undo.moves[ply];
+    board.ply = ply;
+    board.castling = undo.castling[ply];
+    board.ep = undo.ep[ply];
+    board.halfmove = undo.halfmove[ply];
+    board.hi = undo.hi[ply];
+    board.lo = undo.lo[ply];
+    board.psq = undo.psq[ply];
+    board.phase = undo.phase[ply];
+    board.turn ^= BLACK;
+    if (!move) return;
+    const us = board.turn;
+    if (us === BLACK) board.fullmove -= 1;
+
+    const squares = board.squares;
+    const from = moveFrom(move);
+    const to = moveTo(move);
+    const piece = movePromotion(move) ? PAWN | us : squares[to];
+    squares[from] = piece;
+    squares[to] = 0;
+    const captured = moveCaptured(move);
+    if (move & MOVE_EN_PASSANT) {
+      squares[to + (us === WHITE ? -16 : 16)] = PAWN | (us ^ BLACK);
+    } else if (captured) {
+      squares[to] = captured | (us ^ BLACK);
+    }
+    if (move & MOVE_KING_CASTLE) {
+      squares[to + 1] = squares[to - 1];
+      squares[to - 1] = 0;
+    } else if (move & MOVE_QUEEN_CASTLE) {
+      squares[to - 2] = squares[to + 1];
+      squares[to + 1] = 0;
+    }
+    if ((piece & 7) === KING) board.kings[us >> 3] = from;
+  }
+
+  // passes the turn for null-move pruning; unmakeMove takes it back like any other move
+  function makeNullMove(board) {
+    const undo = board.undo;
+    const ply = board.ply;
+    undo.moves[ply] = 0;
+    undo.castling[ply] = board.castling;
+    undo.ep[ply] = board.ep;
+    undo.halfmove[ply] = board.halfmove;
+    undo.hi[ply] = board.hi;
+    undo.lo[ply] = board.lo;
+    undo.psq[ply] = board.psq;
+    undo.phase[ply] = board.phase;
+    board.ply = ply + 1;
+    if (board.ep !== -1) toggleBoardKey(board, 772 + (board.ep & 7));
+    board.ep = -1;
+    // no repetition reaches back across a null move
+    board.halfmove = 0;
+    board.turn ^= BLACK;
+    toggleBoardKey(board, 780);
+  }
+
+  // a side with only king and pawns is the one most likely to be in zugzwang
+  function hasNonPawnMaterial(board, color) {
+    for (let square = 0; square < 128; square++) {
+      if (square & 0x88) {
+        square += 7;
+        continue;
+      }
+      const piece = board.squares[square];
+      if (piece && (piece & BLACK) === color && (piece & 7) !== PAWN && (piece & 7) !== KING) return true;
+    }
+    return false;
+  }
+
+  function isSquareAttacked(board, square, byColor) {
+    if (square < 0) return false;
+    const squares = board.squares;
+    const pawn = PAWN | byColor;
+    const pawnFrom = byColor === WHITE ? -16 : 16;
+    for (const side of [-1, 1]) {
+      const origin = square + pawnFrom + side;
+      if (!(origin & 0x88) && squares[origin] === pawn) return true;
+    }
+    for (const offset of KNIGHT_OFFSETS) {
+      const origin = square + offset;
+      if (!(origin & 0x88) && squares[origin] === (KNIGHT | byColor)) return true;
+    }
+    for (const offset of KING_OFFSETS) {
+      const origin = square + offset;
+      if (!(origin & 0x88) && squares[origin] === (KING | byColor)) return true;
+    }
+    for (const offset of BISHOP_OFFSETS) {
+      for (let origin = square + offset; !(origin & 0x88); origin += offset) {
+        const piece = squares[origin];
+        if (!piece) continue;
+        if (piece === (BISHOP | byColor) || piece === (QUEEN | byColor)) return true;
+        break;
+      }
+    }
+    for (const offset of ROOK_OFFSETS) {
+      for (let origin = square + offset; !(origin & 0x88); origin += offset) {
+        const piece = squares[origin];
+        if (!piece) continue;
+        if (piece === (ROOK | byColor) || piece === (QUEEN | byColor)) return true;
+        break;
+      }
+    }
+    return false;
+  }
+
+  // every square holding a byColor piece that attacks square, pawns first and the king last
+  function attackersOf(board, square, byColor) {
+    const attackers = [];
+    if (square < 0) return attackers;
+    const squares = board.squares;
+    const pawnFrom = byColor === WHITE ? -16 : 16;
+    for (const side of [-1, 1]) {
+      const origin = square + pawnFrom + side;
+      if (!(origin & 0x88) && squares[origin] === (PAWN | byColor)) attackers.push(origin);
+    }
+    for (const offset of KNIGHT_OFFSETS) {
+      const origin = square + offset;
+      if (!(origin & 0x88) && squares[origin] === (KNIGHT | byColor)) attackers.push(origin);
+    }
+    for (const offsets of [BISHOP_OFFSETS, ROOK_OFFSETS]) {
+      const slider = offsets === BISHOP_OFFSETS ? BISHOP : ROOK;
+      for (const offset of offsets) {
+        for (let origin = square + offset; !(origin & 0x88); origin += offset) {
+          const piece = squares[origin];
+          if (!piece) continue;
+          if (piece === (slider | byColor) || piece === (QUEEN | byColor)) attackers.push(origin);
+          break;
+        }
+      }
+    }
+    for (const offset of KING_OFFSETS) {
+      const origin = square + offset;
+      if (!(origin & 0x88) && squares[origin] === (KING | byColor)) attackers.push(origin);
+    }
+    return attackers;
+  }
+
+  function inCheck(board) {
+    return isSquareAttacked(board, board.kings[board.turn >> 3], board.turn ^ BLACK);
+  }
+
+  // the king counts as far more than anything it could win, so it only ever takes last
+  const SEE_KING_VALUE = 50;
+
+  function seePieceValue(type) {
+    return type === KING ? SEE_KING_VALUE : pieceValues[BOARD_PIECE_TYPES[type]];
+  }
+
+  // Static exchange evaluation: the material the side to move gains (in pawns, negative for a loss) when
+  // move starts a sequence of captures on its destination, each side recapturing with its least valuable
+  // piece and free to stop. Attackers are lifted off the board as they capture, so sliders behind them
+  // (x-rays) join in. Pins are ignored. The board is left as it was.
+  function staticExchange(board, move) {
+    const squares = board.squares;
+    const from = moveFrom(move);
+    const to = moveTo(move);
+    const promotion = movePromotion(move);
+    const lifted = [from, squares[from]];
+    const gain = [(move & MOVE_EN_PASSANT ? seePieceValue(PAWN) : seePieceValue(moveCaptured(move)) || 0) +
+      (promotion ? seePieceValue(promotion) - seePieceValue(PAWN) : 0)];
+    let onSquare = promotion ? seePieceValue(promotion) : seePieceValue(movePiece(move));
+    squares[from] = 0;
+    if (move & MOVE_EN_PASSANT) {
+      const victim = to + (board.turn === WHITE ? -16 : 16);
+      lifted.push(victim, squares[victim]);
+      squares[victim] = 0;
+    }
+
+    let side = board.turn ^ BLACK;
+    for (let depth = 1; ; depth++) {
+      let attacker = -1;
+      let attackerValue = Infinity;
+      for (const square of attackersOf(board, to, side)) {
+        const value = seePieceValue(squares[square] & 7);
+        if (value < attackerValue) {
+          attacker = square;
+          attackerValue = value;
+        }
+      }
+      if (attacker === -1) break;
+      gain[depth] = onSquare - gain[depth - 1];
+      onSquare = attackerValue;
+      lifted.push(attacker, squares[attacker]);
+      squares[attacker] = 0;
+      side ^= BLACK;
+    }
+    for (let i = lifted.length - 2; i >= 0; i -= 2) squares[lifted[i]] = lifted[i + 1];
+    for (let depth = gain.length - 1; depth > 0; depth--) {
+      gain[depth - 1] = -Math.max(-gain[depth - 1], gain[depth]);
+    }
+    return gain[0];
+  }
+
+  // staticExchange for a move given as SAN, UCI or { from, to, promotion }; null when it is not legal in fen
+  function staticExchangeForMove(fen, move) {
+    let uci = null;
+    if (move && typeof move === 'object') {
+      uci = String(move.from || '') + String(move.to || '') + (move.promotion || '');
+    } else if (/^[a-h][1-8][a-h][1-8][qrbn]?$/i.test(String(move || '').trim())) {
+      uci = String(move).trim();
+    } else if (typeof move === 'string') {
+      try {
+        const parsed = createChessInstance(fen).move(move.trim(), { sloppy: true });
+        if (parsed) uci = parsed.from + parsed.to + (parsed.promotion || '');
+      } catch (err) {
+        uci = null;
+      }
+    }
+    if (!uci) return null;
+    uci = uci.toLowerCase();
+    const board = createBoard(fen);
+    const native = generateLegalMoves(board).find(candidate => moveToUci(candidate) === uci);
+    return native ? staticExchange(board, native) : null;
+  }
+
+  function addPawnMoves(moves, from, to, captured, flags, promotionRank) {
+    if ((to >> 4) === promotionRank) {
+      for (const promotion of [QUEEN, ROOK, BISHOP, KNIGHT]) {
+        moves.push(encodeMove(from, to, PAWN, captured, promotion, flags | MOVE_PROMOTION));
+      }
+    } else {
+      moves.push(encodeMove(from, to, PAWN, captured, 0, flags));
+    }
+  }
+
+  // pseudo-legal moves for side (the side to move by default); kings may be left in check
+  function generatePseudoMoves(board, side = board.turn) {
+    const moves = [];
+    const squares = board.squares;
+    const them = side ^ BLACK;
+    const forward = side === WHITE ? 16 : -16;
+    const startRank = side === WHITE ? 1 : 6;
+    const promotionRank = side === WHITE ? 7 : 0;
+    const ep = side === board.turn ? board.ep : -1;
+
+    for (let from = 0; from < 128; from++) {
+      if (from & 0x88) {
+        from += 7;
+        continue;
+      }
+      const piece = squares[from];
+      if (!piece || (piece & BLACK) !== side) continue;
+      const type = piece & 7;
+      if (type === PAWN) {
+        const one = from + forward;
+        if (!(one & 0x88) && !squares[one]) {
+          addPawnMoves(moves, from, one, 0, 0, promotionRank);
+          const two = one + forward;
+          if ((from >> 4) === startRank && !squares[two]) moves.push(encodeMove(from, two, PAWN, 0, 0, MOVE_BIG_PAWN));
+        }
+        for (const offset of [forward - 1, forward + 1]) {
+          const to = from + offset;
+          if (to & 0x88) continue;
+          const target = squares[to];
+          if (target && (target & BLACK) === them) {
+            addPawnMoves(moves, from, to, target & 7, MOVE_CAPTURE, promotionRank);
+          } else if (!target && to === ep) {
+            moves.push(encodeMove(from, to, PAWN, PAWN, 0, MOVE_CAPTURE | MOVE_EN_PASSANT));
+          }
+        }
+        continue;
+      }
+
+      const offsets = type === KNIGHT ? KNIGHT_OFFSETS
+        : type === BISHOP ? BISHOP_OFFSETS
+          : type === ROOK ? ROOK_OFFSETS
+            : KING_OFFSETS;
+      const slides = type === BISHOP || type === ROOK || type === QUEEN;
+      for (const offset of offsets) {
+        for (let to = from + offset; !(to & 0x88); to += offset) {
+          const target = squares[to];
+          if (!target) {
+            moves.push(encodeMove(from, to, type, 0, 0, 0));
+          } else {
+            if ((target & BLACK) === them) moves.push(encodeMove(from, to, type, target & 7, 0, MOVE_CAPTURE));
+            break;
+          }
+          if (!slides) break;
+        }
+      }
+    }
+
+    const home = side === WHITE ? 0 : 112;
+    const rights = side === WHITE ? board.castling & 3 : (board.castling >> 2) & 3;
+    if (rights && squares[home + 4] === (KING | side) && !isSquareAttacked(board, home + 4, them)) {
+      if ((rights & 1) && squares[home + 7] === (ROOK | side) && !squares[home + 5] && !squares[home + 6] &&
+        !isSquareAttacked(board, home + 5, them) && !isSquareAttacked(board, home + 6, them)) {
+        moves.push(encodeMove(home + 4, home + 6, KING, 0, 0, MOVE_KING_CASTLE));
+      }
+      if ((rights & 2) && squares[home] === (ROOK | side) && !squares[home + 3] && !squares[home + 2] && !squares[home + 1] &&
+        !isSquareAttacked(board, home + 3, them) && !isSquareAttacked(board, home + 2, them)) {
+        moves.push(encodeMove(home + 4, home + 2, KING, 0, 0, MOVE_QUEEN_CASTLE));
+      }
+    }
+    return moves;
+  }
+
+  // legal moves for the side to move, with MOVE_CHECK set on the ones that give check
+  function generateLegalMoves(board) {
+    const legal = [];
+    const us = board.turn;
+    for (const move of generatePseudoMoves(board)) {
+      makeMove(board, move);
+      if (!isSquareAttacked(board, board.kings[us >> 3], board.turn)) {
+        legal.push(isSquareAttacked(board, board.kings[board.turn >> 3], us) ? move | MOVE_CHECK : move);
+      }
+      unmakeMove(board);
+    }
+    return legal;
+  }
+
+  function hasLegalMove(board) {
+    const us = board.turn;
+    for (const move of generatePseudoMoves(board)) {
+      makeMove(board, move);
+      const legal = !isSquareAttacked(board, board.kings[us >> 3], board.turn);
+      unmakeMove(board);
+      if (legal) return true;
+    }
+    return false;
+  }
+
+  // the standard perft positions with their node counts by depth (index 0 is depth 1)
+  const PERFT_POSITIONS = [
+    { name: 'start', fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', nodes: [20, 400, 8902, 197281, 4865609] },
+    { name: 'kiwipete', fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1', nodes: [48, 2039, 97862, 4085603] },
+    { name: 'en passant pins', fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1', nodes: [14, 191, 2812, 43238, 674624] },
+    { name: 'promotions and castling', fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1', nodes: [6, 264, 9467, 422333] },
+    { name: 'promotions and castling (mirrored)', fen: 'r2q1rk1/pP1p2pp/Q4n2/bbp1p3/Np6/1B3NBn/pPPP1PPP/R3K2R b KQ - 0 1', nodes: [6, 264, 9467, 422333] },
+    { name: 'underpromotion checks', fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8', nodes: [44, 1486, 62379, 2103487] },
+    { name: 'middlegame', fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10', nodes: [46, 2079, 89890, 3894594] },
+    { name: 'promotion race', fen: 'n1n5/PPPk4/8/8/8/8/4Kppp/5N1N b - - 0 1', nodes: [24, 496, 9483, 182838] }
+  ];
+
+  function boardPerft(board, depth) {
+    const moves = generateLegalMoves(board);
+    if (depth <= 1) return moves.length;
+    let nodes = 0;
+    for (const move of moves) {
+      makeMove(board, move);
+      nodes += boardPerft(board, depth - 1);
+      unmakeMove(board);
+    }
+    return nodes;
+  }
+
+  // chess.js 0.10.x ships its own perft; the recursive fallback covers builds without it
+  function chessPerft(game, depth) {
+    if (depth <= 0) return 1;
+    if (typeof game.perft === 'function') return game.perft(depth);
+    const moves = game.moves({ verbose: true });
+    if (depth === 1) return moves.length;
+    let nodes = 0;
+    for (const move of moves) {
+      game.move(move);
+      nodes += chessPerft(game, depth - 1);
+      game.undo();
+    }
+    return nodes;
+  }
+
+  // Perft: the number of leaf nodes of the legal move tree, the standard check for a move generator.
+  // options.generator is 'board' (the engine's 0x88 generator, default) or 'chessjs'. divide lists every
+  // root move in UCI with its own count, which narrows a wrong total down to one move.
+  function perft(fen, depth, options = {}) {
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw new Error('Perft depth must be a positive integer');
+    }
+    const generator = options.generator === 'chessjs' ? 'chessjs' : 'board';
+    const game = createGameFromFen(fen || DEFAULT_START_FEN);
+    const started = Date.now();
+    const divide = [];
+    if (generator === 'board') {
+      const board = createBoard(game.fen());
+      for (const move of generateLegalMoves(board)) {
+        makeMove(board, move);
+        divide.push({ move: moveToUci(move), nodes: depth === 1 ? 1 : boardPerft(board, depth - 1) });
+        unmakeMove(board);
+      }
+    } else {
+      for (const move of game.moves({ verbose: true })) {
+        game.move(move);
+        divide.push({ move: move.from + move.to + (move.promotion || ''), nodes: chessPerft(game, depth - 1) });
+        game.undo();
+      }
+    }
+    divide.sort((a, b) => (a.move < b.move ? -1 : (a.move > b.move ? 1 : 0)));
+    return {
+      fen: game.fen(),
+      depth,
+      generator,
+      nodes: divide.reduce((sum, entry) => sum + entry.nodes, 0),
+      ms: Date.now() - started,
+      divide
+    };
+  }
+
+  // Runs PERFT_POSITIONS (or options.positions) on each generator in options.generators (both by default)
+  // at the deepest depth whose count stays within options.maxNodes (200000). When the generators disagree,
+  // mismatches compares their divides move by move. options.onPosition(result, index, total) reports progress.
+  function runPerftSuite(options = {}) {
+    const generators = Array.isArray(options.generators) && options.generators.length ? options.generators : ['board', 'chessjs'];
+    const maxNodes = Number.isFinite(options.maxNodes) && options.maxNodes > 0 ? options.maxNodes : 200000;
+    const suite = Array.isArray(options.positions) ? options.positions : PERFT_POSITIONS;
+    const positions = suite.map((position, index) => {
+      let depth = 1;
+      while (depth < position.nodes.length && position.nodes[depth] <= maxNodes) depth += 1;
+      const expected = position.nodes[depth - 1];
+      const runs = generators.map(generator => perft(position.fen, depth, { generator }));
+      const results = {};
+      for (const run of runs) {
+        results[run.generator] = { nodes: run.nodes, ms: run.ms, ok: run.nodes === expected };
+      }
+      const mismatches = [];
+      for (let i = 1; i < runs.length; i++) {
+        if (runs[i].nodes === runs[0].nodes) continue;
+        const counts = new Map();
+        for (const run of [runs[0], runs[i]]) {
+          for (const entry of run.divide) {
+            if (!counts.has(entry.move)) counts.set(entry.move, {});
+            counts.get(entry.move)[run.generator] = entry.nodes;
+          }
+        }
+        counts.forEach((byGenerator, move) => {
+          if (byGenerator[runs[0].generator] !== byGenerator[runs[i].generator]) mismatches.push({ move, ...byGenerator });
+        });
+      }
+      const result = { name: position.name, fen: position.fen, depth, expected, results, mismatches };
+      if (typeof options.onPosition === 'function') options.onPosition(result, index, suite.length);
+      return result;
+    });
+    return {
+      passed: positions.every(result => Object.values(result.results).every(run => run.ok)),
+      positions
+    };
+  }
+
+  // Only positions since the last capture or pawn move can recur, and only with the same side to move:
+  // the search stack in board.undo is checked first, then the game positions in board.history.
+  function isRepetition(board) {
+    const undo = board.undo;
+    for (let back = 2; back <= board.halfmove; back += 2) {
+      const index = board.ply - back;
+      if (index >= 0) {
+        if (undo.hi[index] === board.hi && undo.lo[index] === board.lo) return true;
+        continue;
+      }
+      const entry = board.history[board.history.length + index];
+      if (!entry) return false;
+      if (entry.hi === board.hi && entry.lo === board.lo) return true;
+    }
+    return false;
+  }
+
+  // bare kings, a single minor piece, or bishops that all stand on squares of one colour
+  function isInsufficientMaterial(board) {
+    if (board.phase > 2) return false;
+    let minors = 0;
+    let knights = 0;
+    let bishopColors = 0;
+    for (let square = 0; square < 128; square++) {
+      if (square & 0x88) {
+        square += 7;
+        continue;
+      }
+      const type = board.squares[square] & 7;
+      if (!type || type === KING) continue;
+      if (type === PAWN || type === ROOK || type === QUEEN) return false;
+      minors += 1;
+      if (type === KNIGHT) knights += 1;
+      else bishopColors |= 1 << (((square >> 4) + (square & 7)) & 1);
+    }
+    return minors <= 1 || (knights === 0 && bishopColors !== 3);
+  }
+
+  function isRuleDraw(board) {
+    return board.halfmove >= 100 || isInsufficientMaterial(board);
+  }
+
+  function setBoardHistory(board, fens) {
+    board.history = (fens || []).map(fen => {
+      const hash = createZobristState(fen);
+      return { hi: hash.hi, lo: hash.lo };
+    });
+    return board;
+  }
+
+  // The game positions since the last capture or pawn move, oldest first, with the moves played from
+  // them in UCI. Earlier positions can never repeat. The moves are taken back and replayed on the game.
+  function recentGameHistory(game) {
+    const halfmove = parseInt(String(game.fen()).split(/\s+/)[4], 10) || 0;
+    const undone = [];
+    while (undone.length < halfmove) {
+      const move = game.undo();
+      if (!move) break;
+      undone.unshift(move);
+    }
+    const fens = [];
+    const moves = [];
+    for (const move of undone) {
+      fens.push(game.fen());
+      moves.push(move.from + move.to + (move.promotion || ''));
+      game.move({ from: move.from, to: move.to, promotion: move.promotion });
+    }
+    return { fens, moves };
+  }
+
+  function pieceSquareValue(piece, rowIndex, colIndex, kingPhaseWeight) {
+    if (piece.type === 'k') {
+      const index = rowIndex * 8 + colIndex;
+      const mirrored = (7 - rowIndex) * 8 + colIndex;
+      const mid = kingSquareTables.midgame[piece.color === 'w' ? index : mirrored] || 0;
+      const end = kingSquareTables.endgame[piece.color === 'w' ? index : mirrored] || 0;
+      return mid * kingPhaseWeight + end * (1 - kingPhaseWeight);
+    }
+
+    const table = pieceSquareTables[piece.type];
+    if (!table) return 0;
+    const directIndex = rowIndex * 8 + colIndex;
+    if (piece.color === 'w') {
+      return table[directIndex] || 0;
+    }
+    const mirroredIndex = (7 - rowIndex) * 8 + colIndex;
+    return table[mirroredIndex] || 0;
+  }
+
+  const EVAL_TERMS = [
+    'material', 'pieceSquare', 'center', 'bishopPair', 'rookFiles', 'doubledPawns', 'isolatedPawns', 'passedPawns',
+    'kingShield', 'kingExposure', 'development', 'flankPawns', 'castling', 'mobility', 'tempo'
+  ];
+
+  // White-relative pawns. With options.trace it returns { total, terms } instead, where every term has
+  // { w, b, net }: what it is worth to each side (positive is good for that side) and w - b.
+  function evaluatePosition(game, context, options) {
+    const trace = options && options.trace ? { total: 0, terms: {} } : null;
+    if (!game || typeof game.fen !== 'function') return trace || 0;
+    const value = evaluateBoard(createBoard(game.fen()), context || createEvaluationContext(game), trace);
+    return trace || value;
+  }
+
+  function traceTerm(trace, name, side, value) {
+    const term = trace.terms[name] || (trace.terms[name] = { w: 0, b: 0, net: 0 });
+    if (side === 0) term.w += value;
+    else term.b += value;
+    term.net = term.w - term.b;
+  }
+
+  // Mobility counts pseudo-legal moves for each side, so it never needs a second board.
+  // trace, when given, collects every term per side as evaluatePosition describes.
+  function evaluateBoard(board, evalContext, trace) {
+    const squares = board.squares;
+    const flags = boardSquareFlags();
+    const kingPhaseWeight = Math.min(1, board.phase / 24);
+    // material, piece-square values and center bonuses are kept up to date by make/unmake
+    let total = board.psq;
+    if (trace) {
+      for (const name of EVAL_TERMS) traceTerm(trace, name, 0, 0);
+    }
+
+    const fileCounts = [new Int8Array(8), new Int8Array(8)];
+    const pawns = [[], []];
+    const rooks = [[], []];
+    const bishops = [0, 0];
+    const minorsOnHome = [0, 0];
+
+    for (let square = 0; square < 128; square++) {
+      if (square & 0x88) {
+        square += 7;
+        continue;
+      }
+      const piece = squares[square];
+      if (!piece) continue;
+      const side = piece >> 3;
+      const type = piece & 7;
+      if (trace) {
+        const centerBonus = centerBonusFor(flags[square]);
+        const value = boardPsq()[piece * 128 + square] * (side === 0 ? 1 : -1);
+        const material = type === KING ? 0 : pieceValues[BOARD_PIECE_TYPES[type]];
+        traceTerm(trace, 'material', side, material);
+        traceTerm(trace, 'center', side, centerBonus);
+        traceTerm(trace, 'pieceSquare', side, value - material - centerBonus);
+      }
+      if (type === PAWN) {
+        fileCounts[side][square & 7] += 1;
+        pawns[side].push(square);
+      } else if (type === ROOK) {
+        rooks[side].push(square);
+      } else if (type === BISHOP) {
+        bishops[side] += 1;
+      }
+      if ((type === KNIGHT || type === BISHOP) && (flags[square] & SQUARE_MINOR_START)) {
+        minorsOnHome[side] += 1;
+      }
+    }
+
+    const [whiteKing, blackKing] = board.kings;
+    if (whiteKing !== -1) {
+      const value = pieceSquareValue({ type: 'k', color: 'w' }, 7 - (whiteKing >> 4), whiteKing & 7, kingPhaseWeight);
+      total += value;
+      if (trace) traceTerm(trace, 'pieceSquare', 0, value);
+    }
+    if (blackKing !== -1) {
+      const value = pieceSquareValue({ type: 'k', color: 'b' }, 7 - (blackKing >> 4), blackKing & 7, kingPhaseWeight);
+      total -= value;
+      if (trace) traceTerm(trace, 'pieceSquare', 1, value);
+    }
+
+    const bishopPairBonus = evalWeights.bishopPair;
+    if (bishops[0] >= 2) total += bishopPairBonus;
+    if (bishops[1] >= 2) total -= bishopPairBonus;
+    if (trace) {
+      traceTerm(trace, 'bishopPair', 0, bishops[0] >= 2 ? bishopPairBonus : 0);
+      traceTerm(trace, 'bishopPair', 1, bishops[1] >= 2 ? bishopPairBonus : 0);
+    }
+
+    for (const side of [0, 1]) {
+      for (const square of rooks[side]) {
+        const friendlyPawns = fileCounts[side][square & 7];
+        const enemyPawns = fileCounts[1 - side][square & 7];
+        let bonus = 0;
+        if (enemyPawns === 0) {
+          bonus += friendlyPawns === 0 ? evalWeights.rookOpenFile : evalWeights.rookSemiOpenFile;
+        }
+        if (flags[square] & SQUARE_EXTENDED_CENTER) {
+          bonus += evalWeights.rookCenter;
+        }
+        total += side === 0 ? bonus : -bonus;
+        if (trace) traceTerm(trace, 'rookFiles', side, bonus);
+      }
+    }
+
+    const doubledPenalty = evalWeights.doubledPawn;
+    const isolatedPenalty = evalWeights.isolatedPawn;
+
+    for (const side of [0, 1]) {
+      const sign = side === 0 ? 1 : -1;
+      for (let file = 0; file < 8; file++) {
+        const count = fileCounts[side][file];
+        if (count > 1) {
+          total -= sign * doubledPenalty * (count - 1);
+          if (trace) traceTerm(trace, 'doubledPawns', side, -doubledPenalty * (count - 1));
+        }
+        if (count > 0 && isIsolatedFile(fileCounts[side], file)) {
+          total -= sign * isolatedPenalty;
+          if (trace) traceTerm(trace, 'isolatedPawns', side, -isolatedPenalty);
+        }
+      }
+
+      for (const pawn of pawns[side]) {
+        const advancement = passedPawnAdvancement(pawns[1 - side], side, pawn);
+        if (advancement < 0) continue;
+        const bonus = evalWeights.passedPawn + advancement * evalWeights.passedPawnAdvance;
+        total += sign * bonus;
+        if (trace) traceTerm(trace, 'passedPawns', side, bonus);
+      }
+    }
+
+    const shield = [
+      kingShieldCount(squares, WHITE, whiteKing) * evalWeights.kingShield,
+      kingShieldCount(squares, BLACK, blackKing) * evalWeights.kingShield
+    ];
+    total += shield[0] - shield[1];
+    if (trace) {
+      traceTerm(trace, 'kingShield', 0, shield[0]);
+      traceTerm(trace, 'kingShield', 1, shield[1]);
+    }
+
+    const exposure = [
+      kingExposureCount(squares, whiteKing) * evalWeights.kingExposure,
+      kingExposureCount(squares, blackKing) * evalWeights.kingExposure
+    ];
+    total -= exposure[0] - exposure[1];
+    if (trace) {
+      traceTerm(trace, 'kingExposure', 0, -exposure[0]);
+      traceTerm(trace, 'kingExposure', 1, -exposure[1]);
+    }
+
+    const moveCount = evalContext.moveCount;
+    const openingPhase = moveCount < 20;
+
+    if (openingPhase) {
+      const minorPenaltyBase = evalWeights.undevelopedMinor + Math.max(0, 18 - moveCount) * evalWeights.undevelopedMinorEarly;
+      total -= minorsOnHome[0] * minorPenaltyBase;
+      total += minorsOnHome[1] * minorPenaltyBase;
+      if (trace) {
+        traceTerm(trace, 'development', 0, -minorsOnHome[0] * minorPenaltyBase);
+        traceTerm(trace, 'development', 1, -minorsOnHome[1] * minorPenaltyBase);
+      }
+    }
+
+    const flankPenalty = evalWeights.flankPawn;
+    total -= evalContext.repeatedFlankMoves.w * flankPenalty;
+    total += evalContext.repeatedFlankMoves.b * flankPenalty;
+    if (trace) {
+      traceTerm(trace, 'flankPawns', 0, -evalContext.repeatedFlankMoves.w * flankPenalty);
+      traceTerm(trace, 'flankPawns', 1, -evalContext.repeatedFlankMoves.b * flankPenalty);
+    }
+
+    // king still on e1/d1 (e8/d8)
+    const uncastledPenalty = evalWeights.uncastled + Math.max(0, moveCount - 12) * evalWeights.uncastledLate;
+    const castling = [evalContext.castled.w ? evalWeights.castled : 0, evalContext.castled.b ? evalWeights.castled : 0];
+    if (isUncastledKing(evalContext, 'w', whiteKing)) castling[0] -= uncastledPenalty;
+    if (isUncastledKing(evalContext, 'b', blackKing)) castling[1] -= uncastledPenalty;
+    total += castling[0] - castling[1];
+    if (trace) {
+      traceTerm(trace, 'castling', 0, castling[0]);
+      traceTerm(trace, 'castling', 1, castling[1]);
+    }
+
+    const mobilityScale = evalWeights.mobility;
+    const mobility = [generatePseudoMoves(board, WHITE).length * mobilityScale, generatePseudoMoves(board, BLACK).length * mobilityScale];
+    total += mobility[0] - mobility[1];
+    if (trace) {
+      traceTerm(trace, 'mobility', 0, mobility[0]);
+      traceTerm(trace, 'mobility', 1, mobility[1]);
+    }
+
+    const tempoBonus = evalWeights.tempo;
+    total += board.turn === WHITE ? tempoBonus : -tempoBonus;
+    if (trace) {
+      traceTerm(trace, 'tempo', board.turn >> 3, tempoBonus);
+      trace.total = total;
+    }
+
+    return total;
+  }
+
+  // The evaluation is linear in every weight, so a position reduces to one coefficient per parameter and
+  // evaluateBoard equals their dot product with getEvalParameters(). Keyed by parameter index; keep it in
+  // step with evaluateBoard (collectTuningPositions checks every sample).
+  function evaluationFeatures(board, evalContext) {
+    const { index } = evalParameterLayout();
+    const features = new Map();
+    const add = (name, value) => {
+      if (!value) return;
+      const slot = index.get(name);
+      features.set(slot, (features.get(slot) || 0) + value);
+    };
+    const squares = board.squares;
+    const flags = boardSquareFlags();
+    const kingPhaseWeight = Math.min(1, board.phase / 24);
+    const fileCounts = [new Int8Array(8), new Int8Array(8)];
+    const pawns = [[], []];
+    const rooks = [[], []];
+    const bishops = [0, 0];
+    const minorsOnHome = [0, 0];
+
+    for (let square = 0; square < 128; square++) {
+      if (square & 0x88) {
+        square += 7;
+        continue;
+      }
+      const piece = squares[square];
+      if (!piece) continue;
+      const side = piece >> 3;
+      const type = piece & 7;
+      const sign = side === 0 ? 1 : -1;
+      const rowIndex = 7 - (square >> 4);
+      const tableIndex = (side === 0 ? rowIndex : 7 - rowIndex) * 8 + (square & 7);
+      if (flags[square] & SQUARE_CORE_CENTER) add('evalWeights.coreCenter', sign);
+      else if (flags[square] & SQUARE_EXTENDED_CENTER) add('evalWeights.extendedCenter', sign);
+      if (type === KING) {
+        add('kingSquareTables.midgame.' + tableIndex, sign * kingPhaseWeight);
+        add('kingSquareTables.endgame.' + tableIndex, sign * (1 - kingPhaseWeight));
+      } else {
+        add('pieceValues.' + BOARD_PIECE_TYPES[type], sign);
+        add(`pieceSquareTables.${BOARD_PIECE_TYPES[type]}.${tableIndex}`, sign);
+      }
+      if (type === PAWN) {
+        fileCounts[side][square & 7] += 1;
+        pawns[side].push(square);
+      } else if (type === ROOK) {
+        rooks[side].push(square);
+      } else if (type === BISHOP) {
+        bishops[side] += 1;
+      }
+      if ((type === KNIGHT || type === BISHOP) && (flags[square] & SQUARE_MINOR_START)) {
+        minorsOnHome[side] += 1;
+      }
+    }
+
+    add('evalWeights.bishopPair', (bishops[0] >= 2 ? 1 : 0) - (bishops[1] >= 2 ? 1 : 0));
+    for (const side of [0, 1]) {
+      const sign = side === 0 ? 1 : -1;
+      for (const square of rooks[side]) {
+        if (fileCounts[1 - side][square & 7] === 0) {
+          add(fileCounts[side][square & 7] === 0 ? 'evalWeights.rookOpenFile' : 'evalWeights.rookSemiOpenFile', sign);
+        }
+        if (flags[square] & SQUARE_EXTENDED_CENTER) add('evalWeights.rookCenter', sign);
+      }
+      for (let file = 0; file < 8; file++) {
+        const count = fileCounts[side][file];
+        if (count > 1) add('evalWeights.doubledPawn', -sign * (count - 1));
+        if (count > 0 && isIsolatedFile(fileCounts[side], file)) add('evalWeights.isolatedPawn', -sign);
+      }
+      for (const pawn of pawns[side]) {
+        const advancement = passedPawnAdvancement(pawns[1 - side], side, pawn);
+        if (advancement < 0) continue;
+        add('evalWeights.passedPawn', sign);
+        add('evalWeights.passedPawnAdvance', sign * advancement);
+      }
+    }
+
+    const [whiteKing, blackKing] = board.kings;
+    add('evalWeights.kingShield', kingShieldCount(squares, WHITE, whiteKing) - kingShieldCount(squares, BLACK, blackKing));
+    add('evalWeights.kingExposure', kingExposureCount(squares, blackKing) - kingExposureCount(squares, whiteKing));
+
+    const moveCount = evalContext.moveCount;
+    if (moveCount < 20) {
+      const undeveloped = minorsOnHome[1] - minorsOnHome[0];
+      add('evalWeights.undevelopedMinor', undeveloped);
+      add('evalWeights.undevelopedMinorEarly', undeveloped * Math.max(0, 18 - moveCount));
+    }
+    add('evalWeights.flankPawn', evalContext.repeatedFlankMoves.b - evalContext.repeatedFlankMoves.w);
+    add('evalWeights.castled', (evalContext.castled.w ? 1 : 0) - (evalContext.castled.b ? 1 : 0));
+    const lateUncastled = Math.max(0, moveCount - 12);
+    for (const [color, kingSquare, sign] of [['w', whiteKing, 1], ['b', blackKing, -1]]) {
+      if (!isUncastledKing(evalContext, color, kingSquare)) continue;
+      add('evalWeights.uncastled', -sign);
+      add('evalWeights.uncastledLate', -sign * lateUncastled);
+    }
+    add('evalWeights.mobility', generatePseudoMoves(board, WHITE).length - generatePseudoMoves(board, BLACK).length);
+    add('evalWeights.tempo', board.turn === WHITE ? 1 : -1);
+    return features;
+  }
+
+  function isIsolatedFile(counts, file) {
+    return !(file > 0 && counts[file - 1] > 0) && !(file < 7 && counts[file + 1] > 0);
+  }
+
+  // ranks a passed pawn has advanced beyond its first push, or -1 when an enemy pawn stops it
+  function passedPawnAdvancement(enemyPawns, side, pawn) {
+    const rank = (pawn >> 4) + 1;
+    for (const enemyPawn of enemyPawns) {
+      if (Math.abs((enemyPawn & 7) - (pawn & 7)) > 1) continue;
+      const enemyRank = (enemyPawn >> 4) + 1;
+      if (side === 0 ? enemyRank >= rank : enemyRank <= rank) return -1;
+    }
+    return Math.max(0, side === 0 ? rank - 2 : 7 - rank);
+  }
+
+  function kingShieldCount(squares, color, kingSquare) {
+    if (kingSquare === -1) return 0;
+    const shieldRank = kingSquare + (color === WHITE ? 16 : -16);
+    if (shieldRank & 0x88) return 0;
+    let shield = 0;
+    for (let offset = -1; offset <= 1; offset++) {
+      const square = shieldRank + offset;
+      if (!(square & 0x88) && squares[square] === (PAWN | color)) shield += 1;
+    }
+    return shield;
+  }
+
+  // empty squares orthogonally next to the king
+  function kingExposureCount(squares, kingSquare) {
+    if (kingSquare === -1) return 0;
+    let exposed = 0;
+    for (const offset of ROOK_OFFSETS) {
+      const square = kingSquare + offset;
+      if (!(square & 0x88) && !squares[square]) exposed += 1;
+    }
+    return exposed;
+  }
+
+  function isUncastledKing(evalContext, color, kingSquare) {
+    const home = color === 'w' ? [4, 3] : [116, 115];
+    return !evalContext.castled[color] && evalContext.moveCount < 30 && home.includes(kingSquare);
+  }
+
+  const MATE_SCORE = 1000;
+  const MATE_THRESHOLD = 900;
+
+  // search scores are pawns, with mates encoded as MATE_SCORE minus the ply count
+  function searchScoreToScore(score) {
+    const value = typeof score === 'number' && Number.isFinite(score) ? score : 0;
+    if (Math.abs(value) >= MATE_THRESHOLD) {
+      const moves = Math.max(1, Math.ceil((MATE_SCORE - Math.abs(value)) / 2));
+      return { type: 'mate', value: value > 0 ? moves : -moves };
+    }
+    return { type: 'cp', value };
+  }
+
+  function formatUciScore(score) {
+    const normalized = searchScoreToScore(score);
+    if (normalized.type === 'mate') return 'mate ' + normalized.value;
+    return 'cp ' + Math.round(normalized.value * 100);
+  }
+
+  function evaluateForPerspective(position, perspective, context) {
+    const value = evaluatePosition(position, context);
+    return perspective === 'w' ? value : -value;
+  }
+
+  // Zobrist keys reuse the Polyglot table, split into 32-bit halves so hashing stays on plain integers
+  let zobristKeyTables = null;
+
+  function zobristTables() {
+    if (!zobristKeyTables) {
+      const hi = new Int32Array(POLYGLOT_RANDOM64.length);
+      const lo = new Int32Array(POLYGLOT_RANDOM64.length);
+      POLYGLOT_RANDOM64.forEach((hex, index) => {
+        hi[index] = parseInt(hex.slice(0, 8), 16) | 0;
+        lo[index] = parseInt(hex.slice(8), 16) | 0;
+      });
+      zobristKeyTables = { hi, lo };
+    }
+    return zobristKeyTables;
+  }
+
+  // castling is a KQkq bit mask; unlike Polyglot, any en-passant square chess.js reports is hashed
+  function createZobristState(fen) {
+    const { hi: HI, lo: LO } = zobristTables();
+    const fields = String(fen || '').trim().split(/\s+/);
+    let hi = 0;
+    let lo = 0;
+    fenSquares(fen).forEach((piece, square) => {
+      const kind = piece ? POLYGLOT_PIECE_KINDS.indexOf(piece) : -1;
+      if (kind === -1) return;
+      hi ^= HI[64 * kind + square];
+      lo ^= LO[64 * kind + square];
+    });
+    let castling = 0;
+    ['K', 'Q', 'k', 'q'].forEach((flag, bit) => {
+      if (!(fields[2] || '').includes(flag)) return;
+      castling |= 1 << bit;
+      hi ^= HI[768 + bit];
+      lo ^= LO[768 + bit];
+    });
+    const ep = /^[a-h][36]$/.test(fields[3] || '') ? fields[3].charCodeAt(0) - 97 : -1;
+    if (ep !== -1) {
+      hi ^= HI[772 + ep];
+      lo ^= LO[772 + ep];
+    }
+    if (fields[1] !== 'b') {
+      hi ^= HI[780];
+      lo ^= LO[780];
+    }
+    return { hi, lo, castling, ep };
+  }
+
+  const DEFAULT_HASH_MB = 16;
+  const TT_ENTRY_BYTES = 24;
+  const TT_EXACT = 1;
+  const TT_LOWER = 2;
+  const TT_UPPER = 3;
+
+  // two-slot buckets in parallel typed arrays, sized to the largest power of two that fits in sizeMb
+  function createTranspositionTable(sizeMb = DEFAULT_HASH_MB) {
+    const megabytes = Number.isFinite(sizeMb) && sizeMb > 0 ? sizeMb : DEFAULT_HASH_MB;
+    let size = 2;
+    while (size * 2 * TT_ENTRY_BYTES <= megabytes * 1024 * 1024) size *= 2;
+    return {
+      sizeMb: megabytes,
+      size,
+      mask: size - 2,
+      age: 0,
+      keyHi: new Int32Array(size),
+      keyLo: new Int32Array(size),
+      values: new Float64Array(size),
+      moves: new Int32Array(size),
+      depths: new Int8Array(size),
+      flags: new Uint8Array(size),
+      ages: new Uint8Array(size)
+    };
+  }
+
+  function clearTranspositionTable(table) {
+    table.flags.fill(0);
+    table.age = 0;
+  }
+
+  // entries written by earlier searches become the first candidates for replacement
+  function newTranspositionSearch(table) {
+    table.age = (table.age + 1) & 255;
+  }
+
+  // mate scores are stored relative to the node so they stay valid when the position recurs at another ply
+  function ttValueToStore(value, ply) {
+    if (value > MATE_THRESHOLD) return value + ply;
+    if (value < -MATE_THRESHOLD) return value - ply;
+    return value;
+  }
+
+  function ttValueFromStore(value, ply) {
+    if (value > MATE_THRESHOLD) return value - ply;
+    if (value < -MATE_THRESHOLD) return value + ply;
+    return value;
+  }
+
+  function ttProbe(table, hash, ply) {
+    const bucket = hash.lo & table.mask;
+    for (let slot = bucket; slot < bucket + 2; slot++) {
+      if (table.flags[slot] && table.keyLo[slot] === hash.lo && table.keyHi[slot] === hash.hi) {
+        table.ages[slot] = table.age;
+        return {
+          depth: table.depths[slot],
+          value: ttValueFromStore(table.values[slot], ply),
+          flag: table.flags[slot],
+          move: table.moves[slot]
+        };
+      }
+    }
+    return null;
+  }
+
+  function ttStore(table, hash, ply, depth, value, flag, move) {
+    const bucket = hash.lo & table.mask;
+    let target = -1;
+    let sameKey = false;
+    for (let slot = bucket; slot < bucket + 2; slot++) {
+      if (table.flags[slot] && table.keyLo[slot] === hash.lo && table.keyHi[slot] === hash.hi) {
+        // keep a deeper result for the same position unless it is left over from an older search
+        if (table.depths[slot] > depth && table.ages[slot] === table.age && flag !== TT_EXACT) return;
+        target = slot;
+        sameKey = true;
+        break;
+      }
+    }
+    if (target === -1) {
+      // prefer an empty slot, then a stale one, then the shallower of the two
+      for (let slot = bucket; slot < bucket + 2 && target === -1; slot++) {
+        if (!table.flags[slot]) target = slot;
+      }
+      for (let slot = bucket; slot < bucket + 2 && target === -1; slot++) {
+        if (table.ages[slot] !== table.age) target = slot;
+      }
+      if (target === -1) target = table.depths[bucket] <= table.depths[bucket + 1] ? bucket : bucket + 1;
+    }
+    table.keyHi[target] = hash.hi;
+    table.keyLo[target] = hash.lo;
+    table.values[target] = ttValueToStore(value, ply);
+    table.moves[target] = move || (sameKey ? table.moves[target] : 0);
+    table.depths[target] = Math.max(-128, Math.min(127, depth));
+    table.flags[target] = flag;
+    table.ages[target] = table.age;
+  }
+
+  // permille of sampled slots written by the current search, as UCI hashfull reports it
+  function ttHashfull(table) {
+    const sample = Math.min(1000, table.size);
+    let used = 0;
+    for (let slot = 0; slot < sample; slot++) {
+      if (table.flags[slot] && table.ages[slot] === table.age) used++;
+    }
+    return Math.round((used * 1000) / sample);
+  }
+
+  let sharedTranspositionTable = null;
+
+  function getSharedTranspositionTable(sizeMb = DEFAULT_HASH_MB) {
+    if (!sharedTranspositionTable || sharedTranspositionTable.sizeMb !== sizeMb) {
+      sharedTranspositionTable = createTranspositionTable(sizeMb);
+    }
+    return sharedTranspositionTable;
+  }
+
+  // from, to and promotion of a native move, without the flag bits
+  function moveKey(move) {
+    return move & MOVE_KEY_MASK;
+  }
+
+  function createSearchMeta() {
+    return {
+      killerMoves: new Map(),
+      historyScores: new Map(),
+      orderingScores: new Map()
+    };
+  }
+
+  function killerMoveScore(searchMeta, ply, move) {
+    if (!searchMeta) return 0;
+    const list = searchMeta.killerMoves.get(ply);
+    if (!list) return 0;
+    const key = moveKey(move);
+    for (let i = 0; i < list.length; i++) {
+      if (list[i] === key) {
+        return 3 - i;
+      }
+    }
+    return 0;
+  }
+
+  function recordKillerMove(searchMeta, ply, move) {
+    if (!searchMeta) return;
+    if (move & (MOVE_CAPTURE | MOVE_PROMOTION)) return;
+    const key = moveKey(move);
+    let list = searchMeta.killerMoves.get(ply);
+    if (!list) {
+      list = [];
+      searchMeta.killerMoves.set(ply, list);
+    }
+    if (list.includes(key)) return;
+    list.unshift(key);
+    if (list.length > 2) list.length = 2;
+  }
+
+  function updateHistoryScore(searchMeta, move, depth) {
+    if (!searchMeta) return;
+    if (move & (MOVE_CAPTURE | MOVE_PROMOTION)) return;
+    const key = moveKey(move);
+    const current = searchMeta.historyScores.get(key) || 0;
+    searchMeta.historyScores.set(key, current + depth * depth);
+  }
+
+  function historyScore(searchMeta, move) {
+    if (!searchMeta) return 0;
+    const value = searchMeta.historyScores.get(moveKey(move)) || 0;
+    return Math.min(3.5, value / 220);
+  }
+
+  function orderingMapFor(searchMeta, ply) {
+    if (!searchMeta) return null;
+    let map = searchMeta.orderingScores.get(ply);
+    if (!map) {
+      map = new Map();
+      searchMeta.orderingScores.set(ply, map);
+    } else {
+      map.clear();
+    }
+    return map;
+  }
+
+  function storeOrderingScore(orderMap, move, score) {
+    if (!orderMap) return;
+    orderMap.set(moveKey(move), score);
+  }
+
+  function lookupOrderingScore(searchMeta, ply, move) {
+    if (!searchMeta) return 0;
+    const map = searchMeta.orderingScores.get(ply);
+    if (!map) return 0;
+    return map.get(moveKey(move)) || 0;
+  }
+
+  // expects moves from generateLegalMoves, which carry the check bit
+  function isForcingMove(move) {
+    return (move & (MOVE_CAPTURE | MOVE_PROMOTION | MOVE_CHECK)) !== 0;
+  }
+
+  const CAPTURE_WEIGHTS = [0, 1, 2, 2, 3, 4, 6];
+  // drops a capture that loses material below the quiet moves
+  const LOSING_CAPTURE_PENALTY = 15;
+
+  function movePriority(board, move, context, preferenceMap, searchMeta, ply) {
+    let score = 0;
+    if (preferenceMap) {
+      const pref = preferenceMap.get(moveKey(move));
+      if (pref !== undefined) {
+        score += 60 - pref;
+      }
+    }
+
+    if (searchMeta) {
+      score += killerMoveScore(searchMeta, ply, move);
+      score += historyScore(searchMeta, move);
+    }
+
+    const captured = moveCaptured(move);
+    if (captured) score += 4 + CAPTURE_WEIGHTS[captured];
+    if ((move & MOVE_CAPTURE) && !(move & MOVE_EN_PASSANT)) score += 1.5;
+    if (move & MOVE_PROMOTION) score += 6;
+    // 3.2 for the castling flag plus 3.8 for castling itself
+    if (move & (MOVE_KING_CASTLE | MOVE_QUEEN_CASTLE)) score += 7;
+
+    const openingPhase = context ? context.moveCount < 16 : false;
+    const veryEarly = context ? context.moveCount < 8 : false;
+    const flags = boardSquareFlags();
+    const piece = movePiece(move);
+    const fromFlags = flags[moveFrom(move)];
+    const toFlags = flags[moveTo(move)];
+
+    if ((piece === KNIGHT || piece === BISHOP) && (fromFlags & SQUARE_MINOR_START)) {
+      score += openingPhase ? 1.6 : 0.5;
+      if (toFlags & SQUARE_CORE_CENTER) score += 0.65;
+      else if (toFlags & SQUARE_EXTENDED_CENTER) score += 0.45;
+    }
+
+    if (piece === PAWN) {
+      if (toFlags & SQUARE_CORE_CENTER) score += 0.7;
+      else if (toFlags & SQUARE_EXTENDED_CENTER) score += 0.35;
+
+      if (fromFlags & SQUARE_FLANK_FILE) {
+        score -= openingPhase ? 1.1 : 0.3;
+        if (veryEarly) score -= 0.7;
+      }
+    } else if (toFlags & SQUARE_CORE_CENTER) {
+      score += 0.45;
+    } else if (toFlags & SQUARE_EXTENDED_CENTER) {
+      score += 0.27;
+    }
+
+    if (move & MOVE_CHECK) {
+      makeMove(board, move);
+      const mate = !hasLegalMove(board);
+      unmakeMove(board);
+      score += mate ? 5.6 : 3.1;
+    }
+    // a losing capture goes to the back of the list; a quiet move pays for the piece it leaves en prise
+    const exchange = staticExchange(board, move);
+    if (exchange < 0) score += (move & MOVE_CAPTURE ? -LOSING_CAPTURE_PENALTY : 0) + exchange;
+
+    return score;
+  }
+
+  // only the root keeps its ordering scores; deeper plies never read theirs back
+  function orderedMoves(board, context, preferenceMap, searchMeta, ply = 0, captureOnly = false, legalMoves = null) {
+    const moves = legalMoves || generateLegalMoves(board);
+    const orderMap = ply === 0 ? orderingMapFor(searchMeta, ply) : null;
+    const scored = [];
+    for (const move of moves) {
+      if (captureOnly && !isForcingMove(move)) continue;
+      const value = movePriority(board, move, context, preferenceMap, searchMeta, ply);
+      storeOrderingScore(orderMap, move, value);
+      scored.push({ move, value });
+    }
+    scored.sort((a, b) => b.value - a.value);
+    return scored.map(entry => entry.move);
+  }
+
+  function evaluateBoardForSide(board, context) {
+    const value = evaluateBoard(board, context);
+    return board.turn === WHITE ? value : -value;
+  }
+
+  // scores are negamax-relative: every node evaluates for its own side to move
+  function evaluateTerminalState(board, plyCount, context, legalCount) {
+    if (legalCount === 0) {
+      return inCheck(board) ? -(MATE_SCORE - plyCount) : 0;
+    }
+    if (isRuleDraw(board)) return 0;
+    return evaluateBoardForSide(board, context);
+  }
+
+  // thrown out of the search when it has to stop, so no half-searched node reaches the table
+  const SEARCH_ABORTED = { reason: 'search aborted' };
+  // iterative deepening stops here when only the clock, a node count or stop ends the search
+  const MAX_SEARCH_DEPTH = 64;
+  // check extensions keep the depth up, so a perpetual check would otherwise recurse until the board's undo stack ran out
+  const MAX_SEARCH_PLY = 96;
+  // scores are fractional pawns, so a zero-width window is this wide
+  const SEARCH_EPSILON = 0.001;
+  // by remaining depth: how far below alpha the static evaluation must be before quiet moves are skipped
+  const FUTILITY_MARGINS = [0, 1.5, 3.5];
+  // half-width of the first root window around the previous depth's score
+  const ASPIRATION_WINDOW = 0.35;
+  const PRUNING_STATS = ['nullCutoffs', 'futilityPruned', 'lmrReductions', 'lmrResearches', 'pvsResearches', 'aspirationResearches', 'seePruned'];
+
+  function countPruning(stats, name) {
+    stats[name] = (stats[name] || 0) + 1;
+  }
+
+  function quiescence(board, alpha, beta, plyCount, stats, context, deadline, nowFn, searchMeta, limit = 6, shouldStop) {
+    if ((shouldStop && shouldStop()) || (deadline && nowFn && nowFn() > deadline)) {
+      stats.timeouts = (stats.timeouts || 0) + 1;
+      throw SEARCH_ABORTED;
+    }
+    stats.nodes += 1;
+    const legalMoves = generateLegalMoves(board);
+    // a drawn game is over, whatever captures would follow
+    if (legalMoves.length && isRuleDraw(board)) return 0;
+    const standPat = evaluateTerminalState(board, plyCount, context, legalMoves.length);
+    if (standPat >= beta) return beta;
+    if (standPat > alpha) alpha = standPat;
+    if (limit <= 0) return standPat;
+
+    const captureMoves = orderedMoves(board, context, null, searchMeta, plyCount, true, legalMoves);
+    for (const move of captureMoves) {
+      // captures that lose material cannot raise the stand-pat score
+      if ((move & MOVE_CAPTURE) && !(move & (MOVE_PROMOTION | MOVE_CHECK)) && staticExchange(board, move) < 0) {
+        countPruning(stats, 'seePruned');
+        continue;
+      }
+      makeMove(board, move);
+      const score = -quiescence(board, -beta, -alpha, plyCount + 1, stats, context, deadline, nowFn, searchMeta, limit - 1, shouldStop);
+      unmakeMove(board);
+      if (score >= beta) return beta;
+      if (score > alpha) alpha = score;
+    }
+    return alpha;
+  }
+
+  // Principal variation search: the first move gets the full window and every later one a zero window,
+  // re-searched only when it beats alpha. Non-PV nodes may also prune with a null move (not in check and
+  // not with king and pawns alone) and skip quiet non-checking moves near the horizon when the static
+  // evaluation is too far below alpha. Late quiet moves are reduced and searched again at full depth
+  // when they beat alpha. The board carries its own Zobrist key, so the table is probed with the board itself.
+  function negamax(board, depth, alpha, beta, table, plyCount, stats, context, deadline, nowFn, searchMeta, shouldStop, allowNull = true) {
+    if ((shouldStop && shouldStop()) || (deadline && nowFn && nowFn() > deadline)) {
+      stats.timeouts = (stats.timeouts || 0) + 1;
+      throw SEARCH_ABORTED;
+    }
+    stats.nodes += 1;
+    if (plyCount >= MAX_SEARCH_PLY) return evaluateBoardForSide(board, context);
+    // a repeated position is scored as a draw straight away: whoever wants the draw can repeat again
+    if (isRepetition(board)) return 0;
+    if (isRuleDraw(board)) return evaluateTerminalState(board, plyCount, context, hasLegalMove(board) ? 1 : 0);
+    const cached = ttProbe(table, board, plyCount);
+    if (cached && cached.depth >= depth) {
+      if (cached.flag === TT_EXACT) {
+        return cached.value;
+      }
+      if (cached.flag === TT_LOWER && cached.value > alpha) {
+        alpha = cached.value;
+      } else if (cached.flag === TT_UPPER && cached.value < beta) {
+        beta = cached.value;
+      }
+      if (alpha >= beta) {
+        return cached.value;
+      }
+    }
+
+    if (depth <= 0) {
+      return quiescence(board, alpha, beta, plyCount, stats, context, deadline, nowFn, searchMeta, 6, shouldStop);
+    }
+
+    const moves = orderedMoves(board, context, null, searchMeta, plyCount);
+    if (!moves.length) {
+      const result = evaluateTerminalState(board, plyCount, context, 0);
+      ttStore(table, board, plyCount, depth, result, TT_EXACT, 0);
+      return result;
+    }
+    if (cached && cached.move) {
+      const hashIndex = moves.findIndex(move => moveKey(move) === moveKey(cached.move));
+      if (hashIndex > 0) moves.unshift(moves.splice(hashIndex, 1)[0]);
+    }
+
+    const checked = inCheck(board);
+    const pvNode = beta - alpha > 2 * SEARCH_EPSILON;
+    let futile = false;
+    if (!pvNode && !checked && Math.abs(beta) < MATE_THRESHOLD) {
+      const staticEval = evaluateBoardForSide(board, context);
+      if (allowNull && depth >= 3 && staticEval >= beta && hasNonPawnMaterial(board, board.turn)) {
+        makeNullMove(board);
+        const score = -negamax(board, depth - (depth >= 6 ? 4 : 3), -beta, -beta + SEARCH_EPSILON, table, plyCount + 1, stats, context, deadline, nowFn, searchMeta, shouldStop, false);
+        unmakeMove(board);
+        if (score >= beta) {
+          countPruning(stats, 'nullCutoffs');
+          return beta;
+        }
+      }
+      futile = depth < FUTILITY_MARGINS.length && staticEval + FUTILITY_MARGINS[depth] <= alpha;
+    }
+
+    let bestValue = -Infinity;
+    let bestFlag = TT_UPPER;
+    let bestMove = 0;
+    let searched = 0;
+
+    for (let i = 0; i < moves.length; i++) {
+      const move = moves[i];
+      const givesCheck = (move & MOVE_CHECK) !== 0;
+      const quiet = !isForcingMove(move);
+      if (futile && searched > 0 && quiet) {
+        countPruning(stats, 'futilityPruned');
+        continue;
+      }
+      // checks are extended by a ply
+      const nextDepth = givesCheck ? depth : depth - 1;
+      const reduction = quiet && !checked && depth >= 3 && i >= 3
+        ? Math.min(nextDepth - 1, i >= 8 && depth >= 5 ? 2 : 1)
+        : 0;
+
+      makeMove(board, move);
+      let score;
+      if (givesCheck && !hasLegalMove(board)) {
+        score = MATE_SCORE - (plyCount + 1);
+      } else if (searched === 0) {
+        score = -negamax(board, nextDepth, -beta, -alpha, table, plyCount + 1, stats, context, deadline, nowFn, searchMeta, shouldStop);
+      } else {
+        let fullDepth = true;
+        if (reduction > 0) {
+          countPruning(stats, 'lmrReductions');
+          score = -negamax(board, nextDepth - reduction, -alpha - SEARCH_EPSILON, -alpha, table, plyCount + 1, stats, context, deadline, nowFn, searchMeta, shouldStop);
+          fullDepth = score > alpha;
+          if (fullDepth) countPruning(stats, 'lmrResearches');
+        }
+        if (fullDepth) {
+          score = -negamax(board, nextDepth, -alpha - SEARCH_EPSILON, -alpha, table, plyCount + 1, stats, context, deadline, nowFn, searchMeta, shouldStop);
+        }
+        if (score > alpha && score < beta) {
+          countPruning(stats, 'pvsResearches');
+          score = -negamax(board, nextDepth, -beta, -alpha, table, plyCount + 1, stats, context, deadline, nowFn, searchMeta, shouldStop);
+        }
+      }
+      unmakeMove(board);
+      searched += 1;
+
+      if (score > bestValue) {
+        bestValue = score;
+        bestMove = move;
+      }
+      if (score > alpha) {
+        alpha = score;
+        bestFlag = TT_EXACT;
+        updateHistoryScore(searchMeta, move, depth);
+      }
+      if (alpha >= beta) {
+        recordKillerMove(searchMeta, plyCount, move);
+        updateHistoryScore(searchMeta, move, depth);
+        bestFlag = TT_LOWER;
+        break;
+      }
+    }
+
+    ttStore(table, board, plyCount, depth, bestValue, bestFlag, bestMove);
+    return bestValue;
+  }
+
+  function chooseFallbackDepth(moveCount, legalCount) {
+    let depth = 4;
+    if (moveCount < 10) depth += 2;
+    else if (moveCount < 20) depth += 1;
+    if (legalCount <= 12) depth += 1;
+    if (legalCount <= 8) depth += 1;
+    if (legalCount >= 28) depth -= 1;
+    if (legalCount >= 36) depth -= 1;
+    if (moveCount > 60) depth = Math.max(3, depth - 1);
+    return Math.max(3, Math.min(depth, 7));
+  }
+
+  const MOVE_OVERHEAD_MS = 30;
+
+  // Time management for UCI go parameters. Returns { soft, hard } in milliseconds: no new depth is started
+  // once 60% of soft is used, and hard aborts the depth in progress. null means the clock does not bound
+  // the search (infinite, ponder, or only depth/nodes/mate given). Without movestogo the number of moves
+  // still to play is estimated from the ply, and most of the increment is spent on every move.
+  function allocateSearchTime(params, color, ply = 0) {
+    if (!params || params.infinite || params.ponder) return null;
+    if (Number.isFinite(params.movetime) && params.movetime > 0) {
+      const budget = Math.max(1, params.movetime - MOVE_OVERHEAD_MS);
+      return { soft: budget, hard: budget };
+    }
+    const remaining = color === 'b' ? params.btime : params.wtime;
+    if (!Number.isFinite(remaining)) return null;
+    const increment = Math.max(0, (color === 'b' ? params.binc : params.winc) || 0);
+    const movesLeft = Number.isFinite(params.movestogo) && params.movestogo > 0
+      ? Math.min(params.movestogo, 50)
+      : Math.max(20, 45 - Math.floor(ply / 4));
+    const available = Math.max(1, remaining - MOVE_OVERHEAD_MS);
+    // with one move left before the time control nearly all of the clock may go into it
+    const ceiling = available * (movesLeft === 1 ? 0.9 : 0.5);
+    const soft = Math.max(1, Math.min(available / movesLeft + increment * 0.75, ceiling));
+    const hard = Math.max(soft, Math.min(soft * 4, ceiling));
+    return { soft: Math.round(soft), hard: Math.round(hard) };
+  }
+
+  // walks the table's best moves from the board's position and returns them as native moves; the board is restored
+  function principalVariationMoves(board, table, maxLength = 12) {
+    const pv = [];
+    const seen = new Set();
+    for (let depth = 0; depth < maxLength; depth++) {
+      const key = board.hi + ':' + board.lo;
+      if (seen.has(key)) break;
+      seen.add(key);
+      const entry = ttProbe(table, board, 0);
+      if (!entry || !entry.move) break;
+      const next = generateLegalMoves(board).find(candidate => moveKey(candidate) === moveKey(entry.move));
+      if (!next) break;
+      pv.push(next);
+      makeMove(board, next);
+    }
+    for (let i = 0; i < pv.length; i++) unmakeMove(board);
+    return pv;
+  }
+
+  // the same line replayed through chess.js, for SAN and verbose moves
+  function principalVariationFromTable(fen, table, maxLength = 12) {
+    const pv = [];
+    if (!fen) return pv;
+    let chess;
+    try {
+      chess = createChessInstance(fen);
+    } catch (err) {
+      return pv;
+    }
+    for (const next of principalVariationMoves(createBoard(fen), table, maxLength)) {
+      const uci = moveToUci(next);
+      const move = chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] || undefined });
+      if (!move) break;
+      pv.push(move);
+      if (chess.game_over()) break;
+    }
+    return pv;
+  }
+
+  // Iterative deepening as a resumable state machine. step(sliceMs) searches root moves until the slice
+  // runs out and then returns, so a host such as the built-in worker can handle commands in between;
+  // a root move cut off by the slice is searched again on the next step, mostly from the table.
+  // options.onIteration receives { depth, lines, nodes, elapsed, hashfull } after every completed depth.
+  // Besides depth and timeBudget the search can be bounded by options.maxNodes, by options.mate (stop once
+  // a mate in that many moves is found), by options.softTimeBudget (no new depth after 60% of it) and
+  // restricted to options.searchMoves (UCI strings). setLimits() restarts the clock, as ponderhit needs.
+  // options.history lists the FENs before the root for repetition checks; by default they come from the game.
+  function createFallbackSearch(game, options = {}) {
+    const evalContext = createEvaluationContext(game);
+    const searchMeta = createSearchMeta();
+    const board = setBoardHistory(createBoard(game.fen()), Array.isArray(options.history) ? options.history : recentGameHistory(game).fens);
+    const rootFen = game.fen();
+    let rootFilter = Array.isArray(options.searchMoves) && options.searchMoves.length
+      ? new Set(options.searchMoves.map(uci => String(uci).toLowerCase()))
+      : null;
+    const rootMoves = preference => {
+      const moves = orderedMoves(board, evalContext, preference, searchMeta, 0);
+      return rootFilter ? moves.filter(move => rootFilter.has(moveToUci(move))) : moves;
+    };
+    // a searchmoves list that matches nothing legal is ignored rather than leaving nothing to play
+    if (rootFilter && !rootMoves(null).length) rootFilter = null;
+    const initialMoves = rootMoves(null);
+
+    const moveCount = evalContext.moveCount;
+    const preferredDepth = typeof options.depth === 'number' ? Math.max(1, Math.floor(options.depth)) : null;
+    const depthCap = typeof options.maxDepth === 'number' ? Math.max(1, Math.floor(options.maxDepth)) : null;
+    const mateLimit = typeof options.mate === 'number' && options.mate > 0 ? options.mate : null;
+    const depthFloor = typeof options.minDepth === 'number' ? Math.max(1, Math.floor(options.minDepth)) : null;
+    let targetDepth = preferredDepth ?? (mateLimit !== null ? 2 * mateLimit - 1 : chooseFallbackDepth(moveCount, initialMoves.length));
+    if (depthCap !== null) targetDepth = Math.min(targetDepth, depthCap);
+    if (depthFloor !== null) targetDepth = Math.max(targetDepth, depthFloor);
+
+    // one table is kept between calls; bumping its age lets the new search overwrite old entries first
+    const table = options.table || getSharedTranspositionTable(typeof options.hashMb === 'number' ? options.hashMb : DEFAULT_HASH_MB);
+    newTranspositionSearch(table);
+    const stats = { nodes: 0, timeouts: 0 };
+    PRUNING_STATS.forEach(name => { stats[name] = 0; });
+    const preferenceMap = new Map();
+    // lines that get exact scores; the rest of the root moves are only searched to prove they are worse
+    const lineCount = typeof options.multiPv === 'number' ? Math.max(1, Math.floor(options.multiPv)) : 3;
+
+    const nowFn = typeof performance !== 'undefined' && typeof performance.now === 'function'
+      ? () => performance.now()
+      : () => Date.now();
+    const timeBudget = typeof options.timeBudget === 'number' ? Math.max(0, options.timeBudget) : 1700;
+    const startTime = nowFn();
+    let deadline = null;
+    let softDeadline = null;
+    const maxNodes = typeof options.maxNodes === 'number' && options.maxNodes > 0 ? options.maxNodes : null;
+    const hostStop = typeof options.shouldStop === 'function' ? options.shouldStop : null;
+    const shouldStop = hostStop || maxNodes !== null
+      ? () => (hostStop !== null && hostStop()) || (maxNodes !== null && stats.nodes >= maxNodes)
+      : null;
+    const onIteration = typeof options.onIteration === 'function' ? options.onIteration : null;
+
+    function setLimits(limits = {}) {
+      const origin = nowFn();
+      deadline = Number.isFinite(limits.timeBudget) && limits.timeBudget > 0 ? origin + limits.timeBudget : null;
+      softDeadline = Number.isFinite(limits.softTimeBudget) && limits.softTimeBudget > 0 ? origin + limits.softTimeBudget * 0.6 : null;
+    }
+    setLimits({ timeBudget, softTimeBudget: options.softTimeBudget });
+
+    let reachedDepth = 0;
+    let aborted = false;
+    let done = !initialMoves.length;
+    let finalResults = initialMoves.map(move => ({ move, score: 0 }));
+
+    // the iteration in progress
+    let depth = 1;
+    let candidateMoves = null;
+    let index = 0;
+    let iteration = [];
+    let retries = 0;
+
+    function outOfTime() {
+      return (shouldStop && shouldStop()) || (deadline && nowFn() > deadline);
+    }
+
+    // moves that failed low only have an upper bound, below every exact score
+    function rankIteration() {
+      iteration.sort((a, b) => (b.exact - a.exact) || (b.score - a.score));
+    }
+
+    function finishIteration() {
+      rankIteration();
+      finalResults = iteration.map(entry => ({ move: entry.move, score: entry.rawScore }));
+      reachedDepth = depth;
+
+      preferenceMap.clear();
+      iteration.forEach((entry, rank) => {
+        preferenceMap.set(moveKey(entry.move), rank);
+      });
+
+      if (onIteration) {
+        onIteration({
+          depth,
+          nodes: stats.nodes,
+          elapsed: nowFn() - startTime,
+          hashfull: ttHashfull(table),
+          lines: finalResults.map(entry => {
+            makeMove(board, entry.move);
+            const pv = [entry.move].concat(principalVariationMoves(board, table, depth + 4));
+            unmakeMove(board);
+            return { score: entry.score, pv: pv.map(moveToUci) };
+          })
+        });
+      }
+      depth += 1;
+      candidateMoves = null;
+      if (depth > targetDepth) done = true;
+      if (softDeadline !== null && nowFn() >= softDeadline) done = true;
+      if (mateLimit !== null && finalResults.length) {
+        const best = searchScoreToScore(finalResults[0].score);
+        if (best.type === 'mate' && best.value > 0 && best.value <= mateLimit) done = true;
+      }
+    }
+
+    // The first root move is searched in an aspiration window around the previous depth's score and
+    // again with an open window if it falls outside. Until options.multiPv moves have exact scores the
+    // others get open windows too; after that a zero window against the weakest of those lines.
+    // Returns { score, exact }: a move that fails low only has an upper bound.
+    function searchRootMove(nodeDeadline) {
+      const child = (lower, upper) => -negamax(board, depth - 1, -upper, -lower, table, 1, stats, evalContext, nodeDeadline, nowFn, searchMeta, shouldStop);
+      if (!iteration.length) {
+        const previous = reachedDepth && finalResults.length ? finalResults[0].score : null;
+        if (depth >= 4 && previous !== null && Math.abs(previous) < MATE_THRESHOLD) {
+          const lower = previous - ASPIRATION_WINDOW;
+          const upper = previous + ASPIRATION_WINDOW;
+          const score = child(lower, upper);
+          if (score > lower && score < upper) return { score, exact: true };
+          countPruning(stats, 'aspirationResearches');
+        }
+        return { score: child(-Infinity, Infinity), exact: true };
+      }
+      const exactScores = iteration.filter(entry => entry.exact).map(entry => entry.rawScore).sort((a, b) => b - a);
+      if (exactScores.length < lineCount) return { score: child(-Infinity, Infinity), exact: true };
+      const threshold = exactScores[lineCount - 1];
+      const probe = child(threshold, threshold + SEARCH_EPSILON);
+      if (probe <= threshold) return { score: probe, exact: false };
+      countPruning(stats, 'pvsResearches');
+      const score = child(threshold, Infinity);
+      return { score, exact: score > threshold };
+    }
+
+    function stop() {
+      aborted = true;
+      done = true;
+      // a cut-off iteration has only searched the first few moves; keep the last complete one instead
+      if (iteration.length && reachedDepth === 0) {
+        rankIteration();
+        finalResults = iteration.map(entry => ({ move: entry.move, score: entry.rawScore }));
+      }
+    }
+
+    function step(sliceMs = Infinity) {
+      const sliceEnd = Number.isFinite(sliceMs) ? nowFn() + sliceMs * Math.pow(2, Math.min(retries, 4)) : null;
+      const nodeDeadline = sliceEnd !== null && (deadline === null || sliceEnd < deadline) ? sliceEnd : deadline;
+      while (!done) {
+        if (outOfTime()) {
+          stop();
+          break;
+        }
+        if (!candidateMoves) {
+          candidateMoves = rootMoves(preferenceMap);
+          index = 0;
+          iteration = [];
+        }
+        if (index >= candidateMoves.length) {
+          finishIteration();
+          continue;
+        }
+        if (sliceEnd !== null && nowFn() > sliceEnd) break;
+
+        const move = candidateMoves[index];
+        makeMove(board, move);
+        let searched;
+        try {
+          if ((move & MOVE_CHECK) && !hasLegalMove(board)) {
+            searched = { score: MATE_SCORE - 1, exact: true };
+          } else {
+            searched = searchRootMove(nodeDeadline);
+          }
+        } catch (err) {
+          if (err !== SEARCH_ABORTED) throw err;
+          while (board.ply > 0) unmakeMove(board);
+          if (outOfTime()) {
+            stop();
+          } else {
+            // only the slice ran out: give the host a turn and retry this move with a longer slice
+            retries += 1;
+          }
+          break;
+        }
+        unmakeMove(board);
+        retries = 0;
+
+        const { score, exact } = searched;
+        const checkBonus = move & MOVE_CHECK ? 0.25 : 0;
+        const orderBoost = lookupOrderingScore(searchMeta, 0, move) * 0.02;
+        iteration.push({ move, rawScore: score, score: score + checkBonus + orderBoost, exact });
+        index += 1;
+      }
+      return { done, depth: reachedDepth };
+    }
+
+    // back to chess.js verbose moves (with SAN) for everything outside the search
+    function result() {
+      if (!initialMoves.length) {
+        return { best: null, details: [], depth: 0, considered: 0, elapsed: 0, aborted: false };
+      }
+      const details = finalResults.map(entry => {
+        const clone = createChessInstance(rootFen);
+        const uci = moveToUci(entry.move);
+        const pvMoves = [];
+        const first = clone.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] || undefined });
+        if (first) {
+          pvMoves.push(first);
+          const continuation = principalVariationFromTable(clone.fen(), table, targetDepth + 4);
+          pvMoves.push(...continuation);
+        }
+        return {
+          move: first,
+          score: entry.score,
+          pv: pvMoves,
+          pvSan: pvMoves.map(m => m.san)
+        };
+      }).filter(entry => entry.move);
+
+      return {
+        best: details[0] || null,
+        details,
+        depth: reachedDepth,
+        considered: stats.nodes,
+        aborted,
+        elapsed: nowFn() - startTime,
+        timeouts: stats.timeouts || 0,
+        hashfull: ttHashfull(table),
+        pruning: PRUNING_STATS.reduce((counts, name) => Object.assign(counts, { [name]: stats[name] }), {})
+      };
+    }
+
+    return { step, result, stats, setLimits };
+  }
+
+  function analyzeFallback(game, options = {}) {
+    const search = createFallbackSearch(game, options);
+    let status = search.step();
+    while (!status.done) status = search.step();
+    return search.result();
+  }
+
+  const REVIEW_EVAL_CAP = 1000;
+  const DEFAULT_REVIEW_THRESHOLDS = { inaccuracy: 50, mistake: 100, blunder: 300 };
+
+  // centipawns for CPL arithmetic: mates count as the cap so one missed mate is not an infinite loss
+  function scoreToCentipawns(score) {
+    if (!score) return 0;
+    if (score.type === 'mate') {
+      if (score.value === 0) return -REVIEW_EVAL_CAP;
+      return score.value > 0 ? REVIEW_EVAL_CAP : -REVIEW_EVAL_CAP;
+    }
+    const cp = Math.round(score.value * 100);
+    return Math.max(-REVIEW_EVAL_CAP, Math.min(REVIEW_EVAL_CAP, cp));
+  }
+
+  function winPercent(centipawns) {
+    return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * centipawns)) - 1);
+  }
+
+  function moveAccuracy(winBefore, winAfter) {
+    const drop = Math.max(0, winBefore - winAfter);
+    return Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * drop) - 3.1669));
+  }
+
+  function classifyMove(cpl, playedBest, thresholds = DEFAULT_REVIEW_THRESHOLDS) {
+    if (cpl >= thresholds.blunder) return 'blunder';
+    if (cpl >= thresholds.mistake) return 'mistake';
+    if (cpl >= thresholds.inaccuracy) return 'inaccuracy';
+    return playedBest || cpl === 0 ? 'best' : 'good';
+  }
+
+  function terminalScore(game) {
+    if (game.in_checkmate()) return { type: 'mate', value: 0 };
+    return { type: 'cp', value: 0 };
+  }
+
+  function summarizeReview(plies) {
+    const summary = {};
+    for (const color of ['w', 'b']) {
+      const own = plies.filter(entry => entry.color === color);
+      const counts = { best: 0, good: 0, inaccuracy: 0, mistake: 0, blunder: 0 };
+      let totalLoss = 0;
+      let totalAccuracy = 0;
+      for (const entry of own) {
+        counts[entry.classification] = (counts[entry.classification] || 0) + 1;
+        totalLoss += entry.cpl;
+        totalAccuracy += entry.accuracy;
+      }
+      summary[color] = {
+        moves: own.length,
+        averageCpl: own.length ? Math.round(totalLoss / own.length) : 0,
+        accuracy: own.length ? Math.round((totalAccuracy / own.length) * 10) / 10 : null,
+        ...counts
+      };
+    }
+    return summary;
+  }
+
+  // analyzePosition(game) resolves to { score, best: { san, uci }, pvSan } with score relative to the side to move
+  async function reviewGame(game, analyzePosition, options = {}) {
+    if (typeof analyzePosition !== 'function') {
+      throw new Error('reviewGame requires an analyzePosition callback');
+    }
+    const thresholds = { ...DEFAULT_REVIEW_THRESHOLDS, ...(options.thresholds || {}) };
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+    const history = game.history({ verbose: true });
+    const startFen = options.startFen || null;
+    const replay = startFen ? createGameFromFen(startFen) : createChessInstance();
+    const positions = [createChessInstance(replay.fen())];
+    for (const move of history) {
+      replay.move({ from: move.from, to: move.to, promotion: move.promotion });
+      positions.push(createChessInstance(replay.fen()));
+    }
+
+    // move numbers continue from the start position's, like buildPgnMovetext
+    const startPly = fenPlyIndex(positions[0].fen());
+
+    const analyses = [];
+    for (let index = 0; index < positions.length; index++) {
+      const position = positions[index];
+      if (!position.moves().length) {
+        analyses.push({ score: terminalScore(position), best: null, pvSan: [] });
+      } else {
+        analyses.push(await analyzePosition(position, index));
+      }
+      if (onProgress) onProgress({ index, total: positions.length });
+    }
+
+    const plies = history.map((move, index) => {
+      const before = analyses[index] || {};
+      const after = analyses[index + 1] || {};
+      const mover = move.color;
+      const beforeCp = scoreToCentipawns(before.score);
+      const afterCp = -scoreToCentipawns(after.score);
+      const bestUci = before.best ? before.best.uci : null;
+      const playedUci = move.from + move.to + (move.promotion || '');
+      const playedBest = !!bestUci && bestUci === playedUci;
+      const cpl = playedBest ? 0 : Math.max(0, beforeCp - afterCp);
+      const accuracy = playedBest ? 100 : moveAccuracy(winPercent(beforeCp), winPercent(afterCp));
+      const evalBefore = scoreForWhite(before.score || null, mover);
+      const evalAfter = scoreForWhite(after.score || null, mover === 'w' ? 'b' : 'w');
+      return {
+        ply: index,
+        moveNumber: Math.floor((startPly + index) / 2) + 1,
+        color: mover,
+        san: move.san,
+        uci: playedUci,
+        fenBefore: positions[index].fen(),
+        fenAfter: positions[index + 1].fen(),
+        best: before.best ? { ...before.best } : null,
+        bestLine: Array.isArray(before.pvSan) ? before.pvSan.slice() : [],
+        evalBefore,
+        evalAfter,
+        cpl,
+        accuracy: Math.round(accuracy * 10) / 10,
+        classification: classifyMove(cpl, playedBest, thresholds)
+      };
+    });
+
+    return { plies, summary: summarizeReview(plies) };
+  }
+
+  const DEFAULT_EVAL_GRAPH = {
+    width: 640,
+    height: 220,
+    padding: 24,
+    clamp: 10,
+    swingThreshold: 20
+  };
+
+  function escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // accepts { score } already from White's side, or raw UCI { scoreType, rawScore, turn }
+  function evalGraphScore(entry) {
+    if (!entry) return null;
+    if (entry.score) return entry.score;
+    if (entry.scoreType) return scoreForWhite(normalizeScore(entry.scoreType, entry.rawScore), entry.turn || 'w');
+    return null;
+  }
+
+  function evalGraphValue(score, clamp, point) {
+    if (!score) return null;
+    if (score.type === 'mate') {
+      if (score.value !== 0) return score.value > 0 ? clamp : -clamp;
+      // mate 0 is the mated position; the side to move there lost
+      const turn = point && typeof point.fen === 'string' ? point.fen.split(' ')[1] : null;
+      if (turn === 'w') return -clamp;
+      return turn === 'b' ? clamp : null;
+    }
+    return Math.max(-clamp, Math.min(clamp, score.value));
+  }
+
+  function reviewGraphPoints(review) {
+    if (!review || !Array.isArray(review.plies) || !review.plies.length) return [];
+    const plies = review.plies;
+    const points = [{
+      label: 'start',
+      score: plies[0].evalBefore,
+      fen: plies[0].fenBefore,
+      bestLine: plies[0].bestLine.slice()
+    }];
+    plies.forEach((entry, index) => {
+      const next = plies[index + 1];
+      points.push({
+        label: `${entry.moveNumber}${entry.color === 'w' ? '.' : '...'} ${entry.san}`,
+        score: entry.evalAfter,
+        fen: entry.fenAfter,
+        bestLine: next ? next.bestLine.slice() : [],
+        classification: entry.classification
+      });
+    });
+    return points;
+  }
+
+  function evalGraphModel(points, options = {}) {
+    const config = { ...DEFAULT_EVAL_GRAPH, ...options };
+    const scores = points.map(point => evalGraphScore(point));
+    const values = scores.map((score, index) => evalGraphValue(score, config.clamp, points[index]));
+    // a point without a score (or a mate without a position) carries the previous value so the line does not break
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] === null) values[i] = i > 0 ? values[i - 1] : 0;
+    }
+    const innerWidth = config.width - config.padding * 2;
+    const innerHeight = config.height - config.padding * 2;
+    const step = values.length > 1 ? innerWidth / (values.length - 1) : 0;
+    const midY = config.padding + innerHeight / 2;
+    const nodes = values.map((value, index) => {
+      const previous = index > 0 ? values[index - 1] : value;
+      const swing = Math.abs(winPercent(value * 100) - winPercent(previous * 100));
+      const score = scores[index];
+      let display = value >= 0 ? `+${value.toFixed(2)}` : value.toFixed(2);
+      if (score && score.type === 'mate') display = score.value === 0 ? 'mate' : `#${score.value}`;
+      return {
+        index,
+        value,
+        display,
+        x: config.padding + step * index,
+        y: midY - (value / config.clamp) * (innerHeight / 2),
+        critical: index > 0 && swing >= config.swingThreshold,
+        point: points[index]
+      };
+    });
+    return { config, nodes, midY };
+  }
+
+  function renderEvalGraphSvg(points, options = {}) {
+    const { config, nodes, midY } = evalGraphModel(points, options);
+    const { width, height, padding } = config;
+    const round = value => Math.round(value * 10) / 10;
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" class="eval-graph">`);
+    parts.push(`<rect x="0" y="0" width="${width}" height="${height}" fill="#262421"/>`);
+    parts.push(`<line x1="${padding}" y1="${round(midY)}" x2="${width - padding}" y2="${round(midY)}" stroke="#777" stroke-dasharray="4 3"/>`);
+    parts.push(`<text x="4" y="${padding - 8}" fill="#bbb" font-size="10">+${config.clamp}</text>`);
+    parts.push(`<text x="4" y="${height - padding + 16}" fill="#bbb" font-size="10">-${config.clamp}</text>`);
+    if (nodes.length) {
+      const line = nodes.map(node => `${round(node.x)},${round(node.y)}`).join(' ');
+      const first = nodes[0];
+      const last = nodes[nodes.length - 1];
+      parts.push(`<polygon points="${round(first.x)},${round(midY)} ${line} ${round(last.x)},${round(midY)}" fill="rgba(255,255,255,0.18)"/>`);
+      parts.push(`<polyline points="${line}" fill="none" stroke="#e8e6e3" stroke-width="2"/>`);
+      for (const node of nodes) {
+        const label = node.point && node.point.label ? `${node.point.label}: ` : '';
+        const radius = node.critical ? 5 : 3;
+        const fill = node.critical ? '#e05252' : '#e8e6e3';
+        parts.push(`<circle cx="${round(node.x)}" cy="${round(node.y)}" r="${radius}" fill="${fill}" data-index="${node.index}"${node.critical ? ' data-critical="1"' : ''}>` +
+          `<title>${escapeXml(label + node.display)}</title></circle>`);
+      }
+    }
+    parts.push('</svg>');
+    return parts.join('');
+  }
+
+  const TEXEL_RESULTS = { '1-0': 1, '0-1': 0, '1/2-1/2': 0.5, '1.0': 1, '0.0': 0, '0.5': 0.5 };
+
+  // EPD: the four position fields of a FEN, then "opcode operand;" operations. hmvc and fmvn (or plain
+  // move counters straight after the position, as in a full FEN) complete the FEN. A trailing [1.0]-style
+  // label, common in tuning sets, is read as the c9 result. Returns null for blank and # comment lines.
+  function parseEpdLine(line) {
+    const text = typeof line === 'string' ? line.trim() : '';
+    if (!text || text.startsWith('#')) return null;
+    const fields = text.split(/\s+/);
+    if (fields.length < 4) return null;
+    let rest = text.replace(/^(?:\S+\s+){3}\S+\s*/, '');
+    const counters = rest.match(/^(\d+)\s+(\d+)(?=\s|$)\s*/);
+    if (counters) rest = rest.slice(counters[0].length);
+    const operations = {};
+    const label = rest.match(/\[\s*([^\]]+?)\s*\]\s*$/);
+    if (label) {
+      rest = rest.slice(0, label.index);
+      operations.c9 = label[1];
+    }
+    const addOperation = raw => {
+      const operation = raw.trim().match(/^(\S+)\s*([\s\S]*)$/);
+      if (operation) operations[operation[1]] = operation[2].trim().replace(/^"([\s\S]*)"$/, '$1');
+    };
+    let current = '';
+    let quoted = false;
+    for (const ch of rest) {
+      if (ch === '"') quoted = !quoted;
+      if (ch === ';' && !quoted) {
+        addOperation(current);
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    addOperation(current);
+    const halfmove = operations.hmvc || (counters ? counters[1] : '0');
+    const fullmove = operations.fmvn || (counters ? counters[2] : '1');
+    return { fen: fields.slice(0, 4).concat(halfmove, fullmove).join(' '), operations };
+  }
+
+  // a position the static evaluation can judge: not in check, with moves, and without a capture that
+  // wins material or a promotion pending
+  function isQuietBoard(board) {
+    if (inCheck(board)) return false;
+    const moves = generateLegalMoves(board);
+    if (!moves.length) return false;
+    return moves.every(move => !(move & MOVE_PROMOTION) && (!(move & MOVE_CAPTURE) || staticExchange(board, move) <= 0));
+  }
+
+  function texelDot(sample, params) {
+    let value = 0;
+    for (let i = 0; i < sample.indices.length; i++) value += sample.values[i] * params[sample.indices[i]];
+    return value;
+  }
+
+  // Reads an EPD file (results from c9 or a trailing label) or a PGN file (results from the Result tag)
+  // into Texel samples: the quiet positions (see isQuietBoard), each reduced to its evaluation features
+  // and white's result. options.skipPlies drops the first plies of every game (8) and
+  // options.maxPositions caps the sample count. Returns { samples, games, skipped }.
+  function collectTuningPositions(text, options = {}) {
+    const source = typeof text === 'string' ? text.replace(/\r\n?/g, '\n') : '';
+    const skipPlies = Number.isFinite(options.skipPlies) ? Math.max(0, options.skipPlies) : 8;
+    const maxPositions = Number.isFinite(options.maxPositions) && options.maxPositions > 0 ? options.maxPositions : Infinity;
+    const params = getEvalParameters();
+    const samples = [];
+    let games = 0;
+    let skipped = 0;
+
+    const addSample = (fen, history, result) => {
+      const board = createBoard(fen);
+      if (!isQuietBoard(board)) {
+        skipped += 1;
+        return;
+      }
+      const context = evaluationContextFromMoves(history, fen);
+      const features = evaluationFeatures(board, context);
+      const sample = { indices: Int32Array.from(features.keys()), values: Float64Array.from(features.values()), result };
+      if (Math.abs(texelDot(sample, params) - evaluateBoard(board, context)) > 1e-6) {
+        throw new Error(`evaluationFeatures disagrees with evaluateBoard at ${fen}`);
+      }
+      samples.push(sample);
+    };
+
+    if (/^\s*\[\s*[A-Za-z0-9_]+\s+"/m.test(source) || /^\s*1\.\s*\S/m.test(source)) {
+      for (const gameText of splitPgnGames(source)) {
+        if (samples.length >= maxPositions) break;
+        let rebuilt;
+        try {
+          rebuilt = rebuildGameFromPgn(gameText);
+        } catch (err) {
+          skipped += 1;
+          continue;
+        }
+        const resultText = rebuilt.headers.Result || (gameText.match(/(1-0|0-1|1\/2-1\/2)\s*$/) || [])[1];
+        const result = TEXEL_RESULTS[resultText];
+        // a game with unreadable moves would pair later positions with the wrong side to move
+        if (result === undefined || rebuilt.ignored.length) {
+          skipped += 1;
+          continue;
+        }
+        games += 1;
+        const replay = rebuilt.startFen ? createGameFromFen(rebuilt.startFen) : createChessInstance();
+        rebuilt.moves.forEach((move, index) => {
+          replay.move({ from: move.from, to: move.to, promotion: move.promotion });
+          if (index + 1 >= skipPlies && samples.length < maxPositions) {
+            addSample(replay.fen(), rebuilt.moves.slice(0, index + 1), result);
+          }
+        });
+      }
+    } else {
+      for (const line of source.split('\n')) {
+        if (samples.length >= maxPositions) break;
+        const entry = parseEpdLine(line);
+        if (!entry) continue;
+        const result = TEXEL_RESULTS[entry.operations.c9];
+        let game = null;
+        try {
+          game = createGameFromFen(entry.fen);
+        } catch (err) {
+          game = null;
+        }
+        if (result === undefined || !game) {
+          skipped += 1;
+          continue;
+        }
+        addSample(game.fen(), [], result);
+      }
+    }
+    return { samples, games, skipped };
+  }
+
+  // expected score for white of a white-relative evaluation in pawns, on the usual logistic curve
+  function texelWinProbability(evaluation, k) {
+    return 1 / (1 + Math.pow(10, -k * evaluation / 4));
+  }
+
+  function texelError(samples, params, k) {
+    if (!samples.length) return 0;
+    let sum = 0;
+    for (const sample of samples) {
+      const diff = sample.result - texelWinProbability(texelDot(sample, params), k);
+      sum += diff * diff;
+    }
+    return sum / samples.length;
+  }
+
+  // golden-section search for the scaling constant that best fits the weights as they are
+  function fitTexelScale(samples, params) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let low = 0.05;
+    let high = 5;
+    let a = high - ratio * (high - low);
+    let b = low + ratio * (high - low);
+    let errorA = texelError(samples, params, a);
+    let errorB = texelError(samples, params, b);
+    for (let i = 0; i < 40; i++) {
+      if (errorA < errorB) {
+        high = b;
+        b = a;
+        errorB = errorA;
+        a = high - ratio * (high - low);
+        errorA = texelError(samples, params, a);
+      } else {
+        low = a;
+        a = b;
+        errorA = errorB;
+        b = low + ratio * (high - low);
+        errorB = texelError(samples, params, b);
+      }
+    }
+    return (low + high) / 2;
+  }
+
+  // Texel tuning: minimises the mean squared difference between each sample's result and the win
+  // probability of its static evaluation, taking Adam steps on the full gradient from the current weights.
+  // The live weights are left alone; load the returned set with setEvalWeights or the worker's EvalWeights
+  // option. options: k (fitted first when omitted), iterations (300), learningRate (0.002 pawns), freeze
+  // (weight-name prefixes left untouched, default ['pieceValues.p'] so a pawn stays worth one) and
+  // onIteration({ iteration, error }).
+  function tuneEvaluation(samples, options = {}) {
+    if (!Array.isArray(samples) || !samples.length) {
+      throw new Error('No tuning positions');
+    }
+    const { names } = evalParameterLayout();
+    const start = getEvalParameters();
+    const params = Float64Array.from(start);
+    const freeze = Array.isArray(options.freeze) ? options.freeze : ['pieceValues.p'];
+    const frozen = names.map(name => freeze.some(prefix => name === prefix || name.startsWith(prefix + '.')));
+    const k = Number.isFinite(options.k) && options.k > 0 ? options.k : fitTexelScale(samples, params);
+    const iterations = Number.isFinite(options.iterations) ? Math.max(0, Math.floor(options.iterations)) : 300;
+    const learningRate = Number.isFinite(options.learningRate) && options.learningRate > 0 ? options.learningRate : 0.002;
+    const slope = k * Math.LN10 / 4;
+    const gradient = new Float64Array(params.length);
+    const moment = new Float64Array(params.length);
+    const velocity = new Float64Array(params.length);
+    const before = texelError(samples, params, k);
+
+    for (let iteration = 1; iteration <= iterations; iteration++) {
+      gradient.fill(0);
+      let error = 0;
+      for (const sample of samples) {
+        const probability = texelWinProbability(texelDot(sample, params), k);
+        const diff = sample.result - probability;
+        error += diff * diff;
+        const scale = -2 * diff * probability * (1 - probability) * slope / samples.length;
+        for (let i = 0; i < sample.indices.length; i++) gradient[sample.indices[i]] += scale * sample.values[i];
+      }
+      for (let j = 0; j < params.length; j++) {
+        if (frozen[j]) continue;
+        moment[j] = 0.9 * moment[j] + 0.1 * gradient[j];
+        velocity[j] = 0.999 * velocity[j] + 0.001 * gradient[j] * gradient[j];
+        const step = (moment[j] / (1 - Math.pow(0.9, iteration))) / (Math.sqrt(velocity[j] / (1 - Math.pow(0.999, iteration))) + 1e-8);
+        params[j] -= learningRate * step;
+      }
+      if (typeof options.onIteration === 'function') {
+        options.onIteration({ iteration, error: error / samples.length });
+      }
+    }
+
+    const after = texelError(samples, params, k);
+    setEvalParameters(params);
+    const weights = getEvalWeights();
+    setEvalParameters(start);
+    return { weights, k, positions: samples.length, iterations, error: { before, after } };
+  }
+
+  function sanitizeFunctionForWorker(fn) {
+    return fn
+      .toString()
+      .replace(/window\./g, '')
+      .replace(/\bcreateChessInstance\(/g, 'createChessInstance(');
+  }
+
+  // with options.chessSource the worker carries its own chess.js and never touches the network
+  function buildBuiltinEngineSource(options = {}) {
+    const chessSource = typeof options.chessSource === 'string' && options.chessSource.trim() ? options.chessSource : null;
+    const jsonPieceValues = JSON.stringify(pieceValues);
+    const jsonPieceSquareTables = JSON.stringify(pieceSquareTables);
+    const jsonKingSquareTables = JSON.stringify(kingSquareTables);
+    const jsonEvalWeights = JSON.stringify(evalWeights);
+    const jsonCoreCenter = JSON.stringify(Array.from(coreCenterSquares));
+    const jsonExtendedCenter = JSON.stringify(Array.from(extendedCenterSquares));
+    const jsonMinorStarts = JSON.stringify(Array.from(minorPieceStartSquares));
+    const jsonFlankFiles = JSON.stringify(Array.from(flankFiles));
+    const jsonPolyglotRandom = JSON.stringify(POLYGLOT_RANDOM64);
+    const engineConstants = {
+      PAWN, KNIGHT, BISHOP, ROOK, QUEEN, KING, WHITE, BLACK, BOARD_PIECE_TYPES,
+      KNIGHT_OFFSETS, KING_OFFSETS, BISHOP_OFFSETS, ROOK_OFFSETS, PHASE_WEIGHTS, MAX_BOARD_PLY,
+      MOVE_CAPTURE, MOVE_BIG_PAWN, MOVE_EN_PASSANT, MOVE_PROMOTION, MOVE_KING_CASTLE, MOVE_QUEEN_CASTLE, MOVE_CHECK, MOVE_KEY_MASK,
+      SQUARE_CORE_CENTER, SQUARE_EXTENDED_CENTER, SQUARE_MINOR_START, SQUARE_FLANK_FILE, CAPTURE_WEIGHTS,
+      SEARCH_ABORTED, MAX_SEARCH_DEPTH, MAX_SEARCH_PLY, MOVE_OVERHEAD_MS,
+      SEARCH_EPSILON, FUTILITY_MARGINS, ASPIRATION_WINDOW, PRUNING_STATS, SEE_KING_VALUE, LOSING_CAPTURE_PENALTY,
+      EVAL_TERMS, EVAL_WEIGHT_SECTIONS, EVAL_PIECE_TYPES, DEFAULT_EVAL_WEIGHTS
+    };
+    const engineConstantSource = Object.entries(engineConstants)
+      .map(([name, value]) => `      const ${name} = ${JSON.stringify(value)};`)
+      .join('\n');
+
+    const functionSources = [
+      normalizeBase64,
+      fenPlyIndex,
+      getEvalWeights,
+      evalParameterLayout,
+      getEvalParameters,
+      setEvalParameters,
+      setEvalWeights,
+      resetEvalWeights,
+      createEvaluationContext,
+      evaluationContextFromMoves,
+      encodeMove,
+      moveFrom,
+      moveTo,
+      movePromotion,
+      moveCaptured,
+      movePiece,
+      boardSquareName,
+      moveToUci,
+      boardSquareFlags,
+      centerBonusFor,
+      boardPsq,
+      castlingMaskFor,
+      createBoard,
+      boardZobristIndex,
+      removeBoardPiece,
+      placeBoardPiece,
+      toggleBoardKey,
+      makeMove,
+      unmakeMove,
+      makeNullMove,
+      hasNonPawnMaterial,
+      isSquareAttacked,
+      attackersOf,
+      inCheck,
+      seePieceValue,
+      staticExchange,
+      addPawnMoves,
+      generatePseudoMoves,
+      generateLegalMoves,
+      hasLegalMove,
+      isRepetition,
+      isInsufficientMaterial,
+      isRuleDraw,
+      setBoardHistory,
+      recentGameHistory,
+      pieceSquareValue,
+      evaluatePosition,
+      traceTerm,
+      evaluateBoard,
+      isIsolatedFile,
+      passedPawnAdvancement,
+      kingShieldCount,
+      kingExposureCount,
+      isUncastledKing,
+      searchScoreToScore,
+      formatUciScore,
+      evaluateForPerspective,
+      moveKey,
+      createSearchMeta,
+      killerMoveScore,
+      recordKillerMove,
+      updateHistoryScore,
+      historyScore,
+      orderingMapFor,
+      storeOrderingScore,
+      lookupOrderingScore,
+      isForcingMove,
+      movePriority,
+      orderedMoves,
+      evaluateBoardForSide,
+      evaluateTerminalState,
+      countPruning,
+      quiescence,
+      negamax,
+      chooseFallbackDepth,
+      allocateSearchTime,
+      principalVariationMoves,
+      principalVariationFromTable,
+      createFallbackSearch,
+      analyzeFallback,
+      polyglotRandom,
+      fenSquares,
+      zobristTables,
+      createZobristState,
+      createTranspositionTable,
+      clearTranspositionTable,
+      newTranspositionSearch,
+      ttValueToStore,
+      ttValueFromStore,
+      ttProbe,
+      ttStore,
+      ttHashfull,
+      getSharedTranspositionTable,
+      polyglotKey,
+      decodeBase64ToBytes,
+      readPolyglotEntries,
+      polyglotMoveToUci,
+      probePolyglotBook,
+      pickBookMove
+    ].map(sanitizeFunctionForWorker);
+
+    const chessPrelude = chessSource
+      ? `self.Chess = (function(exports, define) {\n${chessSource}\n;return typeof Chess !== 'undefined' ? Chess : exports.Chess;\n})({});\n`
+      : '';
+
+    return chessPrelude + String.raw`(function() {
+      'use strict';
+      const ctx = self;
+      function send(line) { ctx.postMessage(line); }
+      try {
+        if (!self.Chess) importScripts('${CHESS_JS_CDN_URL}');
+      } catch (err) {
+        send('info string Failed to load chess.js: ' + (err && err.message ? err.message : err));
+        send('uciok');
+        send('readyok');
+        return;
+      }
+      const Chess = self.Chess;
+      if (!Chess) {
+        send('info string Chess.js unavailable in worker');
+        send('uciok');
+        send('readyok');
+        return;
+      }
+
+      const pieceValues = ${jsonPieceValues};
+      const pieceSquareTables = ${jsonPieceSquareTables};
+      const kingSquareTables = ${jsonKingSquareTables};
+      const evalWeights = ${jsonEvalWeights};
+      const coreCenterSquares = new Set(${jsonCoreCenter});
+      const extendedCenterSquares = new Set(${jsonExtendedCenter});
+      const minorPieceStartSquares = new Set(${jsonMinorStarts});
+      const flankFiles = new Set(${jsonFlankFiles});
+      const MATE_SCORE = ${MATE_SCORE};
+      const MATE_THRESHOLD = ${MATE_THRESHOLD};
+      const POLYGLOT_RANDOM64 = ${jsonPolyglotRandom};
+      const POLYGLOT_PIECE_KINDS = '${POLYGLOT_PIECE_KINDS}';
+      const POLYGLOT_PROMOTIONS = ${JSON.stringify(POLYGLOT_PROMOTIONS)};
+      const DEFAULT_HASH_MB = ${DEFAULT_HASH_MB};
+      const TT_ENTRY_BYTES = ${TT_ENTRY_BYTES};
+      const TT_EXACT = ${TT_EXACT};
+      const TT_LOWER = ${TT_LOWER};
+      const TT_UPPER = ${TT_UPPER};
+      let zobristKeyTables = null;
+      let sharedTranspositionTable = null;
+${engineConstantSource}
+      let boardSquareFlagTable = null;
+      let boardPsqTable = null;
+      let evalParameterSlots = null;
+
+      function createChessInstance(fen) {
+        return typeof fen === 'string' && fen ? new Chess(fen) : new Chess();
+      }
+
+${functionSources.join('\n\n')}
+
+      function movesToUci(list) {
+        return list.map(move => move.from + move.to + (move.promotion ? move.promotion : ''));
+      }
+
+      let currentFen = createChessInstance().fen();
+      // FENs since the last capture or pawn move of the position command, for repetition checks
+      let currentHistory = [];
+      let multiPv = 1;
+      let defaultMoveTime = 1500;
+      let forcedDepth = null;
+      let searchId = 0;
+      let stopRequested = false;
+      let bookBytes = null;
+      let ownBook = true;
+      let hashMb = DEFAULT_HASH_MB;
+      // the search runs in slices of this length so commands are still read while it thinks
+      const SEARCH_SLICE_MS = 40;
+      const MAX_MULTI_PV = 500;
+
+      function applyPosition(tokens) {
+        currentHistory = [];
+        if (tokens.length < 2) {
+          currentFen = createChessInstance().fen();
+          return;
+        }
+        let fen = null;
+        let movesIndex = tokens.indexOf('moves');
+        if (tokens[1] === 'startpos') {
+          fen = createChessInstance().fen();
+        } else if (tokens[1] === 'fen') {
+          const fenTokens = movesIndex === -1 ? tokens.slice(2) : tokens.slice(2, movesIndex);
+          fen = fenTokens.join(' ');
+        }
+        if (!fen) {
+          fen = createChessInstance().fen();
+        }
+        let chess;
+        try {
+          chess = createChessInstance(fen);
+        } catch (err) {
+          send('info string Invalid FEN supplied to built-in engine');
+          chess = createChessInstance();
+        }
+        if (movesIndex !== -1) {
+          const moveTokens = tokens.slice(movesIndex + 1);
+          for (const token of moveTokens) {
+            if (!token) continue;
+            const from = token.slice(0, 2);
+            const to = token.slice(2, 4);
+            const promotion = token.length > 4 ? token.slice(4, 5) : undefined;
+            const before = chess.fen();
+            const result = chess.move({ from, to, promotion });
+            if (!result) break;
+            if (result.captured || result.piece === 'p') currentHistory = [];
+            else currentHistory.push(before);
+          }
+        }
+        currentFen = chess.fen();
+      }
+
+      const GO_NUMBER_PARAMS = ['depth', 'nodes', 'mate', 'movetime', 'wtime', 'btime', 'winc', 'binc', 'movestogo'];
+      const GO_KEYWORDS = new Set(GO_NUMBER_PARAMS.concat(['searchmoves', 'ponder', 'infinite']));
+
+      // searchmoves takes every following token up to the next keyword
+      function parseGo(tokens) {
+        const result = {};
+        for (let i = 1; i < tokens.length; i++) {
+          const token = tokens[i];
+          if (GO_NUMBER_PARAMS.includes(token) && i + 1 < tokens.length) {
+            const value = parseInt(tokens[++i], 10);
+            if (Number.isFinite(value)) result[token] = value;
+          } else if (token === 'infinite' || token === 'ponder') {
+            result[token] = true;
+          } else if (token === 'searchmoves') {
+            const moves = [];
+            while (i + 1 < tokens.length && !GO_KEYWORDS.has(tokens[i + 1])) moves.push(tokens[++i]);
+            result.searchmoves = moves;
+          }
+        }
+        return result;
+      }
+
+      // answers straight from the book: a weighted pick first, the other book moves as further lines
+      function playBookMove(fen, searchMoves) {
+        const game = createChessInstance(fen);
+        const allowed = searchMoves && searchMoves.length ? new Set(searchMoves) : null;
+        const legal = new Set(movesToUci(game.moves({ verbose: true })).filter(uci => !allowed || allowed.has(uci)));
+        const entries = probePolyglotBook(bookBytes, fen).filter(entry => legal.has(entry.uci));
+        const chosen = entries.length ? pickBookMove(entries) : null;
+        if (!chosen) return false;
+
+        send('info string book ' + entries.map(entry => entry.uci + ':' + entry.weight).join(' '));
+        const ordered = [chosen].concat(entries.filter(entry => entry !== chosen)).slice(0, Math.max(1, multiPv));
+        ordered.forEach((entry, index) => {
+          const replay = createChessInstance(fen);
+          replay.move({ from: entry.uci.slice(0, 2), to: entry.uci.slice(2, 4), promotion: entry.uci.slice(4, 5) || undefined });
+          const score = evaluateForPerspective(replay, game.turn(), createEvaluationContext(replay));
+          send(
+            'info depth 0 multipv ' + (index + 1) +
+            ' score ' + formatUciScore(score) +
+            ' nodes 0 source book pv ' + entry.uci
+          );
+        });
+        send('bestmove ' + chosen.uci);
+        return true;
+      }
+
+      function sendIterationInfo(iteration, lineCount) {
+        const time = Math.max(1, Math.round(iteration.elapsed));
+        iteration.lines.slice(0, lineCount).forEach((line, index) => {
+          send(
+            'info depth ' + iteration.depth +
+            ' multipv ' + (index + 1) +
+            ' score ' + formatUciScore(line.score) +
+            ' nodes ' + iteration.nodes +
+            ' nps ' + Math.round((iteration.nodes * 1000) / time) +
+            ' time ' + time +
+            ' hashfull ' + iteration.hashfull +
+            ' pv ' + line.pv.join(' ')
+          );
+        });
+      }
+
+      function sendBestMove(analysis) {
+        if (analysis.pruning) {
+          send('info string pruning ' + PRUNING_STATS.map(name => name + ' ' + analysis.pruning[name]).join(' '));
+        }
+        const best = analysis.details[0];
+        if (!best) {
+          send('bestmove 0000');
+          return;
+        }
+        const bestMove = movesToUci([best.move])[0];
+        const ponderMove = best.pv && best.pv.length > 1 ? movesToUci([best.pv[1]])[0] : null;
+        send('bestmove ' + bestMove + (ponderMove ? ' ponder ' + ponderMove : ''));
+      }
+
+      // Infinite and ponder searches hold their bestmove until stop (or ponderhit) even when they finish early;
+      // ponderhit turns a ponder search into a timed one with the clock starting at that moment.
+      let activeSearch = null;
+
+      function finishSearch(active) {
+        if (active.sent || !active.result) return;
+        active.sent = true;
+        sendBestMove(active.result);
+      }
+
+      // a newer go supersedes this search silently; stop ends it with the last completed depth
+      function startSearch(params) {
+        const id = ++searchId;
+        stopRequested = false;
+        activeSearch = null;
+        const fen = currentFen;
+        const waitForStop = !!(params.infinite || params.ponder);
+        if (!waitForStop && ownBook && bookBytes && playBookMove(fen, params.searchmoves)) return;
+        const color = fen.split(' ')[1] || 'w';
+        const ply = fenPlyIndex(fen);
+        let limits = allocateSearchTime(params, color, ply);
+        const bounded = waitForStop || limits !== null ||
+          Number.isFinite(params.depth) || Number.isFinite(params.nodes) || Number.isFinite(params.mate);
+        // a bare go keeps the configured move time and the position-based depth; go depth N has no clock
+        if (!bounded) limits = { soft: defaultMoveTime, hard: defaultMoveTime };
+        let depth = Number.isFinite(params.depth) ? params.depth : forcedDepth;
+        if (depth === null && bounded && !Number.isFinite(params.mate)) depth = MAX_SEARCH_DEPTH;
+        const lineCount = Math.max(1, multiPv);
+
+        const active = { id, params, color, ply, waitForStop, pondering: !!params.ponder, result: null, sent: false, search: null };
+        active.search = createFallbackSearch(createChessInstance(fen), {
+          timeBudget: limits ? limits.hard : 0,
+          softTimeBudget: limits ? limits.soft : 0,
+          depth: depth === null ? undefined : depth,
+          maxDepth: depth === null ? undefined : depth,
+          maxNodes: params.nodes,
+          mate: params.mate,
+          searchMoves: params.searchmoves,
+          multiPv: lineCount,
+          history: currentHistory,
+          hashMb,
+          shouldStop: () => stopRequested || id !== searchId,
+          onIteration: iteration => sendIterationInfo(iteration, lineCount)
+        });
+        activeSearch = active;
+
+        function continueSearch() {
+          if (id !== searchId) return;
+          if (!active.search.step(SEARCH_SLICE_MS).done) {
+            setTimeout(continueSearch, 0);
+            return;
+          }
+          active.result = active.search.result();
+          if (!active.waitForStop || stopRequested) finishSearch(active);
+        }
+        continueSearch();
+      }
+
+      function ponderHit() {
+        const active = activeSearch;
+        if (!active || !active.pondering) return;
+        active.pondering = false;
+        if (active.params.infinite) return;
+        active.waitForStop = false;
+        if (active.result) {
+          finishSearch(active);
+          return;
+        }
+        const params = active.params;
+        let limits = allocateSearchTime(Object.assign({}, params, { ponder: false }), active.color, active.ply);
+        if (!limits && !Number.isFinite(params.depth) && !Number.isFinite(params.nodes) && !Number.isFinite(params.mate)) {
+          limits = { soft: defaultMoveTime, hard: defaultMoveTime };
+        }
+        if (limits) active.search.setLimits({ timeBudget: limits.hard, softTimeBudget: limits.soft });
+      }
+
+      self.onmessage = function(event) {
+        const raw = event && event.data;
+        if (typeof raw !== 'string') return;
+        const line = raw.trim();
+        if (!line) return;
+        const tokens = line.split(/\s+/);
+        const command = tokens[0];
+
+        if (command === 'uci') {
+          send('id name ChessHelper Built-in Engine');
+          send('id author SanFen Helper');
+          send('option name Hash type spin default ' + DEFAULT_HASH_MB + ' min 1 max 1024');
+          send('option name MultiPV type spin default 1 min 1 max ' + MAX_MULTI_PV);
+          send('option name OwnBook type check default true');
+          send('option name BookData type string default <empty>');
+          send('option name EvalWeights type string default <empty>');
+          send('uciok');
+          return;
+        }
+        if (command === 'isready') {
+          send('readyok');
+          return;
+        }
+        if (command === 'ucinewgame') {
+          currentFen = createChessInstance().fen();
+          currentHistory = [];
+          stopRequested = false;
+          if (sharedTranspositionTable) clearTranspositionTable(sharedTranspositionTable);
+          return;
+        }
+        if (command === 'position') {
+          applyPosition(tokens);
+          return;
+        }
+        if (command === 'setoption') {
+          const nameIndex = tokens.indexOf('name');
+          const valueIndex = tokens.indexOf('value');
+          if (nameIndex !== -1) {
+            const name = tokens.slice(nameIndex + 1, valueIndex === -1 ? undefined : valueIndex).join(' ').toLowerCase();
+            const value = valueIndex !== -1 ? tokens.slice(valueIndex + 1).join(' ') : '';
+            if (name === 'multipv') {
+              const numeric = parseInt(value, 10);
+              if (Number.isFinite(numeric) && numeric >= 1) multiPv = Math.min(MAX_MULTI_PV, numeric);
+            } else if (name === 'movetime' || name === 'builtintime') {
+              const numeric = parseInt(value, 10);
+              if (Number.isFinite(numeric) && numeric > 0) defaultMoveTime = numeric;
+            } else if (name === 'depth' || name === 'builtindepth') {
+              const numeric = parseInt(value, 10);
+              forcedDepth = Number.isFinite(numeric) && numeric > 0 ? numeric : null;
+            } else if (name === 'hash') {
+              const numeric = parseInt(value, 10);
+              if (Number.isFinite(numeric) && numeric >= 1) hashMb = Math.min(1024, numeric);
+            } else if (name === 'ownbook') {
+              ownBook = value.toLowerCase() !== 'false';
+            } else if (name === 'bookdata') {
+              const bytes = value && value !== '<empty>' ? decodeBase64ToBytes(value) : null;
+              bookBytes = bytes && bytes.byteLength >= 16 ? bytes : null;
+              send('info string book ' + (bookBytes ? 'loaded ' + Math.floor(bookBytes.byteLength / 16) + ' entries' : 'cleared'));
+            } else if (name === 'evalweights') {
+              try {
+                // each set replaces the last one; whatever it leaves out is the default
+                resetEvalWeights();
+                if (value && value !== '<empty>') {
+                  send('info string eval weights loaded ' + setEvalWeights(value) + ' values');
+                } else {
+                  send('info string eval weights reset');
+                }
+              } catch (err) {
+                send('info string eval weights rejected, using the defaults: ' + (err && err.message ? err.message : err));
+              }
+              // cached scores came from the old weights
+              if (sharedTranspositionTable) clearTranspositionTable(sharedTranspositionTable);
+            }
+          }
+          return;
+        }
+        if (command === 'go') {
+          startSearch(parseGo(tokens));
+          return;
+        }
+        if (command === 'stop') {
+          stopRequested = true;
+          if (activeSearch) finishSearch(activeSearch);
+          return;
+        }
+        if (command === 'ponderhit') {
+          ponderHit();
+          return;
+        }
+        if (command === 'quit') {
+          stopRequested = true;
+          try { self.close(); } catch (err) { /* ignore */ }
+        }
+      };
+    })();`;
+  }
+
+  let BUILTIN_ENGINE_SOURCE = null;
+  let BUILTIN_ENGINE_CHESS_SOURCE = null;
+
+  function getBuiltinEngineSource(options = {}) {
+    const chessSource = options.chessSource || null;
+    if (!BUILTIN_ENGINE_SOURCE || BUILTIN_ENGINE_CHESS_SOURCE !== chessSource) {
+      BUILTIN_ENGINE_SOURCE = buildBuiltinEngineSource({ chessSource });
+      BUILTIN_ENGINE_CHESS_SOURCE = chessSource;
+    }
+    return BUILTIN_ENGINE_SOURCE;
+  }
+
+  return {
+    setChessConstructor,
+    createChessInstance,
+    CHESS_JS_CDN_URL,
+    chessConstructorFromSource,
+    chessSourceFromConstructor,
+    normalizeBase64,
+    estimateBase64DecodedSize,
+    decodeBase64ToText,
+    encodeTextToBase64,
+    normalizeFigurines,
+    canonicalSan,
+    cleanToken,
+    stripMoveDecorations,
+    extractTokensFromText,
+    parseTokenHints,
+    buildCandidateList,
+    applyToken,
+    fenPlyIndex,
+    createGameFromFen,
+    rebuildGameFromTokens,
+    parsePgn,
+    rebuildGameFromPgn,
+    splitPgnGames,
+    pgnResultForGame,
+    formatPgnDate,
+    formatPgnEval,
+    buildPgnMovetext,
+    buildPgn,
+    lookupOpening,
+    classifyOpening,
+    polyglotKey,
+    decodeBase64ToBytes,
+    encodeBytesToBase64,
+    readPolyglotEntries,
+    probePolyglotBook,
+    pickBookMove,
+    StockfishEngine,
+    uciToSan,
+    normalizeScore,
+    parseScore,
+    scoreForWhite,
+    pvToSanSequence,
+    analyzeWithStockfish,
+    runEpdSuite,
+    parseOpeningSuite,
+    playEngineGame,
+    matchStatistics,
+    runMatch,
+    pieceValues,
+    pieceSquareTables,
+    kingSquareTables,
+    evalWeights,
+    getEvalWeights,
+    setEvalWeights,
+    resetEvalWeights,
+    evalParameterNames,
+    getEvalParameters,
+    setEvalParameters,
+    evaluationFeatures,
+    parseEpdLine,
+    collectTuningPositions,
+    tuneEvaluation,
+    createEvaluationContext,
+    evaluatePosition,
+    evaluateForPerspective,
+    createBoard,
+    makeMove,
+    unmakeMove,
+    generateLegalMoves,
+    PERFT_POSITIONS,
+    perft,
+    runPerftSuite,
+    isRepetition,
+    isInsufficientMaterial,
+    setBoardHistory,
+    recentGameHistory,
+    isSquareAttacked,
+    attackersOf,
+    staticExchange,
+    staticExchangeForMove,
+    moveToUci,
+    evaluateBoard,
+    createSearchMeta,
+    orderedMoves,
+    quiescence,
+    negamax,
+    chooseFallbackDepth,
+    principalVariationFromTable,
+    createFallbackSearch,
+    allocateSearchTime,
+    analyzeFallback,
+    createZobristState,
+    createTranspositionTable,
+    ttProbe,
+    ttStore,
+    searchScoreToScore,
+    scoreToCentipawns,
+    winPercent,
+    moveAccuracy,
+    classifyMove,
+    summarizeReview,
+    reviewGame,
+    reviewGraphPoints,
+    evalGraphModel,
+    renderEvalGraphSvg,
+    buildBuiltinEngineSource,
+    getBuiltinEngineSource
+  };
+});
@@ -0,0 +1,113 @@
+import core from './chess-core.js';
+
+export const {
+  setChessConstructor,
+  createChessInstance,
+  CHESS_JS_CDN_URL,
+  chessConstructorFromSource,
+  chessSourceFromConstructor,
+  normalizeBase64,
+  estimateBase64DecodedSize,
+  decodeBase64ToText,
+  encodeTextToBase64,
+  normalizeFigurines,
+  canonicalSan,
+  cleanToken,
+  stripMoveDecorations,
+  extractTokensFromText,
+  parseTokenHints,
+  buildCandidateList,
+  applyToken,
+  fenPlyIndex,
+  createGameFromFen,
+  rebuildGameFromTokens,
+  parsePgn,
+  rebuildGameFromPgn,
+  splitPgnGames,
+  pgnResultForGame,
+  formatPgnDate,
+  formatPgnEval,
+  buildPgnMovetext,
+  buildPgn,
+  lookupOpening,
+  classifyOpening,
+  polyglotKey,
+  decodeBase64ToBytes,
+  encodeBytesToBase64,
+  readPolyglotEntries,
+  probePolyglotBook,
+  pickBookMove,
+  StockfishEngine,
+  uciToSan,
+  normalizeScore,
+  parseScore,
+  scoreForWhite,
+  pvToSanSequence,
+  analyzeWithStockfish,
+  runEpdSuite,
+  parseOpeningSuite,
+  playEngineGame,
+  matchStatistics,
+  runMatch,
+  pieceValues,
+  pieceSquareTables,
+  kingSquareTables,
+  evalWeights,
+  getEvalWeights,
+  setEvalWeights,
+  resetEvalWeights,
+  evalParameterNames,
+  getEvalParameters,
+  setEvalParameters,
+  evaluationFeatures,
+  parseEpdLine,
+  collectTuningPositions,
+  tuneEvaluation,
+  createEvaluationContext,
+  evaluatePosition,
+  evaluateForPerspective,
+  createBoard,
+  makeMove,
+  unmakeMove,
+  generateLegalMoves,
+  PERFT_POSITIONS,
+  perft,
+  runPerftSuite,
+  isRepetition,
+  isInsufficientMaterial,
+  setBoardHistory,
+  recentGameHistory,
+  isSquareAttacked,
+  attackersOf,
+  staticExchange,
+  staticExchangeForMove,
+  moveToUci,
+  evaluateBoard,
+  createSearchMeta,
+  orderedMoves,
+  quiescence,
+  negamax,
+  chooseFallbackDepth,
+  principalVariationFromTable,
+  createFallbackSearch,
+  allocateSearchTime,
+  analyzeFallback,
+  createZobristState,
+  createTranspositionTable,
+  ttProbe,
+  ttStore,
+  searchScoreToScore,
+  scoreToCentipawns,
+  winPercent,
+  moveAccuracy,
+  classifyMove,
+  summarizeReview,
+  reviewGame,
+  reviewGraphPoints,
+  evalGraphModel,
+  renderEvalGraphSvg,
+  buildBuiltinEngineSource,
+  getBuiltinEngineSource
+} = core;
+
+export default core;
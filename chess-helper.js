@@ -1,10 +1,70 @@
 (async () => {
   const log = (...args) => console.log('[CHESS]', ...args);
 
+  const core = (typeof window !== 'undefined' && window.__CHESS_CORE) || null;
+  if (!core) {
+    console.error('[CHESS] chess-core.js is not loaded. Paste chess-core.js before chess-helper.js.');
+    return;
+  }
+
+  const {
+    createChessInstance,
+    normalizeBase64,
+    estimateBase64DecodedSize,
+    decodeBase64ToText,
+    encodeTextToBase64,
+    decodeBase64ToBytes,
+    encodeBytesToBase64,
+    normalizeFigurines,
+    cleanToken,
+    extractTokensFromText,
+    parseTokenHints,
+    createGameFromFen,
+    rebuildGameFromTokens,
+    rebuildGameFromPgn,
+    StockfishEngine,
+    uciToSan,
+    normalizeScore,
+    scoreForWhite,
+    pgnResultForGame,
+    formatPgnDate,
+    formatPgnEval,
+    fenPlyIndex,
+    buildPgnMovetext,
+    buildPgn,
+    classifyOpening,
+    analyzeWithStockfish,
+    runEpdSuite,
+    runMatch,
+    analyzeFallback,
+    searchScoreToScore,
+    reviewGame,
+    reviewGraphPoints,
+    renderEvalGraphSvg,
+    getBuiltinEngineSource,
+    CHESS_JS_CDN_URL,
+    chessConstructorFromSource,
+    chessSourceFromConstructor,
+    staticExchangeForMove,
+    evaluatePosition,
+    perft,
+    runPerftSuite,
+    getEvalWeights,
+    setEvalWeights,
+    resetEvalWeights
+  } = core;
+
   const STOCKFISH_FAILURE_STORAGE_KEY = '__chess_helper_stockfish_failures__';
   const STOCKFISH_FAILURE_TTL = 1000 * 60 * 60 * 24 * 7; // 7 days
+  const STOCKFISH_CRASH_WINDOW = 1000 * 60 * 10; // crashes further apart than this start the count again
+  const STOCKFISH_FAILOVER_ATTEMPTS = 6; // engines one analysis request may go through after crashes
   const STOCKFISH_DISABLE_STORAGE_KEY = '__chess_helper_stockfish_disabled__';
   const STOCKFISH_INLINE_STORAGE_KEY = '__chess_helper_stockfish_inline_base64__';
+  const STOCKFISH_ASSET_STORAGE_PREFIX = '__chess_helper_stockfish_asset__:';
+  const POLYGLOT_BOOK_STORAGE_KEY = '__chess_helper_polyglot_book_base64__';
+  const CHESS_JS_STORAGE_KEY = '__chess_helper_chessjs_source__';
+  const EVAL_WEIGHTS_STORAGE_KEY = '__chess_helper_eval_weights__';
+  const CONFIG_STORAGE_KEY = '__chess_helper_config__';
 
   function now() {
     return Date.now();
@@ -19,13 +79,254 @@
     }
   }
 
-  function createChessInstance(fen) {
-    const globalObj = (typeof window !== 'undefined' && window) || (typeof self !== 'undefined' ? self : null);
-    const ChessCtor = globalObj && globalObj.Chess ? globalObj.Chess : null;
-    if (!ChessCtor) {
-      throw new Error('Chess.js library is not available');
+  // Every setting the helper reads, with its default and documentation. legacy names the window global that
+  // configured it before; when that global is set it still wins over the stored value.
+  const CONFIG_SCHEMA = {
+    'engine.multiPv': {
+      type: 'integer', default: 5, min: 1, max: 10,
+      description: 'Lines the engine reports for each position (UCI MultiPV).'
+    },
+    'engine.hash': {
+      type: 'integer', default: 32, min: 1, max: 2048,
+      description: 'Transposition table size in MB sent to the engine (UCI Hash).'
+    },
+    'engine.threads': {
+      type: 'integer', default: 1, min: 1, max: 64,
+      description: 'Search threads sent to the engine (UCI Threads); the built-in worker ignores it.'
+    },
+    'engine.depth': {
+      type: 'integer', default: null, min: 1, max: 99, nullable: true,
+      description: 'Fixed engine analysis depth; null deepens with the game from baseDepth.'
+    },
+    'engine.baseDepth': {
+      type: 'integer', default: 12, min: 1, max: 99,
+      description: 'Engine analysis depth at the start of a game when engine.depth is null.'
+    },
+    'engine.depthStep': {
+      type: 'integer', default: 6, min: 0, max: 100,
+      description: 'Half-moves per extra ply of depth; 0 keeps baseDepth for the whole game.'
+    },
+    'engine.maxDepth': {
+      type: 'integer', default: 18, min: 1, max: 99,
+      description: 'Upper bound for the game-dependent engine depth.'
+    },
+    'engine.timeout': {
+      type: 'integer', default: 15000, min: 1000, max: 600000,
+      description: 'Milliseconds to wait for the engine\'s bestmove before giving up on an analysis.'
+    },
+    'engine.restartLimit': {
+      type: 'integer', default: 2, min: 0, max: 10,
+      description: 'Restarts of an engine source after crashes before the next source takes over.'
+    },
+    'engine.restartBackoff': {
+      type: 'integer', default: 1000, min: 0, max: 60000,
+      description: 'Milliseconds before restarting a crashed engine, doubled for each further crash.'
+    },
+    'engine.disableBuiltin': {
+      type: 'boolean', default: false, legacy: '__CHESS_DISABLE_BUILTIN_ENGINE',
+      description: 'Skip the embedded worker and try external Stockfish sources only.'
+    },
+    'stockfish.urls': {
+      type: 'string[]', default: [], legacy: '__CHESS_STOCKFISH_URLS',
+      description: 'Hosted Stockfish worker scripts, tried in order after any inline payloads.'
+    },
+    'stockfish.retryFailures': {
+      type: 'boolean', default: true, legacy: '__CHESS_STOCKFISH_RETRY',
+      description: 'Retry URLs with recorded failures; false skips them until the failures are cleared.'
+    },
+    'stockfish.force': {
+      type: 'boolean', default: false, legacy: '__CHESS_STOCKFISH_FORCE',
+      description: 'Try Stockfish even after __CHESS.disableStockfish().'
+    },
+    'stockfish.engine': {
+      type: 'string', default: null, nullable: true,
+      description: 'Registered engine (__CHESS.engines) to start before any other source; null uses none.'
+    },
+    'fallback.timeBudget': {
+      type: 'integer', default: 1700, min: 250, max: 60000, legacy: '__CHESS_FALLBACK_TIME',
+      description: 'Milliseconds for the in-page fallback search when no engine answers.'
+    },
+    'review.depth': {
+      type: 'integer', default: 12, min: 1, max: 99,
+      description: 'Engine depth per position for __CHESS.review().'
+    },
+    'review.timeBudget': {
+      type: 'integer', default: 1000, min: 50, max: 60000,
+      description: 'Milliseconds per position for __CHESS.review() on the fallback search.'
+    }
+  };
+
+  // throws on a value the schema does not allow. legacy reads a value the way the old globals were read:
+  // list entries that are not strings are dropped and numbers are raised to the minimum, with no upper bound
+  function normalizeConfigValue(key, value, legacy = false) {
+    const spec = CONFIG_SCHEMA[key];
+    if (!spec) throw new Error(`Unknown setting ${key}; see __CHESS.config.describe()`);
+    if (value === null && spec.nullable) return null;
+    if (spec.type === 'boolean') {
+      if (typeof value !== 'boolean') throw new Error(`${key} must be true or false`);
+      return value;
+    }
+    if (spec.type === 'string[]') {
+      if (legacy && Array.isArray(value)) value = value.filter(item => typeof item === 'string');
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new Error(`${key} must be an array of strings`);
+      }
+      return value.map(item => item.trim()).filter(Boolean);
+    }
+    if (spec.type === 'string') {
+      if (typeof value !== 'string' || !value.trim()) throw new Error(`${key} must be a non-empty string${spec.nullable ? ' or null' : ''}`);
+      return value.trim();
+    }
+    const number = legacy && Number.isFinite(value) ? Math.round(value) : value;
+    if (typeof number !== 'number' || !Number.isInteger(number)) {
+      throw new Error(`${key} must be an integer${spec.nullable ? ' or null' : ''}`);
+    }
+    if (legacy) return Math.max(spec.min, number);
+    if (number < spec.min || number > spec.max) throw new Error(`${key} must be between ${spec.min} and ${spec.max}`);
+    return number;
+  }
+
+  const configSession = {};
+
+  function loadStoredConfig() {
+    const store = safeLocalStorage();
+    if (!store) return {};
+    try {
+      const parsed = JSON.parse(store.getItem(CONFIG_STORAGE_KEY) || '{}');
+      const result = {};
+      for (const [key, value] of Object.entries(parsed && typeof parsed === 'object' ? parsed : {})) {
+        try {
+          result[key] = normalizeConfigValue(key, value);
+        } catch (err) {
+          console.warn('[CHESS] Ignoring stored setting:', err.message);
+        }
+      }
+      return result;
+    } catch (err) {
+      return {};
+    }
+  }
+
+  function persistStoredConfig(values) {
+    const store = safeLocalStorage();
+    if (!store) throw new Error('localStorage is not available; change settings with { persist: false }');
+    if (Object.keys(values).length) store.setItem(CONFIG_STORAGE_KEY, JSON.stringify(values));
+    else store.removeItem(CONFIG_STORAGE_KEY);
+  }
+
+  let configStored = loadStoredConfig();
+
+  function legacyConfigValue(key) {
+    const spec = CONFIG_SCHEMA[key];
+    if (!spec.legacy || typeof window === 'undefined' || window[spec.legacy] === undefined) return undefined;
+    try {
+      return normalizeConfigValue(key, window[spec.legacy], true);
+    } catch (err) {
+      return undefined;
+    }
+  }
+
+  // where the effective value comes from: the legacy global, this tab, localStorage or the default
+  function configEntry(key) {
+    if (!CONFIG_SCHEMA[key]) throw new Error(`Unknown setting ${key}; see __CHESS.config.describe()`);
+    const legacy = legacyConfigValue(key);
+    if (legacy !== undefined) return { value: legacy, source: `window.${CONFIG_SCHEMA[key].legacy}` };
+    if (key in configSession) return { value: configSession[key], source: 'session' };
+    if (key in configStored) return { value: configStored[key], source: 'stored' };
+    return { value: CONFIG_SCHEMA[key].default, source: 'default' };
+  }
+
+  function configValue(key) {
+    const { value } = configEntry(key);
+    return Array.isArray(value) ? value.slice() : value;
+  }
+
+  function getConfig(key) {
+    if (key !== undefined) return configValue(key);
+    const result = {};
+    for (const name of Object.keys(CONFIG_SCHEMA)) result[name] = configValue(name);
+    return result;
+  }
+
+  // set(key, value, options) or set({ key: value, ... }, options); nothing changes unless every value is valid
+  function setConfig(keyOrValues, value, options) {
+    const values = typeof keyOrValues === 'string' ? { [keyOrValues]: value } : keyOrValues;
+    const settings = (typeof keyOrValues === 'string' ? options : value) || {};
+    if (!values || typeof values !== 'object') throw new Error('config.set expects a key and a value, or an object of settings');
+    const normalized = {};
+    for (const [key, entry] of Object.entries(values)) normalized[key] = normalizeConfigValue(key, entry);
+    if (settings.persist === false) {
+      Object.assign(configSession, normalized);
+    } else {
+      const next = { ...configStored, ...normalized };
+      persistStoredConfig(next);
+      configStored = next;
+      for (const key of Object.keys(normalized)) delete configSession[key];
+    }
+    for (const key of Object.keys(normalized)) {
+      const { source } = configEntry(key);
+      if (source.startsWith('window.')) console.warn(`[CHESS] ${key} is overridden by ${source} until that global is removed.`);
+    }
+    return getConfig();
+  }
+
+  // reset() clears every setting, reset(key) or reset([keys]) only those; legacy globals are left alone
+  function resetConfig(keys) {
+    const names = keys === undefined ? Object.keys(CONFIG_SCHEMA) : (Array.isArray(keys) ? keys : [keys]);
+    for (const name of names) {
+      if (!CONFIG_SCHEMA[name]) throw new Error(`Unknown setting ${name}; see __CHESS.config.describe()`);
+    }
+    const next = { ...configStored };
+    for (const name of names) {
+      delete next[name];
+      delete configSession[name];
+    }
+    if (safeLocalStorage()) persistStoredConfig(next);
+    configStored = next;
+    return getConfig();
+  }
+
+  function describeConfig() {
+    return Object.entries(CONFIG_SCHEMA).map(([key, spec]) => {
+      const { value, source } = configEntry(key);
+      const range = spec.type === 'integer' ? ` ${spec.min}-${spec.max}${spec.nullable ? ' or null' : ''}` : '';
+      return {
+        key,
+        type: spec.type + range,
+        default: JSON.stringify(spec.default),
+        value: JSON.stringify(value),
+        source,
+        legacy: spec.legacy ? `window.${spec.legacy}` : '',
+        description: spec.description
+      };
+    });
+  }
+
+  // the settings changed from their defaults, in this tab and in localStorage, as JSON to share
+  function exportConfig() {
+    return JSON.stringify({ ...configStored, ...configSession }, null, 2);
+  }
+
+  // replaces the stored settings (and clears this tab's) with the ones in the JSON; keys it leaves out
+  // return to their defaults
+  function importConfig(json) {
+    let values = json;
+    if (typeof json === 'string') {
+      try {
+        values = JSON.parse(json);
+      } catch (err) {
+        throw new Error(`Configuration is not valid JSON: ${err.message}`);
+      }
     }
-    return typeof fen === 'string' && fen ? new ChessCtor(fen) : new ChessCtor();
+    if (!values || typeof values !== 'object' || Array.isArray(values)) throw new Error('Configuration must be a JSON object');
+    const normalized = {};
+    for (const [key, entry] of Object.entries(values)) normalized[key] = normalizeConfigValue(key, entry);
+    resetConfig();
+    return setConfig(normalized);
+  }
+
+  function engineInitSettings() {
+    return { threads: configValue('engine.threads'), hash: configValue('engine.hash'), multiPv: configValue('engine.multiPv') };
   }
 
   function loadStockfishFailureCache() {
@@ -64,2197 +365,1853 @@
   const stockfishFailureCache = loadStockfishFailureCache();
 
   let inlineStockfishSessionBase64 = null;
-  let inlineStockfishPersistedBase64 = null;
-  let inlineStockfishPersistedLoaded = false;
 
-  function normalizeBase64(text) {
-    return (text || '').replace(/\s+/g, '').trim();
+  // Engine payloads (the Stockfish worker and its companion files) are Blobs in IndexedDB, gzip-compressed
+  // where the browser has CompressionStream. A record is { blob, encoding, bytes, storedBytes, storedAt },
+  // plus meta for registered engines.
+  // Only the metadata is read at startup (engineStorageReady); the payloads themselves are read and
+  // unpacked when a worker is created, so a multi-megabyte build costs nothing while it is not in use.
+  const ENGINE_DB_NAME = '__chess_helper_engines__';
+  const ENGINE_DB_STORE = 'payloads';
+  const STOCKFISH_PAYLOAD_KEY = 'stockfish';
+  const STOCKFISH_ASSET_KEY_PREFIX = 'asset:';
+
+  // key -> { size, encoding, storedBytes, storedAt, storage, meta }, plus legacyKey for localStorage entries
+  const storedEnginePayloads = new Map();
+  let engineStorageLoaded = false;
+  let engineDbPromise = null;
+
+  function openEngineDb() {
+    if (engineDbPromise) return engineDbPromise;
+    engineDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined' || !indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(ENGINE_DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(ENGINE_DB_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error('IndexedDB could not be opened'));
+    });
+    engineDbPromise.catch(() => {
+      engineDbPromise = null;
+    });
+    return engineDbPromise;
+  }
+
+  // run(store) returns the request or requests whose results the transaction resolves with
+  async function engineDbTransaction(mode, run) {
+    const db = await openEngineDb();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(ENGINE_DB_STORE, mode);
+      const requests = [].concat(run(transaction.objectStore(ENGINE_DB_STORE)) || []);
+      transaction.oncomplete = () => resolve(requests.map(request => request.result));
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
   }
 
-  function estimateBase64DecodedSize(base64Text) {
-    const normalized = normalizeBase64(base64Text);
-    if (!normalized) return 0;
-    const padding = normalized.endsWith('==') ? 2 : normalized.endsWith('=') ? 1 : 0;
-    return Math.max(0, Math.floor((normalized.length * 3) / 4) - padding);
+  async function packEnginePayload(bytes, compress) {
+    const plain = new Blob([bytes]);
+    let blob = plain;
+    if (compress && typeof CompressionStream === 'function') {
+      const packed = await new Response(plain.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+      if (packed.size < plain.size) blob = packed;
+    }
+    return {
+      blob,
+      encoding: blob === plain ? 'identity' : 'gzip',
+      bytes: bytes.byteLength,
+      storedBytes: blob.size,
+      storedAt: now()
+    };
+  }
+
+  function unpackedEngineStream(record) {
+    return record.encoding === 'gzip'
+      ? record.blob.stream().pipeThrough(new DecompressionStream('gzip'))
+      : record.blob.stream();
   }
 
-  function loadPersistedInlineStockfishBase64() {
-    if (inlineStockfishPersistedLoaded) {
-      return inlineStockfishPersistedBase64;
+  async function unpackEnginePayload(record) {
+    return new Uint8Array(await new Response(unpackedEngineStream(record)).arrayBuffer());
+  }
+
+  // the bytes of a stored payload, read from IndexedDB (or an entry left in localStorage) on every call
+  async function readEnginePayload(key) {
+    await engineStorageReady;
+    const entry = storedEnginePayloads.get(key);
+    if (!entry) return null;
+    if (entry.storage === 'localStorage') {
+      const store = safeLocalStorage();
+      const base64 = store ? normalizeBase64(store.getItem(entry.legacyKey)) : null;
+      return base64 ? decodeBase64ToBytes(base64) : null;
     }
-    inlineStockfishPersistedLoaded = true;
-    const store = safeLocalStorage();
-    if (!store) return null;
     try {
-      const value = store.getItem(STOCKFISH_INLINE_STORAGE_KEY);
-      inlineStockfishPersistedBase64 = value ? normalizeBase64(value) : null;
+      const [record] = await engineDbTransaction('readonly', store => store.get(key));
+      return record ? await unpackEnginePayload(record) : null;
     } catch (err) {
-      inlineStockfishPersistedBase64 = null;
+      console.warn(`[CHESS] Stored engine payload ${key} could not be read:`, err.message);
+      return null;
     }
-    return inlineStockfishPersistedBase64;
   }
 
-  function setPersistedInlineStockfishBase64(base64Text) {
-    inlineStockfishPersistedBase64 = base64Text ? normalizeBase64(base64Text) : null;
-    inlineStockfishPersistedLoaded = true;
-    const store = safeLocalStorage();
-    if (!store) return;
+  // the same payload as a Blob, which the browser can hand to a worker without copying it through script
+  async function readEnginePayloadBlob(key, type) {
+    const entry = storedEnginePayloads.get(key);
+    if (!entry) return null;
+    if (entry.storage === 'localStorage') {
+      const bytes = await readEnginePayload(key);
+      return bytes ? new Blob([bytes], { type }) : null;
+    }
     try {
-      if (inlineStockfishPersistedBase64) {
-        store.setItem(STOCKFISH_INLINE_STORAGE_KEY, inlineStockfishPersistedBase64);
-      } else {
-        store.removeItem(STOCKFISH_INLINE_STORAGE_KEY);
-      }
+      const [record] = await engineDbTransaction('readonly', store => store.get(key));
+      return record ? new Blob([await new Response(unpackedEngineStream(record)).blob()], { type }) : null;
     } catch (err) {
-      if (inlineStockfishPersistedBase64) {
-        console.warn('[CHESS] Failed to persist Stockfish payload.', err);
-      }
+      console.warn(`[CHESS] Stored engine payload ${key} could not be read:`, err.message);
+      return null;
     }
   }
 
-  function clearPersistedInlineStockfishBase64() {
-    setPersistedInlineStockfishBase64(null);
+  async function putEngineRecord(key, what, record) {
+    try {
+      await engineDbTransaction('readwrite', store => store.put(record, key));
+    } catch (err) {
+      if (!err || err.name !== 'QuotaExceededError') {
+        throw new Error(`Could not store ${what} in IndexedDB (${err && err.message ? err.message : err}); keep it for the tab with { persist: false }`);
+      }
+      let usage = '';
+      try {
+        const estimate = navigator.storage && typeof navigator.storage.estimate === 'function' ? await navigator.storage.estimate() : null;
+        if (estimate) usage = ` (${estimate.usage} of ${estimate.quota} bytes already in use)`;
+      } catch (estimateErr) {
+        // the estimate only decorates the message
+      }
+      throw new Error(`The browser's storage quota has no room for ${what}: ${record.storedBytes} bytes${usage}. ` +
+        'Free space by clearing other stored payloads, or keep this one for the tab with { persist: false }.');
+    }
+    storedEnginePayloads.set(key, {
+      size: record.bytes,
+      encoding: record.encoding,
+      storedBytes: record.storedBytes,
+      storedAt: record.storedAt,
+      storage: 'indexeddb',
+      meta: record.meta || null
+    });
   }
 
-  function loadStockfishDisabledFlag() {
-    const store = safeLocalStorage();
-    if (!store) return false;
+  async function deleteEngineRecord(key) {
+    storedEnginePayloads.delete(key);
     try {
-      return store.getItem(STOCKFISH_DISABLE_STORAGE_KEY) === '1';
+      await engineDbTransaction('readwrite', store => store.delete(key));
     } catch (err) {
-      return false;
+      // nothing stored, or nowhere to store it
     }
   }
 
-  function persistStockfishDisabledFlag(flag) {
+  // payloads stored before IndexedDB: the worker under its old key and any companion files
+  function legacyEngineEntries() {
     const store = safeLocalStorage();
-    if (!store) return;
+    const entries = [];
+    if (!store) return entries;
     try {
-      if (flag) {
-        store.setItem(STOCKFISH_DISABLE_STORAGE_KEY, '1');
-      } else {
-        store.removeItem(STOCKFISH_DISABLE_STORAGE_KEY);
+      for (let i = 0; i < store.length; i++) {
+        const storageKey = store.key(i);
+        if (storageKey === STOCKFISH_INLINE_STORAGE_KEY) {
+          entries.push({ storageKey, key: STOCKFISH_PAYLOAD_KEY, what: 'the Stockfish payload' });
+        } else if (storageKey && storageKey.startsWith(STOCKFISH_ASSET_STORAGE_PREFIX)) {
+          const name = storageKey.slice(STOCKFISH_ASSET_STORAGE_PREFIX.length);
+          entries.push({ storageKey, key: `${STOCKFISH_ASSET_KEY_PREFIX}${name}`, what: name });
+        }
       }
+      for (const entry of entries) entry.base64 = normalizeBase64(store.getItem(entry.storageKey));
     } catch (err) {
-      // ignore persistence errors
+      return [];
     }
+    return entries;
   }
 
-  let stockfishDisabled = loadStockfishDisabledFlag();
-  if (stockfishDisabled) {
-    stockfishDisabled = false;
-    persistStockfishDisabledFlag(false);
-    log('Cleared stored Stockfish disable flag to allow fresh engine attempts.');
+  async function migrateLegacyEngineStorage() {
+    const store = safeLocalStorage();
+    for (const entry of legacyEngineEntries()) {
+      const bytes = entry.base64 ? decodeBase64ToBytes(entry.base64) : null;
+      if (bytes && bytes.byteLength) {
+        await putEngineRecord(entry.key, entry.what, await packEnginePayload(bytes, true));
+        log(`Moved ${entry.what} from localStorage to IndexedDB (${bytes.byteLength} bytes).`);
+      } else {
+        console.warn(`[CHESS] Stored ${entry.what} could not be decoded and was removed.`);
+      }
+      store.removeItem(entry.storageKey);
+    }
   }
 
-  function isStockfishDisabled() {
-    return stockfishDisabled === true;
+  async function loadEngineStorage() {
+    try {
+      await migrateLegacyEngineStorage();
+    } catch (err) {
+      console.warn('[CHESS] Stored engine payloads stay in localStorage:', err.message);
+    }
+    try {
+      // records hold Blob handles; their contents stay in the database until readEnginePayload
+      const [keys, records] = await engineDbTransaction('readonly', store => [store.getAllKeys(), store.getAll()]);
+      for (let i = 0; i < keys.length; i++) {
+        const record = records[i];
+        if (!record || !record.blob) continue;
+        storedEnginePayloads.set(keys[i], {
+          size: record.bytes,
+          encoding: record.encoding,
+          storedBytes: record.storedBytes,
+          storedAt: record.storedAt,
+          storage: 'indexeddb',
+          meta: record.meta || null
+        });
+      }
+    } catch (err) {
+      // without IndexedDB only legacy entries remain
+    }
+    // whatever could not be moved is still usable from localStorage
+    for (const entry of legacyEngineEntries()) {
+      if (!entry.base64 || storedEnginePayloads.has(entry.key)) continue;
+      storedEnginePayloads.set(entry.key, {
+        size: estimateBase64DecodedSize(entry.base64),
+        encoding: 'base64',
+        storedBytes: entry.base64.length,
+        storedAt: null,
+        storage: 'localStorage',
+        legacyKey: entry.storageKey,
+        meta: null
+      });
+    }
+    engineStorageLoaded = true;
   }
 
-  function setStockfishDisabled(value) {
-    const next = value === true;
-    if (stockfishDisabled === next) return;
-    stockfishDisabled = next;
-    persistStockfishDisabledFlag(next);
+  const engineStorageReady = loadEngineStorage();
+
+  // writes go to IndexedDB; compress: false stores the bytes as they are
+  async function storeEnginePayload(key, what, bytes, options = {}, meta = null) {
+    await engineStorageReady;
+    const record = await packEnginePayload(bytes, options.compress !== false);
+    if (meta) record.meta = meta;
+    await putEngineRecord(key, what, record);
+    return storedEnginePayloads.get(key);
   }
 
-  function recordStockfishFailure(url, error) {
-    if (!url) return;
-    const reason = (error && error.message) ? error.message : String(error || 'unknown error');
-    stockfishFailureCache[url] = { timestamp: now(), reason };
-    persistStockfishFailureCache(stockfishFailureCache);
+  // the stored worker script, read when a worker is about to be created
+  async function loadPersistedInlineStockfishCode() {
+    const bytes = await readEnginePayload(STOCKFISH_PAYLOAD_KEY);
+    return bytes ? engineTextFromBytes(bytes) : null;
   }
 
-  function clearStockfishFailureCache() {
-    for (const key of Object.keys(stockfishFailureCache)) {
-      delete stockfishFailureCache[key];
-    }
+  async function clearPersistedInlineStockfishBase64() {
     const store = safeLocalStorage();
-    if (store) {
-      try {
-        store.removeItem(STOCKFISH_FAILURE_STORAGE_KEY);
-      } catch (err) {
-        // ignore removal issues and fall back to persisting an empty object
-        persistStockfishFailureCache(stockfishFailureCache);
-      }
-    } else {
-      persistStockfishFailureCache(stockfishFailureCache);
+    try {
+      if (store) store.removeItem(STOCKFISH_INLINE_STORAGE_KEY);
+    } catch (err) {
+      // ignore removal issues
     }
+    await deleteEngineRecord(STOCKFISH_PAYLOAD_KEY);
   }
 
-  function stockfishFailureEntries() {
-    return Object.entries(stockfishFailureCache).map(([url, data]) => ({
-      url,
-      reason: data?.reason || 'unknown error',
-      timestamp: data?.timestamp || 0
-    }));
+  // Companion files of a Stockfish build (stockfish.wasm, .nnue networks), by file name. The glue script
+  // asks for them relative to its own URL, which a blob worker does not have, so the worker launcher hands
+  // them over as blob URLs (see stockfishAssetShimSource).
+  const stockfishAssetSession = new Map();
+  const stockfishAssetUrls = new Map();
+
+  function normalizeStockfishAssetName(name) {
+    const clean = typeof name === 'string' ? name.split(/[?#]/)[0].split('/').pop().trim() : '';
+    if (!clean || !/^[\w.-]+$/.test(clean)) throw new Error(`Invalid asset name ${name}; use a file name such as stockfish.wasm`);
+    return clean;
   }
 
-  async function ensureChessJS() {
-    if (window.Chess) return true;
-    const url = 'https://cdnjs.cloudflare.com/ajax/libs/chess.js/0.10.2/chess.min.js';
-    try {
-      await new Promise((resolve, reject) => {
-        const script = document.createElement('script');
-        script.src = url;
-        script.onload = resolve;
-        script.onerror = () => reject(new Error('script load failed'));
-        document.head.appendChild(script);
-      });
-      return !!window.Chess;
-    } catch (err) {
-      console.error('[CHESS] chess.js not loaded.', err);
-      return false;
+  // name -> { bytes } for a session copy or { entry } for a stored one; session copies win over stored
+  // ones of the same name
+  function activeStockfishAssets() {
+    const assets = new Map();
+    for (const [key, entry] of storedEnginePayloads) {
+      if (key.startsWith(STOCKFISH_ASSET_KEY_PREFIX)) assets.set(key.slice(STOCKFISH_ASSET_KEY_PREFIX.length), { entry });
     }
+    for (const [name, bytes] of stockfishAssetSession) assets.set(name, { bytes });
+    return assets;
   }
 
-  function findMovesContainer() {
-    const primary = document.querySelector([
-      '#scroll-container',
-      '[data-test-element="move-list"]',
-      '.vertical-move-list-component',
-      '.move-list-vertical',
-      '#move-list',
-      '[data-qa="vertical-move-list"]',
-      '[data-qa="move-list"]'
-    ].join(','));
-    if (primary) return primary;
+  function releaseStockfishAssetUrl(name) {
+    const entry = stockfishAssetUrls.get(name);
+    if (!entry) return;
+    URL.revokeObjectURL(entry.url);
+    stockfishAssetUrls.delete(name);
+  }
 
-    const selectors = ['#scroll-container', '.moves', '[data-test-element="move-list"]', '[data-qa="vertical-move-list"]', '[data-qa="move-list"]'];
-    const visited = new Set();
-    function walk(node) {
-      if (!node || visited.has(node)) return null;
-      visited.add(node);
-      for (const selector of selectors) {
-        try {
-          const hit = node.querySelector?.(selector);
-          if (hit) return hit;
-        } catch (err) {
-          // ignore shadow-root access errors
-        }
-      }
-      if (node.shadowRoot) {
-        const inside = walk(node.shadowRoot);
-        if (inside) return inside;
-      }
-      for (const child of node.childNodes || []) {
-        const found = walk(child);
-        if (found) return found;
-      }
-      return null;
+  async function storeStockfishAsset(name, data, options = {}) {
+    const persist = options.persist !== false;
+    const fileName = normalizeStockfishAssetName(name);
+    const bytes = typeof data === 'string'
+      ? decodeBase64ToBytes(normalizeBase64(data))
+      : (data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+    if (!(bytes instanceof Uint8Array) || !bytes.byteLength) {
+      throw new Error(`Empty or invalid payload for ${fileName}`);
     }
-
-    const deep = walk(document.documentElement);
-    if (deep) return deep;
-
-    const candidates = Array.from(document.querySelectorAll('div,section,aside'))
-      .filter(el => (el.scrollHeight > 300 || el.clientHeight > 300) && /move|list|scroll|game/i.test(el.className + ' ' + el.id));
-    for (const el of candidates) {
-      const text = (el.innerText || '').slice(0, 2000);
-      if (/(O-O(?:-O)?|[KQRBN]?[a-h]?[1-8]?x?[a-h][1-8](?:=[QRBN])?)/.test(text)) return el;
+    if (/\.wasm$/i.test(fileName) && !(bytes[0] === 0 && bytes[1] === 0x61 && bytes[2] === 0x73 && bytes[3] === 0x6d)) {
+      throw new Error(`${fileName} is not a WebAssembly binary`);
     }
-    return null;
+    let stored = null;
+    if (persist) {
+      stored = await storeEnginePayload(`${STOCKFISH_ASSET_KEY_PREFIX}${fileName}`, fileName, bytes, options);
+      stockfishAssetSession.delete(fileName);
+    } else {
+      stockfishAssetSession.set(fileName, bytes);
+    }
+    releaseStockfishAssetUrl(fileName);
+    return {
+      name: fileName,
+      persisted: persist,
+      bytes: bytes.byteLength,
+      storedBytes: stored ? stored.storedBytes : null,
+      compressed: !!stored && stored.encoding === 'gzip'
+    };
   }
 
-  function normalizeFigurines(text) {
-    const map = {
-      '♔': 'K', // white king
-      '♕': 'Q',
-      '♖': 'R',
-      '♗': 'B',
-      '♘': 'N',
-      '♙': '',  // white pawn -> no prefix
-      '♚': 'K', // black king
-      '♛': 'Q',
-      '♜': 'R',
-      '♝': 'B',
-      '♞': 'N',
-      '♟': ''   // black pawn
-    };
-    return text.replace(/[\u2654-\u265F]/g, ch => map[ch] ?? '');
+  async function storeStockfishAssetFromUrl(url, options = {}) {
+    if (!url || typeof url !== 'string') {
+      throw new Error('URL is required');
+    }
+    const response = await fetch(url.trim(), { mode: 'cors', credentials: 'omit' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const result = await storeStockfishAsset(options.name || url.trim(), new Uint8Array(await response.arrayBuffer()), options);
+    return { ...result, url: url.trim() };
   }
 
-  function canonicalSan(text) {
-    return text
-      .replace(/0-0-0/gi, 'o-o-o')
-      .replace(/0-0/gi, 'o-o')
-      .replace(/[+#?!]/g, '')
-      .replace(/=/g, '')
-      .replace(/[^a-z0-9xo-]/gi, '')
-      .toLowerCase();
+  // clears one asset by name, or all of them
+  async function clearStockfishAssets(name) {
+    await engineStorageReady;
+    const names = name === undefined ? Array.from(activeStockfishAssets().keys()) : [normalizeStockfishAssetName(name)];
+    const store = safeLocalStorage();
+    for (const fileName of names) {
+      stockfishAssetSession.delete(fileName);
+      releaseStockfishAssetUrl(fileName);
+      await deleteEngineRecord(`${STOCKFISH_ASSET_KEY_PREFIX}${fileName}`);
+      try {
+        if (store) store.removeItem(`${STOCKFISH_ASSET_STORAGE_PREFIX}${fileName}`);
+      } catch (err) {
+        // ignore removal issues
+      }
+    }
+    return names;
   }
 
-  function cleanToken(token) {
-    return token
-      .replace(/[\u202f\u00a0]/g, ' ')
-      .replace(/[\u2000-\u200f\u206f\ufeff]/g, '')
-      .replace(/[!?]+$/g, '')
-      .replace(/[†‡…]/g, '')
-      .trim();
+  function stockfishAssetEntries() {
+    return Array.from(activeStockfishAssets().entries()).map(([name, asset]) => {
+      const stored = asset.entry || null;
+      return {
+        name,
+        bytes: asset.bytes ? asset.bytes.byteLength : stored.size,
+        storedBytes: stored ? stored.storedBytes : null,
+        encoding: stored ? stored.encoding : null,
+        storage: stored ? stored.storage : 'session'
+      };
+    });
   }
 
-  async function fetchText(url) {
-    const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    return await response.text();
+  // blob URLs for the active assets, made when a worker first needs them and reused by every worker until
+  // the asset changes; stored assets are read from IndexedDB at that point
+  async function stockfishAssetBlobUrls() {
+    await engineStorageReady;
+    const urls = {};
+    for (const [name, asset] of activeStockfishAssets()) {
+      const source = asset.bytes || asset.entry;
+      const cached = stockfishAssetUrls.get(name);
+      if (cached && cached.source === source) {
+        urls[name] = cached.url;
+        continue;
+      }
+      releaseStockfishAssetUrl(name);
+      const type = /\.wasm$/i.test(name) ? 'application/wasm' : 'application/octet-stream';
+      const blob = asset.bytes
+        ? new Blob([asset.bytes], { type })
+        : await readEnginePayloadBlob(`${STOCKFISH_ASSET_KEY_PREFIX}${name}`, type);
+      if (!blob) continue;
+      const url = URL.createObjectURL(blob);
+      stockfishAssetUrls.set(name, { source, url });
+      urls[name] = url;
+    }
+    return urls;
   }
 
-  function createWorkerFromSource(script) {
-    const blob = new Blob([script], { type: 'text/javascript' });
-    const blobUrl = URL.createObjectURL(blob);
-    try {
-      const worker = new Worker(blobUrl);
-      return { worker, blobUrl };
-    } catch (err) {
-      URL.revokeObjectURL(blobUrl);
-      throw err;
-    }
+  // Named engine builds (several Stockfish versions, a lite build), each stored under engine:<name> with
+  // meta { name, digest, idName }: the SHA-256 of the payload, checked against the bytes read back from
+  // IndexedDB after storing and right before every launch, and the `id name` the engine gave in its handshake. The stockfish.engine setting picks the one to start.
+  const ENGINE_REGISTRY_KEY_PREFIX = 'engine:';
+
+  function normalizeEngineName(name) {
+    const clean = typeof name === 'string' ? name.trim() : '';
+    if (!clean || !/^[\w.+-]+$/.test(clean)) throw new Error(`Invalid engine name ${name}; use letters, digits, '.', '+', '-' or '_'`);
+    return clean;
+  }
+
+  async function sha256Hex(bytes) {
+    const subtle = window.crypto && window.crypto.subtle;
+    if (!subtle) throw new Error('SHA-256 is not available on this page (crypto.subtle needs a secure context)');
+    const digest = new Uint8Array(await subtle.digest('SHA-256', bytes));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
   }
 
-  function decodeBase64ToText(encoded) {
-    const normalized = normalizeBase64(encoded);
-    if (!normalized) return null;
+  function engineTextFromBytes(bytes) {
     try {
-      const binary = atob(normalized);
-      if (typeof TextDecoder === 'undefined') {
-        return binary;
-      }
-      const length = binary.length;
-      const bytes = new Uint8Array(length);
-      for (let i = 0; i < length; i++) {
-        bytes[i] = binary.charCodeAt(i);
-      }
-      return new TextDecoder().decode(bytes);
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
     } catch (err) {
-      console.warn('[CHESS] Failed to decode base64 Stockfish payload.', err);
       return null;
     }
   }
 
-  function encodeTextToBase64(text) {
-    if (typeof text !== 'string') return null;
+  async function updateEngineMeta(key, changes) {
+    const entry = storedEnginePayloads.get(key);
+    if (!entry || !entry.meta) return;
+    entry.meta = { ...entry.meta, ...changes };
     try {
-      if (typeof TextEncoder === 'undefined') {
-        return btoa(text);
-      }
-      const encoder = new TextEncoder();
-      const bytes = encoder.encode(text);
-      const chunk = 0x8000;
-      let binary = '';
-      for (let i = 0; i < bytes.length; i += chunk) {
-        const slice = bytes.subarray(i, i + chunk);
-        binary += String.fromCharCode.apply(null, slice);
-      }
-      return btoa(binary);
+      await engineDbTransaction('readwrite', store => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          if (request.result) store.put({ ...request.result, meta: entry.meta }, key);
+        };
+        return request;
+      });
     } catch (err) {
-      console.warn('[CHESS] Failed to encode Stockfish payload to base64.', err);
-      return null;
+      // the copy in memory still has it for this session
     }
   }
 
-  class StockfishEngine {
-    constructor(worker, sourceUrl) {
-      this.worker = worker;
-      this.sourceUrl = sourceUrl;
-      this.handlers = new Set();
-      this.waiters = [];
-      this.isInitialized = false;
-      this.worker.onmessage = (event) => this.handleMessage(event.data);
+  // runs the handshake in a throwaway worker for the engine's `id name`
+  async function probeEngineIdName(code, label) {
+    const { worker, blobUrl } = createWorkerFromSource(code, await stockfishAssetBlobUrls());
+    try {
+      const engine = new StockfishEngine(worker, label);
+      await engine.init(engineInitSettings());
+      return engine.idName;
+    } finally {
+      worker.terminate();
+      URL.revokeObjectURL(blobUrl);
     }
+  }
 
-    handleMessage(payload) {
-      const line = typeof payload === 'string' ? payload : (payload?.data ?? String(payload ?? ''));
-      if (!line) return;
-
-      for (let i = this.waiters.length - 1; i >= 0; i--) {
-        const waiter = this.waiters[i];
-        let match = false;
-        try {
-          match = waiter.predicate(line);
-        } catch (err) {
-          console.error('[CHESS] engine waiter error:', err);
-        }
-        if (match) {
-          this.waiters.splice(i, 1);
-          clearTimeout(waiter.timer);
-          waiter.resolve(line);
-        }
-      }
-
-      for (const handler of this.handlers) {
-        try {
-          handler(line);
-        } catch (err) {
-          console.error('[CHESS] engine handler error:', err);
-        }
-      }
+  // payload: base64 text, ArrayBuffer or Uint8Array of a worker script
+  async function addRegisteredEngine(name, payload, options = {}) {
+    const engineName = normalizeEngineName(name);
+    const bytes = typeof payload === 'string'
+      ? decodeBase64ToBytes(normalizeBase64(payload))
+      : (payload instanceof ArrayBuffer ? new Uint8Array(payload) : payload);
+    if (!(bytes instanceof Uint8Array) || !bytes.byteLength) {
+      throw new Error(`Empty or invalid payload for engine ${engineName}`);
     }
-
-    waitFor(predicate, timeout = 10000) {
-      return new Promise((resolve, reject) => {
-        const waiter = {
-          predicate,
-          resolve,
-          reject,
-          timer: setTimeout(() => {
-            const index = this.waiters.indexOf(waiter);
-            if (index !== -1) this.waiters.splice(index, 1);
-            reject(new Error('timeout waiting for engine response'));
-          }, timeout)
-        };
-        this.waiters.push(waiter);
+    const code = engineTextFromBytes(bytes);
+    if (!code || /^\s*</.test(code)) throw new Error(`The payload for engine ${engineName} is not a worker script`);
+    const digest = await sha256Hex(bytes);
+    let idName = null;
+    try {
+      idName = await probeEngineIdName(code, `${ENGINE_REGISTRY_KEY_PREFIX}${engineName}`);
+    } catch (err) {
+      console.warn(`[CHESS] Engine ${engineName} did not finish the uci handshake (${err.message}); its id name is recorded on first launch.`);
+    }
+    const key = `${ENGINE_REGISTRY_KEY_PREFIX}${engineName}`;
+    await storeEnginePayload(key, `engine ${engineName}`, bytes, options, { name: engineName, digest, idName });
+    const stored = await readEnginePayload(key);
+    if (!stored || await sha256Hex(stored) !== digest) {
+      await deleteEngineRecord(key);
+      throw new Error(`Engine ${engineName} did not read back from IndexedDB as stored and was removed`);
+    }
+    return registeredEngineEntries().find(entry => entry.name === engineName);
+  }
+
+  function registeredEngineEntries() {
+    const selected = configValue('stockfish.engine');
+    const entries = [];
+    for (const [key, entry] of storedEnginePayloads) {
+      if (!key.startsWith(ENGINE_REGISTRY_KEY_PREFIX) || !entry.meta) continue;
+      entries.push({
+        name: entry.meta.name,
+        idName: entry.meta.idName,
+        sha256: entry.meta.digest,
+        bytes: entry.size,
+        storedBytes: entry.storedBytes,
+        storedAt: entry.storedAt ? new Date(entry.storedAt).toISOString() : null,
+        active: entry.meta.name === selected
       });
     }
+    return entries.sort((a, b) => a.name.localeCompare(b.name));
+  }
 
-    send(command) {
-      this.worker.postMessage(command);
+  // The script of a registered engine, or null with a warning when it is missing or fails its digest check.
+  // The bytes are read from the store on every call, so a change made to the database after the page loaded
+  // is caught; callers create the worker from the result straight away.
+  async function registeredEngineCode(name) {
+    await engineStorageReady;
+    const key = `${ENGINE_REGISTRY_KEY_PREFIX}${name}`;
+    const entry = storedEnginePayloads.get(key);
+    const bytes = entry && entry.meta ? await readEnginePayload(key) : null;
+    if (!bytes) {
+      console.warn(`[CHESS] Selected engine ${name} is not registered; see __CHESS.engines.list().`);
+      return null;
     }
-
-    onMessage(handler) {
-      this.handlers.add(handler);
-      return () => this.handlers.delete(handler);
+    const digest = await sha256Hex(bytes);
+    if (digest !== entry.meta.digest) {
+      console.warn(`[CHESS] Engine ${name} failed its integrity check (sha256 ${digest}, registered ${entry.meta.digest}); add it again to replace it.`);
+      return null;
     }
+    return engineTextFromBytes(bytes);
+  }
 
-    async init() {
-      if (this.isInitialized) return;
-      this.send('uci');
-      await this.waitFor(line => line.trim() === 'uciok', 10000);
-      this.send('setoption name Threads value 1');
-      this.send('setoption name Hash value 32');
-      this.send('setoption name MultiPV value 5');
-      this.send('isready');
-      await this.waitFor(line => line.trim() === 'readyok', 10000);
-      this.isInitialized = true;
-    }
+  async function recordRegisteredEngineId(name, idName) {
+    const key = `${ENGINE_REGISTRY_KEY_PREFIX}${name}`;
+    const entry = storedEnginePayloads.get(key);
+    if (!idName || !entry || !entry.meta || entry.meta.idName === idName) return;
+    await updateEngineMeta(key, { idName });
+  }
 
-    async isReady() {
-      this.send('isready');
-      await this.waitFor(line => line.trim() === 'readyok', 10000);
+  async function useRegisteredEngine(name) {
+    await engineStorageReady;
+    const engineName = name === null ? null : normalizeEngineName(name);
+    if (engineName && !storedEnginePayloads.has(`${ENGINE_REGISTRY_KEY_PREFIX}${engineName}`)) {
+      throw new Error(`No engine named ${engineName}; see __CHESS.engines.list()`);
     }
+    setConfig('stockfish.engine', engineName);
+    // the next analysis starts the selection
+    releaseStockfishEngine();
+    return engineName;
+  }
 
-    async setMultiPv(count) {
-      this.send(`setoption name MultiPV value ${count}`);
-      await this.isReady();
+  async function removeRegisteredEngine(name) {
+    await engineStorageReady;
+    const engineName = normalizeEngineName(name);
+    const key = `${ENGINE_REGISTRY_KEY_PREFIX}${engineName}`;
+    if (!storedEnginePayloads.has(key)) return false;
+    await deleteEngineRecord(key);
+    if (configValue('stockfish.engine') === engineName) {
+      setConfig('stockfish.engine', null);
+      releaseStockfishEngine();
     }
+    return true;
   }
 
-  function setSessionInlineStockfishBase64(base64Text) {
-    inlineStockfishSessionBase64 = base64Text ? normalizeBase64(base64Text) : null;
+  let polyglotBookSessionBase64 = null;
+
+  function loadPersistedPolyglotBook() {
+    const store = safeLocalStorage();
+    if (!store) return null;
+    try {
+      const value = store.getItem(POLYGLOT_BOOK_STORAGE_KEY);
+      return value ? normalizeBase64(value) : null;
+    } catch (err) {
+      return null;
+    }
   }
 
-  function clearSessionInlineStockfishBase64() {
-    inlineStockfishSessionBase64 = null;
+  function activePolyglotBook() {
+    return polyglotBookSessionBase64 || loadPersistedPolyglotBook();
   }
 
-  function storeInlineStockfishBase64(base64Text, options = {}) {
+  function storePolyglotBook(data, options = {}) {
     const persist = options.persist !== false;
-    const normalized = normalizeBase64(base64Text);
-    if (!normalized) {
-      throw new Error('Empty base64 payload');
+    const base64 = typeof data === 'string' ? normalizeBase64(data) : encodeBytesToBase64(data);
+    const bytes = base64 ? decodeBase64ToBytes(base64) : null;
+    if (!bytes || !bytes.byteLength) {
+      throw new Error('Empty or invalid Polyglot book payload');
     }
-    const decoded = decodeBase64ToText(normalized);
-    if (!decoded) {
-      throw new Error('Invalid base64 payload');
+    if (bytes.byteLength % 16 !== 0) {
+      throw new Error(`Polyglot book size ${bytes.byteLength} is not a multiple of 16 bytes`);
     }
     if (persist) {
-      setPersistedInlineStockfishBase64(normalized);
-      clearSessionInlineStockfishBase64();
+      const store = safeLocalStorage();
+      if (!store) throw new Error('localStorage is not available; store the book with { persist: false }');
+      store.setItem(POLYGLOT_BOOK_STORAGE_KEY, base64);
+      polyglotBookSessionBase64 = null;
     } else {
-      setSessionInlineStockfishBase64(normalized);
+      polyglotBookSessionBase64 = base64;
     }
-    return { persisted: persist, decodedBytes: decoded.length };
+    return { persisted: persist, bytes: bytes.byteLength, entries: bytes.byteLength / 16 };
   }
 
-  async function storeInlineStockfishFromUrl(url, options = {}) {
+  async function storePolyglotBookFromUrl(url, options = {}) {
     if (!url || typeof url !== 'string') {
       throw new Error('URL is required');
     }
-    const script = await fetchText(url.trim());
-    const base64 = encodeTextToBase64(script);
-    if (!base64) {
-      throw new Error('Failed to encode fetched Stockfish script to base64');
-    }
-    const result = storeInlineStockfishBase64(base64, options);
+    const response = await fetch(url.trim(), { mode: 'cors', credentials: 'omit' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const result = storePolyglotBook(new Uint8Array(await response.arrayBuffer()), options);
     return { ...result, url: url.trim() };
   }
 
-  async function createStockfishWorker(url) {
-    const script = await fetchText(url);
-    if (/^\s*</.test(script)) {
-      throw new Error('Unexpected HTML response');
+  function clearStoredPolyglotBook() {
+    polyglotBookSessionBase64 = null;
+    const store = safeLocalStorage();
+    if (!store) return;
+    try {
+      store.removeItem(POLYGLOT_BOOK_STORAGE_KEY);
+    } catch (err) {
+      // ignore removal issues
     }
-    return createWorkerFromSource(script);
   }
 
-  let stockfishPromise = window.__STOCKFISH_PROMISE || null;
-
-  let BUILTIN_ENGINE_SOURCE = null;
-
-  async function ensureStockfishEngine() {
-    if (window.__STOCKFISH_ENGINE_INSTANCE) return window.__STOCKFISH_ENGINE_INSTANCE;
-    if (stockfishPromise) return stockfishPromise;
-
-    const defaultEngineUrls = [];
-
-    const overrideUrls = Array.isArray(window.__CHESS_STOCKFISH_URLS)
-      ? window.__CHESS_STOCKFISH_URLS.filter(url => typeof url === 'string' && url.trim().length > 0)
-      : [];
+  // only engines that advertise BookData during the handshake (the built-in worker) get the book
+  async function sendBookToEngine(engine) {
+    if (!engine || typeof engine.hasOption !== 'function' || !engine.hasOption('BookData')) return false;
+    const book = activePolyglotBook();
+    engine.send(`setoption name BookData value ${book || '<empty>'}`);
+    await engine.isReady();
+    return !!book;
+  }
 
-    const inlinePayloads = [];
-    const inlineBase64Seen = new Set();
-    const pushInline = (code, label) => {
-      if (!code || typeof code !== 'string' || !code.trim()) return;
-      inlinePayloads.push({ code, label });
-    };
+  let evalWeightsSession = null;
 
-    const persistedBase64 = loadPersistedInlineStockfishBase64();
-    const base64Candidates = [];
-    if (inlineStockfishSessionBase64) {
-      base64Candidates.push({
-        base64: inlineStockfishSessionBase64,
-        label: 'inline:session',
-        persisted: false
-      });
-    }
-    if (persistedBase64) {
-      base64Candidates.push({
-        base64: persistedBase64,
-        label: 'inline:stored',
-        persisted: true
-      });
+  function loadPersistedEvalWeights() {
+    const store = safeLocalStorage();
+    if (!store) return null;
+    try {
+      return store.getItem(EVAL_WEIGHTS_STORAGE_KEY) || null;
+    } catch (err) {
+      return null;
     }
+  }
 
-    for (const candidate of base64Candidates) {
-      const normalized = normalizeBase64(candidate.base64);
-      if (!normalized || inlineBase64Seen.has(normalized)) continue;
-      inlineBase64Seen.add(normalized);
-      const decoded = decodeBase64ToText(normalized);
-      if (decoded) {
-        log(`Using ${candidate.label} Stockfish payload (≈${estimateBase64DecodedSize(normalized)} bytes decoded).`);
-        pushInline(decoded, candidate.label);
-      } else if (candidate.persisted) {
-        console.warn('[CHESS] Stored Stockfish payload could not be decoded and was removed.');
-        clearPersistedInlineStockfishBase64();
-      } else {
-        console.warn('[CHESS] Session Stockfish payload could not be decoded and was ignored.');
-        clearSessionInlineStockfishBase64();
-      }
-    }
+  function activeEvalWeights() {
+    return evalWeightsSession || loadPersistedEvalWeights();
+  }
 
-    if (typeof window.__CHESS_STOCKFISH_INLINE === 'string') {
-      pushInline(window.__CHESS_STOCKFISH_INLINE, 'inline:custom');
-    } else if (Array.isArray(window.__CHESS_STOCKFISH_INLINE)) {
-      window.__CHESS_STOCKFISH_INLINE.forEach((item, index) => {
-        if (typeof item === 'string' && item.trim().length > 0) {
-          pushInline(item, `inline:custom#${index + 1}`);
-        }
-      });
-    }
+  // a weight set replaces the previous one, so anything it leaves out falls back to the default
+  function applyEvalWeights(json) {
+    resetEvalWeights();
+    return json ? setEvalWeights(json) : 0;
+  }
 
-    if (typeof window.__CHESS_STOCKFISH_INLINE_BASE64 === 'string') {
-      const decoded = decodeBase64ToText(window.__CHESS_STOCKFISH_INLINE_BASE64.trim());
-      if (decoded) pushInline(decoded, 'inline:custom-base64');
+  // weight sets are written by `node chess-cli.js tune`; loading one into the core validates it and moves
+  // the in-page fallback search onto it at the same time
+  function storeEvalWeights(data, options = {}) {
+    const persist = options.persist !== false;
+    const json = JSON.stringify(typeof data === 'string' ? JSON.parse(data) : data);
+    let values;
+    try {
+      values = applyEvalWeights(json);
+    } catch (err) {
+      applyEvalWeights(activeEvalWeights());
+      throw err;
     }
-
-    if (Array.isArray(window.__CHESS_STOCKFISH_INLINE_BASE64)) {
-      window.__CHESS_STOCKFISH_INLINE_BASE64.forEach((item, index) => {
-        if (typeof item === 'string' && item.trim().length > 0) {
-          const decoded = decodeBase64ToText(item.trim());
-          if (decoded) pushInline(decoded, `inline:custom-base64#${index + 1}`);
-        }
-      });
+    if (persist) {
+      const store = safeLocalStorage();
+      if (!store) throw new Error('localStorage is not available; store the weights with { persist: false }');
+      store.setItem(EVAL_WEIGHTS_STORAGE_KEY, json);
+      evalWeightsSession = null;
+    } else {
+      evalWeightsSession = json;
     }
+    return { persisted: persist, values };
+  }
 
-    const builtinDisabled = window.__CHESS_DISABLE_BUILTIN_ENGINE === true;
-    if (!builtinDisabled) {
-      pushInline(getBuiltinEngineSource(), 'inline:builtin');
+  function clearStoredEvalWeights() {
+    evalWeightsSession = null;
+    resetEvalWeights();
+    const store = safeLocalStorage();
+    if (!store) return;
+    try {
+      store.removeItem(EVAL_WEIGHTS_STORAGE_KEY);
+    } catch (err) {
+      // ignore removal issues
     }
+  }
 
-    const stockfishForced = window.__CHESS_STOCKFISH_FORCE === true;
-    const disableForSession = isStockfishDisabled() && !stockfishForced;
+  // weights: a JSON string or object, or null for the defaults; the active set when left out
+  async function sendEvalWeightsToEngine(engine, weights = activeEvalWeights()) {
+    if (!engine || typeof engine.hasOption !== 'function' || !engine.hasOption('EvalWeights')) return false;
+    if (weights && typeof weights === 'object') weights = JSON.stringify(weights);
+    engine.send(`setoption name EvalWeights value ${weights || '<empty>'}`);
+    await engine.isReady();
+    return !!weights;
+  }
 
-    const candidateUrls = Array.from(new Set([...overrideUrls, ...defaultEngineUrls]));
+  try {
+    applyEvalWeights(activeEvalWeights());
+  } catch (err) {
+    console.warn('[CHESS] Stored evaluation weights could not be loaded; using the defaults.', err.message);
+    resetEvalWeights();
+  }
 
-    const retryCachedFailures = window.__CHESS_STOCKFISH_RETRY !== false;
-    const filteredCandidateUrls = retryCachedFailures
-      ? candidateUrls
-      : candidateUrls.filter(url => !stockfishFailureCache[url]);
+  let chessJsSessionSource = null;
+  let chessJsPageSource;
 
-    if (!retryCachedFailures) {
-      const skipped = candidateUrls.filter(url => stockfishFailureCache[url]);
-      if (skipped.length) {
-        log('Skipping Stockfish URLs with cached failures:', skipped);
-      }
-    } else {
-      const retried = candidateUrls.filter(url => stockfishFailureCache[url]);
-      if (retried.length) {
-        log('Retrying Stockfish URLs despite previous failures:', retried);
-      }
+  function loadStoredChessJsSource() {
+    const store = safeLocalStorage();
+    if (!store) return null;
+    try {
+      return store.getItem(CHESS_JS_STORAGE_KEY) || null;
+    } catch (err) {
+      return null;
     }
+  }
 
-    if (disableForSession && !inlinePayloads.length && overrideUrls.length === 0) {
-      log('Stockfish disabled after repeated failures. Call __CHESS.enableStockfish() or set window.__CHESS_STOCKFISH_FORCE = true to retry.');
-      const error = new Error('Stockfish disabled after repeated failures');
-      error.silent = true;
-      throw error;
+  function storeChessJsSource(source, options = {}) {
+    const persist = options.persist !== false;
+    const text = typeof source === 'string' ? source.trim() : '';
+    if (!chessConstructorFromSource(text)) {
+      throw new Error('Source did not produce a working chess.js constructor');
     }
-
-    if (!filteredCandidateUrls.length && !inlinePayloads.length) {
-      const error = new Error('All Stockfish URLs previously failed. Run __CHESS.clearStockfishFailures() or set window.__CHESS_STOCKFISH_RETRY = true to retry.');
-      error.silent = true;
-      throw error;
+    if (persist) {
+      const store = safeLocalStorage();
+      if (!store) throw new Error('localStorage is not available; store chess.js with { persist: false }');
+      store.setItem(CHESS_JS_STORAGE_KEY, text);
+      chessJsSessionSource = null;
+    } else {
+      chessJsSessionSource = text;
     }
+    return { persisted: persist, bytes: text.length };
+  }
 
-    stockfishPromise = window.__STOCKFISH_PROMISE = (async () => {
-      if (!window.Worker) throw new Error('Web Workers not supported in this browser');
-
-      for (const payload of inlinePayloads) {
-        const { code, label } = typeof payload === 'string'
-          ? { code: payload, label: 'inline:custom' }
-          : { code: payload.code, label: payload.label || 'inline:custom' };
-        let worker;
-        let blobUrl;
-        try {
-          ({ worker, blobUrl } = createWorkerFromSource(code));
-          const engine = new StockfishEngine(worker, label);
-          await engine.init();
-          engine.blobUrl = blobUrl;
-          window.__STOCKFISH_ENGINE_INSTANCE = engine;
-          window.__STOCKFISH_ENGINE_URL = label;
-          setStockfishDisabled(false);
-          return engine;
-        } catch (err) {
-          if (worker) worker.terminate();
-          if (blobUrl) URL.revokeObjectURL(blobUrl);
-          console.warn('[CHESS] Failed to start inline Stockfish worker.', err);
-        }
-      }
-
-      const attemptedUrls = [];
-
-      for (const url of filteredCandidateUrls) {
-        try {
-          attemptedUrls.push(url);
-          const { worker, blobUrl } = await createStockfishWorker(url);
-          try {
-            const engine = new StockfishEngine(worker, url);
-            await engine.init();
-            // Keep blob URL alive while worker runs
-            engine.blobUrl = blobUrl;
-            window.__STOCKFISH_ENGINE_INSTANCE = engine;
-            window.__STOCKFISH_ENGINE_URL = url;
-            setStockfishDisabled(false);
-            return engine;
-          } catch (engineErr) {
-            worker.terminate();
-            URL.revokeObjectURL(blobUrl);
-            throw engineErr;
-          }
-        } catch (err) {
-          recordStockfishFailure(url, err);
-          console.warn('[CHESS] Failed to load Stockfish from', url, err);
-        }
-      }
-
-      if (!stockfishForced && !inlinePayloads.length && attemptedUrls.length && !isStockfishDisabled()) {
-        log('Stockfish URL attempts failed; continuing with fallback search. Use __CHESS.disableStockfish() to skip future external tries.');
-      }
-
-      const failure = new Error('Unable to load Stockfish engine from provided URLs');
-      failure.silent = filteredCandidateUrls.length === 0;
-      throw failure;
-    })();
-
-    stockfishPromise.catch(() => {
-      stockfishPromise = null;
-      window.__STOCKFISH_PROMISE = null;
-      window.__STOCKFISH_ENGINE_INSTANCE = null;
-    });
-
-    return stockfishPromise;
+  async function storeChessJsFromUrl(url = CHESS_JS_CDN_URL, options = {}) {
+    const target = typeof url === 'string' && url.trim() ? url.trim() : CHESS_JS_CDN_URL;
+    const response = await fetch(target, { mode: 'cors', credentials: 'omit' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const result = storeChessJsSource(await response.text(), options);
+    return { ...result, url: target };
   }
 
-  function uciToSan(fen, uciMove) {
-    if (!uciMove) return null;
+  function clearStoredChessJs() {
+    chessJsSessionSource = null;
+    const store = safeLocalStorage();
+    if (!store) return;
     try {
-      const chess = createChessInstance(fen);
-      const from = uciMove.slice(0, 2);
-      const to = uciMove.slice(2, 4);
-      const promotion = uciMove.length > 4 ? uciMove.slice(4) : undefined;
-      const move = chess.move({ from, to, promotion });
-      return move ? move.san : uciMove;
+      store.removeItem(CHESS_JS_STORAGE_KEY);
     } catch (err) {
-      return uciMove;
+      // ignore removal issues
     }
   }
 
-  function parseScore(scoreType, rawScore) {
-    if (scoreType === 'mate') {
-      const ply = parseInt(rawScore, 10);
-      if (Number.isNaN(ply)) return '#?';
-      return `#${ply}`;
+  // keeps a working copy around so the next run can start without network access
+  function rememberChessJsSource(source) {
+    if (!source || loadStoredChessJsSource()) return;
+    const store = safeLocalStorage();
+    if (!store) return;
+    try {
+      store.setItem(CHESS_JS_STORAGE_KEY, source);
+      log(`Stored chess.js (${source.length} bytes) for offline use.`);
+    } catch (err) {
+      console.warn('[CHESS] Failed to store chess.js for offline use.', err);
     }
-    const centipawns = parseInt(rawScore, 10);
-    if (Number.isNaN(centipawns)) return '??';
-    return (centipawns / 100).toFixed(2);
   }
 
-  function pvToSanSequence(fen, pvMoves) {
-    try {
-      const chess = createChessInstance(fen);
-      const sanMoves = [];
-      for (const uci of pvMoves) {
-        const from = uci.slice(0, 2);
-        const to = uci.slice(2, 4);
-        const promotion = uci.length > 4 ? uci.slice(4) : undefined;
-        const move = chess.move({ from, to, promotion });
-        if (!move) break;
-        sanMoves.push(move.san);
-      }
-      return sanMoves;
-    } catch (err) {
-      return pvMoves.slice();
+  function pageChessJsSource() {
+    if (chessJsPageSource === undefined) {
+      chessJsPageSource = window.Chess ? chessSourceFromConstructor(window.Chess) : null;
     }
+    return chessJsPageSource;
+  }
+
+  // the copy embedded into the built-in worker; without one it falls back to importScripts from the CDN
+  function activeChessJsSource() {
+    return chessJsSessionSource || loadStoredChessJsSource() || pageChessJsSource();
   }
 
-  async function analyzeWithStockfish(engine, game) {
-    const fen = game.fen();
-    const legalMoves = game.moves({ verbose: true });
-    if (!legalMoves.length) return null;
+  function chessJsSourceLabel() {
+    if (chessJsSessionSource) return 'session';
+    if (loadStoredChessJsSource()) return 'stored';
+    if (pageChessJsSource()) return 'page';
+    return 'cdn';
+  }
 
-    const multiPv = Math.min(5, Math.max(1, legalMoves.length));
+  function loadStockfishDisabledFlag() {
+    const store = safeLocalStorage();
+    if (!store) return false;
     try {
-      await engine.setMultiPv(multiPv);
+      return store.getItem(STOCKFISH_DISABLE_STORAGE_KEY) === '1';
     } catch (err) {
-      console.warn('[CHESS] Unable to update MultiPV setting, continuing with defaults.', err);
-    }
-
-    const suggestions = new Map();
-    const infoHandler = (line) => {
-      if (!line.startsWith('info ')) return;
-      const depthMatch = line.match(/depth\s+(\d+)/);
-      const multipvMatch = line.match(/multipv\s+(\d+)/);
-      const scoreMatch = line.match(/score\s+(cp|mate)\s+(-?\d+)/);
-      const pvIndex = line.indexOf(' pv ');
-      if (pvIndex === -1) return;
-      const pvMoves = line.slice(pvIndex + 4).trim().split(/\s+/).filter(Boolean);
-      if (!pvMoves.length) return;
-
-      const multipv = multipvMatch ? parseInt(multipvMatch[1], 10) : 1;
-      const depth = depthMatch ? parseInt(depthMatch[1], 10) : null;
-      const scoreType = scoreMatch ? scoreMatch[1] : null;
-      const rawScore = scoreMatch ? scoreMatch[2] : null;
-      const displayScore = scoreType ? parseScore(scoreType, rawScore) : null;
-      const primaryMove = pvMoves[0];
-      const san = uciToSan(fen, primaryMove);
-      const pvSan = pvToSanSequence(fen, pvMoves);
-
-      suggestions.set(multipv, {
-        multipv,
-        san,
-        uci: primaryMove,
-        scoreType,
-        rawScore,
-        displayScore,
-        depth,
-        pv: pvMoves,
-        pvSan
-      });
-    };
-
-    const removeListener = engine.onMessage(infoHandler);
-
-    await engine.isReady();
-    engine.send('ucinewgame');
-    await engine.isReady();
-    engine.send(`position fen ${fen}`);
-
-    const totalMoves = game.history().length;
-    const desiredDepth = Math.min(18, 12 + Math.floor(totalMoves / 6));
-    engine.send(`go depth ${desiredDepth}`);
-
-    let bestLine = null;
-    try {
-      bestLine = await engine.waitFor(line => line.startsWith('bestmove '), 15000);
-    } catch (err) {
-      console.warn('[CHESS] Engine analysis timed out.', err);
+      return false;
     }
+  }
 
-    engine.send('stop');
-    removeListener();
+  function persistStockfishDisabledFlag(flag) {
+    const store = safeLocalStorage();
+    if (!store) return;
     try {
-      await engine.isReady();
+      if (flag) {
+        store.setItem(STOCKFISH_DISABLE_STORAGE_KEY, '1');
+      } else {
+        store.removeItem(STOCKFISH_DISABLE_STORAGE_KEY);
+      }
     } catch (err) {
-      console.warn('[CHESS] Engine did not confirm readiness after stop.', err);
-    }
-
-    if (!bestLine) return null;
-
-    const bestParts = bestLine.split(/\s+/);
-    const bestUci = bestParts[1] || '';
-    const validBest = bestUci && bestUci !== '(none)';
-    const bestSan = validBest ? uciToSan(fen, bestUci) : null;
-
-    const lines = Array.from(suggestions.values())
-      .sort((a, b) => a.multipv - b.multipv)
-      .map(entry => ({
-        multipv: entry.multipv,
-        san: entry.san,
-        uci: entry.uci,
-        depth: entry.depth,
-        displayScore: entry.displayScore,
-        pv: entry.pv.slice(),
-        pvSan: entry.pvSan.slice()
-      }));
-
-    return {
-      source: engine.sourceUrl,
-      depth: desiredDepth,
-      best: validBest ? { san: bestSan, uci: bestUci } : null,
-      lines
-    };
+      // ignore persistence errors
+    }
   }
 
-  function stripMoveDecorations(value) {
-    return (value || '').replace(/[+#?!]/g, '');
+  let stockfishDisabled = loadStockfishDisabledFlag();
+  if (stockfishDisabled) {
+    stockfishDisabled = false;
+    persistStockfishDisabledFlag(false);
+    log('Cleared stored Stockfish disable flag to allow fresh engine attempts.');
   }
 
-  function extractTokensFromText(rawText) {
-    const cleaned = normalizeFigurines(rawText)
-      .replace(/\r?\n/g, ' ')
-      .replace(/\.{3}/g, ' ')
-      .replace(/\d+\.(?:\s*\.{3})?/g, ' ')
-      .replace(/\b(?:1-0|0-1|1\/2-1\/2|\*)\b/g, ' ')
-      .replace(/[\u00A0\t]+/g, ' ')
-      .replace(/\s+/g, ' ');
-
-    const sanPattern = /(O-O(?:-O)?[+#]?|[KQRBN]?[a-h]?[1-8]?(?:x|:)?[a-h][1-8](?:=[QRBN])?[+#]?)/gi;
-    return (cleaned.match(sanPattern) || [])
-      .map(raw => cleanToken(raw))
-      .filter(Boolean);
+  function isStockfishDisabled() {
+    return stockfishDisabled === true;
   }
 
-  function readMoveTokens(container) {
-    const domNodes = Array.from(container.querySelectorAll('[data-ply]'));
-    const domTokens = domNodes
-      .map(node => node.getAttribute('data-san') || node.textContent || '')
-      .map(value => cleanToken(normalizeFigurines(value)))
-      .filter(Boolean);
-
-    if (domTokens.length) {
-      return { tokens: domTokens, source: 'dom' };
-    }
-
-    const fallback = extractTokensFromText(container.innerText || '');
-    return { tokens: fallback, source: 'text' };
+  function setStockfishDisabled(value) {
+    const next = value === true;
+    if (stockfishDisabled === next) return;
+    stockfishDisabled = next;
+    persistStockfishDisabledFlag(next);
   }
 
-  function parseTokenHints(token) {
-    const info = {
-      raw: token,
-      normalized: token
-        .replace(/:/g, 'x')
-        .replace(/^0-0-0$/i, 'O-O-O')
-        .replace(/^0-0$/i, 'O-O'),
-      capture: false,
-      piece: null,
-      originFile: null,
-      originRank: null,
-      target: null,
-      promotion: null,
-      castle: null,
-      hasCheck: false,
-      hasMate: false
-    };
-
-    if (!info.normalized) return info;
-
-    info.hasCheck = /\+/.test(info.normalized);
-    info.hasMate = /#/.test(info.normalized);
-
-    const castle = info.normalized.match(/^(O-O(-O)?)/i);
-    if (castle) {
-      info.castle = castle[1].toUpperCase();
-      return info;
-    }
-
-    let working = info.normalized;
+  function recordStockfishFailure(url, error) {
+    if (!url) return;
+    const reason = (error && error.message) ? error.message : String(error || 'unknown error');
+    stockfishFailureCache[url] = { timestamp: now(), reason };
+    persistStockfishFailureCache(stockfishFailureCache);
+  }
 
-    const promo = working.match(/=([QRBN])$/i);
-    if (promo) {
-      info.promotion = promo[1].toLowerCase();
-      working = working.slice(0, -promo[0].length);
+  function clearStockfishFailureCache() {
+    for (const key of Object.keys(stockfishFailureCache)) {
+      delete stockfishFailureCache[key];
     }
-
-    if (/[x]/i.test(working)) {
-      info.capture = true;
-      working = working.replace(/x/i, '');
+    const store = safeLocalStorage();
+    if (store) {
+      try {
+        store.removeItem(STOCKFISH_FAILURE_STORAGE_KEY);
+      } catch (err) {
+        // ignore removal issues and fall back to persisting an empty object
+        persistStockfishFailureCache(stockfishFailureCache);
+      }
+    } else {
+      persistStockfishFailureCache(stockfishFailureCache);
     }
+  }
 
-    working = stripMoveDecorations(working);
+  function stockfishFailureEntries() {
+    return Object.entries(stockfishFailureCache).map(([url, data]) => ({
+      url,
+      reason: data?.reason || 'unknown error',
+      timestamp: data?.timestamp || 0
+    }));
+  }
 
-    if (/^[KQRBN]/i.test(working)) {
-      info.piece = working[0].toLowerCase();
-      working = working.slice(1);
+  // page copy, then the stored copy, then the CDN; the CDN text is kept so later runs work offline
+  async function ensureChessJS() {
+    if (window.Chess) {
+      rememberChessJsSource(pageChessJsSource());
+      return true;
     }
 
-    if (working.length > 2) {
-      const hint = working.slice(0, -2);
-      let rest = hint;
-      if (rest && /[a-h]/i.test(rest[0])) {
-        info.originFile = rest[0].toLowerCase();
-        rest = rest.slice(1);
-      }
-      if (rest && /[1-8]/.test(rest[0])) {
-        info.originRank = rest[0];
+    const stored = chessJsSessionSource || loadStoredChessJsSource();
+    if (stored) {
+      try {
+        const ctor = chessConstructorFromSource(stored);
+        if (ctor) {
+          window.Chess = ctor;
+          log('Loaded chess.js from the stored copy.');
+          return true;
+        }
+      } catch (err) {
+        console.warn('[CHESS] Stored chess.js copy failed to load.', err);
       }
     }
 
-    const target = working.slice(-2);
-    if (/^[a-h][1-8]$/i.test(target)) {
-      info.target = target.toLowerCase();
+    try {
+      const response = await fetch(CHESS_JS_CDN_URL, { mode: 'cors', credentials: 'omit' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const source = await response.text();
+      const ctor = chessConstructorFromSource(source);
+      if (ctor) {
+        window.Chess = ctor;
+        rememberChessJsSource(source.trim());
+        return true;
+      }
+    } catch (err) {
+      // offline, or the page forbids eval; the script tag below covers the second case
     }
 
-    return info;
+    try {
+      await new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = CHESS_JS_CDN_URL;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error('script load failed'));
+        document.head.appendChild(script);
+      });
+      if (window.Chess) rememberChessJsSource(pageChessJsSource());
+      return !!window.Chess;
+    } catch (err) {
+      console.error('[CHESS] chess.js not loaded. Run the helper once while online so it can keep a copy, or paste chess.js before the helper.', err);
+      return false;
+    }
   }
 
-  function buildCandidateList(game, tokenInfo) {
-    const { normalized } = tokenInfo;
-    if (!normalized) return [];
-
-    const canonicalToken = canonicalSan(normalized);
-    const legalMoves = game.moves({ verbose: true });
-    const candidates = [];
-
-    for (const legal of legalMoves) {
-      const canonicalLegal = canonicalSan(legal.san);
-      let weight = 0;
-
-      if (canonicalToken && canonicalLegal === canonicalToken) {
-        weight = 100;
-      } else if (canonicalToken && canonicalLegal.endsWith(canonicalToken)) {
-        weight = 90;
-      } else if (tokenInfo.target && legal.to === tokenInfo.target) {
-        weight = tokenInfo.capture ? 80 : 70;
-      } else if (canonicalToken && canonicalLegal.includes(canonicalToken)) {
-        weight = 60;
-      }
-
-      if (!weight) continue;
+  function findMovesContainer() {
+    const primary = document.querySelector([
+      '#scroll-container',
+      '[data-test-element="move-list"]',
+      '.vertical-move-list-component',
+      '.move-list-vertical',
+      '#move-list',
+      '[data-qa="vertical-move-list"]',
+      '[data-qa="move-list"]'
+    ].join(','));
+    if (primary) return primary;
 
-      if (tokenInfo.piece) {
-        if (legal.piece === tokenInfo.piece) {
-          weight += 12;
-        } else {
-          weight -= 8;
+    const selectors = ['#scroll-container', '.moves', '[data-test-element="move-list"]', '[data-qa="vertical-move-list"]', '[data-qa="move-list"]'];
+    const visited = new Set();
+    function walk(node) {
+      if (!node || visited.has(node)) return null;
+      visited.add(node);
+      for (const selector of selectors) {
+        try {
+          const hit = node.querySelector?.(selector);
+          if (hit) return hit;
+        } catch (err) {
+          // ignore shadow-root access errors
         }
       }
-
-      if (tokenInfo.originFile) {
-        if (legal.from[0] === tokenInfo.originFile) {
-          weight += 6;
-        } else {
-          weight -= 4;
-        }
+      if (node.shadowRoot) {
+        const inside = walk(node.shadowRoot);
+        if (inside) return inside;
       }
-
-      if (tokenInfo.originRank) {
-        if (legal.from[1] === tokenInfo.originRank) {
-          weight += 6;
-        } else {
-          weight -= 4;
-        }
+      for (const child of node.childNodes || []) {
+        const found = walk(child);
+        if (found) return found;
       }
+      return null;
+    }
 
-      if (tokenInfo.capture) {
-        if (legal.flags.includes('c')) {
-          weight += 3;
-        } else {
-          weight -= 6;
-        }
-      } else if (legal.flags.includes('c')) {
-        weight -= 5;
-      }
+    const deep = walk(document.documentElement);
+    if (deep) return deep;
 
-      const legalHasMate = /#/.test(legal.san);
-      const legalHasCheck = /\+/.test(legal.san);
-      if (tokenInfo.hasMate) {
-        weight += legalHasMate ? 25 : -20;
-      } else if (tokenInfo.hasCheck) {
-        weight += legalHasCheck ? 12 : -10;
-      } else if (legalHasMate) {
-        weight -= 6;
-      } else if (legalHasCheck) {
-        weight -= 3;
-      }
+    const candidates = Array.from(document.querySelectorAll('div,section,aside'))
+      .filter(el => (el.scrollHeight > 300 || el.clientHeight > 300) && /move|list|scroll|game/i.test(el.className + ' ' + el.id));
+    for (const el of candidates) {
+      const text = (el.innerText || '').slice(0, 2000);
+      if (/(O-O(?:-O)?|[KQRBN]?[a-h]?[1-8]?x?[a-h][1-8](?:=[QRBN])?)/.test(text)) return el;
+    }
+    return null;
+  }
 
-      if (tokenInfo.promotion) {
-        if (legal.promotion === tokenInfo.promotion) {
-          weight += 10;
-        } else {
-          weight -= 6;
-        }
-      }
 
-      const sanDelta = Math.abs(stripMoveDecorations(legal.san).length - stripMoveDecorations(normalized).length);
-      weight -= sanDelta * 2;
+  async function fetchText(url) {
+    const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.text();
+  }
 
-      const piecePriority = { p: 1, n: 2, b: 3, r: 4, q: 5, k: 6 };
-      weight += piecePriority[legal.piece] || 0;
+  // Runs before the engine script inside the worker. Requests for a stored asset go to its blob URL, whether
+  // the glue code resolves the file through Module.locateFile, fetch or XMLHttpRequest. A request is matched
+  // by file name, or by extension when only one stored asset has it (stockfish-17.wasm finds stockfish.wasm).
+  function stockfishAssetShimSource(assetUrls) {
+    return `(() => {
+  const assets = ${JSON.stringify(assetUrls)};
+  const names = Object.keys(assets);
+  const resolve = (request) => {
+    const name = String(request && request.url ? request.url : request).split(/[?#]/)[0].split('/').pop();
+    if (assets[name]) return assets[name];
+    const dot = name.lastIndexOf('.');
+    const sameType = dot > 0 ? names.filter(entry => entry.endsWith(name.slice(dot))) : [];
+    return sameType.length === 1 ? assets[sameType[0]] : null;
+  };
+  const module = self.Module || {};
+  const locateFile = module.locateFile;
+  self.Module = Object.assign(module, {
+    locateFile: (path, prefix) => resolve(path) || (locateFile ? locateFile(path, prefix) : (prefix || '') + path)
+  });
+  if (typeof self.fetch === 'function') {
+    const nativeFetch = self.fetch.bind(self);
+    self.fetch = (input, init) => nativeFetch(resolve(input) || input, init);
+  }
+  if (typeof self.XMLHttpRequest === 'function') {
+    const open = self.XMLHttpRequest.prototype.open;
+    self.XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+      return open.call(this, method, resolve(url) || url, ...rest);
+    };
+  }
+})();
+`;
+  }
 
-      candidates.push({ move: legal, weight });
+  // assetUrls (name -> blob URL) are served to the script through the shim above
+  function createWorkerFromSource(script, assetUrls = null) {
+    const shim = assetUrls && Object.keys(assetUrls).length ? stockfishAssetShimSource(assetUrls) : '';
+    const blob = new Blob([shim, script], { type: 'text/javascript' });
+    const blobUrl = URL.createObjectURL(blob);
+    try {
+      const worker = new Worker(blobUrl);
+      return { worker, blobUrl };
+    } catch (err) {
+      URL.revokeObjectURL(blobUrl);
+      throw err;
     }
-
-    candidates.sort((a, b) => {
-      const diff = b.weight - a.weight;
-      if (diff !== 0) return diff;
-      if (a.move.piece !== b.move.piece) {
-        const order = ['p', 'n', 'b', 'r', 'q', 'k'];
-        return order.indexOf(a.move.piece) - order.indexOf(b.move.piece);
-      }
-      return stripMoveDecorations(b.move.san).length - stripMoveDecorations(a.move.san).length;
-    });
-
-    return candidates;
   }
 
-  function collectAttemptStrings(tokenInfo) {
-    const attempts = new Set();
-    if (tokenInfo.raw) attempts.add(tokenInfo.raw);
-    if (tokenInfo.normalized && tokenInfo.normalized !== tokenInfo.raw) attempts.add(tokenInfo.normalized);
-
-    const strippedRaw = stripMoveDecorations(tokenInfo.raw);
-    if (strippedRaw && strippedRaw !== tokenInfo.raw) attempts.add(strippedRaw);
 
-    const strippedNormalized = stripMoveDecorations(tokenInfo.normalized);
-    if (strippedNormalized && strippedNormalized !== tokenInfo.normalized) attempts.add(strippedNormalized);
+  function setSessionInlineStockfishBase64(base64Text) {
+    inlineStockfishSessionBase64 = base64Text ? normalizeBase64(base64Text) : null;
+  }
 
-    return Array.from(attempts).filter(Boolean);
+  function clearSessionInlineStockfishBase64() {
+    inlineStockfishSessionBase64 = null;
   }
 
-  function applyToken(game, tokenInfo) {
-    const attempts = collectAttemptStrings(tokenInfo);
-    for (const attempt of attempts) {
-      try {
-        const moved = game.move(attempt, { sloppy: true });
-        if (moved) {
-          return { move: moved, matched: attempt };
-        }
-      } catch (err) {
-        // ignore invalid SAN attempt
-      }
+  async function storeInlineStockfishBase64(base64Text, options = {}) {
+    const persist = options.persist !== false;
+    const normalized = normalizeBase64(base64Text);
+    if (!normalized) {
+      throw new Error('Empty base64 payload');
     }
-
-    const candidates = buildCandidateList(game, tokenInfo);
-    for (const entry of candidates) {
-      if (entry.weight < 40) continue;
-      const candidate = entry.move;
-      try {
-        const moved = game.move({ from: candidate.from, to: candidate.to, promotion: candidate.promotion });
-        if (moved) {
-          return { move: moved, matched: candidate.san, inferred: true };
-        }
-      } catch (err) {
-        // ignore invalid heuristic candidate
-      }
+    const decoded = decodeBase64ToText(normalized);
+    if (!decoded) {
+      throw new Error('Invalid base64 payload');
     }
-
-    return null;
+    let stored = null;
+    if (persist) {
+      stored = await storeEnginePayload(STOCKFISH_PAYLOAD_KEY, 'the Stockfish payload', decodeBase64ToBytes(normalized), options);
+      clearSessionInlineStockfishBase64();
+    } else {
+      setSessionInlineStockfishBase64(normalized);
+    }
+    return {
+      persisted: persist,
+      decodedBytes: decoded.length,
+      storedBytes: stored ? stored.storedBytes : null,
+      compressed: !!stored && stored.encoding === 'gzip'
+    };
   }
 
-  function rebuildGameFromTokens(tokenInfos) {
-    const game = createChessInstance();
-    const applied = [];
-    const ignored = [];
-
-    for (const info of tokenInfos) {
-      const outcome = applyToken(game, info);
-      if (outcome && outcome.move) {
-        applied.push({ ...outcome.move, matched: outcome.matched, inferred: outcome.inferred || false });
-      } else {
-        const skippedToken = info.raw || info.normalized || '(unknown)';
-        ignored.push(skippedToken);
-      }
+  async function storeInlineStockfishFromUrl(url, options = {}) {
+    if (!url || typeof url !== 'string') {
+      throw new Error('URL is required');
     }
+    const script = await fetchText(url.trim());
+    const base64 = encodeTextToBase64(script);
+    if (!base64) {
+      throw new Error('Failed to encode fetched Stockfish script to base64');
+    }
+    const result = await storeInlineStockfishBase64(base64, options);
+    // companion files named relative to the script, e.g. { assets: ['stockfish.wasm'] }
+    const assets = [];
+    for (const asset of Array.isArray(options.assets) ? options.assets : []) {
+      assets.push(await storeStockfishAssetFromUrl(new URL(asset, url.trim()).href, { persist: options.persist }));
+    }
+    return { ...result, url: url.trim(), assets };
+  }
 
-    return { game, moves: applied, ignored };
-  }
-
-  const pieceValues = { p: 1, n: 3.2, b: 3.3, r: 5.1, q: 9.5, k: 0 };
-  const KING_VALUE = 100;
-
-  const pieceSquareTables = {
-    p: [
-      0, 0, 0, 0, 0, 0, 0, 0,
-      0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05, 0.05,
-      0.01, 0.01, 0.02, 0.03, 0.03, 0.02, 0.01, 0.01,
-      0.005, 0.005, 0.01, 0.025, 0.025, 0.01, 0.005, 0.005,
-      0, 0, 0, 0.02, 0.02, 0, 0, 0,
-      0.005, -0.005, -0.01, 0, 0, -0.01, -0.005, 0.005,
-      0.05, 0.1, 0.1, -0.2, -0.2, 0.1, 0.1, 0.05,
-      0, 0, 0, 0, 0, 0, 0, 0
-    ],
-    n: [
-      -0.5, -0.4, -0.3, -0.3, -0.3, -0.3, -0.4, -0.5,
-      -0.4, -0.2, 0, 0.05, 0.05, 0, -0.2, -0.4,
-      -0.3, 0.05, 0.1, 0.15, 0.15, 0.1, 0.05, -0.3,
-      -0.3, 0, 0.15, 0.2, 0.2, 0.15, 0, -0.3,
-      -0.3, 0.05, 0.15, 0.2, 0.2, 0.15, 0.05, -0.3,
-      -0.3, 0, 0.1, 0.15, 0.15, 0.1, 0, -0.3,
-      -0.4, -0.2, 0, 0, 0, 0, -0.2, -0.4,
-      -0.5, -0.4, -0.3, -0.3, -0.3, -0.3, -0.4, -0.5
-    ],
-    b: [
-      -0.2, -0.1, -0.1, -0.1, -0.1, -0.1, -0.1, -0.2,
-      -0.1, 0, 0, 0, 0, 0, 0, -0.1,
-      -0.1, 0, 0.05, 0.1, 0.1, 0.05, 0, -0.1,
-      -0.1, 0.05, 0.05, 0.1, 0.1, 0.05, 0.05, -0.1,
-      -0.1, 0, 0.1, 0.1, 0.1, 0.1, 0, -0.1,
-      -0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, -0.1,
-      -0.1, 0.05, 0, 0, 0, 0, 0.05, -0.1,
-      -0.2, -0.1, -0.1, -0.1, -0.1, -0.1, -0.1, -0.2
-    ],
-    r: [
-      0, 0, 0, 0, 0, 0, 0, 0,
-      0.05, 0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.05,
-      -0.05, 0, 0, 0, 0, 0, 0, -0.05,
-      -0.05, 0, 0, 0, 0, 0, 0, -0.05,
-      -0.05, 0, 0, 0, 0, 0, 0, -0.05,
-      -0.05, 0, 0, 0, 0, 0, 0, -0.05,
-      -0.05, 0, 0, 0, 0, 0, 0, -0.05,
-      0, 0, 0.05, 0.1, 0.1, 0.05, 0, 0
-    ],
-    q: [
-      -0.2, -0.1, -0.1, -0.05, -0.05, -0.1, -0.1, -0.2,
-      -0.1, 0, 0, 0, 0, 0, 0, -0.1,
-      -0.1, 0, 0.05, 0.05, 0.05, 0.05, 0, -0.1,
-      -0.05, 0, 0.05, 0.05, 0.05, 0.05, 0, -0.05,
-      0, 0, 0.05, 0.05, 0.05, 0.05, 0, -0.05,
-      -0.1, 0.05, 0.05, 0.05, 0.05, 0.05, 0, -0.1,
-      -0.1, 0, 0.05, 0, 0, 0, 0, -0.1,
-      -0.2, -0.1, -0.1, -0.05, -0.05, -0.1, -0.1, -0.2
-    ]
-  };
-
-  const kingSquareTables = {
-    midgame: [
-      -0.3, -0.4, -0.4, -0.5, -0.5, -0.4, -0.4, -0.3,
-      -0.3, -0.4, -0.4, -0.5, -0.5, -0.4, -0.4, -0.3,
-      -0.3, -0.4, -0.4, -0.5, -0.5, -0.4, -0.4, -0.3,
-      -0.2, -0.3, -0.3, -0.4, -0.4, -0.3, -0.3, -0.2,
-      -0.1, -0.2, -0.2, -0.2, -0.2, -0.2, -0.2, -0.1,
-      0, 0.1, 0.1, 0, 0, 0.1, 0.1, 0,
-      0.1, 0.2, 0.2, 0.1, 0.1, 0.2, 0.2, 0.1,
-      0.2, 0.3, 0.2, 0, 0, 0.2, 0.3, 0.2
-    ],
-    endgame: [
-      -0.05, -0.02, 0, 0, 0, 0, -0.02, -0.05,
-      -0.02, 0.05, 0.1, 0.1, 0.1, 0.1, 0.05, -0.02,
-      0, 0.1, 0.15, 0.2, 0.2, 0.15, 0.1, 0,
-      0, 0.1, 0.2, 0.25, 0.25, 0.2, 0.1, 0,
-      0, 0.1, 0.2, 0.25, 0.25, 0.2, 0.1, 0,
-      0, 0.1, 0.15, 0.2, 0.2, 0.15, 0.1, 0,
-      -0.02, 0, 0.05, 0.1, 0.1, 0.05, 0, -0.02,
-      -0.05, -0.02, 0, 0, 0, 0, -0.02, -0.05
-    ]
-  };
+  async function createStockfishWorker(url) {
+    const script = await fetchText(url);
+    if (/^\s*</.test(script)) {
+      throw new Error('Unexpected HTML response');
+    }
+    return createWorkerFromSource(script, await stockfishAssetBlobUrls());
+  }
 
-  const coreCenterSquares = new Set(['d4', 'd5', 'e4', 'e5']);
-  const extendedCenterSquares = new Set(['c3', 'c4', 'c5', 'c6', 'd3', 'e3', 'f3', 'f4', 'f5', 'f6', 'd6', 'e6']);
-  const minorPieceStartSquares = new Set(['b1', 'g1', 'c1', 'f1', 'b8', 'g8', 'c8', 'f8']);
-  const flankFiles = new Set(['a', 'h']);
-
-  function createEvaluationContext(game) {
-    const history = game.history({ verbose: true });
-    const moveCount = history.length;
-    const flankCounts = { w: Object.create(null), b: Object.create(null) };
-    const repeatedFlankMoves = { w: 0, b: 0 };
-    let whiteCastled = false;
-    let blackCastled = false;
-    let whiteKingMoved = false;
-    let blackKingMoved = false;
-
-    history.forEach((move, index) => {
-      if (move.piece === 'k') {
-        if (move.color === 'w') whiteKingMoved = true;
-        else blackKingMoved = true;
-        if (move.san === 'O-O' || move.san === 'O-O-O') {
-          if (move.color === 'w') whiteCastled = true;
-          else blackCastled = true;
-        }
-      }
+  let stockfishPromise = window.__STOCKFISH_PROMISE || null;
 
-      if (index < 20 && move.piece === 'p' && flankFiles.has(move.from[0])) {
-        const map = flankCounts[move.color];
-        const file = move.from[0];
-        map[file] = (map[file] || 0) + 1;
-        if (map[file] > 1) {
-          repeatedFlankMoves[move.color] += 1;
-        }
-      }
+  // stops the running engine so the next analysis launches a fresh one
+  function releaseStockfishEngine() {
+    const engine = window.__STOCKFISH_ENGINE_INSTANCE;
+    if (engine) {
+      engine.worker.terminate();
+      if (engine.blobUrl) URL.revokeObjectURL(engine.blobUrl);
+    }
+    stockfishPromise = window.__STOCKFISH_PROMISE = null;
+    window.__STOCKFISH_ENGINE_INSTANCE = null;
+    window.__STOCKFISH_ENGINE_URL = null;
+  }
+
+  // source label or URL -> { count, at } of recent crashes, for the restart policy below
+  const engineCrashes = new Map();
+
+  // A crash drops the cached instance, so the next request starts over. Only a hosted URL goes into the
+  // persisted failure cache; inline payloads and registered engines keep their crashes in engineCrashes.
+  function watchEngineCrashes(engine, source, hostedUrl = false) {
+    engine.onCrash(error => {
+      const previous = engineCrashes.get(source);
+      const count = previous && now() - previous.at < STOCKFISH_CRASH_WINDOW ? previous.count + 1 : 1;
+      engineCrashes.set(source, { count, at: now(), reason: error.message });
+      if (hostedUrl) recordStockfishFailure(source, error);
+      console.warn(`[CHESS] ${error.message} (crash ${count} of this source).`);
+      if (window.__STOCKFISH_ENGINE_INSTANCE === engine) releaseStockfishEngine();
     });
-
-    return {
-      moveCount,
-      history,
-      repeatedFlankMoves,
-      castled: { w: whiteCastled, b: blackCastled },
-      kingMoved: { w: whiteKingMoved, b: blackKingMoved }
-    };
   }
 
-  function pieceSquareValue(piece, rowIndex, colIndex, kingPhaseWeight) {
-    if (piece.type === 'k') {
-      const index = rowIndex * 8 + colIndex;
-      const mirrored = (7 - rowIndex) * 8 + colIndex;
-      const mid = kingSquareTables.midgame[piece.color === 'w' ? index : mirrored] || 0;
-      const end = kingSquareTables.endgame[piece.color === 'w' ? index : mirrored] || 0;
-      return mid * kingPhaseWeight + end * (1 - kingPhaseWeight);
+  // A crashed source is restarted after engine.restartBackoff ms, doubling with each crash; after
+  // engine.restartLimit restarts it is skipped and the next source takes over, until STOCKFISH_CRASH_WINDOW
+  // has passed since its last crash.
+  async function awaitEngineRestart(source) {
+    const crashes = engineCrashes.get(source);
+    if (!crashes || now() - crashes.at >= STOCKFISH_CRASH_WINDOW) return true;
+    if (crashes.count > configValue('engine.restartLimit')) {
+      log(`Skipping ${source} after ${crashes.count} crashes.`);
+      return false;
     }
+    const wait = configValue('engine.restartBackoff') * 2 ** (crashes.count - 1) - (now() - crashes.at);
+    if (wait > 0) {
+      log(`Restarting ${source} in ${wait} ms after ${crashes.count === 1 ? 'a crash' : `${crashes.count} crashes`}.`);
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    return true;
+  }
 
-    const table = pieceSquareTables[piece.type];
-    if (!table) return 0;
-    const directIndex = rowIndex * 8 + colIndex;
-    if (piece.color === 'w') {
-      return table[directIndex] || 0;
+  // Runs run(engine) on the helper's engine. When the engine crashes during the request, the same request
+  // runs again on whatever ensureStockfishEngine starts next: the same source after its backoff, then the
+  // next source, down to the built-in worker.
+  async function withStockfishEngine(run) {
+    for (let attempt = 1; ; attempt++) {
+      const engine = await ensureStockfishEngine();
+      try {
+        return await run(engine);
+      } catch (err) {
+        if (!err || !err.crashed || attempt >= STOCKFISH_FAILOVER_ATTEMPTS) throw err;
+        log(`Repeating the request after ${engine.sourceUrl} crashed.`);
+      }
     }
-    const mirroredIndex = (7 - rowIndex) * 8 + colIndex;
-    return table[mirroredIndex] || 0;
   }
 
-  function evaluatePosition(game, context) {
-    const board = typeof game.board === 'function' ? game.board() : null;
-    if (!board) return 0;
+  async function ensureStockfishEngine() {
+    if (window.__STOCKFISH_ENGINE_INSTANCE) return window.__STOCKFISH_ENGINE_INSTANCE;
+    if (stockfishPromise) return stockfishPromise;
+    await engineStorageReady;
+    // another caller may have started the engine while the stored payloads loaded
+    if (window.__STOCKFISH_ENGINE_INSTANCE) return window.__STOCKFISH_ENGINE_INSTANCE;
+    if (stockfishPromise) return stockfishPromise;
 
-    const evalContext = context || createEvaluationContext(game);
+    const defaultEngineUrls = [];
 
-    const phaseWeights = { p: 0, n: 1, b: 1, r: 2, q: 4, k: 0 };
-    let phaseScore = 0;
-    const maxPhase = 24;
+    const overrideUrls = configValue('stockfish.urls');
 
-    const fileCounts = {
-      w: Array(8).fill(0),
-      b: Array(8).fill(0)
+    const inlinePayloads = [];
+    const pushInline = (code, label, registered = null) => {
+      if (!code || typeof code !== 'string' || !code.trim()) return;
+      inlinePayloads.push({ code, label, registered });
     };
-    const pawns = { w: [], b: [] };
-    const rooks = { w: [], b: [] };
-    const pieceTally = {
-      w: { bishops: 0, knights: 0, rooks: 0, queen: 0 },
-      b: { bishops: 0, knights: 0, rooks: 0, queen: 0 }
+    // stored payloads are read from IndexedDB only when their turn to start comes
+    const pushStored = (load, label, registered = null) => {
+      inlinePayloads.push({ load, label, registered });
     };
 
-    let total = 0;
-    let whiteKing = null;
-    let blackKing = null;
-    let whiteKingSquare = null;
-    let blackKingSquare = null;
-    const pieces = [];
-    const minorsOnHome = { w: 0, b: 0 };
-
-    for (let row = 0; row < board.length; row++) {
-      const rank = board[row] || [];
-      for (let col = 0; col < rank.length; col++) {
-        const piece = rank[col];
-        if (!piece) continue;
-
-        phaseScore += phaseWeights[piece.type] || 0;
-        pieces.push({ piece, row, col });
-
-        const square = String.fromCharCode(97 + col) + (8 - row);
-        if ((piece.type === 'n' || piece.type === 'b') && minorPieceStartSquares.has(square)) {
-          minorsOnHome[piece.color] += 1;
-        }
-
-        if (coreCenterSquares.has(square)) {
-          total += piece.color === 'w' ? 0.08 : -0.08;
-        } else if (extendedCenterSquares.has(square)) {
-          total += piece.color === 'w' ? 0.05 : -0.05;
-        }
-
-        const fileIndex = col;
-        if (piece.type === 'p') {
-          fileCounts[piece.color][fileIndex] += 1;
-          const rankIndex = 8 - row;
-          pawns[piece.color].push({ file: fileIndex, rank: rankIndex, square });
-        } else if (piece.type === 'r') {
-          rooks[piece.color].push({ file: fileIndex, row, square });
-          pieceTally[piece.color].rooks += 1;
-        } else if (piece.type === 'b') {
-          pieceTally[piece.color].bishops += 1;
-        } else if (piece.type === 'n') {
-          pieceTally[piece.color].knights += 1;
-        } else if (piece.type === 'q') {
-          pieceTally[piece.color].queen += 1;
-        } else if (piece.type === 'k') {
-          if (piece.color === 'w') {
-            whiteKing = { row, col, square };
-            whiteKingSquare = square;
-          } else {
-            blackKing = { row, col, square };
-            blackKingSquare = square;
-          }
+    const selectedEngine = configValue('stockfish.engine');
+    if (selectedEngine) {
+      pushStored(async () => {
+        const code = await registeredEngineCode(selectedEngine);
+        if (code) {
+          const meta = storedEnginePayloads.get(`${ENGINE_REGISTRY_KEY_PREFIX}${selectedEngine}`).meta;
+          log(`Using registered engine ${selectedEngine} (${meta.idName || 'id name not yet known'}; sha256 ${meta.digest.slice(0, 12)}).`);
         }
-      }
-    }
-
-    const kingPhaseWeight = Math.min(1, phaseScore / maxPhase);
-    for (const info of pieces) {
-      const base = pieceValues[info.piece.type] || 0;
-      const placement = pieceSquareValue(info.piece, info.row, info.col, kingPhaseWeight);
-      const contribution = base + placement;
-      total += info.piece.color === 'w' ? contribution : -contribution;
+        return code;
+      }, `${ENGINE_REGISTRY_KEY_PREFIX}${selectedEngine}`, selectedEngine);
     }
 
-    const bishopPairBonus = 0.35;
-    if (pieceTally.w.bishops >= 2) total += bishopPairBonus;
-    if (pieceTally.b.bishops >= 2) total -= bishopPairBonus;
-
-    const rookOpenBonus = 0.18;
-    for (const color of ['w', 'b']) {
-      for (const rook of rooks[color]) {
-        const fileIndex = rook.file;
-        const friendlyPawns = fileCounts[color][fileIndex];
-        const enemyPawns = fileCounts[color === 'w' ? 'b' : 'w'][fileIndex];
-        let bonus = 0;
-        if (enemyPawns === 0) {
-          bonus += friendlyPawns === 0 ? rookOpenBonus * 1.6 : rookOpenBonus;
-        }
-        if (extendedCenterSquares.has(rook.square)) {
-          bonus += 0.05;
-        }
-        total += color === 'w' ? bonus : -bonus;
+    if (inlineStockfishSessionBase64) {
+      const decoded = decodeBase64ToText(inlineStockfishSessionBase64);
+      if (decoded) {
+        log(`Using inline:session Stockfish payload (≈${estimateBase64DecodedSize(inlineStockfishSessionBase64)} bytes decoded).`);
+        pushInline(decoded, 'inline:session');
+      } else {
+        console.warn('[CHESS] Session Stockfish payload could not be decoded and was ignored.');
+        clearSessionInlineStockfishBase64();
       }
     }
 
-    const doubledPenalty = 0.12;
-    const isolatedPenalty = 0.1;
-    const passedBonus = 0.2;
-
-    for (const color of ['w', 'b']) {
-      const enemy = color === 'w' ? 'b' : 'w';
-      for (let file = 0; file < 8; file++) {
-        const count = fileCounts[color][file];
-        if (count > 1) {
-          total += (color === 'w' ? -1 : 1) * doubledPenalty * (count - 1);
-        }
-        if (count > 0) {
-          const hasLeft = file > 0 ? fileCounts[color][file - 1] > 0 : false;
-          const hasRight = file < 7 ? fileCounts[color][file + 1] > 0 : false;
-          if (!hasLeft && !hasRight) {
-            total += (color === 'w' ? -1 : 1) * isolatedPenalty;
-          }
-        }
-      }
-
-      for (const pawn of pawns[color]) {
-        let blocked = false;
-        for (const enemyPawn of pawns[enemy]) {
-          const sameFile = Math.abs(enemyPawn.file - pawn.file) <= 1;
-          if (!sameFile) continue;
-          if (color === 'w' && enemyPawn.rank >= pawn.rank) {
-            blocked = true;
-            break;
-          }
-          if (color === 'b' && enemyPawn.rank <= pawn.rank) {
-            blocked = true;
-            break;
-          }
-        }
-        if (!blocked) {
-          const advancement = color === 'w' ? pawn.rank - 2 : 7 - pawn.rank;
-          const bonus = passedBonus + Math.max(0, advancement) * 0.025;
-          total += color === 'w' ? bonus : -bonus;
+    const storedPayload = storedEnginePayloads.get(STOCKFISH_PAYLOAD_KEY);
+    if (storedPayload) {
+      pushStored(async () => {
+        const code = await loadPersistedInlineStockfishCode();
+        if (code) {
+          log(`Using inline:stored Stockfish payload (${storedPayload.size} bytes).`);
+          return code;
         }
-      }
+        console.warn('[CHESS] Stored Stockfish payload could not be decoded and was removed.');
+        await clearPersistedInlineStockfishBase64();
+        return null;
+      }, 'inline:stored');
     }
 
-    function kingShieldContribution(color, kingInfo) {
-      if (!kingInfo) return 0;
-      const dir = color === 'w' ? -1 : 1;
-      const row = kingInfo.row;
-      const shieldRow = row + dir;
-      if (shieldRow < 0 || shieldRow > 7) return 0;
-      let shield = 0;
-      for (let offset = -1; offset <= 1; offset++) {
-        const col = kingInfo.col + offset;
-        if (col < 0 || col > 7) continue;
-        const piece = board[shieldRow]?.[col];
-        if (piece && piece.type === 'p' && piece.color === color) shield += 1;
-      }
-      return shield * 0.07;
-    }
-
-    total += kingShieldContribution('w', whiteKing);
-    total -= kingShieldContribution('b', blackKing);
-
-    function openKingPenalty(color, kingInfo) {
-      if (!kingInfo) return 0;
-      const adjacentSquares = [
-        [0, -1], [0, 1],
-        [1, 0], [-1, 0]
-      ];
-      let exposed = 0;
-      for (const [dr, dc] of adjacentSquares) {
-        const r = kingInfo.row + dr;
-        const c = kingInfo.col + dc;
-        if (r < 0 || r > 7 || c < 0 || c > 7) continue;
-        const piece = board[r]?.[c];
-        if (!piece) exposed += 1;
-      }
-      return exposed * 0.05;
+    if (typeof window.__CHESS_STOCKFISH_INLINE === 'string') {
+      pushInline(window.__CHESS_STOCKFISH_INLINE, 'inline:custom');
+    } else if (Array.isArray(window.__CHESS_STOCKFISH_INLINE)) {
+      window.__CHESS_STOCKFISH_INLINE.forEach((item, index) => {
+        if (typeof item === 'string' && item.trim().length > 0) {
+          pushInline(item, `inline:custom#${index + 1}`);
+        }
+      });
     }
 
-    total -= openKingPenalty('w', whiteKing);
-    total += openKingPenalty('b', blackKing);
-
-    const moveCount = evalContext.moveCount;
-    const openingPhase = moveCount < 20;
-    const earlyPhase = moveCount < 30;
-
-    if (openingPhase) {
-      const minorPenaltyBase = 0.11 + Math.max(0, 18 - moveCount) * 0.004;
-      total -= minorsOnHome.w * minorPenaltyBase;
-      total += minorsOnHome.b * minorPenaltyBase;
+    if (typeof window.__CHESS_STOCKFISH_INLINE_BASE64 === 'string') {
+      const decoded = decodeBase64ToText(window.__CHESS_STOCKFISH_INLINE_BASE64.trim());
+      if (decoded) pushInline(decoded, 'inline:custom-base64');
     }
 
-    const flankPenalty = 0.24;
-    total -= evalContext.repeatedFlankMoves.w * flankPenalty;
-    total += evalContext.repeatedFlankMoves.b * flankPenalty;
-
-    if (!evalContext.castled.w && earlyPhase && whiteKingSquare && ['e1', 'd1'].includes(whiteKingSquare)) {
-      const penalty = 0.2 + Math.max(0, moveCount - 12) * 0.016;
-      total -= penalty;
-    }
-    if (!evalContext.castled.b && earlyPhase && blackKingSquare && ['e8', 'd8'].includes(blackKingSquare)) {
-      const penalty = 0.2 + Math.max(0, moveCount - 12) * 0.016;
-      total += penalty;
+    if (Array.isArray(window.__CHESS_STOCKFISH_INLINE_BASE64)) {
+      window.__CHESS_STOCKFISH_INLINE_BASE64.forEach((item, index) => {
+        if (typeof item === 'string' && item.trim().length > 0) {
+          const decoded = decodeBase64ToText(item.trim());
+          if (decoded) pushInline(decoded, `inline:custom-base64#${index + 1}`);
+        }
+      });
     }
 
-    if (evalContext.castled.w) total += 0.05;
-    if (evalContext.castled.b) total -= 0.05;
-
-    const fen = game.fen();
-    const segments = fen.split(' ');
-    let whiteMobility = 0;
-    let blackMobility = 0;
-    if (segments.length >= 2) {
-      const originalTurn = segments[1];
-      segments[1] = 'w';
-      try {
-        const whiteGame = createChessInstance(segments.join(' '));
-        whiteMobility = whiteGame.moves().length;
-      } catch (err) {
-        whiteMobility = 0;
-      }
-      segments[1] = 'b';
-      try {
-        const blackGame = createChessInstance(segments.join(' '));
-        blackMobility = blackGame.moves().length;
-      } catch (err) {
-        blackMobility = 0;
-      }
-      segments[1] = originalTurn;
+    const builtinDisabled = configValue('engine.disableBuiltin');
+    if (!builtinDisabled) {
+      pushInline(getBuiltinEngineSource({ chessSource: activeChessJsSource() }), 'inline:builtin');
     }
-    const mobilityScale = 0.016;
-    total += (whiteMobility - blackMobility) * mobilityScale;
 
-    const tempoBonus = 0.015;
-    total += game.turn && game.turn() === 'w' ? tempoBonus : -tempoBonus;
-
-    return total;
-  }
-
-  function evaluateForPerspective(position, perspective, context) {
-    const value = evaluatePosition(position, context);
-    return perspective === 'w' ? value : -value;
-  }
-
-  function moveKey(move) {
-    return `${move.from}-${move.to}-${move.promotion || ''}-${move.san}`;
-  }
+    const stockfishForced = configValue('stockfish.force');
+    const disableForSession = isStockfishDisabled() && !stockfishForced;
 
-  function simpleMoveKey(move) {
-    return `${move.from}-${move.to}-${move.promotion || ''}`;
-  }
+    const candidateUrls = Array.from(new Set([...overrideUrls, ...defaultEngineUrls]));
 
-  function createSearchMeta() {
-    return {
-      killerMoves: new Map(),
-      historyScores: new Map(),
-      orderingScores: new Map()
-    };
-  }
+    const retryCachedFailures = configValue('stockfish.retryFailures');
+    const filteredCandidateUrls = retryCachedFailures
+      ? candidateUrls
+      : candidateUrls.filter(url => !stockfishFailureCache[url]);
 
-  function killerMoveScore(searchMeta, ply, move) {
-    if (!searchMeta) return 0;
-    const list = searchMeta.killerMoves.get(ply);
-    if (!list) return 0;
-    const key = simpleMoveKey(move);
-    for (let i = 0; i < list.length; i++) {
-      if (list[i] === key) {
-        return 3 - i;
+    if (!retryCachedFailures) {
+      const skipped = candidateUrls.filter(url => stockfishFailureCache[url]);
+      if (skipped.length) {
+        log('Skipping Stockfish URLs with cached failures:', skipped);
+      }
+    } else {
+      const retried = candidateUrls.filter(url => stockfishFailureCache[url]);
+      if (retried.length) {
+        log('Retrying Stockfish URLs despite previous failures:', retried);
       }
     }
-    return 0;
-  }
 
-  function recordKillerMove(searchMeta, ply, move) {
-    if (!searchMeta) return;
-    if (move.captured || move.flags.includes('p')) return;
-    const key = simpleMoveKey(move);
-    let list = searchMeta.killerMoves.get(ply);
-    if (!list) {
-      list = [];
-      searchMeta.killerMoves.set(ply, list);
+    if (disableForSession && !inlinePayloads.length && overrideUrls.length === 0) {
+      log(`Stockfish disabled after repeated failures. Call __CHESS.enableStockfish() or __CHESS.config.set('stockfish.force', true) to retry.`);
+      const error = new Error('Stockfish disabled after repeated failures');
+      error.silent = true;
+      throw error;
     }
-    if (list.includes(key)) return;
-    list.unshift(key);
-    if (list.length > 2) list.length = 2;
-  }
-
-  function updateHistoryScore(searchMeta, move, depth) {
-    if (!searchMeta) return;
-    if (move.captured || move.flags.includes('p')) return;
-    const key = simpleMoveKey(move);
-    const current = searchMeta.historyScores.get(key) || 0;
-    searchMeta.historyScores.set(key, current + depth * depth);
-  }
-
-  function historyScore(searchMeta, move) {
-    if (!searchMeta) return 0;
-    const key = simpleMoveKey(move);
-    const value = searchMeta.historyScores.get(key) || 0;
-    return Math.min(3.5, value / 220);
-  }
 
-  function orderingMapFor(searchMeta, ply) {
-    if (!searchMeta) return null;
-    let map = searchMeta.orderingScores.get(ply);
-    if (!map) {
-      map = new Map();
-      searchMeta.orderingScores.set(ply, map);
-    } else {
-      map.clear();
+    if (!filteredCandidateUrls.length && !inlinePayloads.length) {
+      const error = new Error(`All Stockfish URLs previously failed. Run __CHESS.clearStockfishFailures() or __CHESS.config.set('stockfish.retryFailures', true) to retry.`);
+      error.silent = true;
+      throw error;
     }
-    return map;
-  }
-
-  function storeOrderingScore(orderMap, move, score) {
-    if (!orderMap) return;
-    orderMap.set(moveKey(move), score);
-  }
-
-  function lookupOrderingScore(searchMeta, ply, move) {
-    if (!searchMeta) return 0;
-    const map = searchMeta.orderingScores.get(ply);
-    if (!map) return 0;
-    return map.get(moveKey(move)) || 0;
-  }
 
-  function isForcingMove(move) {
-    return !!(move.captured || move.flags.includes('p') || /[+#]/.test(move.san));
-  }
+    stockfishPromise = window.__STOCKFISH_PROMISE = (async () => {
+      if (!window.Worker) throw new Error('Web Workers not supported in this browser');
 
-  function findKingSquare(game, color) {
-    const board = typeof game.board === 'function' ? game.board() : null;
-    if (!board) return null;
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        const piece = board[row]?.[col];
-        if (piece && piece.type === 'k' && piece.color === color) {
-          const file = String.fromCharCode(97 + col);
-          const rank = 8 - row;
-          return `${file}${rank}`;
+      for (const payload of inlinePayloads) {
+        const { label, registered } = typeof payload === 'string'
+          ? { label: 'inline:custom', registered: null }
+          : { label: payload.label || 'inline:custom', registered: payload.registered };
+        if (!(await awaitEngineRestart(label))) continue;
+        const code = typeof payload === 'string' ? payload : (payload.load ? await payload.load() : payload.code);
+        if (!code) continue;
+        let worker;
+        let blobUrl;
+        try {
+          const assetUrls = label === 'inline:builtin' ? null : await stockfishAssetBlobUrls();
+          if (assetUrls && Object.keys(assetUrls).length) log(`Serving stored Stockfish assets to ${label}:`, Object.keys(assetUrls));
+          ({ worker, blobUrl } = createWorkerFromSource(code, assetUrls));
+          const engine = new StockfishEngine(worker, label);
+          watchEngineCrashes(engine, label);
+          await engine.init(engineInitSettings());
+          if (registered) await recordRegisteredEngineId(registered, engine.idName);
+          if (await sendBookToEngine(engine)) log(`Loaded Polyglot book into ${label}.`);
+          if (await sendEvalWeightsToEngine(engine)) log(`Loaded tuned evaluation weights into ${label}.`);
+          engine.blobUrl = blobUrl;
+          window.__STOCKFISH_ENGINE_INSTANCE = engine;
+          window.__STOCKFISH_ENGINE_URL = label;
+          setStockfishDisabled(false);
+          return engine;
+        } catch (err) {
+          if (worker) worker.terminate();
+          if (blobUrl) URL.revokeObjectURL(blobUrl);
+          if (!err.crashed) console.warn('[CHESS] Failed to start inline Stockfish worker.', err);
         }
       }
-    }
-    return null;
-  }
 
-  function evaluateMoveConsequences(game, move) {
-    let penalty = 0;
-    let checkBonus = 0;
-    game.move(move);
-    try {
-      if (game.in_check()) {
-        checkBonus += 0.6;
-      }
-
-      const opponentMoves = game.moves({ verbose: true });
-      let minAttacker = Infinity;
-      let pawnThreat = false;
-      for (const reply of opponentMoves) {
-        if (reply.to === move.to) {
-          const value = pieceValues[reply.piece] ?? (reply.piece === 'k' ? KING_VALUE : 0);
-          if (value < minAttacker) minAttacker = value;
-          if (reply.piece === 'p') pawnThreat = true;
-        }
-      }
+      const attemptedUrls = [];
 
-      if (minAttacker !== Infinity) {
-        let defenders = 0;
+      for (const url of filteredCandidateUrls) {
+        if (!(await awaitEngineRestart(url))) continue;
         try {
-          const fenParts = game.fen().split(' ');
-          fenParts[1] = move.color;
-          const defenderGame = createChessInstance(fenParts.join(' '));
-          defenders = defenderGame.moves({ verbose: true }).filter(m => m.to === move.to).length;
+          attemptedUrls.push(url);
+          const { worker, blobUrl } = await createStockfishWorker(url);
+          try {
+            const engine = new StockfishEngine(worker, url);
+            watchEngineCrashes(engine, url, true);
+            await engine.init(engineInitSettings());
+            // Keep blob URL alive while worker runs
+            engine.blobUrl = blobUrl;
+            window.__STOCKFISH_ENGINE_INSTANCE = engine;
+            window.__STOCKFISH_ENGINE_URL = url;
+            setStockfishDisabled(false);
+            return engine;
+          } catch (engineErr) {
+            worker.terminate();
+            URL.revokeObjectURL(blobUrl);
+            throw engineErr;
+          }
         } catch (err) {
-          defenders = 0;
-        }
-
-        const movedValue = pieceValues[move.piece] ?? (move.piece === 'k' ? KING_VALUE : 0);
-        const attackValue = minAttacker;
-        if (attackValue < movedValue - 0.05) {
-          const diff = movedValue - attackValue;
-          const modifier = defenders > 0 ? 0.55 : 1.15;
-          penalty += diff * modifier;
-        }
-        if (pawnThreat && movedValue > 1.5) {
-          penalty += defenders > 0 ? 0.25 : 0.6;
+          // a crash was already recorded by watchEngineCrashes
+          if (!err || !err.crashed) {
+            recordStockfishFailure(url, err);
+            console.warn('[CHESS] Failed to load Stockfish from', url, err);
+          }
         }
       }
 
-      const kingSquare = findKingSquare(game, move.color);
-      if (kingSquare) {
-        const underAttack = opponentMoves.some(reply => reply.to === kingSquare);
-        if (underAttack) penalty += 0.9;
-      }
-    } finally {
-      game.undo();
-    }
-    return { penalty, checkBonus };
-  }
-
-  function movePriority(game, move, context, preferenceMap, searchMeta, ply) {
-    let score = 0;
-    if (preferenceMap) {
-      const pref = preferenceMap.get(moveKey(move));
-      if (pref !== undefined) {
-        score += 60 - pref;
-      }
-    }
-
-    if (searchMeta) {
-      score += killerMoveScore(searchMeta, ply, move);
-      score += historyScore(searchMeta, move);
-    }
-
-    if (move.captured) {
-      const captureWeights = { p: 1, n: 2, b: 2, r: 3, q: 4, k: 6 };
-      score += 4 + (captureWeights[move.captured] || 0);
-    }
-    if (move.flags.includes('c')) score += 1.5;
-    if (/[+#]/.test(move.san)) score += move.san.includes('#') ? 5 : 2.5;
-    if (move.flags.includes('p')) score += 6;
-    if (move.flags.includes('k') || move.flags.includes('q')) score += 3.2;
-
-    const openingPhase = context ? context.moveCount < 16 : false;
-    const veryEarly = context ? context.moveCount < 8 : false;
-
-    if ((move.piece === 'n' || move.piece === 'b') && minorPieceStartSquares.has(move.from)) {
-      score += openingPhase ? 1.6 : 0.5;
-      if (coreCenterSquares.has(move.to)) score += 0.65;
-      else if (extendedCenterSquares.has(move.to)) score += 0.45;
-    }
-
-    if (move.piece === 'p') {
-      if (coreCenterSquares.has(move.to)) score += 0.7;
-      else if (extendedCenterSquares.has(move.to)) score += 0.35;
-
-      if (flankFiles.has(move.from[0])) {
-        score -= openingPhase ? 1.1 : 0.3;
-        if (veryEarly) score -= 0.7;
+      if (!stockfishForced && !inlinePayloads.length && attemptedUrls.length && !isStockfishDisabled()) {
+        log('Stockfish URL attempts failed; continuing with fallback search. Use __CHESS.disableStockfish() to skip future external tries.');
       }
-    } else if (coreCenterSquares.has(move.to)) {
-      score += 0.45;
-    } else if (extendedCenterSquares.has(move.to)) {
-      score += 0.27;
-    }
 
-    if (move.san === 'O-O' || move.san === 'O-O-O') {
-      score += 3.8;
-    }
-
-    const consequence = evaluateMoveConsequences(game, move);
-    score += consequence.checkBonus;
-    score -= consequence.penalty;
-
-    return score;
-  }
+      const failure = new Error('Unable to load Stockfish engine from provided URLs');
+      failure.silent = filteredCandidateUrls.length === 0;
+      throw failure;
+    })();
 
-  function orderedMoves(game, context, preferenceMap, searchMeta, ply = 0, captureOnly = false) {
-    const moves = game.moves({ verbose: true });
-    const orderMap = orderingMapFor(searchMeta, ply);
-    const scored = [];
-    for (const move of moves) {
-      if (captureOnly && !isForcingMove(move)) continue;
-      const value = movePriority(game, move, context, preferenceMap, searchMeta, ply);
-      storeOrderingScore(orderMap, move, value);
-      scored.push({ move, value });
-    }
-    scored.sort((a, b) => b.value - a.value);
-    return scored.map(entry => entry.move);
-  }
+    stockfishPromise.catch(() => {
+      stockfishPromise = null;
+      window.__STOCKFISH_PROMISE = null;
+      window.__STOCKFISH_ENGINE_INSTANCE = null;
+    });
 
-  function evaluateTerminalState(game, perspective, plyCount, context) {
-    if (game.in_checkmate()) {
-      const mateScore = 1000 - plyCount;
-      return game.turn() === perspective ? -mateScore : mateScore;
-    }
-    if (game.in_stalemate()) {
-      return 0;
-    }
-    return evaluateForPerspective(game, perspective, context);
+    return stockfishPromise;
   }
 
-  function quiescence(game, alpha, beta, perspective, plyCount, stats, context, deadline, nowFn, searchMeta, limit = 6, shouldStop) {
-    if ((shouldStop && shouldStop()) || (deadline && nowFn && nowFn() > deadline)) {
-      stats.timeouts = (stats.timeouts || 0) + 1;
-      return evaluateForPerspective(game, perspective, context);
-    }
-    stats.nodes += 1;
-    const standPat = evaluateTerminalState(game, perspective, plyCount, context);
-    if (standPat >= beta) return beta;
-    if (standPat > alpha) alpha = standPat;
-    if (limit <= 0) return standPat;
 
-    const captureMoves = orderedMoves(game, context, null, searchMeta, plyCount, true);
-    for (const move of captureMoves) {
-      game.move(move);
-      const score = -quiescence(game, -beta, -alpha, perspective, plyCount + 1, stats, context, deadline, nowFn, searchMeta, limit - 1, shouldStop);
-      game.undo();
-      if (score >= beta) return beta;
-      if (score > alpha) alpha = score;
-    }
-    return alpha;
-  }
 
-  function negamax(game, depth, alpha, beta, perspective, table, plyCount, stats, context, deadline, nowFn, searchMeta, shouldStop) {
-    if ((shouldStop && shouldStop()) || (deadline && nowFn && nowFn() > deadline)) {
-      stats.timeouts = (stats.timeouts || 0) + 1;
-      return evaluateForPerspective(game, perspective, context);
-    }
-    stats.nodes += 1;
-    const terminal = game.game_over();
-    const key = game.fen();
-    const cached = table.get(key);
-    if (!terminal && cached && cached.depth >= depth) {
-      if (cached.flag === 'exact') {
-        return cached.value;
-      }
-      if (cached.flag === 'lower' && cached.value > alpha) {
-        alpha = cached.value;
-      } else if (cached.flag === 'upper' && cached.value < beta) {
-        beta = cached.value;
-      }
-      if (alpha >= beta) {
-        return cached.value;
-      }
-    }
-
-    if (terminal) {
-      const result = evaluateTerminalState(game, perspective, plyCount, context);
-      if (!cached || cached.depth < depth) {
-        table.set(key, { depth, value: result, flag: 'exact' });
-      }
-      return result;
-    }
+  function readMoveTokens(container) {
+    const domNodes = Array.from(container.querySelectorAll('[data-ply]'));
+    const domTokens = domNodes
+      .map(node => node.getAttribute('data-san') || node.textContent || '')
+      .map(value => cleanToken(normalizeFigurines(value)))
+      .filter(Boolean);
 
-    if (depth <= 0) {
-      return quiescence(game, alpha, beta, perspective, plyCount, stats, context, deadline, nowFn, searchMeta, 6, shouldStop);
+    if (domTokens.length) {
+      return { tokens: domTokens, source: 'dom' };
     }
 
-    const moves = orderedMoves(game, context, null, searchMeta, plyCount);
-    const limit = depth >= 3 ? Math.min(moves.length, 14) : Math.min(moves.length, 18);
-    let bestValue = -Infinity;
-    let bestFlag = 'upper';
-    let bestChild = null;
-
-    for (let i = 0; i < limit; i++) {
-      const move = moves[i];
-      game.move(move);
-      let nextDepth = depth - 1;
-      const givesCheck = game.in_check();
-      if (givesCheck && nextDepth >= 0) {
-        nextDepth = Math.min(depth, nextDepth + 1);
-      }
-      if (!isForcingMove(move) && depth >= 3 && i > 5 && nextDepth > 1) {
-        nextDepth -= 1;
-      }
+    const fallback = extractTokensFromText(container.innerText || '');
+    return { tokens: fallback, source: 'text' };
+  }
 
-      let score;
-      if (game.in_checkmate()) {
-        score = evaluateTerminalState(game, perspective, plyCount + 1, context);
-      } else {
-        score = -negamax(game, nextDepth, -beta, -alpha, perspective, table, plyCount + 1, stats, context, deadline, nowFn, searchMeta, shouldStop);
-      }
-      game.undo();
+  async function analyzeGame(game, options = {}) {
+    const report = options.quiet ? () => {} : log;
+    const engineOptions = {
+      depth: typeof options.depth === 'number' ? options.depth : (configValue('engine.depth') ?? undefined),
+      multiPv: configValue('engine.multiPv'),
+      baseDepth: configValue('engine.baseDepth'),
+      depthStep: configValue('engine.depthStep'),
+      maxDepth: configValue('engine.maxDepth'),
+      timeout: configValue('engine.timeout')
+    };
+    const fallbackOptions = {
+      timeBudget: typeof options.timeBudget === 'number' ? options.timeBudget : configValue('fallback.timeBudget')
+    };
+    if (typeof options.depth === 'number') fallbackOptions.depth = options.depth;
 
-      if (score > bestValue) {
-        bestValue = score;
-        bestChild = { from: move.from, to: move.to, promotion: move.promotion || null };
-      }
-      if (score > alpha) {
-        alpha = score;
-        bestFlag = 'exact';
-        updateHistoryScore(searchMeta, move, depth);
-      }
-      if (alpha >= beta) {
-        recordKillerMove(searchMeta, plyCount, move);
-        updateHistoryScore(searchMeta, move, depth);
-        bestFlag = 'lower';
-        break;
+    let engineAnalysis = null;
+    let engineError = null;
+    if (game.moves().length) {
+      try {
+        engineAnalysis = await withStockfishEngine(engine => analyzeWithStockfish(engine, game, engineOptions));
+      } catch (err) {
+        engineError = err;
+        if (!err || !err.silent) {
+          console.warn('[CHESS] Stockfish analysis unavailable.', err);
+        }
       }
     }
 
-    if (!moves.length) {
-      bestValue = evaluateTerminalState(game, perspective, plyCount, context);
-      bestFlag = 'exact';
-    }
-
-    table.set(key, { depth, value: bestValue, flag: bestFlag, best: bestChild });
-    return bestValue;
-  }
-
-  function chooseFallbackDepth(moveCount, legalCount) {
-    let depth = 4;
-    if (moveCount < 10) depth += 2;
-    else if (moveCount < 20) depth += 1;
-    if (legalCount <= 12) depth += 1;
-    if (legalCount <= 8) depth += 1;
-    if (legalCount >= 28) depth -= 1;
-    if (legalCount >= 36) depth -= 1;
-    if (moveCount > 60) depth = Math.max(3, depth - 1);
-    return Math.max(3, Math.min(depth, 7));
-  }
+    let recommendationDetail = [];
+    let bestRecommendation = null;
 
-  function principalVariationFromTable(fen, table, maxLength = 12) {
-    const pv = [];
-    if (!fen) return pv;
-    let chess;
-    try {
-      chess = createChessInstance(fen);
-    } catch (err) {
-      return pv;
-    }
-    const seen = new Set();
-    for (let depth = 0; depth < maxLength; depth++) {
-      const key = chess.fen();
-      if (seen.has(key)) break;
-      seen.add(key);
-      const entry = table.get(key);
-      if (!entry || !entry.best) break;
-      const move = chess.move({
-        from: entry.best.from,
-        to: entry.best.to,
-        promotion: entry.best.promotion || undefined
+    if (engineAnalysis && (engineAnalysis.lines.length || engineAnalysis.best)) {
+      const formatted = engineAnalysis.lines.map(line => {
+        const san = line.san || uciToSan(game.fen(), line.uci);
+        const info = line.displayScore ? `score=${line.displayScore}` : 'score=?';
+        const depth = line.origin === 'book' ? 'book' : (line.depth ? `depth=${line.depth}` : null);
+        const extras = [info, depth].filter(Boolean).join(', ');
+        return `${san} (${extras})`;
       });
-      if (!move) break;
-      pv.push(move);
-      if (chess.game_over()) break;
-    }
-    return pv;
-  }
-
-  function analyzeFallback(game, options = {}) {
-    const evalContext = createEvaluationContext(game);
-    const searchMeta = createSearchMeta();
-    const initialMoves = orderedMoves(game, evalContext, null, searchMeta, 0);
-    if (!initialMoves.length) {
-      return { best: null, details: [], depth: 0, considered: 0, elapsed: 0, aborted: false };
-    }
-
-    const perspective = game.turn();
-    const moveCount = evalContext.moveCount;
-    const preferredDepth = typeof options.depth === 'number' ? Math.max(1, Math.floor(options.depth)) : null;
-    const depthCap = typeof options.maxDepth === 'number' ? Math.max(1, Math.floor(options.maxDepth)) : null;
-    const depthFloor = typeof options.minDepth === 'number' ? Math.max(1, Math.floor(options.minDepth)) : null;
-    let targetDepth = preferredDepth ?? chooseFallbackDepth(moveCount, initialMoves.length);
-    if (depthCap !== null) targetDepth = Math.min(targetDepth, depthCap);
-    if (depthFloor !== null) targetDepth = Math.max(targetDepth, depthFloor);
-
-    const table = new Map();
-    const stats = { nodes: 0, timeouts: 0 };
-    const preferenceMap = new Map();
-
-    const nowFn = typeof performance !== 'undefined' && typeof performance.now === 'function'
-      ? () => performance.now()
-      : () => Date.now();
-    const timeBudget = typeof options.timeBudget === 'number'
-      ? Math.max(0, options.timeBudget)
-      : (typeof window !== 'undefined' && typeof window.__CHESS_FALLBACK_TIME === 'number'
-        ? Math.max(250, window.__CHESS_FALLBACK_TIME)
-        : 1700);
-    const startTime = nowFn();
-    const deadline = Number.isFinite(timeBudget) && timeBudget > 0 ? startTime + timeBudget : null;
-    const shouldStop = typeof options.shouldStop === 'function' ? options.shouldStop : null;
-
-    let reachedDepth = 0;
-    let aborted = false;
-    let finalResults = initialMoves.map(move => ({ move, score: 0 }));
-    let bestSummary = null;
-
-    for (let depth = 1; depth <= targetDepth; depth++) {
-      if (shouldStop && shouldStop()) {
-        aborted = true;
-        break;
-      }
-      const candidateMoves = orderedMoves(game, evalContext, preferenceMap, searchMeta, 0);
-      const limit = Math.min(candidateMoves.length, depth >= 4 ? 20 : 24);
-      const iteration = [];
-      let alpha = -Infinity;
-      let beta = Infinity;
-
-      for (let i = 0; i < limit; i++) {
-        if ((shouldStop && shouldStop()) || (deadline && nowFn() > deadline)) {
-          aborted = true;
-          break;
-        }
-        const move = candidateMoves[i];
-        game.move(move);
-        let score;
-        if (game.in_checkmate()) {
-          score = evaluateTerminalState(game, perspective, 1, evalContext);
-        } else {
-          score = -negamax(game, depth - 1, -beta, -alpha, perspective, table, 1, stats, evalContext, deadline, nowFn, searchMeta, shouldStop);
-        }
-        const checkBonus = game.in_check() ? 0.25 : 0;
-        game.undo();
-
-        const orderBoost = lookupOrderingScore(searchMeta, 0, move) * 0.02;
-        const normalized = score + checkBonus + orderBoost;
-        iteration.push({ move, rawScore: score, score: normalized });
-        if (score > alpha) alpha = score;
-        if ((shouldStop && shouldStop()) || (deadline && nowFn() > deadline)) {
-          aborted = true;
-          break;
+      report('ENGINE SOURCE=', engineAnalysis.engineId ? `${engineAnalysis.source} (${engineAnalysis.engineId})` : engineAnalysis.source);
+      if (formatted.length) {
+        report('ENGINE SUGGESTIONS:', formatted);
+      }
+      const fromBook = engineAnalysis.lines.length > 0 && engineAnalysis.lines[0].origin === 'book';
+      if (engineAnalysis.best?.san) {
+        bestRecommendation = `${engineAnalysis.best.san} (${engineAnalysis.best.uci})`;
+        report('ENGINE RECOMMENDATION:', `${engineAnalysis.best.san}  ${engineAnalysis.best.uci.toUpperCase()} (${fromBook ? 'book' : `depth≈${engineAnalysis.depth}`})`);
+      } else if (engineAnalysis.lines.length) {
+        const firstLine = engineAnalysis.lines[0];
+        if (firstLine?.san && firstLine?.uci) {
+          bestRecommendation = `${firstLine.san} (${firstLine.uci})`;
+          report('ENGINE RECOMMENDATION:', `${firstLine.san}  ${firstLine.uci.toUpperCase()} (depth≈${firstLine.depth ?? engineAnalysis.depth})`);
         }
       }
+      recommendationDetail = engineAnalysis.lines.map(line => ({
+        san: line.san || uciToSan(game.fen(), line.uci),
+        uci: line.uci,
+        score: line.displayScore,
+        depth: line.depth,
+        origin: line.origin,
+        pv: line.pv,
+        pvSan: line.pvSan
+      }));
+      if (!recommendationDetail.length && engineAnalysis.best?.san) {
+        recommendationDetail = [{
+          san: engineAnalysis.best.san,
+          uci: engineAnalysis.best.uci,
+          score: null,
+          depth: engineAnalysis.depth,
+          pv: [engineAnalysis.best.uci],
+          pvSan: [engineAnalysis.best.san]
+        }];
+      }
+    }
+
+    let fallbackDetails = [];
+    let fallbackMeta = null;
+    if (!engineAnalysis) {
+      const fallback = analyzeFallback(game, fallbackOptions);
+      fallbackMeta = {
+        depth: fallback.depth,
+        considered: fallback.considered,
+        elapsed: fallback.elapsed,
+        aborted: !!fallback.aborted,
+        timeouts: fallback.timeouts || 0,
+        hashfull: fallback.hashfull || 0,
+        pruning: fallback.pruning || null
+      };
+      const topMoves = fallback.details.slice(0, 10);
+      const suggestionsSan = topMoves.map(entry => entry.move.san);
+      const suggestionsDetail = topMoves.map(entry => {
+        const scoreValue = typeof entry.score === 'number' ? entry.score : 0;
+        const continuation = Array.isArray(entry.pvSan) ? entry.pvSan.slice(1) : [];
+        const pvTail = continuation.length ? ` → ${continuation.join(' ')}` : '';
+        return `${entry.move.san}  ${entry.move.from.toUpperCase()}->${entry.move.to.toUpperCase()} (score≈${scoreValue.toFixed(2)})${pvTail}`;
+      });
+      fallbackDetails = topMoves.map(entry => {
+        const scoreValue = typeof entry.score === 'number' ? entry.score : 0;
+        const continuation = Array.isArray(entry.pvSan) ? entry.pvSan.slice(1) : [];
+        const pvTail = continuation.length ? ` → ${continuation.join(' ')}` : '';
+        return {
+          san: entry.move.san,
+          from: entry.move.from.toUpperCase(),
+          to: entry.move.to.toUpperCase(),
+          score: scoreValue,
+          detail: `${entry.move.san}  ${entry.move.from.toUpperCase()}->${entry.move.to.toUpperCase()} (score≈${scoreValue.toFixed(2)})${pvTail}`,
+          pvSan: Array.isArray(entry.pvSan) ? entry.pvSan.slice() : []
+        };
+      });
 
-      if (!iteration.length) {
-        break;
+      report('SIMPLE SUGGESTIONS (SAN):', suggestionsSan);
+      report('SIMPLE SUGGESTIONS (scored):', suggestionsDetail);
+      const fallbackLog = [];
+      const depthLabel = typeof fallback.depth === 'number' ? `depth=${fallback.depth}` : 'depth=0';
+      fallbackLog.push(fallback.aborted ? `${depthLabel} (time cutoff)` : depthLabel);
+      fallbackLog.push(`nodes evaluated=${fallback.considered}`);
+      if (Number.isFinite(fallback.elapsed)) {
+        fallbackLog.push(`elapsed≈${fallback.elapsed.toFixed(0)}ms`);
+      }
+      report('FALLBACK SEARCH:', ...fallbackLog);
+
+      if (fallback.best) {
+        const { move, score, pvSan } = fallback.best;
+        const scoreValue = typeof score === 'number' ? score : 0;
+        const continuation = Array.isArray(pvSan) ? pvSan.slice(1) : [];
+        const pvTail = continuation.length ? ` → ${continuation.join(' ')}` : '';
+        bestRecommendation = `${move.san} (${move.from.toUpperCase()}->${move.to.toUpperCase()})`;
+        report('RECOMMENDATION:', `${move.san}  ${move.from.toUpperCase()}->${move.to.toUpperCase()} (score≈${scoreValue.toFixed(2)})${pvTail}`);
+      } else {
+        report('RECOMMENDATION: (no legal moves found)');
       }
+    }
 
-      iteration.sort((a, b) => b.score - a.score);
-      finalResults = iteration.map(entry => ({ move: entry.move, score: entry.rawScore }));
-      bestSummary = finalResults[0] || null;
-      reachedDepth = depth;
-
-      preferenceMap.clear();
-      iteration.forEach((entry, index) => {
-        preferenceMap.set(moveKey(entry.move), index);
-      });
-
-      if (aborted) {
-        break;
+    if (engineError) {
+      if (engineError.silent) {
+        report('ENGINE STATUS: Stockfish unavailable, using built-in search. (__CHESS.enableStockfish() to retry)');
+      } else {
+        report('ENGINE ERROR:', engineError.message || engineError);
       }
     }
 
-    const elapsed = nowFn() - startTime;
+    return {
+      engineAnalysis,
+      engineError,
+      recommendationDetail,
+      fallbackDetails,
+      fallbackMeta,
+      bestRecommendation
+    };
+  }
 
-    const rootFen = game.fen();
-    const detailedResults = finalResults.map(entry => {
-      const clone = createChessInstance(rootFen);
-      const pvMoves = [];
-      const first = clone.move({ from: entry.move.from, to: entry.move.to, promotion: entry.move.promotion });
-      if (first) {
-        pvMoves.push(first);
-        const continuation = principalVariationFromTable(clone.fen(), table, targetDepth + 4);
-        pvMoves.push(...continuation);
-      }
-      return {
-        move: entry.move,
-        score: entry.score,
-        pv: pvMoves,
-        pvSan: pvMoves.map(m => m.san)
-      };
-    });
+  function snapshotSuggestions(result) {
+    return result.engineAnalysis
+      ? result.recommendationDetail.map(item => ({
+          ...item,
+          pv: item.pv ? item.pv.slice() : [],
+          pvSan: item.pvSan ? item.pvSan.slice() : []
+        }))
+      : result.fallbackDetails.map(item => ({ ...item }));
+  }
+
+  function snapshotEngine(result) {
+    const engineAnalysis = result.engineAnalysis;
+    return engineAnalysis ? {
+      source: engineAnalysis.source,
+      engineId: engineAnalysis.engineId || null,
+      depth: engineAnalysis.depth,
+      best: engineAnalysis.best ? { ...engineAnalysis.best } : null,
+      lines: engineAnalysis.lines.map(line => ({
+        ...line,
+        pv: line.pv.slice(),
+        pvSan: Array.isArray(line.pvSan) ? line.pvSan.slice() : []
+      }))
+    } : null;
+  }
 
-    finalResults = detailedResults;
-    bestSummary = finalResults[0] || null;
+  function snapshotFallback(result) {
+    return (!result.engineAnalysis && result.fallbackMeta) ? { ...result.fallbackMeta } : null;
+  }
 
+  function summarizeAnalysis(game, result) {
     return {
-      best: bestSummary,
-      details: finalResults,
-      depth: reachedDepth,
-      considered: stats.nodes,
-      aborted,
-      elapsed,
-      timeouts: stats.timeouts || 0
+      fen: game.fen(),
+      turn: game.turn(),
+      best: result.bestRecommendation,
+      suggestions: snapshotSuggestions(result),
+      engine: snapshotEngine(result),
+      fallback: snapshotFallback(result)
     };
   }
 
-  function sanitizeFunctionForWorker(fn) {
-    return fn
-      .toString()
-      .replace(/window\./g, '')
-      .replace(/\bcreateChessInstance\(/g, 'createChessInstance(');
-  }
-
-  function buildBuiltinEngineSource() {
-    const jsonPieceValues = JSON.stringify(pieceValues);
-    const jsonPieceSquareTables = JSON.stringify(pieceSquareTables);
-    const jsonKingSquareTables = JSON.stringify(kingSquareTables);
-    const jsonCoreCenter = JSON.stringify(Array.from(coreCenterSquares));
-    const jsonExtendedCenter = JSON.stringify(Array.from(extendedCenterSquares));
-    const jsonMinorStarts = JSON.stringify(Array.from(minorPieceStartSquares));
-    const jsonFlankFiles = JSON.stringify(Array.from(flankFiles));
-
-    const functionSources = [
-      createEvaluationContext,
-      pieceSquareValue,
-      evaluatePosition,
-      evaluateForPerspective,
-      moveKey,
-      simpleMoveKey,
-      createSearchMeta,
-      killerMoveScore,
-      recordKillerMove,
-      updateHistoryScore,
-      historyScore,
-      orderingMapFor,
-      storeOrderingScore,
-      lookupOrderingScore,
-      isForcingMove,
-      findKingSquare,
-      evaluateMoveConsequences,
-      movePriority,
-      orderedMoves,
-      evaluateTerminalState,
-      quiescence,
-      negamax,
-      chooseFallbackDepth,
-      principalVariationFromTable,
-      analyzeFallback
-    ].map(sanitizeFunctionForWorker);
-
-    return String.raw`(function() {
-      'use strict';
-      const ctx = self;
-      function send(line) { ctx.postMessage(line); }
-      try {
-        importScripts('https://cdnjs.cloudflare.com/ajax/libs/chess.js/0.10.2/chess.min.js');
-      } catch (err) {
-        send('info string Failed to load chess.js: ' + (err && err.message ? err.message : err));
-        send('uciok');
-        send('readyok');
-        return;
-      }
-      const Chess = self.Chess;
-      if (!Chess) {
-        send('info string Chess.js unavailable in worker');
-        send('uciok');
-        send('readyok');
-        return;
-      }
-
-      const pieceValues = ${jsonPieceValues};
-      const pieceSquareTables = ${jsonPieceSquareTables};
-      const kingSquareTables = ${jsonKingSquareTables};
-      const coreCenterSquares = new Set(${jsonCoreCenter});
-      const extendedCenterSquares = new Set(${jsonExtendedCenter});
-      const minorPieceStartSquares = new Set(${jsonMinorStarts});
-      const flankFiles = new Set(${jsonFlankFiles});
+  function currentPositionLines(game, result) {
+    const turn = game.turn();
+    if (result.engineAnalysis) {
+      return result.engineAnalysis.lines.map(line => ({
+        moves: Array.isArray(line.pvSan) && line.pvSan.length ? line.pvSan.slice() : [line.san].filter(Boolean),
+        eval: scoreForWhite(normalizeScore(line.scoreType, line.rawScore), turn)
+      }));
+    }
+    return result.fallbackDetails.map(item => ({
+      moves: item.pvSan.length ? item.pvSan.slice() : [item.san],
+      eval: scoreForWhite(searchScoreToScore(item.score), turn)
+    }));
+  }
 
-      function createChessInstance(fen) {
-        return typeof fen === 'string' && fen ? new Chess(fen) : new Chess();
-      }
+  function engineLabel(result) {
+    if (result.engineAnalysis) {
+      const lines = result.engineAnalysis.lines;
+      if (lines.length && lines[0].origin === 'book') return `${result.engineAnalysis.source}, book`;
+      return `${result.engineAnalysis.source}, depth ${result.engineAnalysis.depth}`;
+    }
+    if (result.fallbackMeta) return `fallback search, depth ${result.fallbackMeta.depth}`;
+    return null;
+  }
 
-${functionSources.join('\n\n')}
+  const REVIEW_NAGS = { inaccuracy: 6, mistake: 2, blunder: 4 };
 
-      function movesToUci(list) {
-        return list.map(move => move.from + move.to + (move.promotion ? move.promotion : ''));
+  function reviewAnnotations(review, options = {}) {
+    if (!review) return [];
+    return review.plies.map(entry => {
+      const note = { eval: entry.evalAfter };
+      if (REVIEW_NAGS[entry.classification]) {
+        note.nag = REVIEW_NAGS[entry.classification];
+        note.comment = `${entry.classification} (cpl ${entry.cpl})`;
       }
-
-      function analyzeFen(fen, options) {
-        const game = createChessInstance(fen);
-        return analyzeFallback(game, options);
+      if (options.variations !== false && REVIEW_NAGS[entry.classification] && entry.bestLine.length) {
+        note.variations = [{ moves: entry.bestLine.slice(), eval: entry.evalBefore }];
       }
+      return note;
+    });
+  }
 
-      let currentFen = createChessInstance().fen();
-      let multiPv = 3;
-      let defaultMoveTime = 1500;
-      let forcedDepth = null;
-      let searchId = 0;
-      let stopRequested = false;
-
-      function applyPosition(tokens) {
-        if (tokens.length < 2) {
-          currentFen = createChessInstance().fen();
-          return;
-        }
-        let fen = null;
-        let movesIndex = tokens.indexOf('moves');
-        if (tokens[1] === 'startpos') {
-          fen = createChessInstance().fen();
-        } else if (tokens[1] === 'fen') {
-          const fenTokens = movesIndex === -1 ? tokens.slice(2) : tokens.slice(2, movesIndex);
-          fen = fenTokens.join(' ');
+  function buildGamePgn(game, appliedMoves, result, options = {}) {
+    const history = game.history();
+    const startFen = options.startFen || null;
+    const annotations = history.map(() => ({ comments: [] }));
+    if (options.inferred !== false) {
+      appliedMoves.forEach((move, index) => {
+        if (move.inferred && annotations[index]) {
+          annotations[index].comments.push(`inferred from "${move.token || move.matched}"`);
         }
-        if (!fen) {
-          fen = createChessInstance().fen();
-        }
-        let chess;
-        try {
-          chess = createChessInstance(fen);
-        } catch (err) {
-          send('info string Invalid FEN supplied to built-in engine');
-          chess = createChessInstance();
-        }
-        if (movesIndex !== -1) {
-          const moveTokens = tokens.slice(movesIndex + 1);
-          for (const token of moveTokens) {
-            if (!token) continue;
-            const from = token.slice(0, 2);
-            const to = token.slice(2, 4);
-            const promotion = token.length > 4 ? token.slice(4, 5) : undefined;
-            const result = chess.move({ from, to, promotion });
-            if (!result) break;
-          }
-        }
-        currentFen = chess.fen();
-      }
+      });
+    }
 
-      function parseGo(tokens) {
-        const result = {};
-        for (let i = 1; i < tokens.length; i++) {
-          const token = tokens[i];
-          if (token === 'depth' && i + 1 < tokens.length) {
-            const value = parseInt(tokens[++i], 10);
-            if (Number.isFinite(value)) result.depth = value;
-          } else if (token === 'movetime' && i + 1 < tokens.length) {
-            const value = parseInt(tokens[++i], 10);
-            if (Number.isFinite(value)) result.movetime = value;
-          } else if (token === 'wtime' && i + 1 < tokens.length) {
-            const value = parseInt(tokens[++i], 10);
-            if (Number.isFinite(value)) result.wtime = value;
-          } else if (token === 'btime' && i + 1 < tokens.length) {
-            const value = parseInt(tokens[++i], 10);
-            if (Number.isFinite(value)) result.btime = value;
-          }
-        }
-        return result;
-      }
+    const lines = result ? currentPositionLines(game, result) : [];
+    if (options.evals !== false && lines.length && lines[0].eval && annotations.length) {
+      annotations[annotations.length - 1].eval = lines[0].eval;
+    }
 
-      function effectiveMoveTime(params, activeColor) {
-        if (Number.isFinite(params.movetime) && params.movetime > 0) return params.movetime;
-        if (activeColor === 'w' && Number.isFinite(params.wtime)) return Math.max(100, params.wtime / 30);
-        if (activeColor === 'b' && Number.isFinite(params.btime)) return Math.max(100, params.btime / 30);
-        return defaultMoveTime;
+    const extra = Array.isArray(options.annotations) ? options.annotations : reviewAnnotations(options.review, options);
+    extra.forEach((note, index) => {
+      if (!note || !annotations[index]) return;
+      const target = annotations[index];
+      if (options.evals !== false && note.eval) target.eval = note.eval;
+      if (note.nag) target.nag = note.nag;
+      if (note.comment) target.comments.push(note.comment);
+      if (options.variations !== false && Array.isArray(note.variations)) {
+        target.variations = note.variations.map(line => (Array.isArray(line) ? { moves: line } : { ...line }))
+          .map(line => (options.evals === false ? { moves: line.moves, comment: line.comment } : line));
       }
+    });
 
-      function startSearch(params) {
-        const id = ++searchId;
-        stopRequested = false;
-        const fen = currentFen;
-        const activeColor = fen.split(' ')[1] || 'w';
-        const timeBudget = effectiveMoveTime(params, activeColor);
-        const depth = Number.isFinite(params.depth) ? params.depth : forcedDepth;
-
-        const analysis = analyzeFen(fen, {
-          timeBudget,
-          depth,
-          maxDepth: depth,
-          shouldStop: () => stopRequested
-        });
+    // The engine lines start from the final position, so none of them replaces a move that was played and
+    // none can be a variation. They go into a comment on the last move, or a closing comment without moves.
+    let finalComment = null;
+    if (options.variations !== false && lines.length && !game.game_over()) {
+      const basePly = fenPlyIndex(game.fen());
+      const rendered = lines.map(line => {
+        const evalText = options.evals !== false && line.eval ? formatPgnEval(line.eval) : null;
+        const moveText = buildPgnMovetext(line.moves, basePly);
+        return evalText ? `${moveText} (${evalText})` : moveText;
+      });
+      const comment = `${engineLabel(result)}: ${rendered.join('; ')}`;
+      if (history.length) annotations[annotations.length - 1].comments.push(comment);
+      else finalComment = comment;
+    }
+
+    const opening = options.opening === false ? null : (options.opening || classifyOpening(game, { startFen }));
+    const headers = {
+      Event: 'Live chess',
+      Site: (typeof window !== 'undefined' && window.location && window.location.hostname) || '?',
+      Date: formatPgnDate(new Date()),
+      ...(opening ? { ECO: opening.eco, Opening: opening.name } : {}),
+      ...(options.headers || {})
+    };
 
-        if (id !== searchId || stopRequested) {
-          return;
-        }
+    return buildPgn({
+      moves: history,
+      startFen,
+      headers,
+      result: options.result || pgnResultForGame(game),
+      annotations,
+      finalComment
+    });
+  }
 
-        const lines = analysis.details.slice(0, Math.max(1, multiPv));
-        if (!lines.length) {
-          send('bestmove 0000');
-          return;
-        }
+  async function reviewPositions(game, options = {}) {
+    const depth = typeof options.depth === 'number' ? options.depth : configValue('review.depth');
+    const timeBudget = typeof options.timeBudget === 'number' ? options.timeBudget : configValue('review.timeBudget');
+    let engine = null;
+    if (options.engine !== false) {
+      try {
+        engine = await ensureStockfishEngine();
+      } catch (err) {
+        if (!err || !err.silent) console.warn('[CHESS] Review engine unavailable, using the fallback search.', err);
+      }
+    }
 
-        lines.forEach((entry, index) => {
-          const pvList = entry.pv && entry.pv.length ? entry.pv : [entry.move];
-          const uciPv = movesToUci(pvList);
-          const cpScore = Math.round((entry.score || 0) * 100);
-          send(
-            'info depth ' + analysis.depth +
-            ' multipv ' + (index + 1) +
-            ' score cp ' + cpScore +
-            ' nodes ' + (analysis.considered || 0) +
-            ' pv ' + uciPv.join(' ')
-          );
+    const analyzePosition = async (position) => {
+      if (engine) {
+        const analysis = await withStockfishEngine(active => {
+          engine = active;
+          return analyzeWithStockfish(active, position, { depth, multiPv: 1, book: false });
         });
-
-        const best = lines[0];
-        const bestMove = best.move.from + best.move.to + (best.move.promotion ? best.move.promotion : '');
-        const ponderMove = best.pv && best.pv.length > 1
-          ? best.pv[1].from + best.pv[1].to + (best.pv[1].promotion ? best.pv[1].promotion : '')
-          : null;
-        send('bestmove ' + bestMove + (ponderMove ? ' ponder ' + ponderMove : ''));
+        const top = analysis && analysis.lines[0];
+        if (top) {
+          return {
+            score: normalizeScore(top.scoreType, top.rawScore),
+            best: analysis.best ? { ...analysis.best } : { san: top.san, uci: top.uci },
+            pvSan: top.pvSan.slice()
+          };
+        }
       }
+      const fallback = analyzeFallback(position, { timeBudget });
+      if (!fallback.best) return { score: null, best: null, pvSan: [] };
+      const { move, score, pvSan } = fallback.best;
+      return {
+        score: searchScoreToScore(score),
+        best: { san: move.san, uci: move.from + move.to + (move.promotion || '') },
+        pvSan: pvSan.slice()
+      };
+    };
 
-      self.onmessage = function(event) {
-        const raw = event && event.data;
-        if (typeof raw !== 'string') return;
-        const line = raw.trim();
-        if (!line) return;
-        const tokens = line.split(/\s+/);
-        const command = tokens[0];
-
-        if (command === 'uci') {
-          send('id name ChessHelper Built-in Engine');
-          send('id author SanFen Helper');
-          send('uciok');
-          return;
-        }
-        if (command === 'isready') {
-          send('readyok');
-          return;
-        }
-        if (command === 'ucinewgame') {
-          currentFen = createChessInstance().fen();
-          stopRequested = false;
-          return;
-        }
-        if (command === 'position') {
-          applyPosition(tokens);
-          return;
+    const review = await reviewGame(game, analyzePosition, {
+      startFen: options.startFen || null,
+      thresholds: options.thresholds,
+      onProgress: options.onProgress
+    });
+    review.source = engine ? engine.sourceUrl : 'fallback';
+    review.engineId = engine ? engine.idName : null;
+    review.depth = engine ? depth : null;
+    return review;
+  }
+
+  function logReview(review) {
+    log('REVIEW SOURCE=', review.engineId ? `${review.source} (${review.engineId})` : review.source);
+    for (const color of ['w', 'b']) {
+      const side = review.summary[color];
+      const label = color === 'w' ? 'WHITE' : 'BLACK';
+      const accuracy = side.accuracy === null ? '?' : side.accuracy.toFixed(1);
+      log(`REVIEW ${label}:`, `accuracy=${accuracy}%`, `acpl=${side.averageCpl}`,
+        `inaccuracies=${side.inaccuracy}`, `mistakes=${side.mistake}`, `blunders=${side.blunder}`);
+    }
+    const flagged = review.plies
+      .filter(entry => REVIEW_NAGS[entry.classification])
+      .map(entry => {
+        const prefix = entry.color === 'w' ? `${entry.moveNumber}.` : `${entry.moveNumber}...`;
+        const best = entry.best && entry.best.san ? `, best ${entry.best.san}` : '';
+        return `${prefix} ${entry.san} (${entry.classification}, cpl=${entry.cpl}${best})`;
+      });
+    log('REVIEW FLAGGED MOVES:', flagged.length, flagged);
+  }
+
+  // A private engine for test runs, so the helper's own engine keeps its settings: 'builtin' is the embedded
+  // worker (with any stored evaluation weights unless options.weights names a set, or null for the defaults),
+  // 'stockfish' the stored or session Stockfish payload, 'engine:<name>' a registered engine.
+  async function startTestEngine(kind, options = {}) {
+    let code = null;
+    let label = kind;
+    if (kind === 'builtin') {
+      code = getBuiltinEngineSource({ chessSource: activeChessJsSource() });
+      label = 'inline:builtin';
+    } else if (kind === 'stockfish') {
+      code = inlineStockfishSessionBase64
+        ? decodeBase64ToText(inlineStockfishSessionBase64)
+        : await loadPersistedInlineStockfishCode();
+      if (!code) throw new Error('No stored Stockfish payload; store one with __CHESS.storeStockfishInline(...)');
+      label = inlineStockfishSessionBase64 ? 'inline:session' : 'inline:stored';
+    } else if (typeof kind === 'string' && kind.startsWith(ENGINE_REGISTRY_KEY_PREFIX)) {
+      code = await registeredEngineCode(normalizeEngineName(kind.slice(ENGINE_REGISTRY_KEY_PREFIX.length)));
+      if (!code) throw new Error(`Engine ${kind} could not be started; see the warning above`);
+    } else {
+      throw new Error(`Unknown engine ${kind}; use 'active', 'builtin', 'stockfish' or 'engine:<name>'`);
+    }
+    const { worker, blobUrl } = createWorkerFromSource(code, kind === 'builtin' ? null : await stockfishAssetBlobUrls());
+    const close = () => {
+      worker.terminate();
+      URL.revokeObjectURL(blobUrl);
+    };
+    const engine = new StockfishEngine(worker, label);
+    try {
+      await engine.init(engineInitSettings());
+      if (options.weights === undefined) await sendEvalWeightsToEngine(engine);
+      else await sendEvalWeightsToEngine(engine, options.weights);
+    } catch (err) {
+      close();
+      throw err;
+    }
+    return { engine, close };
+  }
+
+  async function runEpd(epdText, options = {}) {
+    const kind = options.engine || 'active';
+    const dedicated = kind === 'active' ? null : await startTestEngine(kind);
+    const engine = dedicated ? dedicated.engine : await ensureStockfishEngine();
+    try {
+      return await runEpdSuite(engine, epdText, {
+        movetime: options.movetime,
+        depth: options.depth,
+        onPosition: (position, index, total) => {
+          if (options.quiet) return;
+          const timing = position.solved ? `${position.timeToSolve} ms` : (position.error || 'failed');
+          log(`EPD ${index + 1}/${total} ${position.id}:`, position.move || '-', position.solved ? 'solved' : 'FAILED', timing);
         }
-        if (command === 'setoption') {
-          const nameIndex = tokens.indexOf('name');
-          const valueIndex = tokens.indexOf('value');
-          if (nameIndex !== -1) {
-            const name = tokens.slice(nameIndex + 1, valueIndex === -1 ? undefined : valueIndex).join(' ').toLowerCase();
-            const value = valueIndex !== -1 ? tokens.slice(valueIndex + 1).join(' ') : '';
-            if (name === 'multipv') {
-              const numeric = parseInt(value, 10);
-              if (Number.isFinite(numeric) && numeric >= 1) multiPv = Math.max(1, numeric);
-            } else if (name === 'movetime' || name === 'builtintime') {
-              const numeric = parseInt(value, 10);
-              if (Number.isFinite(numeric) && numeric > 0) defaultMoveTime = numeric;
-            } else if (name === 'depth' || name === 'builtindepth') {
-              const numeric = parseInt(value, 10);
-              forcedDepth = Number.isFinite(numeric) && numeric > 0 ? numeric : null;
-            }
+      });
+    } finally {
+      if (dedicated) dedicated.close();
+    }
+  }
+
+  function logEpdRun(result) {
+    const limits = result.limits.depth ? `depth ${result.limits.depth}` : `${result.limits.movetime} ms`;
+    log(`EPD SOURCE=${result.source}`, limits);
+    console.table(result.positions.map(position => ({
+      id: position.id,
+      expected: [position.bm.length ? `bm ${position.bm.join(' ')}` : '', position.am.length ? `am ${position.am.join(' ')}` : ''].filter(Boolean).join(' '),
+      played: position.move || '-',
+      solved: position.solved,
+      depth: position.depth,
+      score: position.score,
+      timeToSolve: position.timeToSolve
+    })));
+    log('EPD RESULT:', `solved=${result.solved}/${result.total}`, `failed=${result.failed}`, `invalid=${result.invalid}`,
+      `timeToSolve=${result.totalTimeToSolve}ms`, `average=${result.averageTimeToSolve ?? '-'}ms`);
+  }
+
+  // Each side of a match is 'builtin', 'stockfish' or { engine, weights, label }; by default the built-in
+  // engine with the active weights plays the built-in engine with the default weights.
+  async function playMatch(options = {}) {
+    const specs = Array.isArray(options.engines) && options.engines.length === 2
+      ? options.engines
+      : ['builtin', { engine: 'builtin', weights: null }];
+    const sides = [];
+    try {
+      for (const spec of specs) {
+        const settings = typeof spec === 'string' ? { engine: spec } : (spec || {});
+        const started = await startTestEngine(settings.engine || 'builtin', { weights: settings.weights });
+        sides.push(started);
+        const source = started.engine.sourceUrl;
+        started.label = settings.label || (settings.weights === undefined ? source : `${source} (${settings.weights ? 'custom' : 'default'} weights)`);
+      }
+      return await runMatch(sides[0].engine, sides[1].engine, {
+        ...options,
+        names: sides.map(side => side.label),
+        onGame: (game, stats) => {
+          if (!options.quiet) {
+            log(`MATCH ${game.round}:`, `${game.white} - ${game.black}`, game.result, `(${game.reason}, ${game.plies} plies)`,
+              `+${stats.wins} =${stats.draws} -${stats.losses}`);
           }
-          return;
-        }
-        if (command === 'go') {
-          startSearch(parseGo(tokens));
-          return;
-        }
-        if (command === 'stop') {
-          stopRequested = true;
-          return;
+          if (typeof options.onGame === 'function') options.onGame(game, stats);
         }
-        if (command === 'quit') {
-          try { self.close(); } catch (err) { /* ignore */ }
-        }
-      };
-    })();`;
+      });
+    } finally {
+      for (const side of sides) side.close();
+    }
+  }
+
+  function logMatch(result) {
+    const elo = value => (Number.isFinite(value) ? value.toFixed(1) : (value === null ? 'n/a' : (value > 0 ? '+inf' : '-inf')));
+    const limits = result.limits.depth ? `depth ${result.limits.depth}`
+      : (result.limits.time ? `${result.limits.time}+${result.limits.increment} ms` : `${result.limits.movetime} ms/move`);
+    log(`MATCH ${result.engines[0]} vs ${result.engines[1]}`, limits, `openings=${result.openings}`);
+    log('MATCH RESULT:', `+${result.wins} =${result.draws} -${result.losses}`, `score=${(result.score * 100).toFixed(1)}%`,
+      `elo=${elo(result.elo)} [${elo(result.eloLow)}, ${elo(result.eloHigh)}]`, `los=${(result.los * 100).toFixed(1)}%`);
+    const test = result.sprt;
+    log(`MATCH SPRT elo0=${test.elo0} elo1=${test.elo1}:`, `llr=${test.llr.toFixed(2)} (${test.lower.toFixed(2)}, ${test.upper.toFixed(2)})`,
+      test.verdict ? `${test.verdict} accepted` : 'inconclusive', ...(result.stopped ? [`after ${result.games.length} games`] : []));
+  }
+
+  const EVAL_GRAPH_PANEL_ID = '__chess-helper-eval-graph__';
+
+  function showEvalGraphPanel(svgMarkup, points) {
+    const existing = document.getElementById(EVAL_GRAPH_PANEL_ID);
+    if (existing) existing.remove();
+    const host = document.createElement('div');
+    host.id = EVAL_GRAPH_PANEL_ID;
+    host.style.cssText = 'position:fixed;right:16px;bottom:16px;z-index:2147483647;';
+    const root = typeof host.attachShadow === 'function' ? host.attachShadow({ mode: 'open' }) : host;
+    root.innerHTML = `<style>
+      .panel { background: #262421; color: #e8e6e3; font: 12px sans-serif; border-radius: 6px; box-shadow: 0 4px 16px rgba(0,0,0,0.5); overflow: hidden; }
+      header { display: flex; justify-content: space-between; align-items: center; padding: 4px 8px; background: #1b1a18; }
+      button { background: none; border: 0; color: inherit; font-size: 16px; cursor: pointer; }
+      circle { cursor: pointer; }
+    </style><div class="panel"><header><span>Evaluation</span><button type="button" class="close" title="Close">×</button></header>${svgMarkup}</div>`;
+    root.querySelector('.close').addEventListener('click', () => host.remove());
+    root.querySelector('svg').addEventListener('click', (event) => {
+      const target = event.target && event.target.closest ? event.target.closest('circle[data-index]') : null;
+      if (!target) return;
+      const point = points[Number(target.getAttribute('data-index'))];
+      if (!point) return;
+      log('GRAPH POINT', point.label || '', 'FEN =', point.fen || '(unknown)');
+      log('GRAPH BEST LINE:', point.bestLine && point.bestLine.length ? point.bestLine.join(' ') : '(none)');
+    });
+    document.body.appendChild(host);
+    return host;
+  }
+
+  function describeOpening(opening) {
+    if (!opening) return '(unknown)';
+    return `${opening.eco} ${opening.name}${opening.transposed ? ' (by transposition)' : ''}`;
   }
 
-  function getBuiltinEngineSource() {
-    if (!BUILTIN_ENGINE_SOURCE) {
-      BUILTIN_ENGINE_SOURCE = buildBuiltinEngineSource();
+  async function analyzeExternalPosition(loaded, options = {}) {
+    const { game, ignored, headers, startFen } = loaded;
+    const opening = classifyOpening(game, { startFen });
+    if (!options.quiet) {
+      log('ANALYZE FEN =', game.fen());
+      if (ignored && ignored.length) log('ANALYZE IGNORED TOKENS=', ignored.length, ignored);
+      log('ANALYZE OPENING =', describeOpening(opening));
     }
-    return BUILTIN_ENGINE_SOURCE;
+    const result = await analyzeGame(game, options);
+    const summary = summarizeAnalysis(game, result);
+    summary.history = game.history();
+    summary.opening = opening;
+    summary.ignored = ignored ? ignored.slice() : [];
+    if (headers) summary.headers = { ...headers };
+    return summary;
   }
 
   const chessLoaded = await ensureChessJS();
@@ -2290,7 +2247,7 @@ ${functionSources.join('\n\n')}
 
   log('IGNORED TOKENS=', ignoredTokens.length, ignoredTokens);
   if (inferredMoves.length) {
-    const inferredList = inferredMoves.map(m => `${m.san}⇐${m.matched}`);
+    const inferredList = inferredMoves.map(m => `${m.san}⇐${m.token || m.matched}`);
     log('INFERRED TOKENS=', inferredMoves.length, inferredList);
   }
 
@@ -2305,6 +2262,9 @@ ${functionSources.join('\n\n')}
   const fen = game.fen();
   log('FEN =', fen);
 
+  const opening = classifyOpening(game);
+  log('OPENING =', describeOpening(opening));
+
   const recentMoves = verboseHistory.slice(-10).map(m => `${m.san}  ${m.from.toUpperCase()}->${m.to.toUpperCase()}`);
   log('RECENT (up to 10):', recentMoves);
 
@@ -2314,128 +2274,9 @@ ${functionSources.join('\n\n')}
   log('LEGAL (SAN):', legalSAN);
   log('LEGAL (from->to):', legalFromTo);
 
-  let engineAnalysis = null;
-  let engineError = null;
-  if (legalVerbose.length) {
-    try {
-      const engine = await ensureStockfishEngine();
-      engineAnalysis = await analyzeWithStockfish(engine, game);
-    } catch (err) {
-      engineError = err;
-      if (!err || !err.silent) {
-        console.warn('[CHESS] Stockfish analysis unavailable.', err);
-      }
-    }
-  }
-
-  let recommendationDetail = [];
-  let bestRecommendation = null;
-
-  if (engineAnalysis && (engineAnalysis.lines.length || engineAnalysis.best)) {
-    const formatted = engineAnalysis.lines.map(line => {
-      const san = line.san || uciToSan(game.fen(), line.uci);
-      const info = line.displayScore ? `score=${line.displayScore}` : 'score=?';
-      const depth = line.depth ? `depth=${line.depth}` : null;
-      const extras = [info, depth].filter(Boolean).join(', ');
-      return `${san} (${extras})`;
-    });
-    log('ENGINE SOURCE=', engineAnalysis.source);
-    if (formatted.length) {
-      log('ENGINE SUGGESTIONS:', formatted);
-    }
-    if (engineAnalysis.best?.san) {
-      bestRecommendation = `${engineAnalysis.best.san} (${engineAnalysis.best.uci})`;
-      log('ENGINE RECOMMENDATION:', `${engineAnalysis.best.san}  ${engineAnalysis.best.uci.toUpperCase()} (depth≈${engineAnalysis.depth})`);
-    } else if (engineAnalysis.lines.length) {
-      const firstLine = engineAnalysis.lines[0];
-      if (firstLine?.san && firstLine?.uci) {
-        bestRecommendation = `${firstLine.san} (${firstLine.uci})`;
-        log('ENGINE RECOMMENDATION:', `${firstLine.san}  ${firstLine.uci.toUpperCase()} (depth≈${firstLine.depth ?? engineAnalysis.depth})`);
-      }
-    }
-    recommendationDetail = engineAnalysis.lines.map(line => ({
-      san: line.san || uciToSan(game.fen(), line.uci),
-      uci: line.uci,
-      score: line.displayScore,
-      depth: line.depth,
-      pv: line.pv,
-      pvSan: line.pvSan
-    }));
-    if (!recommendationDetail.length && engineAnalysis.best?.san) {
-      recommendationDetail = [{
-        san: engineAnalysis.best.san,
-        uci: engineAnalysis.best.uci,
-        score: null,
-        depth: engineAnalysis.depth,
-        pv: [engineAnalysis.best.uci],
-        pvSan: [engineAnalysis.best.san]
-      }];
-    }
-  }
-
-  let fallbackDetails = [];
-  let fallbackMeta = null;
-  if (!engineAnalysis) {
-    const fallback = analyzeFallback(game);
-    fallbackMeta = {
-      depth: fallback.depth,
-      considered: fallback.considered,
-      elapsed: fallback.elapsed,
-      aborted: !!fallback.aborted,
-      timeouts: fallback.timeouts || 0
-    };
-    const topMoves = fallback.details.slice(0, 10);
-    const suggestionsSan = topMoves.map(entry => entry.move.san);
-    const suggestionsDetail = topMoves.map(entry => {
-      const scoreValue = typeof entry.score === 'number' ? entry.score : 0;
-      const continuation = Array.isArray(entry.pvSan) ? entry.pvSan.slice(1) : [];
-      const pvTail = continuation.length ? ` → ${continuation.join(' ')}` : '';
-      return `${entry.move.san}  ${entry.move.from.toUpperCase()}->${entry.move.to.toUpperCase()} (score≈${scoreValue.toFixed(2)})${pvTail}`;
-    });
-    fallbackDetails = topMoves.map(entry => {
-      const scoreValue = typeof entry.score === 'number' ? entry.score : 0;
-      const continuation = Array.isArray(entry.pvSan) ? entry.pvSan.slice(1) : [];
-      const pvTail = continuation.length ? ` → ${continuation.join(' ')}` : '';
-      return {
-        san: entry.move.san,
-        from: entry.move.from.toUpperCase(),
-        to: entry.move.to.toUpperCase(),
-        score: scoreValue,
-        detail: `${entry.move.san}  ${entry.move.from.toUpperCase()}->${entry.move.to.toUpperCase()} (score≈${scoreValue.toFixed(2)})${pvTail}`,
-        pvSan: Array.isArray(entry.pvSan) ? entry.pvSan.slice() : []
-      };
-    });
-
-    log('SIMPLE SUGGESTIONS (SAN):', suggestionsSan);
-    log('SIMPLE SUGGESTIONS (scored):', suggestionsDetail);
-    const fallbackLog = [];
-    const depthLabel = typeof fallback.depth === 'number' ? `depth=${fallback.depth}` : 'depth=0';
-    fallbackLog.push(fallback.aborted ? `${depthLabel} (time cutoff)` : depthLabel);
-    fallbackLog.push(`nodes evaluated=${fallback.considered}`);
-    if (Number.isFinite(fallback.elapsed)) {
-      fallbackLog.push(`elapsed≈${fallback.elapsed.toFixed(0)}ms`);
-    }
-    log('FALLBACK SEARCH:', ...fallbackLog);
-
-    if (fallback.best) {
-      const { move, score, pvSan } = fallback.best;
-      const scoreValue = typeof score === 'number' ? score : 0;
-      const continuation = Array.isArray(pvSan) ? pvSan.slice(1) : [];
-      const pvTail = continuation.length ? ` → ${continuation.join(' ')}` : '';
-      bestRecommendation = `${move.san} (${move.from.toUpperCase()}->${move.to.toUpperCase()})`;
-      log('RECOMMENDATION:', `${move.san}  ${move.from.toUpperCase()}->${move.to.toUpperCase()} (score≈${scoreValue.toFixed(2)})${pvTail}`);
-    } else {
-      log('RECOMMENDATION: (no legal moves found)');
-    }
-  }
-
-  if (engineError) {
-    if (engineError.silent) {
-      log('ENGINE STATUS: Stockfish unavailable, using built-in search. (__CHESS.enableStockfish() to retry)');
-    } else {
-      log('ENGINE ERROR:', engineError.message || engineError);
-    }
-  }
+  const analysis = await analyzeGame(game);
+  const { bestRecommendation } = analysis;
+  let lastReview = null;
 
   window.__CHESS = {
     version: 'helper-18',
@@ -2449,42 +2290,72 @@ ${functionSources.join('\n\n')}
     tokens: () => tokenStrings.slice(),
     tokenSource: () => tokenSource,
     best: () => bestRecommendation,
-    suggestions: () => (engineAnalysis
-      ? recommendationDetail.map(item => ({
-          ...item,
-          pv: item.pv ? item.pv.slice() : [],
-          pvSan: item.pvSan ? item.pvSan.slice() : []
-        }))
-      : fallbackDetails.map(item => ({ ...item }))),
-    engine: () => engineAnalysis ? {
-      source: engineAnalysis.source,
-      depth: engineAnalysis.depth,
-      best: engineAnalysis.best ? { ...engineAnalysis.best } : null,
-      lines: engineAnalysis.lines.map(line => ({
-        ...line,
-        pv: line.pv.slice(),
-        pvSan: Array.isArray(line.pvSan) ? line.pvSan.slice() : []
-      }))
-    } : null,
-    fallback: () => (!engineAnalysis && fallbackMeta) ? { ...fallbackMeta } : null,
-    inferred: () => inferredMoves.map(m => ({ san: m.san, matched: m.matched })),
+    suggestions: () => snapshotSuggestions(analysis),
+    engine: () => snapshotEngine(analysis),
+    fallback: () => snapshotFallback(analysis),
+    opening: () => (opening ? { ...opening, moves: opening.moves.slice() } : null),
+    pgn: (options) => buildGamePgn(game, appliedMoves, analysis, { review: lastReview, opening, ...(options || {}) }),
+    review: async (options) => {
+      const review = await reviewPositions(game, options || {});
+      lastReview = review;
+      if (!(options && options.quiet)) logReview(review);
+      return review;
+    },
+    lastReview: () => lastReview,
+    runEpd: async (epdText, options) => {
+      const result = await runEpd(epdText, options || {});
+      if (!(options && options.quiet)) logEpdRun(result);
+      return result;
+    },
+    match: async (options) => {
+      const result = await playMatch(options || {});
+      if (!(options && options.quiet)) logMatch(result);
+      return result;
+    },
+    evalGraph: async (options) => {
+      const settings = options || {};
+      let points = Array.isArray(settings.points) ? settings.points : null;
+      if (!points) {
+        if (!lastReview) {
+          lastReview = await reviewPositions(game, settings);
+          if (!settings.quiet) logReview(lastReview);
+        }
+        points = reviewGraphPoints(lastReview);
+      }
+      const svg = renderEvalGraphSvg(points, settings);
+      if (settings.panel !== false) showEvalGraphPanel(svg, points);
+      return svg;
+    },
+    analyzeFen: async (fenText, options) => analyzeExternalPosition({ game: createGameFromFen(fenText), ignored: [] }, options || {}),
+    analyzePgn: async (pgnText, options) => analyzeExternalPosition(rebuildGameFromPgn(pgnText), options || {}),
+    inferred: () => inferredMoves.map(m => ({ san: m.san, matched: m.matched, token: m.token })),
     stockfishFailures: () => stockfishFailureEntries().map(entry => ({ ...entry })),
     stockfishInfo: () => {
-      const persisted = loadPersistedInlineStockfishBase64();
+      const stored = storedEnginePayloads.get(STOCKFISH_PAYLOAD_KEY);
+      const running = window.__STOCKFISH_ENGINE_INSTANCE;
       return {
         engineUrl: window.__STOCKFISH_ENGINE_URL || null,
-        storedInline: !!persisted,
-        storedInlineBytes: estimateBase64DecodedSize(persisted),
+        engineId: running ? running.idName : null,
+        registeredEngine: configValue('stockfish.engine'),
+        storedInline: !!stored,
+        storedInlineBytes: stored ? stored.size : 0,
+        storedInlineCompressedBytes: stored ? stored.storedBytes : 0,
+        storedInlineEncoding: stored ? stored.encoding : null,
+        storage: stored ? stored.storage : null,
+        storageLoaded: engineStorageLoaded,
         sessionInline: !!inlineStockfishSessionBase64,
         sessionInlineBytes: estimateBase64DecodedSize(inlineStockfishSessionBase64),
+        assets: stockfishAssetEntries(),
         disabled: isStockfishDisabled(),
-        failures: stockfishFailureEntries().map(entry => ({ ...entry }))
+        failures: stockfishFailureEntries().map(entry => ({ ...entry })),
+        crashes: Array.from(engineCrashes, ([source, crash]) => ({ source, ...crash }))
       };
     },
-    storeStockfishInline: (base64, options) => {
+    storeStockfishInline: async (base64, options) => {
       try {
-        const result = storeInlineStockfishBase64(base64, options || {});
-        log(`Stored inline Stockfish payload (${result.persisted ? 'persisted' : 'session-only'}; decoded≈${result.decodedBytes} bytes).`);
+        const result = await storeInlineStockfishBase64(base64, options || {});
+        const stored = result.persisted ? `; ${result.storedBytes} bytes stored${result.compressed ? ' gzip-compressed' : ''}` : '';
+        log(`Stored inline Stockfish payload (${result.persisted ? 'persisted' : 'session-only'}; decoded≈${result.decodedBytes} bytes${stored}).`);
         return result;
       } catch (err) {
         console.error('[CHESS] Failed to store inline Stockfish payload.', err);
@@ -2501,9 +2372,175 @@ ${functionSources.join('\n\n')}
         throw err;
       }
     },
-    clearStoredStockfishInline: () => {
+    storeStockfishAsset: async (name, data, options) => {
+      try {
+        const result = await storeStockfishAsset(name, data, options || {});
+        const stored = result.persisted ? `, ${result.storedBytes} stored${result.compressed ? ' gzip-compressed' : ''}` : '';
+        log(`Stored Stockfish asset ${result.name} (${result.persisted ? 'persisted' : 'session-only'}; ${result.bytes} bytes${stored}). It is served from the next engine start.`);
+        return result;
+      } catch (err) {
+        console.error('[CHESS] Failed to store Stockfish asset.', err);
+        throw err;
+      }
+    },
+    storeStockfishAssetFromUrl: async (url, options) => {
+      try {
+        const result = await storeStockfishAssetFromUrl(url, options || {});
+        log(`Fetched and stored Stockfish asset ${result.name} from ${result.url} (${result.persisted ? 'persisted' : 'session-only'}; ${result.bytes} bytes).`);
+        return result;
+      } catch (err) {
+        console.error('[CHESS] Failed to fetch or store Stockfish asset from URL.', err);
+        throw err;
+      }
+    },
+    clearStockfishAssets: async (name) => {
+      const cleared = await clearStockfishAssets(name);
+      log('Cleared Stockfish assets:', cleared);
+      return cleared;
+    },
+    engines: {
+      add: async (name, payload, options) => {
+        try {
+          const entry = await addRegisteredEngine(name, payload, options || {});
+          log(`Registered engine ${entry.name} (${entry.idName || 'id name unknown'}; ${entry.bytes} bytes, ${entry.storedBytes} stored; sha256 ${entry.sha256}).`);
+          return entry;
+        } catch (err) {
+          console.error('[CHESS] Failed to register engine.', err);
+          throw err;
+        }
+      },
+      list: () => {
+        const entries = registeredEngineEntries();
+        console.table(entries);
+        return entries;
+      },
+      use: async (name) => {
+        const selected = await useRegisteredEngine(name);
+        log(selected ? `Engine ${selected} starts with the next analysis.` : 'No registered engine selected; the usual engine sources apply.');
+        return selected;
+      },
+      remove: async (name) => {
+        const removed = await removeRegisteredEngine(name);
+        log(removed ? `Removed engine ${name}.` : `No engine named ${name}.`);
+        return removed;
+      }
+    },
+    storeBook: async (data, options) => {
+      try {
+        const result = storePolyglotBook(data, options || {});
+        log(`Stored Polyglot book (${result.persisted ? 'persisted' : 'session-only'}; ${result.entries} entries).`);
+        await sendBookToEngine(window.__STOCKFISH_ENGINE_INSTANCE);
+        return result;
+      } catch (err) {
+        console.error('[CHESS] Failed to store Polyglot book.', err);
+        throw err;
+      }
+    },
+    storeBookFromUrl: async (url, options) => {
+      try {
+        const result = await storePolyglotBookFromUrl(url, options || {});
+        log(`Fetched and stored Polyglot book from ${result.url} (${result.persisted ? 'persisted' : 'session-only'}; ${result.entries} entries).`);
+        await sendBookToEngine(window.__STOCKFISH_ENGINE_INSTANCE);
+        return result;
+      } catch (err) {
+        console.error('[CHESS] Failed to fetch or store Polyglot book from URL.', err);
+        throw err;
+      }
+    },
+    clearStoredBook: async () => {
+      clearStoredPolyglotBook();
+      await sendBookToEngine(window.__STOCKFISH_ENGINE_INSTANCE);
+      log('Cleared stored Polyglot book.');
+    },
+    bookInfo: () => {
+      const persisted = loadPersistedPolyglotBook();
+      const engine = window.__STOCKFISH_ENGINE_INSTANCE || null;
+      return {
+        stored: !!persisted,
+        storedEntries: Math.floor(estimateBase64DecodedSize(persisted) / 16),
+        session: !!polyglotBookSessionBase64,
+        sessionEntries: Math.floor(estimateBase64DecodedSize(polyglotBookSessionBase64) / 16),
+        engineSupportsBook: !!(engine && typeof engine.hasOption === 'function' && engine.hasOption('BookData'))
+      };
+    },
+    storeEvalWeights: async (data, options) => {
+      try {
+        const result = storeEvalWeights(data, options || {});
+        log(`Stored evaluation weights (${result.persisted ? 'persisted' : 'session-only'}; ${result.values} values).`);
+        await sendEvalWeightsToEngine(window.__STOCKFISH_ENGINE_INSTANCE);
+        return result;
+      } catch (err) {
+        console.error('[CHESS] Failed to store evaluation weights.', err);
+        throw err;
+      }
+    },
+    clearStoredEvalWeights: async () => {
+      clearStoredEvalWeights();
+      await sendEvalWeightsToEngine(window.__STOCKFISH_ENGINE_INSTANCE);
+      log('Cleared stored evaluation weights; the built-in evaluation is back to its defaults.');
+    },
+    evalWeightsInfo: () => {
+      const engine = window.__STOCKFISH_ENGINE_INSTANCE || null;
+      return {
+        stored: !!loadPersistedEvalWeights(),
+        session: !!evalWeightsSession,
+        weights: getEvalWeights(),
+        engineSupportsWeights: !!(engine && typeof engine.hasOption === 'function' && engine.hasOption('EvalWeights'))
+      };
+    },
+    config: {
+      get: (key) => getConfig(key),
+      set: (keyOrValues, value, options) => setConfig(keyOrValues, value, options),
+      reset: (keys) => resetConfig(keys),
+      describe: () => {
+        const rows = describeConfig();
+        console.table(rows);
+        return rows;
+      },
+      export: () => exportConfig(),
+      import: (json) => {
+        const config = importConfig(json);
+        log('Imported configuration; engine.hash and engine.threads apply from the next engine start.');
+        return config;
+      }
+    },
+    storeChessJs: (source, options) => {
+      try {
+        const result = storeChessJsSource(source, options || {});
+        log(`Stored chess.js (${result.persisted ? 'persisted' : 'session-only'}; ${result.bytes} bytes).`);
+        return result;
+      } catch (err) {
+        console.error('[CHESS] Failed to store chess.js.', err);
+        throw err;
+      }
+    },
+    storeChessJsFromUrl: async (url, options) => {
+      try {
+        const result = await storeChessJsFromUrl(url, options || {});
+        log(`Fetched and stored chess.js from ${result.url} (${result.persisted ? 'persisted' : 'session-only'}; ${result.bytes} bytes).`);
+        return result;
+      } catch (err) {
+        console.error('[CHESS] Failed to fetch or store chess.js from URL.', err);
+        throw err;
+      }
+    },
+    clearStoredChessJs: () => {
+      clearStoredChessJs();
+      log('Cleared stored chess.js copy.');
+    },
+    chessJsInfo: () => {
+      const stored = loadStoredChessJsSource();
+      return {
+        loaded: typeof window.Chess === 'function',
+        stored: !!stored,
+        storedBytes: stored ? stored.length : 0,
+        session: !!chessJsSessionSource,
+        workerSource: chessJsSourceLabel()
+      };
+    },
+    clearStoredStockfishInline: async () => {
       clearSessionInlineStockfishBase64();
-      clearPersistedInlineStockfishBase64();
+      await clearPersistedInlineStockfishBase64();
       log('Cleared stored inline Stockfish payloads.');
     },
     stockfishDisabled: () => isStockfishDisabled(),
@@ -2513,7 +2550,7 @@ ${functionSources.join('\n\n')}
     },
     enableStockfish: () => {
       setStockfishDisabled(false);
-      log('Re-enabled Stockfish attempts. Clear cached failures or set window.__CHESS_STOCKFISH_RETRY = true before rerunning if needed.');
+      log('Re-enabled Stockfish attempts. Clear cached failures or set the stockfish.retryFailures setting before rerunning if needed.');
     },
     clearStockfishFailures: () => {
       clearStockfishFailureCache();
@@ -2529,6 +2566,69 @@ ${functionSources.join('\n\n')}
         console.warn('[CHESS] illegal SAN', san);
       }
     },
+    evalBreakdown: (fen) => {
+      let position = game;
+      if (typeof fen === 'string' && fen.trim()) {
+        try {
+          position = createGameFromFen(fen);
+        } catch (err) {
+          console.warn('[CHESS]', err.message);
+          return null;
+        }
+      }
+      return { fen: position.fen(), ...evaluatePosition(position, null, { trace: true }) };
+    },
+    see: (move) => {
+      const value = staticExchangeForMove(game.fen(), move);
+      if (value === null) {
+        console.warn('[CHESS] illegal move', move);
+        return null;
+      }
+      return Math.round(value * 100) / 100;
+    },
+    perft: (fen, depth, options) => {
+      const settings = options || {};
+      const generators = settings.generator ? [settings.generator] : ['board', 'chessjs'];
+      let runs;
+      try {
+        runs = generators.map(generator => perft(fen || game.fen(), depth || 3, { generator }));
+      } catch (err) {
+        console.warn('[CHESS]', err.message);
+        return null;
+      }
+      const divide = runs[0].divide.map(entry => ({ move: entry.move }));
+      const rows = new Map(divide.map(row => [row.move, row]));
+      for (const run of runs) {
+        for (const entry of run.divide) {
+          if (!rows.has(entry.move)) rows.set(entry.move, { move: entry.move });
+          rows.get(entry.move)[run.generator] = entry.nodes;
+        }
+      }
+      if (!settings.quiet) {
+        console.table(Array.from(rows.values()));
+        log(`PERFT depth ${runs[0].depth}:`, runs.map(run => `${run.generator}=${run.nodes} (${run.ms} ms)`).join(' '),
+          runs.every(run => run.nodes === runs[0].nodes) ? '' : 'MISMATCH');
+      }
+      return { fen: runs[0].fen, depth: runs[0].depth, runs, divide: Array.from(rows.values()) };
+    },
+    perftSuite: (options) => {
+      const settings = options || {};
+      const result = runPerftSuite(settings);
+      if (!settings.quiet) {
+        console.table(result.positions.map(position => {
+          const row = { name: position.name, depth: position.depth, expected: position.expected };
+          for (const [generator, run] of Object.entries(position.results)) {
+            row[generator] = `${run.nodes}${run.ok ? '' : ' ✗'} (${run.ms} ms)`;
+          }
+          return row;
+        }));
+        for (const position of result.positions.filter(entry => entry.mismatches.length)) {
+          log(`PERFT MISMATCH ${position.name}:`, position.mismatches);
+        }
+        log('PERFT SUITE:', result.passed ? 'passed' : 'FAILED');
+      }
+      return result;
+    },
     tryFromTo: (from, to, promotion) => {
       try {
         const clone = createChessInstance(game.fen());
@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+const { fakeUciWorker, optionsSent } = require('./helpers/uci.js');
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const CASTLING_FEN = 'r3k2r/pppq1ppp/2np1n2/4p3/2B1P3/2NP1N2/PPP2PPP/R3K2R w KQkq - 0 8';
+
+// Polyglot move encoding: to file, to rank, from file, from rank in three bits each
+function encodeMove(uci) {
+  const square = name => [name.charCodeAt(0) - 97, Number(name[1]) - 1];
+  const [fromFile, fromRank] = square(uci.slice(0, 2));
+  const [toFile, toRank] = square(uci.slice(2, 4));
+  return toFile | (toRank << 3) | (fromFile << 6) | (fromRank << 9);
+}
+
+function buildBook(rows) {
+  const entries = rows.map(([fen, uci, weight]) => [core.polyglotKey(fen), encodeMove(uci), weight])
+    .sort((a, b) => (a[0] < b[0] ? -1 : (a[0] > b[0] ? 1 : 0)));
+  const bytes = new Uint8Array(entries.length * 16);
+  const view = new DataView(bytes.buffer);
+  entries.forEach(([key, move, weight], index) => {
+    view.setBigUint64(index * 16, key);
+    view.setUint16(index * 16 + 8, move);
+    view.setUint16(index * 16 + 10, weight);
+  });
+  return bytes;
+}
+
+const BOOK = buildBook([
+  [START_FEN, 'e2e4', 10],
+  [START_FEN, 'd2d4', 5],
+  [START_FEN, 'g1f3', 0],
+  ['rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1', 'e7e5', 7],
+  [CASTLING_FEN, 'e1h1', 3]
+]);
+
+test('probePolyglotBook lists the weighted moves, heaviest first', () => {
+  assert.deepEqual(core.probePolyglotBook(BOOK, START_FEN).map(entry => [entry.uci, entry.weight]), [['e2e4', 10], ['d2d4', 5]]);
+  assert.deepEqual(core.probePolyglotBook(BOOK, 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1').map(entry => entry.uci), ['e7e5']);
+  assert.deepEqual(core.probePolyglotBook(BOOK, '4k3/8/8/8/8/8/8/4K3 w - - 0 1'), []);
+});
+
+test('probePolyglotBook turns the king-takes-rook encoding into castling', () => {
+  assert.deepEqual(core.probePolyglotBook(BOOK, CASTLING_FEN).map(entry => entry.uci), ['e1g1']);
+});
+
+test('pickBookMove chooses in proportion to the weights', () => {
+  const entries = core.probePolyglotBook(BOOK, START_FEN);
+  assert.equal(core.pickBookMove(entries, () => 0).uci, 'e2e4');
+  assert.equal(core.pickBookMove(entries, () => 0.7).uci, 'd2d4');
+  assert.equal(core.pickBookMove([{ uci: 'a2a3', weight: 0 }]), null);
+});
+
+async function bookEngine(ownBook) {
+  const fake = fakeUciWorker({ options: [`option name OwnBook type check default ${ownBook}`] });
+  const engine = new core.StockfishEngine(fake.worker, 'fake');
+  await engine.init();
+  return { engine, sent: fake.sent };
+}
+
+test('analyzeWithStockfish with book: false switches the book back on afterwards', async () => {
+  const { engine, sent } = await bookEngine(true);
+  const result = await core.analyzeWithStockfish(engine, core.createGameFromFen(START_FEN), { book: false, depth: 1 });
+  assert.equal(result.best.uci, 'e2e4');
+  assert.deepEqual(optionsSent(sent, 'OwnBook'), ['false', 'true']);
+  assert.equal(engine.optionValue('OwnBook'), 'true');
+});
+
+test('analyzeWithStockfish leaves a book the user switched off alone', async () => {
+  const { engine, sent } = await bookEngine(true);
+  engine.send('setoption name OwnBook value false');
+  await core.analyzeWithStockfish(engine, core.createGameFromFen(START_FEN), { book: false, depth: 1 });
+  assert.deepEqual(optionsSent(sent, 'OwnBook'), ['false']);
+
+  const off = await bookEngine(false);
+  await core.analyzeWithStockfish(off.engine, core.createGameFromFen(START_FEN), { book: false, depth: 1 });
+  assert.deepEqual(optionsSent(off.sent, 'OwnBook'), []);
+});
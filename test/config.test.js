@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadHelper } = require('./helpers/page.js');
+
+const STORAGE_KEY = '__chess_helper_config__';
+
+function stored(page) {
+  return JSON.parse(page.window.localStorage.getItem(STORAGE_KEY) || '{}');
+}
+
+test('config.set validates, persists and reports the effective settings', async () => {
+  const page = await loadHelper();
+  try {
+    const { config } = page.chess;
+    assert.equal(config.get('engine.multiPv'), 5);
+    const all = config.set('engine.multiPv', 3);
+    assert.equal(all['engine.multiPv'], 3);
+    assert.equal(stored(page)['engine.multiPv'], 3);
+    config.set({ 'engine.depth': 20, 'stockfish.urls': [' https://a.example/sf.js ', ''] });
+    assert.equal(config.get('engine.depth'), 20);
+    assert.deepEqual(config.get('stockfish.urls'), ['https://a.example/sf.js']);
+  } finally {
+    page.close();
+  }
+});
+
+test('config.set rejects invalid values and unknown keys without changing anything', async () => {
+  const page = await loadHelper();
+  try {
+    const { config } = page.chess;
+    assert.throws(() => config.set('engine.multiPv', 11), /between 1 and 10/);
+    assert.throws(() => config.set('engine.multiPv', 2.5), /must be an integer/);
+    assert.throws(() => config.set('stockfish.force', 'yes'), /true or false/);
+    assert.throws(() => config.set('stockfish.urls', ['https://a.example/sf.js', 3]), /array of strings/);
+    assert.throws(() => config.set('engine.colour', 1), /Unknown setting/);
+    assert.throws(() => config.set({ 'engine.hash': 64, 'engine.threads': 0 }), /engine\.threads/);
+    assert.equal(config.get('engine.hash'), 32);
+    assert.equal(config.get('engine.depth'), null);
+  } finally {
+    page.close();
+  }
+});
+
+test('session settings stay out of localStorage and reset returns settings to their defaults', async () => {
+  const page = await loadHelper();
+  try {
+    const { config } = page.chess;
+    config.set('review.depth', 8, { persist: false });
+    assert.equal(config.get('review.depth'), 8);
+    assert.equal(stored(page)['review.depth'], undefined);
+    assert.equal(JSON.parse(config.export())['review.depth'], 8);
+    config.reset('review.depth');
+    assert.equal(config.get('review.depth'), 12);
+    config.reset();
+    assert.equal(page.window.localStorage.getItem(STORAGE_KEY), null);
+    assert.equal(config.get('fallback.timeBudget'), 1700);
+  } finally {
+    page.close();
+  }
+});
+
+test('config.import replaces the stored settings and refuses bad input', async () => {
+  const page = await loadHelper({ config: { 'engine.hash': 64 } });
+  try {
+    const { config } = page.chess;
+    config.import('{"engine.threads": 2}');
+    assert.equal(config.get('engine.threads'), 2);
+    assert.equal(config.get('engine.hash'), 32);
+    assert.deepEqual(stored(page), { 'engine.threads': 2 });
+    assert.throws(() => config.import('{'), /not valid JSON/);
+    assert.throws(() => config.import('[1]'), /JSON object/);
+    assert.throws(() => config.import({ 'engine.threads': 'two' }), /integer/);
+    assert.equal(config.get('engine.threads'), 2);
+  } finally {
+    page.close();
+  }
+});
+
+test('invalid stored settings are ignored with a warning', async () => {
+  const page = await loadHelper({ config: { 'engine.multiPv': 99 } });
+  try {
+    assert.equal(page.chess.config.get('engine.multiPv'), 5);
+    assert.ok(page.logs.some(entry => entry.level === 'warn' && /Ignoring stored setting/.test(entry.text)));
+  } finally {
+    page.close();
+  }
+});
+
+test('legacy globals override the stored settings and are read as they always were', async () => {
+  const page = await loadHelper();
+  try {
+    const { config } = page.chess;
+    const { window } = page;
+    window.__CHESS_STOCKFISH_URLS = ['https://a.example/sf.js', 42, ' ', 'https://b.example/sf.js'];
+    assert.deepEqual(config.get('stockfish.urls'), ['https://a.example/sf.js', 'https://b.example/sf.js']);
+    window.__CHESS_FALLBACK_TIME = 120000;
+    assert.equal(config.get('fallback.timeBudget'), 120000);
+    window.__CHESS_FALLBACK_TIME = 10;
+    assert.equal(config.get('fallback.timeBudget'), 250);
+    window.__CHESS_FALLBACK_TIME = 'slow';
+    assert.equal(config.get('fallback.timeBudget'), 250, 'an unusable global falls back to the stored value');
+    window.__CHESS_STOCKFISH_FORCE = true;
+    config.set('stockfish.force', false);
+    assert.equal(config.get('stockfish.force'), true);
+    assert.ok(page.logs.some(entry => /overridden by window\.__CHESS_STOCKFISH_FORCE/.test(entry.text)));
+    const row = config.describe().find(entry => entry.key === 'stockfish.force');
+    assert.equal(row.source, 'window.__CHESS_STOCKFISH_FORCE');
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+
+function playUci(board, uci) {
+  const move = core.generateLegalMoves(board).find(candidate => core.moveToUci(candidate) === uci);
+  assert.ok(move, `${uci} is legal`);
+  core.makeMove(board, move);
+}
+
+test('isInsufficientMaterial knows the dead positions', () => {
+  const dead = fen => core.isInsufficientMaterial(core.createBoard(fen));
+  assert.equal(dead('4k3/8/8/8/8/8/8/4K3 w - - 0 1'), true);
+  assert.equal(dead('4k3/8/8/8/8/8/8/4KN2 w - - 0 1'), true);
+  assert.equal(dead('4k3/8/8/8/8/8/8/2B1KB2 w - - 0 1'), false);
+  // bishops of both sides on dark squares (f8, g1) cannot mate; on both colours (f8, f1) they can
+  assert.equal(dead('4kb2/8/8/8/8/8/8/4K1B1 w - - 0 1'), true);
+  assert.equal(dead('4kb2/8/8/8/8/8/8/4KB2 w - - 0 1'), false);
+  assert.equal(dead('4k3/8/8/8/8/8/8/3NKN2 w - - 0 1'), false);
+  assert.equal(dead('4k3/8/8/8/8/8/4P3/4K3 w - - 0 1'), false);
+});
+
+test('isRepetition finds a repeat on the search stack and in the game record', () => {
+  const start = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+  const board = core.createBoard(start);
+  for (const uci of ['g1f3', 'g8f6', 'f3g1']) playUci(board, uci);
+  assert.equal(core.isRepetition(board), false);
+  playUci(board, 'f6g8');
+  assert.equal(core.isRepetition(board), true);
+
+  // the same position reached from a FEN whose earlier positions come from the game
+  const fromGame = core.setBoardHistory(core.createBoard('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 4 3'), [
+    start,
+    'rnbqkbnr/pppppppp/8/8/8/5N2/PPPPPPPP/RNBQKB1R b KQkq - 1 1',
+    'rnbqkb1r/pppppppp/5n2/8/8/5N2/PPPPPPPP/RNBQKB1R w KQkq - 2 2',
+    'rnbqkb1r/pppppppp/5n2/8/8/8/PPPPPPPP/RNBQKBNR b KQkq - 3 2'
+  ]);
+  assert.equal(core.isRepetition(fromGame), true);
+});
+
+test('recentGameHistory lists the positions since the last pawn move or capture', () => {
+  const game = core.createChessInstance();
+  for (const san of ['e4', 'e5', 'Nf3', 'Nc6', 'Ng1']) game.move(san);
+  const before = game.fen();
+  const { fens, moves } = core.recentGameHistory(game);
+  assert.deepEqual(moves, ['g1f3', 'b8c6', 'f3g1']);
+  assert.equal(fens.length, 3);
+  assert.equal(fens[0], 'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2');
+  assert.equal(game.fen(), before);
+});
+
+test('the search scores a repetition, the fifty-move rule and dead material as draws', () => {
+  // White is a rook up, but Rb2 would repeat the position after 1. Rb2
+  const game = core.createGameFromFen('k7/8/8/8/8/8/8/KR6 w - - 0 80');
+  for (const san of ['Rb2', 'Ka7', 'Rb1', 'Ka8']) game.move(san);
+  const repeated = core.analyzeFallback(game, { timeBudget: 400, multiPv: 20 });
+  assert.ok(repeated.details.find(entry => entry.move.san === 'Rb2').score === 0);
+  assert.ok(repeated.best.score > 3);
+
+  // every move is the hundredth half-move without a capture or pawn move
+  const fifty = core.analyzeFallback(core.createGameFromFen('k7/8/8/8/8/8/8/KR6 w - - 99 80'), { timeBudget: 300 });
+  assert.ok(fifty.best.score === 0);
+
+  const knight = core.analyzeFallback(core.createGameFromFen('k7/8/8/8/8/8/8/KN6 w - - 0 80'), { timeBudget: 300 });
+  assert.ok(knight.best.score === 0);
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Chess } = require('chess.js');
+const core = require('../chess-core.js');
+const { fakeUciWorker } = require('./helpers/uci.js');
+const { loadHelper } = require('./helpers/page.js');
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const FAILURE_KEY = '__chess_helper_stockfish_failures__';
+
+function engineScript(idName, crashOnGo) {
+  return `
+self.onmessage = ({ data }) => {
+  if (data === 'uci') {
+    postMessage('id name ${idName}');
+    postMessage('uciok');
+  } else if (data === 'isready') {
+    postMessage('readyok');
+  } else if (data.startsWith('go')) {
+    ${crashOnGo ? "throw new Error('RuntimeError: memory access out of bounds');" : ''}
+    postMessage('info depth 1 multipv 1 score cp 20 pv e2e4');
+    postMessage('bestmove e2e4');
+  }
+};
+`;
+}
+
+test('a worker error fails pending waits at once and every later one', async () => {
+  const fake = fakeUciWorker({ crash: 'go' });
+  const engine = new core.StockfishEngine(fake.worker, 'crashy');
+  await engine.init();
+  const crashes = [];
+  engine.onCrash(error => crashes.push(error));
+  const pending = engine.waitFor(line => line.startsWith('bestmove '), 60000);
+  engine.send('go depth 5');
+  await assert.rejects(pending, error => error.crashed === true && /Engine crashy crashed: RuntimeError/.test(error.message));
+  await assert.rejects(engine.waitFor(() => true), error => error === engine.crashed);
+  const count = fake.sent.length;
+  engine.send('isready');
+  assert.equal(fake.sent.length, count, 'a dead engine gets no more commands');
+  engine.handleCrash('again');
+  assert.equal(crashes.length, 1);
+});
+
+test('analyzeWithStockfish passes a crash on to the caller', async () => {
+  const fake = fakeUciWorker({ crash: 'go' });
+  const engine = new core.StockfishEngine(fake.worker, 'crashy');
+  await engine.init();
+  await assert.rejects(core.analyzeWithStockfish(engine, new Chess(), { depth: 5, timeout: 60000 }), error => error.crashed === true);
+});
+
+test('the helper fails over from a crashed inline engine and keeps its crash out of the failure cache', async () => {
+  const page = await loadHelper({
+    workers: true,
+    config: { 'engine.disableBuiltin': true, 'engine.restartLimit': 0 },
+    globals: { __CHESS_STOCKFISH_INLINE: [engineScript('Crashy', true), engineScript('Steady', false)] }
+  });
+  try {
+    const { chess } = page;
+    await chess.analyzeFen(START_FEN);
+    const info = chess.stockfishInfo();
+    assert.equal(info.engineUrl, 'inline:custom#2');
+    assert.equal(info.engineId, 'Steady');
+    assert.equal(info.crashes.map(crash => `${crash.source} x${crash.count}`).join(), 'inline:custom#1 x1');
+    assert.match(info.crashes[0].reason, /memory access out of bounds/);
+    assert.equal(chess.stockfishFailures().length, 0);
+    assert.equal(page.window.localStorage.getItem(FAILURE_KEY), null);
+  } finally {
+    page.close();
+  }
+});
+
+test('a crash of an engine loaded from a URL is cached against that URL', async () => {
+  const scripts = {
+    'https://cdn.example/crashy.js': engineScript('Crashy', true),
+    'https://cdn.example/steady.js': engineScript('Steady', false)
+  };
+  const page = await loadHelper({
+    workers: true,
+    config: { 'engine.disableBuiltin': true, 'engine.restartLimit': 0, 'stockfish.urls': Object.keys(scripts) },
+    setup: window => {
+      window.fetch = async url => (scripts[url] ? new Response(scripts[url]) : new Response('', { status: 404 }));
+    }
+  });
+  try {
+    const { chess } = page;
+    await chess.analyzeFen(START_FEN);
+    assert.equal(chess.stockfishInfo().engineUrl, 'https://cdn.example/steady.js');
+    const failures = chess.stockfishFailures();
+    assert.equal(failures.map(failure => failure.url).join(), 'https://cdn.example/crashy.js');
+    assert.match(failures[0].reason, /crashed/);
+    assert.ok(page.window.localStorage.getItem(FAILURE_KEY).includes('crashy.js'));
+  } finally {
+    page.close();
+  }
+});
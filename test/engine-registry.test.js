@@ -0,0 +1,130 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHash } = require('node:crypto');
+const core = require('../chess-core.js');
+const { fakeUciWorker } = require('./helpers/uci.js');
+const { loadHelper, IDBFactory } = require('./helpers/page.js');
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+function engineScript(idName) {
+  return `
+self.onmessage = ({ data }) => {
+  if (data === 'uci') {
+    postMessage('id name ${idName}');
+    postMessage('uciok');
+  } else if (data === 'isready') {
+    postMessage('readyok');
+  } else if (data.startsWith('go')) {
+    postMessage('info depth 1 multipv 1 score cp 20 pv e2e4');
+    postMessage('bestmove e2e4');
+  }
+};
+`;
+}
+
+const LITE = engineScript('Stockfish 16 lite');
+const FULL = engineScript('Stockfish 17');
+
+function loadPage(database, config = {}) {
+  return loadHelper({ workers: true, indexedDB: database || true, config: { 'engine.disableBuiltin': true, ...config } });
+}
+
+// rewrites a stored record behind the helper's back, as a damaged or edited database would
+function tamperWithRecord(database, key, text) {
+  return new Promise((resolve, reject) => {
+    const open = database.open('__chess_helper_engines__', 1);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const transaction = open.result.transaction('payloads', 'readwrite');
+      const store = transaction.objectStore('payloads');
+      const read = store.get(key);
+      read.onsuccess = () => store.put({ ...read.result, blob: new Blob([text]), encoding: 'identity' }, key);
+      transaction.oncomplete = () => {
+        open.result.close();
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    };
+  });
+}
+
+test('StockfishEngine keeps the id name from the handshake', async () => {
+  const fake = fakeUciWorker({ name: 'Stockfish 17 NNUE' });
+  const engine = new core.StockfishEngine(fake.worker, 'scripted');
+  assert.equal(engine.idName, null);
+  await engine.init();
+  assert.equal(engine.idName, 'Stockfish 17 NNUE');
+});
+
+test('engines.add stores a build with its SHA-256 and the id name from a trial handshake', async () => {
+  const page = await loadPage();
+  try {
+    const entry = await page.chess.engines.add('sf-lite', Buffer.from(LITE).toString('base64'));
+    assert.equal(entry.name, 'sf-lite');
+    assert.equal(entry.idName, 'Stockfish 16 lite');
+    assert.equal(entry.sha256, createHash('sha256').update(LITE).digest('hex'));
+    assert.equal(entry.bytes, LITE.length);
+    assert.equal(entry.active, false);
+    await page.chess.engines.add('sf-17', Buffer.from(FULL).toString('base64'));
+    assert.equal(page.chess.engines.list().map(item => item.name).join(), 'sf-17,sf-lite');
+  } finally {
+    page.close();
+  }
+});
+
+test('engines.add refuses bad names and payloads that are not worker scripts', async () => {
+  const page = await loadPage();
+  try {
+    const { engines } = page.chess;
+    await assert.rejects(engines.add('my engine', Buffer.from(LITE).toString('base64')), /Invalid engine name/);
+    await assert.rejects(engines.add('page', Buffer.from('<!doctype html>').toString('base64')), /not a worker script/);
+    await assert.rejects(engines.add('empty', ''), /Empty or invalid payload/);
+    assert.equal(engines.list().length, 0);
+  } finally {
+    page.close();
+  }
+});
+
+test('engines.use starts the selected build on the next analysis, and remove drops the selection', async () => {
+  const page = await loadPage();
+  try {
+    const { chess } = page;
+    await chess.engines.add('sf-lite', Buffer.from(LITE).toString('base64'));
+    await chess.engines.add('sf-17', Buffer.from(FULL).toString('base64'));
+    await assert.rejects(chess.engines.use('sf-18'), /No engine named sf-18/);
+    assert.equal(await chess.engines.use('sf-17'), 'sf-17');
+    assert.equal(chess.config.get('stockfish.engine'), 'sf-17');
+    await chess.analyzeFen(START_FEN);
+    assert.equal(chess.stockfishInfo().engineUrl, 'engine:sf-17');
+    assert.equal(chess.stockfishInfo().engineId, 'Stockfish 17');
+    assert.equal(await chess.engines.remove('sf-17'), true);
+    assert.equal(chess.config.get('stockfish.engine'), null);
+    assert.equal(await chess.engines.remove('sf-17'), false);
+  } finally {
+    page.close();
+  }
+});
+
+test('a registered build that fails its integrity check is not started', async () => {
+  const database = new IDBFactory();
+  const first = await loadPage(database);
+  try {
+    await first.chess.engines.add('sf-17', Buffer.from(FULL).toString('base64'), { compress: false });
+  } finally {
+    first.close();
+  }
+  await tamperWithRecord(database, 'engine:sf-17', engineScript('Impostor'));
+
+  // each page has its own localStorage, so the selection comes with the second page's settings
+  const second = await loadPage(database, { 'stockfish.engine': 'sf-17' });
+  try {
+    await second.chess.analyzeFen(START_FEN);
+    assert.notEqual(second.chess.stockfishInfo().engineId, 'Impostor');
+    assert.ok(second.logs.some(entry => entry.level === 'warn' && /sf-17 failed its integrity check/.test(entry.text)));
+  } finally {
+    second.close();
+  }
+});
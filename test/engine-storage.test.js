@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadHelper, IDBFactory } = require('./helpers/page.js');
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const INLINE_KEY = '__chess_helper_stockfish_inline_base64__';
+const ASSET_PREFIX = '__chess_helper_stockfish_asset__:';
+
+// a UCI engine small enough to store, padded so that gzip has something to save
+const ENGINE_SCRIPT = `
+self.onmessage = ({ data }) => {
+  if (data === 'uci') {
+    postMessage('id name Stored');
+    postMessage('uciok');
+  } else if (data === 'isready') {
+    postMessage('readyok');
+  } else if (data.startsWith('go')) {
+    postMessage('info depth 1 multipv 1 score cp 20 pv e2e4');
+    postMessage('bestmove e2e4');
+  }
+};
+${'// padding\n'.repeat(200)}`;
+const ENGINE_BASE64 = Buffer.from(ENGINE_SCRIPT).toString('base64');
+const WASM_BASE64 = Buffer.from([0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00]).toString('base64');
+
+function loadPage(options = {}) {
+  return loadHelper({ workers: true, config: { 'engine.disableBuiltin': true }, ...options });
+}
+
+test('a stored payload is kept gzip-compressed in IndexedDB and starts the engine after a reload', async () => {
+  const database = new IDBFactory();
+  const first = await loadPage({ indexedDB: database });
+  try {
+    const result = await first.chess.storeStockfishInline(ENGINE_BASE64);
+    assert.equal(result.persisted, true);
+    assert.equal(result.compressed, true);
+    assert.ok(result.storedBytes < ENGINE_SCRIPT.length);
+    assert.equal(first.window.localStorage.getItem(INLINE_KEY), null);
+  } finally {
+    first.close();
+  }
+
+  const second = await loadPage({ indexedDB: database });
+  try {
+    const info = second.chess.stockfishInfo();
+    assert.equal(info.storedInline, true);
+    assert.equal(info.storage, 'indexeddb');
+    assert.equal(info.storedInlineEncoding, 'gzip');
+    assert.equal(info.storedInlineBytes, ENGINE_SCRIPT.length);
+    await second.chess.analyzeFen(START_FEN);
+    assert.equal(second.chess.stockfishInfo().engineUrl, 'inline:stored');
+    assert.equal(second.chess.stockfishInfo().engineId, 'Stored');
+  } finally {
+    second.close();
+  }
+});
+
+test('compress: false stores the payload as it is, and clearing removes it from the database', async () => {
+  const database = new IDBFactory();
+  const page = await loadPage({ indexedDB: database });
+  try {
+    const result = await page.chess.storeStockfishInline(ENGINE_BASE64, { compress: false });
+    assert.equal(result.compressed, false);
+    assert.equal(result.storedBytes, ENGINE_SCRIPT.length);
+    assert.equal(page.chess.stockfishInfo().storedInlineEncoding, 'identity');
+    await page.chess.clearStoredStockfishInline();
+    assert.equal(page.chess.stockfishInfo().storedInline, false);
+  } finally {
+    page.close();
+  }
+  const reloaded = await loadPage({ indexedDB: database });
+  try {
+    assert.equal(reloaded.chess.stockfishInfo().storedInline, false);
+  } finally {
+    reloaded.close();
+  }
+});
+
+test('payloads left in localStorage move to IndexedDB on load', async () => {
+  const page = await loadPage({
+    indexedDB: true,
+    storage: {
+      [INLINE_KEY]: ENGINE_BASE64,
+      [`${ASSET_PREFIX}stockfish.wasm`]: WASM_BASE64,
+      [`${ASSET_PREFIX}broken.nnue`]: '!!!'
+    }
+  });
+  try {
+    const info = page.chess.stockfishInfo();
+    assert.equal(info.storage, 'indexeddb');
+    assert.equal(info.storedInlineBytes, ENGINE_SCRIPT.length);
+    assert.deepEqual(JSON.parse(JSON.stringify(info.assets.map(asset => [asset.name, asset.bytes, asset.storage]))),
+      [['stockfish.wasm', 8, 'indexeddb']]);
+    const { localStorage } = page.window;
+    assert.equal(localStorage.getItem(INLINE_KEY), null);
+    assert.equal(localStorage.getItem(`${ASSET_PREFIX}stockfish.wasm`), null);
+    assert.equal(localStorage.getItem(`${ASSET_PREFIX}broken.nnue`), null);
+    assert.ok(page.logs.some(entry => entry.level === 'warn' && /broken\.nnue could not be decoded/.test(entry.text)));
+  } finally {
+    page.close();
+  }
+});
+
+test('without IndexedDB old localStorage payloads still run and new ones stay in the tab', async () => {
+  const page = await loadPage({ storage: { [INLINE_KEY]: ENGINE_BASE64 } });
+  try {
+    assert.equal(page.chess.stockfishInfo().storage, 'localStorage');
+    await page.chess.analyzeFen(START_FEN);
+    assert.equal(page.chess.stockfishInfo().engineUrl, 'inline:stored');
+    await assert.rejects(page.chess.storeStockfishAsset('stockfish.wasm', WASM_BASE64), /persist: false/);
+    const result = await page.chess.storeStockfishAsset('stockfish.wasm', WASM_BASE64, { persist: false });
+    assert.equal(result.persisted, false);
+  } finally {
+    page.close();
+  }
+});
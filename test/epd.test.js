@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+const { fakeUciWorker, optionsSent } = require('./helpers/uci.js');
+
+const SUITE = [
+  '6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - bm Rd8#; id "back rank";',
+  '4k3/8/8/8/8/8/P7/4K3 w - - am a3; id "avoid";',
+  '4k3/8/8/8/8/8/8/4K3 w - - bm Qd8; id "illegal";'
+].join('\n');
+
+async function scriptedEngine(ownBook) {
+  const fake = fakeUciWorker({
+    options: [`option name OwnBook type check default ${ownBook}`],
+    // finds the mate, and plays the move to avoid elsewhere
+    bestmove: position => (position.includes('6k1/5ppp') ? 'd1d8' : 'a2a3')
+  });
+  const engine = new core.StockfishEngine(fake.worker, 'scripted');
+  await engine.init();
+  return { engine, sent: fake.sent };
+}
+
+test('runEpdSuite checks bm and am and skips positions without a legal operand', async () => {
+  const { engine, sent } = await scriptedEngine(true);
+  const result = await core.runEpdSuite(engine, SUITE, { movetime: 50 });
+  assert.equal(result.total, 2);
+  assert.equal(result.solved, 1);
+  assert.equal(result.failed, 1);
+  assert.equal(result.invalid, 1);
+  assert.deepEqual(result.positions.map(position => [position.id, position.move, position.solved]), [
+    ['back rank', 'Rd8#', true],
+    ['avoid', 'a3', false]
+  ]);
+  assert.ok(sent.includes('go movetime 50'));
+});
+
+test('runEpdSuite switches the book off for the run and back on afterwards', async () => {
+  const { engine, sent } = await scriptedEngine(true);
+  await core.runEpdSuite(engine, SUITE, { depth: 3 });
+  assert.deepEqual(optionsSent(sent, 'OwnBook'), ['false', 'true']);
+  assert.ok(sent.includes('go depth 3'));
+});
+
+test('runEpdSuite leaves a book that was off alone', async () => {
+  const { engine, sent } = await scriptedEngine(false);
+  await core.runEpdSuite(engine, SUITE, { movetime: 50 });
+  assert.deepEqual(optionsSent(sent, 'OwnBook'), []);
+});
+
+test('runEpdSuite rejects a suite without usable positions', async () => {
+  const { engine } = await scriptedEngine(true);
+  await assert.rejects(core.runEpdSuite(engine, '4k3/8/8/8/8/8/8/4K3 w - - bm Qd8;'), /No EPD positions/);
+});
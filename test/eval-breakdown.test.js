@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+
+const ITALIAN = 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 4 4';
+
+// the same position with the colours swapped and the board turned round
+function mirrorFen(fen) {
+  const [placement, turn, castling, ep, ...counters] = fen.split(' ');
+  const swapCase = text => text.replace(/[a-z]/gi, ch => (ch === ch.toLowerCase() ? ch.toUpperCase() : ch.toLowerCase()));
+  const flippedCastling = castling === '-' ? '-' : swapCase(castling).split('').sort().join('');
+  const flippedEp = ep === '-' ? '-' : ep[0] + (9 - Number(ep[1]));
+  return [swapCase(placement.split('/').reverse().join('/')), turn === 'w' ? 'b' : 'w', flippedCastling, flippedEp, ...counters].join(' ');
+}
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} vs ${expected}`);
+
+test('the trace adds up to the plain evaluation', () => {
+  const game = core.createGameFromFen(ITALIAN);
+  const trace = core.evaluatePosition(game, null, { trace: true });
+  close(trace.total, core.evaluatePosition(game), 'total');
+  close(Object.values(trace.terms).reduce((sum, term) => sum + term.net, 0), trace.total, 'sum of the terms');
+  for (const [name, term] of Object.entries(trace.terms)) close(term.net, term.w - term.b, name);
+  assert.deepEqual(Object.keys(trace.terms), [
+    'material', 'pieceSquare', 'center', 'bishopPair', 'rookFiles', 'doubledPawns', 'isolatedPawns', 'passedPawns',
+    'kingShield', 'kingExposure', 'development', 'flankPawns', 'castling', 'mobility', 'tempo'
+  ]);
+});
+
+test('every term is symmetric between the colours', () => {
+  // late enough that the move count, which differs by a ply between the two, no longer matters
+  const fen = 'r1bq1rk1/pp3ppp/2n1pn2/2bp4/2B5/2N1PN2/PP3PPP/R1BQ1RK1 w - - 0 30';
+  const trace = core.evaluatePosition(core.createGameFromFen(fen), null, { trace: true });
+  const mirrored = core.evaluatePosition(core.createGameFromFen(mirrorFen(fen)), null, { trace: true });
+  close(mirrored.total, -trace.total, 'total');
+  for (const [name, term] of Object.entries(trace.terms)) {
+    close(mirrored.terms[name].w, term.b, `${name} for White`);
+    close(mirrored.terms[name].b, term.w, `${name} for Black`);
+  }
+});
+
+test('the trace credits the side that owns a feature', () => {
+  // White keeps both bishops and has a passed pawn on d6
+  const trace = core.evaluatePosition(core.createGameFromFen('4k3/8/3P4/8/8/8/8/2B1KB2 w - - 0 40'), null, { trace: true });
+  assert.ok(trace.terms.bishopPair.w > 0);
+  assert.equal(trace.terms.bishopPair.b, 0);
+  assert.ok(trace.terms.passedPawns.w > 0);
+  assert.equal(trace.terms.passedPawns.b, 0);
+});
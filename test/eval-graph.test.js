@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+
+const flat = async () => ({ score: { type: 'cp', value: 0 }, best: null, pvSan: [] });
+
+async function reviewedPoints(moves) {
+  const game = core.createGameFromFen('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
+  for (const move of moves) game.move(move);
+  return core.reviewGraphPoints(await core.reviewGame(game, flat));
+}
+
+test('reviewGraphPoints has a start point and one point per ply', async () => {
+  const points = await reviewedPoints(['e4', 'e5']);
+  assert.deepEqual(points.map(point => point.label), ['start', '1. e4', '1... e5']);
+});
+
+test('evalGraphModel clamps a checkmate to the winner\'s side', async () => {
+  const blackMates = core.evalGraphModel(await reviewedPoints(['f3', 'e5', 'g4', 'Qh4#']));
+  const last = blackMates.nodes[blackMates.nodes.length - 1];
+  assert.equal(last.value, -blackMates.config.clamp);
+  assert.equal(last.display, 'mate');
+
+  const whiteMates = core.evalGraphModel(await reviewedPoints(['e4', 'e5', 'Bc4', 'Nc6', 'Qh5', 'Nf6', 'Qxf7#']));
+  assert.equal(whiteMates.nodes[whiteMates.nodes.length - 1].value, whiteMates.config.clamp);
+});
+
+test('evalGraphModel clamps large scores and carries a missing one forward', () => {
+  const model = core.evalGraphModel([
+    { score: { type: 'cp', value: 0.5 } },
+    { score: { type: 'cp', value: 25 } },
+    { score: null },
+    { score: { type: 'mate', value: -3 } }
+  ], { clamp: 8 });
+  assert.deepEqual(model.nodes.map(node => node.value), [0.5, 8, 8, -8]);
+  assert.equal(model.nodes[3].display, '#-3');
+});
+
+test('renderEvalGraphSvg draws one marker per point', async () => {
+  const svg = core.renderEvalGraphSvg(await reviewedPoints(['e4', 'e5', 'Nf3']));
+  assert.match(svg, /^<svg [^>]*class="eval-graph">/);
+  assert.equal((svg.match(/<circle /g) || []).length, 4);
+  assert.match(svg, /<\/svg>$/);
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadHelper } = require('./helpers/page.js');
+
+// the movetext on one line, as the export wraps it at 80 columns
+function movetextOf(pgn) {
+  return pgn.split('\n\n')[1].replace(/\s+/g, ' ').trim();
+}
+
+test('__CHESS.pgn puts the current engine lines in a comment on the last move', async () => {
+  const page = await loadHelper({ moves: ['e4', 'e5', 'Nf3'] });
+  try {
+    const movetext = movetextOf(page.chess.pgn());
+    assert.match(movetext, /^1\. e4 e5 2\. Nf3 \{\[%eval -?\d+\.\d\d\] [^}]*: 2\.\.\. [^}]*\} \*$/);
+    assert.ok(!movetext.replace(/\{[^}]*\}/g, '').includes('('), 'the engine lines are not variations');
+  } finally {
+    page.close();
+  }
+});
+
+test('__CHESS.pgn uses a closing comment when no move was played', async () => {
+  const page = await loadHelper();
+  try {
+    assert.match(movetextOf(page.chess.pgn()), /^\{[^}]*: 1\. [^}]*\} \*$/);
+  } finally {
+    page.close();
+  }
+});
+
+test('__CHESS.pgn keeps review lines as variations on the move they replace', async () => {
+  const page = await loadHelper({ moves: ['e4', 'e5'] });
+  try {
+    const pgn = page.chess.pgn({ annotations: [null, { nag: 2, variations: [{ moves: ['c5', 'Nf3'] }] }] });
+    assert.match(movetextOf(pgn), /^1\. e4 e5 \$2 \{[^}]*\} \(1\.\.\. c5 2\. Nf3\) \*$/);
+  } finally {
+    page.close();
+  }
+});
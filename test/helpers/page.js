@@ -0,0 +1,130 @@
+'use strict';
+
+// Runs chess-core.js and chess-helper.js in a jsdom page, the way they are pasted into the console on
+// chess.com, and hands back the window once the helper has finished its first analysis.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+const { Chess } = require('chess.js');
+const { IDBFactory } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..', '..');
+const CORE_SOURCE = fs.readFileSync(path.join(ROOT, 'chess-core.js'), 'utf8');
+const HELPER_SOURCE = fs.readFileSync(path.join(ROOT, 'chess-helper.js'), 'utf8');
+
+// console output is kept on page.logs instead of cluttering the test report
+function recordingConsole(logs) {
+  const record = level => (...args) => logs.push({ level, text: args.map(String).join(' ') });
+  return { log: record('log'), info: record('info'), warn: record('warn'), error: record('error'), table: record('table') };
+}
+
+// Blob URLs and Web Workers for the page: a worker runs its blob's script in a vm context whose fetch serves
+// the page's blob URLs and nothing else. An exception in the worker's onmessage reaches worker.onerror, as a
+// crashed engine's would. Node's Blob stands in for jsdom's, which cannot be read back.
+function installWorkers(window) {
+  const blobs = new Map();
+  let nextBlob = 0;
+  const workers = [];
+  window.Blob = Blob;
+  window.URL.createObjectURL = blob => {
+    const url = `blob:https://www.chess.com/${++nextBlob}`;
+    blobs.set(url, blob);
+    return url;
+  };
+  window.URL.revokeObjectURL = url => blobs.delete(url);
+  window.Worker = class {
+    constructor(url) {
+      const blob = blobs.get(url);
+      if (!blob) throw new Error(`No blob at ${url}`);
+      this.onmessage = null;
+      this.onerror = null;
+      this.terminated = false;
+      const scope = {
+        postMessage: data => setImmediate(() => !this.terminated && this.onmessage && this.onmessage({ data })),
+        importScripts: () => {
+          throw new Error('offline');
+        },
+        fetch: async request => {
+          const target = String(request && request.url ? request.url : request);
+          if (!blobs.has(target)) throw new TypeError(`offline: ${target}`);
+          return new Response(blobs.get(target));
+        },
+        close: () => {
+          this.terminated = true;
+        },
+        setTimeout,
+        clearTimeout,
+        performance,
+        console,
+        atob,
+        btoa,
+        TextDecoder,
+        Uint8Array
+      };
+      scope.self = scope;
+      this.scope = scope;
+      this.ready = blob.text().then(source => {
+        vm.createContext(scope);
+        vm.runInContext(source, scope);
+      });
+      workers.push(this);
+    }
+
+    postMessage(data) {
+      this.ready.then(() => setImmediate(() => {
+        if (this.terminated || !this.scope.onmessage) return;
+        try {
+          this.scope.onmessage({ data });
+        } catch (err) {
+          this.terminated = true;
+          if (this.onerror) this.onerror({ message: `Uncaught ${err.message}`, preventDefault() {} });
+        }
+      }));
+    }
+
+    terminate() {
+      this.terminated = true;
+    }
+  };
+  return workers;
+}
+
+// IndexedDB, gzip streams and crypto.subtle, which the engine storage needs. Pass the same factory to two
+// pages to reload with the database kept.
+function installStorage(window, factory) {
+  window.indexedDB = factory;
+  window.Blob = Blob;
+  window.Response = Response;
+  window.CompressionStream = CompressionStream;
+  window.DecompressionStream = DecompressionStream;
+  Object.defineProperty(window, 'crypto', { value: crypto, configurable: true });
+}
+
+async function loadHelper(options = {}) {
+  const moves = options.moves || [];
+  const list = moves.map((san, index) => `<span data-ply="${index + 1}">${san}</span>`).join('');
+  const dom = new JSDOM(`<div id="move-list">${list}</div>`, {
+    runScripts: 'outside-only',
+    url: 'https://www.chess.com/play/computer'
+  });
+  const { window } = dom;
+  const logs = [];
+  window.console = recordingConsole(logs);
+  window.Chess = Chess;
+  // a short fallback search keeps the first analysis quick
+  const config = { 'fallback.timeBudget': 250, ...(options.config || {}) };
+  window.localStorage.setItem('__chess_helper_config__', JSON.stringify(config));
+  for (const [key, value] of Object.entries(options.storage || {})) window.localStorage.setItem(key, value);
+  if (options.indexedDB) installStorage(window, options.indexedDB === true ? new IDBFactory() : options.indexedDB);
+  const workers = options.workers ? installWorkers(window) : [];
+  Object.assign(window, options.globals || {});
+  if (options.setup) options.setup(window);
+
+  window.eval(CORE_SOURCE);
+  await window.eval(HELPER_SOURCE);
+  return { window, chess: window.__CHESS, logs, workers, close: () => window.close() };
+}
+
+module.exports = { loadHelper, IDBFactory };
@@ -0,0 +1,42 @@
+'use strict';
+
+// A scripted stand-in for an engine worker: answers the UCI handshake, isready and go, and records every
+// command it receives so tests can check what the core sent. options.crash names a command (such as 'go')
+// that kills the worker: it reports an error instead of answering, as an engine out of WASM memory does.
+
+function fakeUciWorker(options = {}) {
+  const sent = [];
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    postMessage(command) {
+      sent.push(command);
+      const reply = line => setImmediate(() => worker.onmessage && worker.onmessage({ data: line }));
+      if (options.crash && command.startsWith(options.crash)) {
+        setImmediate(() => worker.onerror && worker.onerror({ message: 'RuntimeError: memory access out of bounds' }));
+      } else if (command === 'uci') {
+        if (options.name) reply(`id name ${options.name}`);
+        for (const option of options.options || []) reply(option);
+        reply('uciok');
+      } else if (command === 'isready') {
+        reply('readyok');
+      } else if (command.startsWith('go')) {
+        const move = typeof options.bestmove === 'function' ? options.bestmove(worker.position) : (options.bestmove || 'e2e4');
+        reply(`info depth 1 multipv 1 score cp ${options.score || 0} pv ${move}`);
+        reply(`bestmove ${move}`);
+      } else if (command.startsWith('position ')) {
+        worker.position = command;
+      }
+    },
+    terminate() {}
+  };
+  return { worker, sent };
+}
+
+// the values the core sent for an option, in order
+function optionsSent(sent, name) {
+  const prefix = `setoption name ${name} value `;
+  return sent.filter(command => command.startsWith(prefix)).map(command => command.slice(prefix.length));
+}
+
+module.exports = { fakeUciWorker, optionsSent };
@@ -0,0 +1,73 @@
+'use strict';
+
+// Runs the built-in UCI worker in a vm context that stands in for a Web Worker global. The page is offline:
+// importScripts throws, and the URLs the worker asked for are kept on `imported`.
+
+const fs = require('node:fs');
+const vm = require('node:vm');
+const core = require('../../chess-core.js');
+
+const CHESS_SOURCE = fs.readFileSync(require.resolve('chess.js'), 'utf8');
+
+function builtinWorker(options = {}) {
+  const source = options.offline === false ? core.getBuiltinEngineSource() : core.getBuiltinEngineSource({ chessSource: CHESS_SOURCE });
+  const imported = [];
+  const lines = [];
+  let closed = false;
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    postMessage(data) {
+      setImmediate(() => {
+        if (!closed && scope.onmessage) scope.onmessage({ data });
+      });
+    },
+    terminate() {
+      closed = true;
+    }
+  };
+  const scope = {
+    postMessage(line) {
+      if (closed) return;
+      lines.push(line);
+      if (worker.onmessage) worker.onmessage({ data: line });
+    },
+    importScripts(url) {
+      imported.push(url);
+      throw new Error('offline');
+    },
+    close() {
+      closed = true;
+    },
+    setTimeout,
+    clearTimeout,
+    performance,
+    console,
+    atob,
+    btoa
+  };
+  scope.self = scope;
+  vm.createContext(scope);
+  vm.runInContext(source, scope);
+  return { worker, imported, lines };
+}
+
+// sends commands to a worker and resolves with the lines it answered up to the first one matching `until`
+function exchange(handle, commands, until, timeout = 10000) {
+  const start = handle.lines.length;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no ${until} from the worker`)), timeout);
+    const previous = handle.worker.onmessage;
+    handle.worker.onmessage = event => {
+      if (previous) previous(event);
+      if (until.test(event.data)) {
+        clearTimeout(timer);
+        handle.worker.onmessage = previous;
+        resolve(handle.lines.slice(start));
+      }
+    };
+    for (const command of [].concat(commands)) handle.worker.postMessage(command);
+  });
+}
+
+module.exports = { CHESS_SOURCE, builtinWorker, exchange };
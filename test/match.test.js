@@ -0,0 +1,93 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+const { fakeUciWorker, optionsSent } = require('./helpers/uci.js');
+
+// black to move and mate with Qh4#
+const FOOLS_MATE = 'f2f3 e7e5 g2g4';
+
+async function scriptedEngine(bestmove, ownBook) {
+  const fake = fakeUciWorker({
+    options: ownBook === undefined ? [] : [`option name OwnBook type check default ${ownBook}`],
+    bestmove
+  });
+  const engine = new core.StockfishEngine(fake.worker, 'scripted');
+  await engine.init();
+  return { engine, sent: fake.sent };
+}
+
+test('matchStatistics scores an even match at 0 Elo and leaves the SPRT open', () => {
+  const stats = core.matchStatistics(10, 10, 10);
+  assert.equal(stats.games, 30);
+  assert.equal(stats.score, 0.5);
+  assert.ok(Math.abs(stats.elo) < 1e-9);
+  assert.ok(stats.eloLow < 0 && stats.eloHigh > 0);
+  assert.ok(Math.abs(stats.los - 0.5) < 1e-6);
+  assert.equal(stats.sprt.verdict, null);
+  assert.ok(stats.sprt.lower < 0 && stats.sprt.upper > 0);
+});
+
+test('matchStatistics accepts H1 for a clear lead and H0 for a clear deficit', () => {
+  assert.equal(core.matchStatistics(300, 400, 100).sprt.verdict, 'H1');
+  assert.equal(core.matchStatistics(100, 400, 300).sprt.verdict, 'H0');
+  const stats = core.matchStatistics(300, 400, 100, { elo0: 0, elo1: 10 });
+  assert.ok(stats.elo > 80 && stats.elo < 95);
+  assert.ok(stats.los > 0.99);
+  assert.equal(stats.sprt.elo1, 10);
+});
+
+test('matchStatistics reports a clean sweep as an infinite Elo difference', () => {
+  const sweep = core.matchStatistics(2, 0, 0);
+  assert.equal(sweep.score, 1);
+  assert.equal(sweep.elo, Infinity);
+  const wipeout = core.matchStatistics(0, 0, 3);
+  assert.equal(wipeout.elo, -Infinity);
+  const empty = core.matchStatistics(0, 0, 0);
+  assert.equal(empty.elo, null);
+  assert.equal(empty.score, null);
+});
+
+test('parseOpeningSuite reads moves, FENs and PGN games and drops lines that do not replay', () => {
+  const openings = core.parseOpeningSuite([
+    '1. e4 e5 2. Nf3',
+    'd2d4 d7d5',
+    '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1',
+    'e4 e4'
+  ].join('\n'));
+  assert.deepEqual(openings.map(opening => opening.moves), [['e2e4', 'e7e5', 'g1f3'], ['d2d4', 'd7d5'], []]);
+  assert.equal(openings[2].startFen, '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1');
+});
+
+test('runMatch plays colour-swapped pairs, scores a sweep and writes a TimeControl header', async () => {
+  // the first engine mates whenever it has black; the second one answers with an illegal move
+  const { engine: first } = await scriptedEngine(() => 'd8h4');
+  const { engine: second } = await scriptedEngine(() => 'a1a1');
+  const opening = { name: "Fool's mate", moves: FOOLS_MATE.split(' ') };
+  const result = await core.runMatch(first, second, { games: 2, movetime: 50, openings: [opening], names: ['A', 'B'] });
+  assert.equal(result.games.length, 2);
+  assert.deepEqual(result.games.map(game => [game.white, game.black]), [['A', 'B'], ['B', 'A']]);
+  assert.deepEqual([result.wins, result.draws, result.losses], [2, 0, 0]);
+  assert.equal(result.elo, Infinity);
+  assert.match(result.games[0].pgn, /\[TimeControl "\*0\.05"\]/);
+  assert.match(result.games[1].pgn, /Qh4#/);
+});
+
+test('runMatch writes a depth limit as an unlimited TimeControl', async () => {
+  const { engine: first } = await scriptedEngine(() => 'd8h4');
+  const { engine: second } = await scriptedEngine(() => 'a1a1');
+  const opening = { moves: FOOLS_MATE.split(' ') };
+  const result = await core.runMatch(first, second, { games: 2, depth: 2, openings: [opening] });
+  assert.match(result.pgn, /\[TimeControl "-"\]/);
+});
+
+test('runMatch switches each book off for the match and restores its previous setting', async () => {
+  const on = await scriptedEngine(() => 'd8h4', true);
+  const off = await scriptedEngine(() => 'a1a1', false);
+  const opening = { moves: FOOLS_MATE.split(' ') };
+  await core.runMatch(on.engine, off.engine, { games: 2, movetime: 20, openings: [opening] });
+  assert.deepEqual(optionsSent(on.sent, 'OwnBook'), ['false', 'true']);
+  assert.deepEqual(optionsSent(off.sent, 'OwnBook'), []);
+  assert.equal(optionsSent(on.sent, 'MultiPV').at(-1), '1');
+});
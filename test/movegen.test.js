@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+
+const POSITIONS = [
+  'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+  // castling through and out of check, pins, en passant and promotions
+  'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+  '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+  'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+  'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+  // the en-passant capture would expose the king along the rank
+  '8/8/8/KPp4r/8/8/8/6k1 w - c6 0 2',
+  // double check: only king moves
+  '4k3/8/8/8/8/5n2/8/r3K3 w - - 0 1'
+];
+
+function chessJsMoves(fen) {
+  return core.createGameFromFen(fen).moves({ verbose: true })
+    .map(move => move.from + move.to + (move.promotion || ''))
+    .sort();
+}
+
+function snapshot(board) {
+  return JSON.stringify([Array.from(board.squares), board.turn, board.castling, board.ep, board.halfmove,
+    board.fullmove, board.hi, board.lo, board.psq, board.phase]);
+}
+
+test('generateLegalMoves agrees with chess.js', () => {
+  for (const fen of POSITIONS) {
+    const native = core.generateLegalMoves(core.createBoard(fen)).map(core.moveToUci).sort();
+    assert.deepEqual(native, chessJsMoves(fen), fen);
+  }
+});
+
+test('unmakeMove restores the board after every legal move', () => {
+  for (const fen of POSITIONS) {
+    const board = core.createBoard(fen);
+    const before = snapshot(board);
+    for (const move of core.generateLegalMoves(board)) {
+      core.makeMove(board, move);
+      core.unmakeMove(board);
+      assert.equal(snapshot(board), before, `${fen} ${core.moveToUci(move)}`);
+    }
+  }
+});
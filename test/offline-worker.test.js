@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+const { CHESS_SOURCE, builtinWorker, exchange } = require('./helpers/worker.js');
+
+test('chessConstructorFromSource loads chess.js without leaking globals', () => {
+  const Chess = core.chessConstructorFromSource(CHESS_SOURCE);
+  assert.equal(typeof Chess, 'function');
+  assert.equal(new Chess().moves().length, 20);
+  assert.equal(globalThis.Chess, undefined);
+  assert.equal(core.chessConstructorFromSource(''), null);
+  assert.equal(core.chessConstructorFromSource('var Chess = function () { return { moves: () => [] }; };'), null);
+});
+
+test('chessSourceFromConstructor turns a running chess.js back into source', () => {
+  const source = core.chessSourceFromConstructor(require('chess.js').Chess);
+  assert.ok(source);
+  assert.equal(new (core.chessConstructorFromSource(source))().moves().length, 20);
+  assert.equal(core.chessSourceFromConstructor(class Chess {}), null);
+  assert.equal(core.chessSourceFromConstructor(Math.max), null);
+});
+
+test('the built-in worker with an embedded chess.js plays without the network', async () => {
+  const handle = builtinWorker();
+  try {
+    const handshake = await exchange(handle, 'uci', /^uciok$/);
+    assert.ok(handshake.includes('id name ChessHelper Built-in Engine'));
+    const search = await exchange(handle, ['position startpos moves e2e4', 'go depth 2'], /^bestmove /);
+    assert.match(search[search.length - 1], /^bestmove [a-h][1-8][a-h][1-8]/);
+    assert.deepEqual(handle.imported, []);
+  } finally {
+    handle.worker.terminate();
+  }
+});
+
+test('the built-in worker without chess.js reports the failed download', () => {
+  // the worker answers the handshake up front so the page does not wait for it
+  const handle = builtinWorker({ offline: false });
+  assert.deepEqual(handle.imported, [core.CHESS_JS_CDN_URL]);
+  assert.deepEqual(handle.lines, ['info string Failed to load chess.js: offline', 'uciok', 'readyok']);
+});
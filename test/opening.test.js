@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+
+function play(moves, fen) {
+  const game = fen ? core.createGameFromFen(fen) : core.createChessInstance();
+  for (const move of moves) game.move(move);
+  return game;
+}
+
+test('classifyOpening names the deepest book position the game reached', () => {
+  const najdorf = core.classifyOpening(play(['e4', 'c5', 'Nf3', 'd6', 'd4', 'cxd4', 'Nxd4', 'Nf6', 'Nc3', 'a6']));
+  assert.equal(najdorf.eco, 'B90');
+  assert.equal(najdorf.ply, 10);
+  assert.equal(najdorf.transposed, false);
+
+  const nimzo = core.classifyOpening(play(['d4', 'Nf6', 'c4', 'e6', 'Nc3', 'Bb4', 'a3', 'h6']));
+  assert.equal(nimzo.eco, 'E20');
+  assert.equal(nimzo.ply, 6);
+});
+
+test('classifyOpening recognises a transposed move order', () => {
+  const opening = core.classifyOpening(play(['Nf3', 'd5', 'd4']));
+  assert.equal(opening.eco, 'D02');
+  assert.deepEqual(opening.moves, ['d4', 'd5', 'Nf3']);
+  assert.equal(opening.transposed, true);
+});
+
+test('classifyOpening looks up a game loaded from a FEN by its position', () => {
+  const fen = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1';
+  const opening = core.classifyOpening(play([], fen));
+  assert.equal(opening.eco, 'B00');
+  assert.equal(opening.transposed, true);
+  assert.equal(core.classifyOpening(play([], '4k3/8/8/8/8/8/8/4K3 w - - 0 1')), null);
+});
+
+test('lookupOpening ignores the en-passant square and move counters', () => {
+  const withEp = core.lookupOpening('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+  const without = core.lookupOpening('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 7');
+  assert.deepEqual(withEp, without);
+  assert.equal(withEp.name, 'King\'s Pawn Game');
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const KIWIPETE = 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1';
+
+test('perft counts the start position on both generators', () => {
+  for (const generator of ['board', 'chessjs']) {
+    assert.deepEqual([1, 2, 3].map(depth => core.perft(START_FEN, depth, { generator }).nodes), [20, 400, 8902], generator);
+  }
+});
+
+test('perft divide lists every root move with its own count', () => {
+  const result = core.perft(KIWIPETE, 2);
+  assert.equal(result.nodes, 2039);
+  assert.equal(result.divide.length, 48);
+  assert.equal(result.divide.find(entry => entry.move === 'e1g1').nodes, 43);
+});
+
+test('the perft suite passes on both generators', () => {
+  const suite = core.runPerftSuite({ maxNodes: 10000 });
+  for (const position of suite.positions) {
+    assert.deepEqual(position.mismatches, [], position.name);
+  }
+  assert.equal(suite.passed, true);
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+
+const TWO_GAMES = `[Event "First"]
+[White "A \\"quoted\\" name"]
+
+1. e4 {a comment} e5 (1... c5 2. Nf3 (2. c3) d6) 2. Nf3 $1 ; to the end of the line
+Nc6 3. Bb5 a6 1-0
+
+[Event "Second"]
+
+1. d4 *`;
+
+test('parsePgn reads the first game and skips comments, variations and NAGs', () => {
+  const { headers, startFen, tokens } = core.parsePgn(TWO_GAMES);
+  assert.deepEqual(headers, { Event: 'First', White: 'A "quoted" name' });
+  assert.equal(startFen, null);
+  assert.deepEqual(tokens, ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5', 'a6']);
+});
+
+test('parsePgn rejects empty input', () => {
+  assert.throws(() => core.parsePgn('  \n'), /PGN text is required/);
+});
+
+test('rebuildGameFromPgn starts from the FEN tag unless SetUp is 0', () => {
+  const fen = '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1';
+  const setUp = core.rebuildGameFromPgn(`[SetUp "1"]\n[FEN "${fen}"]\n\n1. e4 Kd7 *`);
+  assert.equal(setUp.startFen, fen);
+  assert.equal(setUp.game.fen(), '8/3k4/8/8/4P3/8/8/4K3 w - - 1 2');
+  assert.deepEqual(setUp.ignored, []);
+
+  const ignoredFen = core.rebuildGameFromPgn(`[SetUp "0"]\n[FEN "${fen}"]\n\n1. e4 e5 *`);
+  assert.equal(ignoredFen.startFen, null);
+  assert.deepEqual(ignoredFen.game.history(), ['e4', 'e5']);
+});
+
+test('createGameFromFen rejects missing and malformed FENs', () => {
+  assert.throws(() => core.createGameFromFen(''), /FEN is required/);
+  assert.throws(() => core.createGameFromFen('8/8/8 w - - 0 1'), /Invalid FEN/);
+  assert.equal(core.createGameFromFen('  4k3/8/8/8/8/8/8/4K3   b - - 3 40 ').fen(), '4k3/8/8/8/8/8/8/4K3 b - - 3 40');
+});
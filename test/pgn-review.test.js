@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+
+// black to move at move 20
+const START_FEN = 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 5 20';
+
+function gameFrom(fen, moves) {
+  const game = core.createGameFromFen(fen);
+  for (const move of moves) game.move(move);
+  return game;
+}
+
+test('buildPgn numbers moves from the FEN start position', () => {
+  const pgn = core.buildPgn({ moves: ['Bc5', 'O-O', 'O-O'], startFen: START_FEN, result: '*' });
+  assert.match(pgn, /\[SetUp "1"\]/);
+  assert.match(pgn, /\[FEN "r1bqkb1r\/pppp1ppp\/2n2n2\/4p3\/2B1P3\/5N2\/PPPP1PPP\/RNBQK2R b KQkq - 5 20"\]/);
+  assert.match(pgn, /\n20\.\.\. Bc5 21\. O-O O-O \*\n$/);
+});
+
+test('buildPgn writes variations in parentheses', () => {
+  const pgn = core.buildPgn({
+    moves: ['e4', 'e5'],
+    annotations: [null, { variations: [{ moves: ['c5', 'Nf3'], eval: { type: 'cp', value: 0.3 } }] }]
+  });
+  assert.match(pgn, /1\. e4 e5 \(1\.\.\. c5 2\. Nf3 \{\[%eval 0\.30\]\}\) \*/);
+});
+
+test('reviewGame numbers plies from the start position', async () => {
+  const game = gameFrom(START_FEN, ['Bc5', 'O-O']);
+  const flat = async () => ({ score: { type: 'cp', value: 0 }, best: null, pvSan: [] });
+  const review = await core.reviewGame(game, flat, { startFen: START_FEN });
+  assert.deepEqual(review.plies.map(entry => [entry.moveNumber, entry.color, entry.san]), [[20, 'b', 'Bc5'], [21, 'w', 'O-O']]);
+});
+
+test('reviewGame numbers a game from the initial position from move 1', async () => {
+  const game = gameFrom('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', ['e4', 'e5', 'Nf3']);
+  const flat = async () => ({ score: { type: 'cp', value: 0 }, best: null, pvSan: [] });
+  const review = await core.reviewGame(game, flat);
+  assert.deepEqual(review.plies.map(entry => entry.moveNumber), [1, 1, 2]);
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+
+// a fixed depth with no clock keeps the results the same on slow machines
+function searchTo(fen, depth) {
+  return core.analyzeFallback(core.createGameFromFen(fen), { timeBudget: 0, depth, maxDepth: depth });
+}
+
+test('the search finds a back-rank mate in one', () => {
+  const result = searchTo('6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1', 3);
+  assert.equal(result.best.move.san, 'Rd8#');
+  assert.equal(result.best.score, 999);
+});
+
+test('null-move and late-move pruning do not hide a mate in three', () => {
+  const result = searchTo('2r3k1/p4p2/3Rp2p/1p2P1pK/8/1P4P1/P3Q2P/1q6 b - - 0 1', 5);
+  assert.equal(result.best.move.san, 'Qg6+');
+  assert.equal(result.best.score, 995);
+  assert.match(result.best.pvSan[result.best.pvSan.length - 1], /#$/);
+  assert.ok(result.pruning.nullCutoffs > 0);
+  assert.ok(result.pruning.pvsResearches > 0);
+});
+
+test('the search reports every pruning counter', () => {
+  const result = searchTo('r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1', 3);
+  assert.deepEqual(Object.keys(result.pruning).sort(), [
+    'aspirationResearches', 'futilityPruned', 'lmrReductions', 'lmrResearches', 'nullCutoffs', 'pvsResearches', 'seePruned'
+  ]);
+  assert.equal(result.depth, 3);
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+
+const { p: PAWN, n: KNIGHT, q: QUEEN } = core.getEvalWeights().pieceValues;
+
+test('staticExchangeForMove wins an undefended pawn', () => {
+  assert.equal(core.staticExchangeForMove('1k1r4/1pp4p/p7/4p3/8/P5P1/1PP4P/2K1R3 w - - 0 1', 'Rxe5'), PAWN);
+});
+
+test('staticExchangeForMove counts the recaptures, x-rays included', () => {
+  const gain = core.staticExchangeForMove('1k1r3q/1ppn3p/p4b2/4p3/8/P2N2P1/1PP1R1BP/2K1Q3 w - - 0 1', 'Nxe5');
+  assert.ok(Math.abs(gain - (PAWN - KNIGHT)) < 1e-9, `got ${gain}`);
+});
+
+test('staticExchangeForMove accepts UCI and rejects illegal moves', () => {
+  assert.equal(core.staticExchangeForMove('1k1r4/1pp4p/p7/4p3/8/P5P1/1PP4P/2K1R3 w - - 0 1', 'e1e5'), PAWN);
+  assert.equal(core.staticExchangeForMove('1k1r4/1pp4p/p7/4p3/8/P5P1/1PP4P/2K1R3 w - - 0 1', 'Kd2'), null);
+});
+
+test('staticExchangeForMove counts en passant and promotions', () => {
+  assert.equal(core.staticExchangeForMove('4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1', 'exd6'), PAWN);
+  assert.ok(Math.abs(core.staticExchangeForMove('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1', 'b8=Q') - (QUEEN - PAWN)) < 1e-9);
+  // the new queen is taken by the rook
+  assert.equal(core.staticExchangeForMove('r3k3/1P6/8/8/8/8/8/4K3 w - - 0 1', 'b8=Q'), -PAWN);
+});
+
+test('orderedMoves puts winning captures first and losing ones last', () => {
+  const fen = '4k3/8/2p5/3p4/1n6/5N2/3Q4/4K3 w - - 0 1';
+  const board = core.createBoard(fen);
+  const context = core.createEvaluationContext(core.createGameFromFen(fen));
+  const moves = core.orderedMoves(board, context, new Map(), core.createSearchMeta(), 1).map(core.moveToUci);
+  assert.equal(moves[0], 'd2b4');
+  assert.equal(moves[moves.length - 1], 'd2d5');
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadHelper } = require('./helpers/page.js');
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const WASM = Buffer.from([0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00]);
+
+// A stand-in for Stockfish's glue script: it loads its companion files by relative name, as the real one
+// does, and reports what it found in its id name.
+const GLUE_SCRIPT = `
+const wasm = fetch('./stockfish-17.wasm?v=1').then(response => response.arrayBuffer()).then(buffer => new Uint8Array(buffer));
+const network = self.Module && self.Module.locateFile ? self.Module.locateFile('nn-test.nnue', 'https://cdn.example/') : 'none';
+self.onmessage = async ({ data }) => {
+  if (data === 'uci') {
+    const bytes = await wasm;
+    postMessage('id name Glue wasm=' + bytes.length + ' magic=' + bytes[1] + ' nnue=' + network.split(':')[0]);
+    postMessage('uciok');
+  } else if (data === 'isready') {
+    postMessage('readyok');
+  } else if (data.startsWith('go')) {
+    postMessage('info depth 1 multipv 1 score cp 20 pv e2e4');
+    postMessage('bestmove e2e4');
+  }
+};
+`;
+
+// byte arrays from the page's own realm, as a console user would pass them
+function pageBytes(page, buffer) {
+  return new page.window.Uint8Array(buffer);
+}
+
+// page objects come from another realm, which deepEqual tells apart
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+async function loadPage() {
+  return loadHelper({ workers: true, config: { 'engine.disableBuiltin': true } });
+}
+
+test('storeStockfishAsset rejects bad names and payloads that are not what they claim', async () => {
+  const page = await loadPage();
+  try {
+    const { chess } = page;
+    await assert.rejects(chess.storeStockfishAsset('../', pageBytes(page, WASM), { persist: false }), /Invalid asset name/);
+    await assert.rejects(chess.storeStockfishAsset('stockfish.wasm', pageBytes(page, []), { persist: false }), /Empty or invalid/);
+    await assert.rejects(chess.storeStockfishAsset('stockfish.wasm', pageBytes(page, Buffer.from('not wasm')), { persist: false }), /not a WebAssembly binary/);
+    assert.equal(chess.stockfishInfo().assets.length, 0);
+  } finally {
+    page.close();
+  }
+});
+
+test('session assets are listed, named by file and cleared one at a time', async () => {
+  const page = await loadPage();
+  try {
+    const { chess } = page;
+    const result = await chess.storeStockfishAsset('https://cdn.example/sf/stockfish.wasm?x=1', pageBytes(page, WASM), { persist: false });
+    assert.deepEqual(plain(result), { name: 'stockfish.wasm', persisted: false, bytes: 8, storedBytes: null, compressed: false });
+    await chess.storeStockfishAsset('nn-test.nnue', WASM.toString('base64'), { persist: false });
+    assert.deepEqual(plain(chess.stockfishInfo().assets.map(asset => [asset.name, asset.bytes, asset.storage])),
+      [['stockfish.wasm', 8, 'session'], ['nn-test.nnue', 8, 'session']]);
+    assert.deepEqual(plain(await chess.clearStockfishAssets('nn-test.nnue')), ['nn-test.nnue']);
+    assert.deepEqual(plain(chess.stockfishInfo().assets.map(asset => asset.name)), ['stockfish.wasm']);
+  } finally {
+    page.close();
+  }
+});
+
+test('the worker serves stored assets to the engine script through fetch and Module.locateFile', async () => {
+  const page = await loadPage();
+  try {
+    const { chess } = page;
+    await chess.storeStockfishAsset('stockfish.wasm', pageBytes(page, WASM), { persist: false });
+    await chess.storeStockfishAsset('nn-test.nnue', pageBytes(page, Buffer.from('network')), { persist: false });
+    await chess.storeStockfishInline(Buffer.from(GLUE_SCRIPT).toString('base64'), { persist: false });
+    await chess.analyzeFen(START_FEN);
+    // stockfish-17.wasm matches the one stored .wasm file by its extension
+    assert.equal(chess.stockfishInfo().engineId, 'Glue wasm=8 magic=97 nnue=blob');
+    assert.ok(page.logs.some(entry => /Serving stored Stockfish assets to inline:session/.test(entry.text)));
+  } finally {
+    page.close();
+  }
+});
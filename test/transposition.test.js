@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+
+// values of the core's bound flags
+const EXACT = 1;
+const LOWER = 2;
+
+// two keys that share a bucket: the same low word, different high words
+const FIRST = { hi: 11, lo: 8 };
+const SECOND = { hi: 22, lo: 8 };
+const THIRD = { hi: 33, lo: 8 };
+
+function playUci(board, uci) {
+  const move = core.generateLegalMoves(board).find(candidate => core.moveToUci(candidate) === uci);
+  assert.ok(move, `${uci} is legal`);
+  core.makeMove(board, move);
+}
+
+test('the Zobrist key of a board matches its Polyglot key and follows make/unmake', () => {
+  const start = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+  const board = core.createBoard(start);
+  const key = value => (BigInt(value.hi >>> 0) << 32n) | BigInt(value.lo >>> 0);
+  assert.equal(key(board), core.polyglotKey(start));
+
+  // a double push (en passant), castling rights lost by a king move, and back
+  for (const uci of ['e2e4', 'd7d5', 'e4e5', 'f7f5', 'e1e2']) playUci(board, uci);
+  const fresh = core.createZobristState('rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPPKPPP/RNBQ1BNR b kq - 0 3');
+  assert.deepEqual([board.hi, board.lo], [fresh.hi, fresh.lo]);
+  for (let i = 0; i < 5; i++) core.unmakeMove(board);
+  assert.equal(key(board), core.polyglotKey(start));
+});
+
+test('createTranspositionTable stays within the requested size', () => {
+  const table = core.createTranspositionTable(1);
+  assert.ok(table.size * 24 <= 1024 * 1024);
+  assert.ok(table.size * 2 * 24 > 1024 * 1024);
+  assert.equal(table.size & (table.size - 1), 0);
+});
+
+test('ttStore and ttProbe round-trip an entry and keep mate scores relative to the node', () => {
+  const table = core.createTranspositionTable(1);
+  core.ttStore(table, FIRST, 0, 4, 1.25, EXACT, 77);
+  assert.deepEqual(core.ttProbe(table, FIRST, 0), { depth: 4, value: 1.25, flag: EXACT, move: 77 });
+  assert.equal(core.ttProbe(table, { hi: 99, lo: 8 }, 0), null);
+
+  // a mate found 5 plies from the root at ply 3 is 2 plies from the node; seen again at ply 1 it is 3 away
+  core.ttStore(table, SECOND, 3, 6, 1000 - 5, EXACT, 0);
+  assert.equal(core.ttProbe(table, SECOND, 1).value, 1000 - 3);
+});
+
+test('ttStore keeps a deeper bound for the same position from the same search', () => {
+  const table = core.createTranspositionTable(1);
+  core.ttStore(table, FIRST, 0, 8, 0.5, LOWER, 10);
+  core.ttStore(table, FIRST, 0, 3, -0.5, LOWER, 11);
+  assert.equal(core.ttProbe(table, FIRST, 0).depth, 8);
+  // an exact score replaces it, and a later search may overwrite it
+  core.ttStore(table, FIRST, 0, 3, -0.25, EXACT, 12);
+  assert.deepEqual(core.ttProbe(table, FIRST, 0), { depth: 3, value: -0.25, flag: EXACT, move: 12 });
+});
+
+test('ttStore replaces entries from older searches first, then the shallower one', () => {
+  const table = core.createTranspositionTable(1);
+  core.ttStore(table, FIRST, 0, 2, 0, EXACT, 0);
+  core.ttStore(table, SECOND, 0, 9, 0, EXACT, 0);
+  table.age += 1;
+  // probing refreshes an entry, so only the deeper, untouched one is stale
+  core.ttProbe(table, FIRST, 0);
+  core.ttStore(table, THIRD, 0, 1, 0, EXACT, 0);
+  assert.ok(core.ttProbe(table, FIRST, 0));
+  assert.equal(core.ttProbe(table, SECOND, 0), null);
+  assert.ok(core.ttProbe(table, THIRD, 0));
+
+  // both current: the shallower entry goes
+  core.ttStore(table, SECOND, 0, 5, 0, EXACT, 0);
+  assert.equal(core.ttProbe(table, THIRD, 0), null);
+  assert.ok(core.ttProbe(table, FIRST, 0));
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+
+const TUNING_SET = [
+  '4k3/8/8/8/8/8/4P3/3QK3 w - - c9 "1-0";',
+  '3qk3/4p3/8/8/8/8/8/4K3 b - - c9 "0-1";',
+  '4k3/8/8/8/8/8/3PPP2/3RK3 w - - c9 "1-0";',
+  '3rk3/3ppp2/8/8/8/8/8/4K3 w - - c9 "0-1";',
+  '4k3/pp6/8/8/8/8/PP6/4K3 w - - c9 "1/2-1/2";',
+  '4k3/8/8/8/8/8/8/2N1K3 w - - 0 50 [0.5]',
+  '4k3/8/8/8/8/8/PPP5/1N2K3 b - - 0 40 [1.0]',
+  '1n2k3/ppp5/8/8/8/8/8/4K3 w - - 0 40 [0.0]',
+  '# a comment line'
+].join('\n');
+
+test('parseEpdLine completes the FEN and reads the operations', () => {
+  assert.deepEqual(core.parseEpdLine('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 bm e5; id "first one"; hmvc 0; fmvn 1;'), {
+    fen: 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1',
+    operations: { bm: 'e5', id: 'first one', hmvc: '0', fmvn: '1' }
+  });
+  assert.deepEqual(core.parseEpdLine('4k3/8/8/8/8/8/4P3/4K3 w - - 0 1 [1.0]'), {
+    fen: '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1',
+    operations: { c9: '1.0' }
+  });
+  assert.equal(core.parseEpdLine('# comment'), null);
+  assert.equal(core.parseEpdLine('   '), null);
+});
+
+test('collectTuningPositions turns each position into features and a result', () => {
+  const { samples, skipped } = core.collectTuningPositions(TUNING_SET);
+  assert.equal(samples.length + skipped, 8);
+  assert.ok(samples.length >= 6);
+  const params = core.getEvalParameters();
+  for (const sample of samples) {
+    assert.ok([0, 0.5, 1].includes(sample.result));
+    assert.equal(sample.indices.length, sample.values.length);
+    assert.ok(sample.indices.every(index => index >= 0 && index < params.length));
+  }
+});
+
+test('tuneEvaluation lowers the error, keeps the pawn at one and leaves the live weights alone', () => {
+  const { samples } = core.collectTuningPositions(TUNING_SET);
+  const before = core.getEvalWeights();
+  const result = core.tuneEvaluation(samples, { iterations: 30 });
+  assert.ok(result.error.after < result.error.before);
+  assert.equal(result.weights.pieceValues.p, 1);
+  assert.notDeepEqual(result.weights, before);
+  assert.deepEqual(core.getEvalWeights(), before);
+  assert.throws(() => core.tuneEvaluation([]), /No tuning positions/);
+});
+
+test('setEvalWeights merges a partial set, rejects unknown weights and resets', () => {
+  const defaults = core.getEvalWeights();
+  try {
+    assert.equal(core.setEvalWeights(JSON.stringify({ pieceValues: { n: 3.5 } })), 1);
+    assert.equal(core.getEvalWeights().pieceValues.n, 3.5);
+    assert.equal(core.getEvalWeights().pieceValues.b, defaults.pieceValues.b);
+    assert.throws(() => core.setEvalWeights({ pieceValues: { x: 1 } }), /Unknown evaluation weight pieceValues\.x/);
+    assert.equal(core.getEvalWeights().pieceValues.n, 3.5);
+  } finally {
+    core.resetEvalWeights();
+  }
+  assert.deepEqual(core.getEvalWeights(), defaults);
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../chess-core.js');
+const { builtinWorker, exchange } = require('./helpers/worker.js');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function readyWorker() {
+  const handle = builtinWorker();
+  await exchange(handle, 'uci', /^uciok$/);
+  return handle;
+}
+
+function depthsOf(lines) {
+  return lines.map(line => line.match(/^info depth (\d+) multipv 1 /)).filter(Boolean).map(match => Number(match[1]));
+}
+
+test('go infinite reports every iteration, answers isready and stops on stop', async () => {
+  const handle = await readyWorker();
+  try {
+    const search = exchange(handle, ['position startpos', 'go infinite'], /^bestmove /);
+    await delay(200);
+    const ready = await exchange(handle, 'isready', /^readyok$/);
+    assert.ok(!ready.some(line => line.startsWith('bestmove')), 'isready is answered while the search runs');
+    await delay(200);
+    assert.ok(!handle.lines.some(line => line.startsWith('bestmove')), 'an infinite search waits for stop');
+    handle.worker.postMessage('stop');
+    const lines = await search;
+    const depths = depthsOf(lines);
+    assert.ok(depths.length >= 2);
+    assert.deepEqual(depths, [...depths].sort((a, b) => a - b));
+    assert.match(lines[lines.length - 1], /^bestmove [a-h][1-8][a-h][1-8] ponder [a-h][1-8][a-h][1-8]$/);
+  } finally {
+    handle.worker.terminate();
+  }
+});
+
+test('position fen ... moves plays the moves before the search', async () => {
+  const handle = await readyWorker();
+  try {
+    // only the king can move
+    const lines = await exchange(handle, ['position fen 7k/8/8/8/8/8/8/K7 w - - 0 1 moves a1b1 h8g8', 'go depth 2'], /^bestmove /);
+    assert.match(lines[lines.length - 1], /^bestmove b1[a-c][12]/);
+  } finally {
+    handle.worker.terminate();
+  }
+});
+
+test('go depth N searches to that depth with no time limit', async () => {
+  const handle = await readyWorker();
+  try {
+    // a bare go would stop after 20 ms
+    handle.worker.postMessage('setoption name movetime value 20');
+    const lines = await exchange(handle, ['position startpos', 'go depth 4'], /^bestmove /);
+    assert.equal(Math.max(...depthsOf(lines)), 4);
+  } finally {
+    handle.worker.terminate();
+  }
+});
+
+test('the worker advertises MultiPV and reports one line unless asked for more', async () => {
+  const handle = builtinWorker();
+  try {
+    const handshake = await exchange(handle, 'uci', /^uciok$/);
+    assert.ok(handshake.includes('option name MultiPV type spin default 1 min 1 max 500'));
+    const single = await exchange(handle, ['position startpos', 'go depth 2'], /^bestmove /);
+    assert.deepEqual(new Set(single.map(line => (line.match(/ multipv (\d+) /) || [])[1]).filter(Boolean)), new Set(['1']));
+    handle.worker.postMessage('setoption name MultiPV value 3');
+    const three = await exchange(handle, ['position startpos', 'go depth 2'], /^bestmove /);
+    assert.equal(three.filter(line => line.startsWith('info depth 2 ')).length, 3);
+  } finally {
+    handle.worker.terminate();
+  }
+});
+
+test('allocateSearchTime splits the clock over the moves to go', () => {
+  assert.deepEqual(core.allocateSearchTime({ movetime: 1000 }, 'w'), { soft: 970, hard: 970 });
+  // 45 moves assumed at the start, a hard limit of four times the target
+  assert.deepEqual(core.allocateSearchTime({ wtime: 60000 }, 'w', 0), { soft: 1333, hard: 5331 });
+  // Black's clock, with three quarters of the increment added
+  assert.deepEqual(core.allocateSearchTime({ wtime: 60000, btime: 10000, binc: 2000 }, 'b', 80), { soft: 1899, hard: 4985 });
+  // the last move before the time control may use most of the clock
+  assert.deepEqual(core.allocateSearchTime({ wtime: 5000, movestogo: 1 }, 'w'), { soft: 4473, hard: 4473 });
+  assert.equal(core.allocateSearchTime({ infinite: true, wtime: 1000 }, 'w'), null);
+  assert.equal(core.allocateSearchTime({ depth: 5 }, 'w'), null);
+});